@@ -16,6 +16,11 @@ import Dashboard from './pages/Dashboard';
 import ExpenseManagement from './pages/ExpenseManagement';
 import SupplierManagement from './pages/SupplierManagement';
 import JournalEntry from './pages/JournalEntry';
+import ChartOfAccounts from './pages/ChartOfAccounts';
+import GeneralLedger from './pages/GeneralLedger';
+import Reports from './pages/Reports';
+import Schedules from './pages/Schedules';
+import PurchaseOrders from './pages/PurchaseOrders';
 import UserManagement from './pages/UserManagement';
 import Settings from './pages/Settings';
 import NotFound from './pages/NotFound';
@@ -237,6 +242,36 @@ const App = () => {
                     <JournalEntry />
                   </MainLayout>
                 } />
+                
+                <Route path="/accounts" element={
+                  <MainLayout toggleTheme={toggleTheme}>
+                    <ChartOfAccounts />
+                  </MainLayout>
+                } />
+                
+                <Route path="/ledger" element={
+                  <MainLayout toggleTheme={toggleTheme}>
+                    <GeneralLedger />
+                  </MainLayout>
+                } />
+                
+                <Route path="/reports" element={
+                  <MainLayout toggleTheme={toggleTheme}>
+                    <Reports />
+                  </MainLayout>
+                } />
+                
+                <Route path="/schedules" element={
+                  <MainLayout toggleTheme={toggleTheme}>
+                    <Schedules />
+                  </MainLayout>
+                } />
+                
+                <Route path="/purchase-orders" element={
+                  <MainLayout toggleTheme={toggleTheme}>
+                    <PurchaseOrders />
+                  </MainLayout>
+                } />
               </Route>
               
               {/* Admin-Only Routes */}
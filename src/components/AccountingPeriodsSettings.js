@@ -0,0 +1,251 @@
+// src/components/AccountingPeriodsSettings.js - Open, soft-close and close monthly accounting periods
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Snackbar
+} from '@mui/material';
+import { useData, useCollections } from '../contexts/DataContext';
+import periodLock, { PERIOD_STATUSES } from '../utils/PeriodLock';
+import fiscalCalendar from '../utils/FiscalCalendar';
+
+const AccountingPeriodsSettings = () => {
+  const { data, setPeriodStatus } = useData();
+
+  // Expenses and journals counted in each period
+  useCollections(['Expenses', 'JournalEntries']);
+
+  const startMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
+  const [year, setYear] = useState(() => fiscalCalendar.getFiscalYear(new Date(), startMonth));
+  const [pendingChange, setPendingChange] = useState(null); // { periodKey, status }
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const periods = useMemo(() => data.AccountingPeriods || [], [data.AccountingPeriods]);
+
+  // Financial years with transactions or period records, plus the current year
+  const years = useMemo(() => {
+    const found = new Set([fiscalCalendar.getFiscalYear(new Date(), startMonth)]);
+    [...(data.Expenses || []), ...(data.JournalEntries || [])].forEach(record => {
+      const key = periodLock.getPeriodKey(record.date);
+      if (key) found.add(fiscalCalendar.getFiscalYear(key, startMonth));
+    });
+    periods.forEach(period => {
+      if (/^\d{4}-\d{2}/.test(String(period.period))) found.add(fiscalCalendar.getFiscalYear(String(period.period), startMonth));
+    });
+    return [...found].filter(value => !isNaN(value)).sort((a, b) => b - a);
+  }, [data.Expenses, data.JournalEntries, periods, startMonth]);
+
+  // One row per month of the selected financial year
+  const rows = useMemo(() => Array.from({ length: 12 }, (_, index) => {
+    const yearStart = fiscalCalendar.getYearStart(year, startMonth);
+    const month = new Date(yearStart.getFullYear(), yearStart.getMonth() + index, 1);
+    const periodKey = `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`;
+    const record = periods.find(period => period.period === periodKey);
+    const inPeriod = (record) => periodLock.getPeriodKey(record.date) === periodKey;
+
+    return {
+      periodKey,
+      record,
+      status: record?.status || 'open',
+      expenseCount: (data.Expenses || []).filter(inPeriod).length,
+      journalCount: (data.JournalEntries || []).filter(journal => journal.id !== 'dummy-journal' && inPeriod(journal)).length
+    };
+  }), [year, startMonth, periods, data.Expenses, data.JournalEntries]);
+
+  // Period changes from the audit log, newest first
+  const history = useMemo(() => (data.AuditLog || [])
+    .filter(entry => entry.entityType === 'AccountingPeriods')
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+    .slice(0, 10),
+  [data.AuditLog]);
+
+  const getStatusInfo = (status) => PERIOD_STATUSES.find(s => s.value === status) || PERIOD_STATUSES[0];
+
+  const formatDateTime = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toLocaleString('en-AU');
+  };
+
+  const handleSelectStatus = (periodKey, status) => {
+    setPendingChange({ periodKey, status });
+    setNotes('');
+  };
+
+  const handleConfirmChange = async () => {
+    setSaving(true);
+    const success = await setPeriodStatus(pendingChange.periodKey, pendingChange.status, notes.trim());
+    setSaving(false);
+
+    setSnackbar({
+      open: true,
+      message: success ?
+        `${periodLock.getPeriodLabel(pendingChange.periodKey)} is now ${getStatusInfo(pendingChange.status).label.toLowerCase()}` :
+        'Error updating accounting period',
+      severity: success ? 'success' : 'error'
+    });
+    setPendingChange(null);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Accounting Periods
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Soft-closed months only accept changes from users with the approve permission.
+            Closed months accept no changes until they are reopened.
+          </Typography>
+        </Box>
+
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>Year</InputLabel>
+          <Select value={year} label="Year" onChange={(e) => setYear(e.target.value)}>
+            {years.map(value => (
+              <MenuItem key={value} value={value}>{fiscalCalendar.getYearLabel(value, startMonth)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Period</TableCell>
+              <TableCell align="right">Expenses</TableCell>
+              <TableCell align="right">Journals</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Last Changed</TableCell>
+              <TableCell>Notes</TableCell>
+              <TableCell width={180}>Change To</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => {
+              const statusInfo = getStatusInfo(row.status);
+
+              return (
+                <TableRow key={row.periodKey}>
+                  <TableCell>{periodLock.getPeriodLabel(row.periodKey)}</TableCell>
+                  <TableCell align="right">{row.expenseCount}</TableCell>
+                  <TableCell align="right">{row.journalCount}</TableCell>
+                  <TableCell>
+                    <Chip label={statusInfo.label} color={statusInfo.color} size="small" />
+                  </TableCell>
+                  <TableCell>
+                    {row.record?.changedBy ? `${row.record.changedBy}, ${formatDateTime(row.record.changedAt)}` : ''}
+                  </TableCell>
+                  <TableCell>{row.record?.notes || ''}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      fullWidth
+                      value={row.status}
+                      onChange={(e) => handleSelectStatus(row.periodKey, e.target.value)}
+                    >
+                      {PERIOD_STATUSES.map(status => (
+                        <MenuItem key={status.value} value={status.value}>{status.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Recent period changes */}
+      <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+        Recent Changes
+      </Typography>
+      {history.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No period changes recorded yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableBody>
+            {history.map(entry => (
+              <TableRow key={entry.id}>
+                <TableCell>{formatDateTime(entry.timestamp)}</TableCell>
+                <TableCell>{entry.username}</TableCell>
+                <TableCell>{entry.description}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {/* Confirm status change */}
+      <Dialog open={Boolean(pendingChange)} onClose={() => setPendingChange(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {pendingChange && `${getStatusInfo(pendingChange.status).label} ${periodLock.getPeriodLabel(pendingChange.periodKey)}?`}
+        </DialogTitle>
+        <DialogContent>
+          {pendingChange?.status === 'closed' && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              No one will be able to add, edit or delete expenses and journals dated in this month until it is reopened.
+            </Alert>
+          )}
+          {pendingChange?.status === 'soft-closed' && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Only users with the approve permission will be able to change expenses and journals dated in this month.
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            label="Notes (recorded in the audit log)"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            margin="normal"
+            multiline
+            rows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingChange(null)}>Cancel</Button>
+          <Button onClick={handleConfirmChange} variant="contained" disabled={saving}>
+            Confirm
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default AccountingPeriodsSettings;
@@ -0,0 +1,163 @@
+// src/components/AllocationEditor.js - Split an expense across payment centers and programs
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Select,
+  MenuItem,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Button,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import allocationHelper from '../utils/AllocationHelper';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+/**
+ * Allocation lines for an expense. Typing a percentage or an amount makes it the
+ * line's basis; the other value is worked out from the expense total.
+ * lines are unresolved form lines; onChange receives the new lines.
+ */
+const AllocationEditor = ({ lines, total, paymentCenters = [], programs = [], onChange, disabled = false }) => {
+  const resolved = allocationHelper.resolve(lines, total);
+  const allocated = allocationHelper.getAllocated(resolved);
+  const remaining = (parseFloat(total) || 0) - allocated;
+  const error = allocationHelper.validate(resolved, total);
+
+  const handleLineChange = (id, field, value) => {
+    onChange(lines.map(line => {
+      if (line.id !== id) return line;
+      if (field === 'percentage' || field === 'amount') {
+        return { ...line, [field]: value, basis: field };
+      }
+      return { ...line, [field]: value };
+    }));
+  };
+
+  const handleAddLine = () => {
+    // A new line starts with whatever is left to allocate
+    onChange([...lines, allocationHelper.createLine(
+      remaining > 0 ? { basis: 'amount', amount: remaining.toFixed(2) } : {}
+    )]);
+  };
+
+  const handleRemoveLine = (id) => {
+    onChange(lines.filter(line => line.id !== id));
+  };
+
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Payment Center</TableCell>
+            <TableCell>Program</TableCell>
+            <TableCell align="right" sx={{ width: 130 }}>Percentage</TableCell>
+            <TableCell align="right" sx={{ width: 150 }}>Amount</TableCell>
+            {!disabled && <TableCell sx={{ width: 48 }} />}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {lines.map((line, index) => {
+            const values = resolved[index];
+            return (
+              <TableRow key={line.id}>
+                <TableCell>
+                  <Select
+                    fullWidth
+                    size="small"
+                    value={line.paymentCenter}
+                    onChange={(e) => handleLineChange(line.id, 'paymentCenter', e.target.value)}
+                    disabled={disabled}
+                    displayEmpty
+                  >
+                    <MenuItem value="" disabled>Select...</MenuItem>
+                    {paymentCenters.map(center => (
+                      <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell>
+                  <Select
+                    fullWidth
+                    size="small"
+                    value={line.program}
+                    onChange={(e) => handleLineChange(line.id, 'program', e.target.value)}
+                    disabled={disabled}
+                    displayEmpty
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {programs.map(program => (
+                      <MenuItem key={program.id} value={program.id}>{program.name}</MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell align="right">
+                  <TextField
+                    size="small"
+                    type="number"
+                    value={line.basis === 'amount' ? values.percentage : line.percentage}
+                    onChange={(e) => handleLineChange(line.id, 'percentage', e.target.value)}
+                    disabled={disabled}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">%</InputAdornment>
+                    }}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  <TextField
+                    size="small"
+                    type="number"
+                    value={line.basis === 'amount' ? line.amount : values.amount.toFixed(2)}
+                    onChange={(e) => handleLineChange(line.id, 'amount', e.target.value)}
+                    disabled={disabled}
+                    InputProps={{
+                      startAdornment: <InputAdornment position="start">$</InputAdornment>
+                    }}
+                  />
+                </TableCell>
+                {!disabled && (
+                  <TableCell>
+                    <IconButton size="small" onClick={() => handleRemoveLine(line.id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 1 }}>
+        {!disabled ? (
+          <Button size="small" startIcon={<AddIcon />} onClick={handleAddLine}>
+            Add Line
+          </Button>
+        ) : <span />}
+        <Typography variant="body2" color={Math.abs(remaining) > 0.01 ? 'error' : 'text.secondary'}>
+          Allocated {formatCurrency(allocated)} of {formatCurrency(parseFloat(total) || 0)}
+          {Math.abs(remaining) > 0.01 && ` (${formatCurrency(remaining)} ${remaining > 0 ? 'unallocated' : 'over'})`}
+        </Typography>
+      </Box>
+
+      {!disabled && error && (
+        <Alert severity="warning" sx={{ mt: 1 }}>{error}</Alert>
+      )}
+    </Box>
+  );
+};
+
+export default AllocationEditor;
@@ -0,0 +1,300 @@
+// src/components/ApprovalRulesSettings.js - Amount thresholds that add approval steps to expenses
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  InputAdornment,
+  Select,
+  MenuItem,
+  Switch,
+  Snackbar
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import approvalWorkflow, { APPROVER_ROLES } from '../utils/ApprovalWorkflow';
+
+const emptyRule = {
+  name: '',
+  minAmount: '',
+  paymentCenter: '',
+  requiredRole: 'manager',
+  active: true
+};
+
+const ApprovalRulesSettings = () => {
+  const { data, addEntity, updateEntity, deleteEntity } = useData();
+  const { isAdmin } = useAuth();
+
+  const [ruleForm, setRuleForm] = useState(null);
+  const [ruleErrors, setRuleErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const rules = useMemo(() => [...(data.ApprovalRules || [])]
+    .sort((a, b) => (parseFloat(a.minAmount) || 0) - (parseFloat(b.minAmount) || 0)),
+  [data.ApprovalRules]);
+
+  const paymentCenters = data.PaymentCenters || [];
+  const canEdit = isAdmin();
+
+  const getPaymentCenterName = (id) => {
+    if (!id) return 'All payment centers';
+    const center = paymentCenters.find(c => String(c.id) === String(id));
+    return center ? center.name : 'Unknown';
+  };
+
+  const getRoleLabel = (role) => (APPROVER_ROLES.find(r => r.value === role) || {}).label || role;
+
+  const formatCurrency = (amount) =>
+    new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(parseFloat(amount) || 0);
+
+  const handleOpenRule = (rule = null) => {
+    setRuleForm(rule ? { ...rule, paymentCenter: rule.paymentCenter || '' } : { ...emptyRule });
+    setRuleErrors([]);
+  };
+
+  const handleRuleChange = (field, value) => {
+    setRuleForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveRule = async () => {
+    const errors = approvalWorkflow.validateRule(ruleForm);
+    setRuleErrors(errors);
+    if (errors.length > 0) return;
+
+    const record = {
+      ...ruleForm,
+      name: ruleForm.name.trim(),
+      minAmount: parseFloat(ruleForm.minAmount),
+      paymentCenter: ruleForm.paymentCenter || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    setSaving(true);
+    const success = record.id ?
+      await updateEntity('ApprovalRules', record.id, record) :
+      Boolean(await addEntity('ApprovalRules', { ...record, id: `APR-${uuidv4().slice(0, 8).toUpperCase()}` }));
+    setSaving(false);
+
+    setSnackbar({
+      open: true,
+      message: success ? `Approval rule "${record.name}" saved` : 'Error saving approval rule',
+      severity: success ? 'success' : 'error'
+    });
+    if (success) setRuleForm(null);
+  };
+
+  const handleToggleRule = async (rule) => {
+    const success = await updateEntity('ApprovalRules', rule.id, { active: !rule.active });
+    if (!success) {
+      setSnackbar({ open: true, message: 'Error updating approval rule', severity: 'error' });
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    const success = await deleteEntity('ApprovalRules', rule.id);
+    setSnackbar({
+      open: true,
+      message: success ? `Approval rule "${rule.name}" deleted` : 'Error deleting approval rule',
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            Expense Approval Rules
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            An expense over a rule's threshold needs one approval step for that rule, approved in order
+            by different people. Expenses stay Committed until every step is approved.
+          </Typography>
+        </Box>
+
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpenRule()}>
+            Add Rule
+          </Button>
+        )}
+      </Box>
+
+      {!canEdit && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Only admins can change approval rules.
+        </Alert>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell align="right">Over</TableCell>
+              <TableCell>Payment Center</TableCell>
+              <TableCell>Approver</TableCell>
+              <TableCell>Status</TableCell>
+              {canEdit && <TableCell align="right">Actions</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rules.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6}>
+                  <Typography variant="body2" color="text.secondary">
+                    No approval rules. Expenses do not need approval.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : rules.map(rule => (
+              <TableRow key={rule.id}>
+                <TableCell>{rule.name}</TableCell>
+                <TableCell align="right">{formatCurrency(rule.minAmount)}</TableCell>
+                <TableCell>{getPaymentCenterName(rule.paymentCenter)}</TableCell>
+                <TableCell>{getRoleLabel(rule.requiredRole)}</TableCell>
+                <TableCell>
+                  <Chip
+                    label={rule.active !== false ? 'Active' : 'Inactive'}
+                    color={rule.active !== false ? 'success' : 'default'}
+                    size="small"
+                  />
+                </TableCell>
+                {canEdit && (
+                  <TableCell align="right">
+                    <Switch
+                      size="small"
+                      checked={rule.active !== false}
+                      onChange={() => handleToggleRule(rule)}
+                    />
+                    <IconButton size="small" onClick={() => handleOpenRule(rule)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" color="error" onClick={() => handleDeleteRule(rule)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        Changes apply to new expenses and to expenses whose amount or payment center is edited.
+      </Typography>
+
+      {/* Add/edit rule */}
+      <Dialog open={Boolean(ruleForm)} onClose={() => setRuleForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{ruleForm?.id ? 'Edit Approval Rule' : 'Add Approval Rule'}</DialogTitle>
+        {ruleForm && (
+          <DialogContent>
+            {ruleErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {ruleErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+            <TextField
+              fullWidth
+              label="Name"
+              value={ruleForm.name}
+              onChange={(e) => handleRuleChange('name', e.target.value)}
+              margin="normal"
+              required
+            />
+            <TextField
+              fullWidth
+              label="Applies to expenses over"
+              type="number"
+              value={ruleForm.minAmount}
+              onChange={(e) => handleRuleChange('minAmount', e.target.value)}
+              margin="normal"
+              required
+              InputProps={{
+                startAdornment: <InputAdornment position="start">$</InputAdornment>
+              }}
+            />
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Payment Center</InputLabel>
+              <Select
+                value={ruleForm.paymentCenter}
+                label="Payment Center"
+                onChange={(e) => handleRuleChange('paymentCenter', e.target.value)}
+              >
+                <MenuItem value="">All payment centers</MenuItem>
+                {paymentCenters.map(center => (
+                  <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl fullWidth margin="normal" required>
+              <InputLabel>Approver</InputLabel>
+              <Select
+                value={ruleForm.requiredRole}
+                label="Approver"
+                onChange={(e) => handleRuleChange('requiredRole', e.target.value)}
+              >
+                {APPROVER_ROLES.map(role => (
+                  <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={ruleForm.active !== false}
+                  onChange={(e) => handleRuleChange('active', e.target.checked)}
+                />
+              }
+              label="Active"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setRuleForm(null)}>Cancel</Button>
+          <Button onClick={handleSaveRule} variant="contained" disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ApprovalRulesSettings;
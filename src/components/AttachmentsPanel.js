@@ -0,0 +1,201 @@
+// src/components/AttachmentsPanel.js - Attached documents for an expense, journal or supplier
+import React, { useState, useRef, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  IconButton,
+  Tooltip,
+  Button,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import {
+  AttachFile as AttachIcon,
+  Visibility as PreviewIcon,
+  Download as DownloadIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import attachmentHelper, { ATTACHMENT_CATEGORIES } from '../utils/AttachmentHelper';
+
+/**
+ * Lists an entity's attachments with preview, download and delete, and uploads new ones.
+ * defaultCategory is preselected for uploads (e.g. 'Invoice' for expenses).
+ */
+const AttachmentsPanel = ({ entityType, entityId, defaultCategory = 'Other', readOnly = false }) => {
+  const { data, uploadAttachment, deleteAttachment, getAttachmentUrl } = useData();
+  const { hasPermission } = useAuth();
+  const fileInputRef = useRef(null);
+
+  const [category, setCategory] = useState(defaultCategory);
+  const [uploading, setUploading] = useState(false);
+  const [preview, setPreview] = useState(null); // { attachment, url }
+
+  const attachments = useMemo(
+    () => attachmentHelper.getForEntity(data.Attachments || [], entityType, entityId),
+    [data.Attachments, entityType, entityId]
+  );
+  const canWrite = hasPermission('write') && !readOnly;
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    for (const file of files) {
+      await uploadAttachment(entityType, entityId, file, category);
+    }
+    setUploading(false);
+  };
+
+  const handlePreview = async (attachment) => {
+    try {
+      const url = await getAttachmentUrl(attachment);
+      setPreview({ attachment, url });
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const url = await getAttachmentUrl(attachment);
+      window.open(url, '_blank', 'noopener');
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (window.confirm(`Delete ${attachment.fileName}?`)) {
+      await deleteAttachment(attachment.id);
+    }
+  };
+
+  const previewType = preview ? attachmentHelper.getPreviewType(preview.attachment) : null;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1">
+          Attachments ({attachments.length})
+        </Typography>
+        {canWrite && entityId && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Select size="small" value={category} onChange={(e) => setCategory(e.target.value)}>
+              {ATTACHMENT_CATEGORIES.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </Select>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={uploading ? <CircularProgress size={16} /> : <AttachIcon />}
+              disabled={uploading}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Attach
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/pdf,image/*"
+              multiple
+              hidden
+              onChange={handleFilesSelected}
+            />
+          </Box>
+        )}
+      </Box>
+
+      {attachments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No documents attached.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableBody>
+            {attachments.map(attachment => (
+              <TableRow key={attachment.id}>
+                <TableCell>
+                  <Chip label={attachment.category} size="small" variant="outlined" sx={{ mr: 1 }} />
+                  {attachment.fileName}
+                </TableCell>
+                <TableCell>{attachmentHelper.formatSize(attachment.size)}</TableCell>
+                <TableCell>
+                  {attachment.uploadedBy}, {new Date(attachment.uploadedAt).toLocaleDateString('en-AU')}
+                </TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  {attachmentHelper.getPreviewType(attachment) && (
+                    <Tooltip title="Preview">
+                      <IconButton size="small" onClick={() => handlePreview(attachment)}>
+                        <PreviewIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  <Tooltip title="Download">
+                    <IconButton size="small" onClick={() => handleDownload(attachment)}>
+                      <DownloadIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  {canWrite && (
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDelete(attachment)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {/* Preview */}
+      <Dialog open={Boolean(preview)} onClose={() => setPreview(null)} maxWidth="lg" fullWidth>
+        <DialogTitle>{preview?.attachment.fileName}</DialogTitle>
+        <DialogContent dividers>
+          {previewType === 'pdf' && (
+            <Box
+              component="iframe"
+              src={preview.url}
+              title={preview.attachment.fileName}
+              sx={{ width: '100%', height: '75vh', border: 0 }}
+            />
+          )}
+          {previewType === 'image' && (
+            <Box
+              component="img"
+              src={preview.url}
+              alt={preview.attachment.fileName}
+              sx={{ maxWidth: '100%', display: 'block', mx: 'auto' }}
+            />
+          )}
+          {preview && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              SHA-256 {preview.attachment.hash}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreview(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AttachmentsPanel;
@@ -0,0 +1,240 @@
+// src/components/ExchangeRatesSettings.js - Exchange rates for foreign-currency expenses
+import React, { useState, useMemo, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Upload as UploadIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
+import { format } from 'date-fns';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import currencyHelper, { BASE_CURRENCY, CURRENCIES } from '../utils/CurrencyHelper';
+
+const FOREIGN_CURRENCIES = CURRENCIES.filter(currency => currency !== BASE_CURRENCY);
+
+const ExchangeRatesSettings = () => {
+  const { data, addEntity, updateEntity, deleteEntity } = useData();
+  const { currentUser, hasPermission } = useAuth();
+  const fileInputRef = useRef(null);
+
+  const [form, setForm] = useState({
+    currency: FOREIGN_CURRENCIES[0],
+    date: format(new Date(), 'yyyy-MM-dd'),
+    rate: ''
+  });
+  const [filterCurrency, setFilterCurrency] = useState('All');
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = hasPermission('write');
+
+  // Newest first
+  const rates = useMemo(() => (data.ExchangeRates || [])
+    .filter(rate => filterCurrency === 'All' || rate.currency === filterCurrency)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)) || a.currency.localeCompare(b.currency)),
+  [data.ExchangeRates, filterCurrency]);
+
+  // Add a rate, or replace the one already entered for that currency and date
+  const saveRate = async ({ currency, date, rate }, source) => {
+    const existing = (data.ExchangeRates || []).find(r => r.currency === currency && r.date === date);
+    if (existing) {
+      return updateEntity('ExchangeRates', existing.id, { rate, source });
+    }
+    return Boolean(await addEntity('ExchangeRates', {
+      id: uuidv4(),
+      currency,
+      date,
+      rate,
+      source,
+      createdBy: currentUser?.username || 'system',
+      createdAt: new Date().toISOString()
+    }));
+  };
+
+  const handleAdd = async () => {
+    const [parsed] = currencyHelper.parseRatesCsv(`${form.currency},${form.date},${form.rate}`).rates;
+    if (!parsed) {
+      setMessage({ severity: 'error', text: 'Enter a date and a rate above zero' });
+      return;
+    }
+
+    setSaving(true);
+    const success = await saveRate(parsed, 'manual');
+    setSaving(false);
+
+    setMessage(success ?
+      { severity: 'success', text: `${parsed.currency} rate for ${parsed.date} saved` } :
+      { severity: 'error', text: 'Error saving exchange rate' });
+    if (success) setForm(prev => ({ ...prev, rate: '' }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { rates: rows, errors } = currencyHelper.parseRatesCsv(await file.text());
+    // A later line for the same currency and date replaces an earlier one
+    const parsed = Object.values(Object.fromEntries(rows.map(rate => [`${rate.currency}|${rate.date}`, rate])));
+
+    setSaving(true);
+    let saved = 0;
+    for (const rate of parsed) {
+      if (await saveRate(rate, 'csv')) saved += 1;
+    }
+    setSaving(false);
+
+    setMessage({
+      severity: errors.length > 0 || saved < parsed.length ? 'warning' : 'success',
+      text: [`Imported ${saved} of ${parsed.length} rates from ${file.name}.`, ...errors.slice(0, 5)].join(' ')
+    });
+  };
+
+  const handleDelete = async (rate) => {
+    if (window.confirm(`Delete the ${rate.currency} rate for ${rate.date}? Expenses already saved keep the rate they used.`)) {
+      await deleteEntity('ExchangeRates', rate.id);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Exchange Rates
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Rates are {BASE_CURRENCY} per one unit of the currency. A foreign-currency expense uses the latest
+        rate on or before its date, and stores the {BASE_CURRENCY} amount that budgets and reports use.
+        CSV files need currency, date (yyyy-MM-dd) and rate columns.
+      </Typography>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      {canEdit && (
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Currency</InputLabel>
+              <Select
+                value={form.currency}
+                label="Currency"
+                onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value }))}
+              >
+                {FOREIGN_CURRENCIES.map(currency => (
+                  <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Effective From"
+              type="date"
+              value={form.date}
+              onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <TextField
+              fullWidth
+              size="small"
+              label={`${BASE_CURRENCY} per 1 ${form.currency}`}
+              type="number"
+              value={form.rate}
+              onChange={(e) => setForm(prev => ({ ...prev, rate: e.target.value }))}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd} disabled={saving} sx={{ mr: 1 }}>
+              Add Rate
+            </Button>
+            <Button variant="outlined" startIcon={<UploadIcon />} onClick={() => fileInputRef.current?.click()} disabled={saving}>
+              Import CSV
+            </Button>
+            <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={handleImport} />
+          </Grid>
+        </Grid>
+      )}
+
+      <FormControl size="small" sx={{ minWidth: 140, mb: 1 }}>
+        <InputLabel>Show</InputLabel>
+        <Select value={filterCurrency} label="Show" onChange={(e) => setFilterCurrency(e.target.value)}>
+          <MenuItem value="All">All currencies</MenuItem>
+          {FOREIGN_CURRENCIES.map(currency => (
+            <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {rates.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No exchange rates entered.
+        </Typography>
+      ) : (
+        <TableContainer sx={{ maxHeight: 400 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Currency</TableCell>
+                <TableCell>Effective From</TableCell>
+                <TableCell align="right">Rate</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Entered By</TableCell>
+                {canEdit && <TableCell />}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rates.map(rate => (
+                <TableRow key={rate.id}>
+                  <TableCell>{rate.currency}</TableCell>
+                  <TableCell>{rate.date}</TableCell>
+                  <TableCell align="right">{rate.rate}</TableCell>
+                  <TableCell sx={{ textTransform: 'uppercase' }}>{rate.source}</TableCell>
+                  <TableCell>{rate.createdBy}</TableCell>
+                  {canEdit && (
+                    <TableCell align="right">
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDelete(rate)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default ExchangeRatesSettings;
@@ -0,0 +1,108 @@
+// src/components/FiscalYearSettings.js - Month the organisation's financial year starts in
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  Alert
+} from '@mui/material';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import fiscalCalendar from '../utils/FiscalCalendar';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const FiscalYearSettings = () => {
+  const { data, addEntity, updateEntity } = useData();
+  const { currentUser, isAdmin } = useAuth();
+
+  const settings = useMemo(() => data.OrganisationSettings || [], [data.OrganisationSettings]);
+  const startMonth = useMemo(() => fiscalCalendar.getStartMonth(settings), [settings]);
+  const canEdit = isAdmin();
+
+  const [selectedMonth, setSelectedMonth] = useState(startMonth);
+  const [message, setMessage] = useState(null);
+
+  // Show the saved start month whenever it changes
+  useEffect(() => {
+    setSelectedMonth(startMonth);
+  }, [startMonth]);
+
+  const currentYear = fiscalCalendar.getFiscalYear(new Date(), selectedMonth);
+  const { dateFrom, dateTo } = fiscalCalendar.getYearRange(currentYear, selectedMonth);
+
+  const handleSave = async () => {
+    if (selectedMonth !== startMonth && (data.PaymentCenterBudgets || []).length > 0 &&
+      !window.confirm('Budgets already entered keep their year and monthly amounts, which will now be read against the new financial year. Change the start month?')) {
+      return;
+    }
+
+    const changes = {
+      fiscalYearStartMonth: selectedMonth,
+      updatedBy: currentUser?.username || 'system',
+      updatedAt: new Date().toISOString()
+    };
+
+    const success = settings.some(setting => setting.id === 'default') ?
+      await updateEntity('OrganisationSettings', 'default', changes) :
+      Boolean(await addEntity('OrganisationSettings', { id: 'default', ...changes }));
+
+    setMessage(success ?
+      { severity: 'success', text: `The financial year now starts in ${MONTHS[selectedMonth - 1]}` } :
+      { severity: 'error', text: 'Error saving financial year' });
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Financial Year
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Budgets, the dashboard's year and quarter periods, and report year selections follow the financial
+        year. A year is named by the calendar year it ends in: a July start makes 2027 the year from
+        July 2026 to June 2027.
+      </Typography>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Year Starts In</InputLabel>
+            <Select
+              value={selectedMonth}
+              label="Year Starts In"
+              onChange={(e) => setSelectedMonth(e.target.value)}
+              disabled={!canEdit}
+            >
+              {MONTHS.map((name, index) => (
+                <MenuItem key={name} value={index + 1}>{name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={5}>
+          <Typography variant="body2">
+            Current year: {fiscalCalendar.getYearLabel(currentYear, selectedMonth)} ({dateFrom} to {dateTo})
+          </Typography>
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Button variant="contained" onClick={handleSave} disabled={!canEdit}>
+            Save Financial Year
+          </Button>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default FiscalYearSettings;
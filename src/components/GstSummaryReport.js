@@ -0,0 +1,196 @@
+// src/components/GstSummaryReport.js - Quarterly GST summary of purchases with BAS labels
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Tooltip,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  PictureAsPdf as PdfIcon,
+  Description as CsvIcon
+} from '@mui/icons-material';
+import { useData, useCollections } from '../contexts/DataContext';
+import gstHelper from '../utils/GstHelper';
+
+const BAS_LABELS = [
+  { label: 'G10', description: 'Capital purchases (GST inclusive)' },
+  { label: 'G11', description: 'Non-capital purchases (GST inclusive)' },
+  { label: 'G14', description: 'Purchases without GST in the price' },
+  { label: '1B', description: 'GST on purchases' },
+  { label: 'W4', description: 'Amounts withheld where no ABN quoted' }
+];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+/**
+ * GST summary for one quarter, on an accruals (invoice date) or cash (payment date) basis.
+ * onExported is called with (success, message) after an export.
+ */
+const GstSummaryReport = ({ onExported }) => {
+  const { data, exportToPdf, exportToCsv } = useData();
+
+  // The summary is built from every expense in the quarter
+  useCollections(['Expenses']);
+
+  const quarters = useMemo(() => gstHelper.getQuarters(), []);
+  const [quarterKey, setQuarterKey] = useState(quarters[0].key);
+  const [basis, setBasis] = useState('accrual');
+
+  const quarter = quarters.find(q => q.key === quarterKey) || quarters[0];
+
+  const summary = useMemo(() =>
+    gstHelper.buildSummary(data.Expenses || [], data.Suppliers || [], {
+      dateFrom: quarter.dateFrom,
+      dateTo: quarter.dateTo,
+      basis
+    }),
+  [data.Expenses, data.Suppliers, quarter, basis]);
+
+  const handleExport = (target) => {
+    const options = {
+      report: summary,
+      dateFrom: quarter.dateFrom,
+      dateTo: quarter.dateTo,
+      title: `GST Summary ${quarter.label}`,
+      filename: `KIOSC_GstSummary_${quarter.dateFrom}_to_${quarter.dateTo}.${target}`
+    };
+    const success = target === 'pdf' ? exportToPdf('gstSummary', options) : exportToCsv('gstSummary', options);
+    if (onExported) {
+      onExported(success, success ? `GST summary exported to ${target.toUpperCase()}` : `${target.toUpperCase()} export failed`);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">GST Summary (BAS)</Typography>
+        <Box>
+          <Tooltip title="Export to CSV">
+            <Button variant="outlined" size="small" startIcon={<CsvIcon />} onClick={() => handleExport('csv')} sx={{ mr: 1 }}>
+              CSV
+            </Button>
+          </Tooltip>
+          <Tooltip title="Export to PDF">
+            <Button variant="outlined" size="small" startIcon={<PdfIcon />} onClick={() => handleExport('pdf')}>
+              PDF
+            </Button>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Quarter</InputLabel>
+            <Select value={quarterKey} label="Quarter" onChange={(e) => setQuarterKey(e.target.value)}>
+              {quarters.map(q => (
+                <MenuItem key={q.key} value={q.key}>{q.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Basis</InputLabel>
+            <Select value={basis} label="Basis" onChange={(e) => setBasis(e.target.value)}>
+              <MenuItem value="accrual">Accruals (invoice date)</MenuItem>
+              <MenuItem value="cash">Cash (payment date)</MenuItem>
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Typography variant="body2" color="text.secondary">
+            Invoiced and paid expenses only ({summary.expenseCount} in this quarter).
+          </Typography>
+        </Grid>
+      </Grid>
+
+      {summary.uncoded.count > 0 && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          {summary.uncoded.count} expenses ({formatCurrency(summary.uncoded.gross)}) have no tax code and are
+          counted at G11 without GST.
+        </Alert>
+      )}
+      {summary.unregisteredGst.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          {summary.unregisteredGst.length} expenses are coded GST against suppliers not registered for GST;
+          their GST is excluded from 1B.
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Label</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {BAS_LABELS.map(row => (
+                  <TableRow key={row.label}>
+                    <TableCell sx={{ fontWeight: 'bold' }}>{row.label}</TableCell>
+                    <TableCell>{row.description}</TableCell>
+                    <TableCell align="right">{formatCurrency(summary.labels[row.label])}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Tax Code</TableCell>
+                  <TableCell align="right">Expenses</TableCell>
+                  <TableCell align="right">Gross</TableCell>
+                  <TableCell align="right">GST</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {summary.byTaxCode.map(row => (
+                  <TableRow key={row.code}>
+                    <TableCell>{row.label}</TableCell>
+                    <TableCell align="right">{row.count}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.gross)}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.gst)}</TableCell>
+                  </TableRow>
+                ))}
+                {summary.uncoded.count > 0 && (
+                  <TableRow>
+                    <TableCell sx={{ fontStyle: 'italic' }}>Uncoded</TableCell>
+                    <TableCell align="right">{summary.uncoded.count}</TableCell>
+                    <TableCell align="right">{formatCurrency(summary.uncoded.gross)}</TableCell>
+                    <TableCell align="right">{formatCurrency(0)}</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default GstSummaryReport;
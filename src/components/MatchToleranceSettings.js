@@ -0,0 +1,116 @@
+// src/components/MatchToleranceSettings.js - Tolerance for three-way matching of PO invoices
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  InputAdornment,
+  Button,
+  Alert
+} from '@mui/material';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import invoiceMatcher from '../utils/InvoiceMatcher';
+
+const MatchToleranceSettings = () => {
+  const { data, addEntity, updateEntity } = useData();
+  const { currentUser, isAdmin } = useAuth();
+
+  const settings = useMemo(() => data.MatchSettings || [], [data.MatchSettings]);
+  const tolerance = useMemo(() => invoiceMatcher.getTolerance(settings), [settings]);
+  const canEdit = isAdmin();
+
+  const [form, setForm] = useState({ tolerancePercent: '', toleranceAmount: '' });
+  const [message, setMessage] = useState(null);
+
+  // Show the saved tolerance whenever it changes
+  useEffect(() => {
+    setForm({
+      tolerancePercent: String(tolerance.tolerancePercent),
+      toleranceAmount: String(tolerance.toleranceAmount)
+    });
+  }, [tolerance]);
+
+  const handleSave = async () => {
+    const tolerancePercent = parseFloat(form.tolerancePercent);
+    const toleranceAmount = parseFloat(form.toleranceAmount);
+
+    if (!(tolerancePercent >= 0) || !(toleranceAmount >= 0)) {
+      setMessage({ severity: 'error', text: 'Tolerances must be zero or more' });
+      return;
+    }
+
+    const changes = {
+      tolerancePercent,
+      toleranceAmount,
+      updatedBy: currentUser?.username || 'system',
+      updatedAt: new Date().toISOString()
+    };
+
+    const success = settings.some(setting => setting.id === 'default') ?
+      await updateEntity('MatchSettings', 'default', changes) :
+      Boolean(await addEntity('MatchSettings', { id: 'default', ...changes }));
+
+    setMessage(success ?
+      { severity: 'success', text: 'Tolerance saved. It applies to invoices matched from now on.' } :
+      { severity: 'error', text: 'Error saving tolerance' });
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Invoice Matching
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Invoices against a purchase order are matched to the PO lines and the goods received when they
+        are invoiced. Differences within the larger of these tolerances are accepted; anything else is
+        held as a match exception until someone with approve permission resolves it.
+      </Typography>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Tolerance"
+            type="number"
+            value={form.tolerancePercent}
+            onChange={(e) => setForm(prev => ({ ...prev, tolerancePercent: e.target.value }))}
+            disabled={!canEdit}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">%</InputAdornment>
+            }}
+          />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Or up to"
+            type="number"
+            value={form.toleranceAmount}
+            onChange={(e) => setForm(prev => ({ ...prev, toleranceAmount: e.target.value }))}
+            disabled={!canEdit}
+            InputProps={{
+              startAdornment: <InputAdornment position="start">$</InputAdornment>
+            }}
+          />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Button variant="contained" onClick={handleSave} disabled={!canEdit}>
+            Save Tolerance
+          </Button>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default MatchToleranceSettings;
@@ -1,5 +1,5 @@
 // src/components/PaymentCenterBudgetForm.js - Complete Fixed Version
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -8,6 +8,7 @@ import {
   TableBody,
   TableRow,
   TableCell,
+  TableContainer,
   TextField,
   Button,
   IconButton,
@@ -21,93 +22,110 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  CircularProgress
+  CircularProgress,
+  Tooltip
 } from '@mui/material';
 import {
   Save as SaveIcon,
   Edit as EditIcon,
   Close as CloseIcon,
-  Download as DownloadIcon
+  Download as DownloadIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ContentCopy as CopyIcon,
+  Functions as SpreadIcon
 } from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
 import { useData } from '../contexts/DataContext';
 import supabaseService from '../services/SupabaseService';
 import excelService from '../services/ExcelService';
 import supabase from '../lib/supabase';
+import budgetHelper, { DEFAULT_VERSION } from '../utils/BudgetHelper';
+import fiscalCalendar from '../utils/FiscalCalendar';
 
-const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
+// Monthly amounts as form values
+const toFormMonths = (months) => months.map(amount => String(amount));
+
+// Payment center lines are keyed by their payment center; program lines have generated keys
+const isProgramLine = (line) => !line.key.startsWith('center-');
+
+const PaymentCenterBudgetForm = ({ open, onClose, onSaveToDatabase }) => {
   // Correctly include initializeData from the DataContext
   const { data, addEntity, updateEntity, getEntities, initializeData, setData } = useData();
+  const startMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
   const [budgets, setBudgets] = useState([]);
+  const [removedIds, setRemovedIds] = useState([]);
   const [editMode, setEditMode] = useState(false);
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear().toString());
+  const [selectedYear, setSelectedYear] = useState(() => String(fiscalCalendar.getFiscalYear(new Date(), startMonth)));
+  const [selectedVersion, setSelectedVersion] = useState(DEFAULT_VERSION);
+  const [newVersions, setNewVersions] = useState([]);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [unsavedChanges, setUnsavedChanges] = useState(false);
   const [saving, setSaving] = useState(false);
   const [exporting, setExporting] = useState(false);
+  // Lines a new version starts from, used by the next initialization
+  const seedLinesRef = useRef(null);
   
-  // Create an array of years
-  const currentYear = new Date().getFullYear();
-  const years = [
-    (currentYear - 1).toString(),
-    currentYear.toString(),
-    (currentYear + 1).toString()
-  ];
+  // Last, current and next financial year
+  const years = fiscalCalendar.getYearOptions(startMonth);
+  const monthLabels = fiscalCalendar.getMonthLabels(startMonth);
   
-  // Debug data
-  console.log("PaymentCenterBudgetForm Data:", {
-    paymentCenters: data.PaymentCenters,
-    budgets: data.PaymentCenterBudgets
-  });
+  // Versions already saved, plus any started in this session
+  const versions = [...new Set([...budgetHelper.getVersions(data.PaymentCenterBudgets || []), ...newVersions])];
   
-  // Initialize budgets for all payment centers
-  const initializeBudgets = useCallback(async () => {
-    if (data.PaymentCenters) {
-      const paymentCenters = data.PaymentCenters || [];
-      const budgetEntries = data.PaymentCenterBudgets || [];
+  // Budget lines for the form: one per payment center, followed by its program lines
+  const buildLines = useCallback((budgetEntries) => {
+    const paymentCenters = data.PaymentCenters || [];
+    
+    return paymentCenters.flatMap(center => {
+      // Ensure center.id is a string for comparison
+      const centerId = center.id.toString();
+      const centerEntries = budgetEntries.filter(budget => budget.paymentCenterId.toString() === centerId);
+      const centerBudget = centerEntries.find(budget => !budget.programId);
       
-      console.log("Initializing budgets for year:", selectedYear);
-      console.log("Payment Centers:", paymentCenters);
-      console.log("All Budget Entries:", budgetEntries);
+      const centerLine = {
+        key: `center-${centerId}`,
+        id: centerBudget ? centerBudget.id : null,
+        paymentCenterId: centerId,
+        paymentCenterName: center.name,
+        programId: '',
+        months: toFormMonths(centerBudget ? budgetHelper.getMonths(centerBudget) : budgetHelper.emptyMonths())
+      };
       
-      // Get budgets for the selected year
-      // Make sure to convert year to string for consistent comparison
-      const yearBudgets = budgetEntries.filter(budget => 
-        budget.year.toString() === selectedYear.toString()
-      );
-      
-      console.log("Year Budgets:", yearBudgets);
-      
-      // Map payment centers with their budgets
-      const mappedBudgets = paymentCenters.map(center => {
-        // Ensure center.id is a string for comparison
-        const centerId = center.id.toString();
-        
-        // Find existing budget - need to ensure types match for comparison
-        const existingBudget = yearBudgets.find(
-          budget => budget.paymentCenterId.toString() === centerId
-        );
-        
-        console.log(`Processing center ${center.name} (ID: ${centerId}):`, {
-          existingBudget,
-          budgetValue: existingBudget ? existingBudget.budget : '0'
-        });
-        
-        return {
+      const programLines = centerEntries
+        .filter(budget => budget.programId)
+        .map(budget => ({
+          key: uuidv4(),
+          id: budget.id,
           paymentCenterId: centerId,
           paymentCenterName: center.name,
-          year: selectedYear,
-          budget: existingBudget ? existingBudget.budget : '0',
-          id: existingBudget ? existingBudget.id : `budget-${centerId}-${selectedYear}`
-        };
-      });
+          programId: budget.programId.toString(),
+          months: toFormMonths(budgetHelper.getMonths(budget))
+        }));
+      
+      return [centerLine, ...programLines];
+    });
+  }, [data.PaymentCenters]);
+  
+  // Initialize budgets for all payment centers
+  const initializeBudgets = useCallback(async () => {
+    if (data.PaymentCenters) {
+      if (seedLinesRef.current) {
+        setBudgets(seedLinesRef.current);
+        seedLinesRef.current = null;
+        setRemovedIds([]);
+        setUnsavedChanges(true);
+        return;
+      }
       
-      console.log("Mapped budgets for UI:", mappedBudgets);
-      setBudgets(mappedBudgets);
+      const yearBudgets = budgetHelper.forYear(data.PaymentCenterBudgets || [], selectedYear, selectedVersion);
+      setBudgets(buildLines(yearBudgets));
+      setRemovedIds([]);
       setUnsavedChanges(false);
     }
-  }, [data.PaymentCenters, data.PaymentCenterBudgets, selectedYear]);
-  
-  
+  }, [data.PaymentCenters, data.PaymentCenterBudgets, selectedYear, selectedVersion, buildLines]);
+
+
   // Update budgets when dialog opens or year changes
   useEffect(() => {
     if (open) {
@@ -115,7 +133,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       initializeBudgets();
     }
   }, [open, selectedYear, initializeBudgets]);
-
+  
   useEffect(() => {
     if (open && data.PaymentCenterBudgets) {
       console.log("PaymentCenterBudgets data changed - refreshing budget form");
@@ -123,29 +141,122 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
     }
   }, [open, data.PaymentCenterBudgets, initializeBudgets]);
   
-  // Handle budget input change
-  const handleBudgetChange = (paymentCenterId, value) => {
-    console.log(`Changing budget for center ${paymentCenterId} to ${value}`);
-    setBudgets(prevBudgets => 
-      prevBudgets.map(budget => 
-        budget.paymentCenterId === paymentCenterId 
-          ? { ...budget, budget: value } 
+  const updateLine = (key, changes) => {
+    setBudgets(prevBudgets =>
+      prevBudgets.map(budget =>
+        budget.key === key
+          ? { ...budget, ...changes }
           : budget
       )
     );
     setUnsavedChanges(true);
   };
   
+  // Typing an annual amount spreads it evenly over the months
+  const handleAnnualChange = (key, value) => {
+    updateLine(key, { months: toFormMonths(budgetHelper.spreadEvenly(value)) });
+  };
+  
+  const handleMonthChange = (key, month, value) => {
+    const line = budgets.find(budget => budget.key === key);
+    updateLine(key, { months: line.months.map((amount, index) => (index === month ? value : amount)) });
+  };
+  
+  const handleAddProgramLine = (center) => {
+    setBudgets(prevBudgets => {
+      // New program lines go after the payment center's existing lines
+      const lastIndex = prevBudgets.map(budget => budget.paymentCenterId).lastIndexOf(center.paymentCenterId);
+      const line = {
+        key: uuidv4(),
+        id: null,
+        paymentCenterId: center.paymentCenterId,
+        paymentCenterName: center.paymentCenterName,
+        programId: '',
+        months: toFormMonths(budgetHelper.emptyMonths())
+      };
+      return [...prevBudgets.slice(0, lastIndex + 1), line, ...prevBudgets.slice(lastIndex + 1)];
+    });
+    setUnsavedChanges(true);
+  };
+  
+  const handleRemoveLine = (line) => {
+    setBudgets(prevBudgets => prevBudgets.filter(budget => budget.key !== line.key));
+    if (line.id) setRemovedIds(prev => [...prev, line.id]);
+    setUnsavedChanges(true);
+  };
+  
+  // Re-phase every line evenly from its annual total
+  const handleSpreadEvenly = () => {
+    setBudgets(prevBudgets => prevBudgets.map(budget => ({
+      ...budget,
+      months: toFormMonths(budgetHelper.spreadEvenly(budgetHelper.getAnnual(budget.months)))
+    })));
+    setUnsavedChanges(true);
+  };
+  
+  // Start from last year's budget: the same version if there is one, otherwise its latest version
+  const handleCopyLastYear = () => {
+    const allBudgets = data.PaymentCenterBudgets || [];
+    const lastYear = (parseInt(selectedYear, 10) - 1).toString();
+    const sourceVersion = budgetHelper.forYear(allBudgets, lastYear, selectedVersion).length > 0 ?
+      selectedVersion :
+      budgetHelper.getLatestVersion(allBudgets, lastYear);
+    const source = budgetHelper.forYear(allBudgets, lastYear, sourceVersion);
+    const lastYearLabel = fiscalCalendar.getYearLabel(lastYear, startMonth);
+    
+    if (source.length === 0) {
+      setSnackbar({
+        open: true,
+        message: `There are no budgets for ${lastYearLabel} to copy.`,
+        severity: 'warning'
+      });
+      return;
+    }
+    
+    // Lines already saved for this year and version are replaced
+    const existingIds = budgets.map(budget => budget.id).filter(Boolean);
+    setRemovedIds(prev => [...new Set([...prev, ...existingIds])]);
+    setBudgets(buildLines(source).map(line => ({ ...line, id: null })));
+    setUnsavedChanges(true);
+    setSnackbar({
+      open: true,
+      message: `Copied the ${lastYearLabel} ${sourceVersion} budget. Review and save to keep it.`,
+      severity: 'info'
+    });
+  };
+  
   // Handle year change
   const handleYearChange = (event) => {
     setSelectedYear(event.target.value);
   };
   
+  // Handle version change; the last option starts a new named version from the one shown
+  const handleVersionChange = (event) => {
+    if (event.target.value !== '__new') {
+      setSelectedVersion(event.target.value);
+      return;
+    }
+    
+    const name = (window.prompt('Name of the new budget version (e.g. Revised Q3):') || '').trim();
+    if (!name) return;
+    if (!versions.includes(name)) setNewVersions(prev => [...prev, name]);
+    if (budgetHelper.forYear(data.PaymentCenterBudgets || [], selectedYear, name).length === 0) {
+      seedLinesRef.current = budgets.map(budget => ({ ...budget, id: null }));
+    }
+    setSelectedVersion(name);
+    setEditMode(true);
+  };
+  
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount);
   };
   
+  const getProgramName = (id) => {
+    const program = (data.Programs || []).find(p => p.id.toString() === id);
+    return program ? program.name : 'Unknown program';
+  };
+  
   // Handle save budgets - FIXED VERSION
   const handleSaveBudgets = async () => {
     try {
@@ -154,7 +265,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       
       // Validate budget values
       const invalidBudgets = budgets.filter(
-        budget => isNaN(parseFloat(budget.budget)) || parseFloat(budget.budget) < 0
+        budget => budget.months.some(amount => isNaN(parseFloat(amount)) || parseFloat(amount) < 0)
       );
       
       if (invalidBudgets.length > 0) {
@@ -167,14 +278,41 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
         return;
       }
       
+      // Each program can have one line per payment center
+      const programKeys = budgets.filter(isProgramLine)
+        .map(budget => `${budget.paymentCenterId}|${budget.programId}`);
+      if (programKeys.some(key => key.endsWith('|')) || new Set(programKeys).size !== programKeys.length) {
+        setSnackbar({
+          open: true,
+          message: 'Choose a different program for each program line of a payment center.',
+          severity: 'error'
+        });
+        setSaving(false);
+        return;
+      }
+      
       // Track if any were saved
       let savedCount = 0;
       
+      // Lines removed from the form
+      for (const budgetId of removedIds) {
+        const { error: deleteError } = await supabase
+          .from('PaymentCenterBudgets')
+          .delete()
+          .eq('id', budgetId);
+        
+        if (deleteError) {
+          console.error(`Error deleting budget ${budgetId}:`, deleteError);
+        }
+      }
+      
       // Save each budget
       for (const budget of budgets) {
         try {
           // Create a standard format budget ID
-          const budgetId = `budget-${budget.paymentCenterId}-${selectedYear}`;
+          const budgetId = budget.id ||
+            budgetHelper.getBudgetId(budget.paymentCenterId, budget.programId, selectedYear, selectedVersion);
+          const months = budget.months.map(amount => parseFloat(amount) || 0);
           
           // Check if this budget exists in Supabase (direct DB query)
           const { data: existingData, error: queryError } = await supabase
@@ -192,8 +330,11 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
           const budgetData = {
             id: budgetId,
             paymentCenterId: budget.paymentCenterId,
+            programId: budget.programId || null,
             year: selectedYear,
-            budget: budget.budget,
+            budgetVersion: selectedVersion,
+            budget: budgetHelper.getAnnual(months).toString(),
+            months,
             updatedAt: new Date().toISOString()
           };
           
@@ -201,7 +342,12 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
           if (existingData) {
             const { data: updateData, error: updateError } = await supabase
               .from('PaymentCenterBudgets')
-              .update({ budget: budget.budget, updatedAt: new Date().toISOString() })
+              .update({
+                programId: budgetData.programId,
+                budget: budgetData.budget,
+                months,
+                updatedAt: new Date().toISOString()
+              })
               .eq('id', budgetId)
               .select();
             
@@ -238,7 +384,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
         message: `${savedCount} budgets saved successfully!`,
         severity: 'success'
       });
-  
+      
       setUnsavedChanges(false);
       setEditMode(false);
       
@@ -277,7 +423,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       setSaving(false);
     }
   };
-  
+
 
   // Export database without saving changes - Separated from save function
   const handleExportDatabase = async () => {
@@ -290,7 +436,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       
       // Save to Excel file
       const exportSuccess = excelService.saveToFile(
-        excelService.saveDataToExcel(allData), 
+        excelService.saveDataToExcel(allData),
         'KIOSC_Finance_Data.xlsx'
       );
       
@@ -312,7 +458,7 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       setExporting(false);
     }
   };
-
+  
   // Add reminder at close
   const handleClose = () => {
     if (unsavedChanges) {
@@ -322,16 +468,26 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
     onClose();
   };
   
+  // Leave edit mode, dropping unsaved changes
+  const handleCancelEdit = () => {
+    setEditMode(false);
+    initializeBudgets();
+  };
+  
   // Handle close snackbar
   const handleCloseSnackbar = () => {
     setSnackbar({ ...snackbar, open: false });
   };
   
+  const monthTotals = monthLabels.map((_, month) =>
+    budgets.reduce((sum, budget) => sum + (parseFloat(budget.months[month]) || 0), 0)
+  );
+  
   return (
-    <Dialog 
-      open={open} 
+    <Dialog
+      open={open}
       onClose={handleClose}
-      maxWidth="md"
+      maxWidth="xl"
       fullWidth
     >
       <DialogTitle>
@@ -352,21 +508,42 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
       
       <DialogContent dividers>
         <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <FormControl variant="outlined" size="small" sx={{ minWidth: 150 }}>
-            <InputLabel>Year</InputLabel>
-            <Select
-              value={selectedYear}
-              onChange={handleYearChange}
-              label="Year"
-              disabled={editMode}
-            >
-              {years.map((year) => (
-                <MenuItem key={year} value={year}>
-                  {year}
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <FormControl variant="outlined" size="small" sx={{ minWidth: 150 }}>
+              <InputLabel>Year</InputLabel>
+              <Select
+                value={selectedYear}
+                onChange={handleYearChange}
+                label="Year"
+                disabled={editMode}
+              >
+                {years.map((year) => (
+                  <MenuItem key={year.value} value={year.value}>
+                    {year.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            
+            <FormControl variant="outlined" size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Version</InputLabel>
+              <Select
+                value={selectedVersion}
+                onChange={handleVersionChange}
+                label="Version"
+                disabled={editMode}
+              >
+                {versions.map((version) => (
+                  <MenuItem key={version} value={version}>
+                    {version}
+                  </MenuItem>
+                ))}
+                <MenuItem value="__new">
+                  <em>New version...</em>
                 </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
+              </Select>
+            </FormControl>
+          </Box>
           
           <Button
             variant={editMode ? "contained" : "outlined"}
@@ -381,9 +558,11 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
         </Box>
         
         <Alert severity="info" sx={{ mb: 2 }}>
-          Set budgets for each payment center for the selected year. These budgets will be used for reporting and visualizations.
+          Set the {selectedVersion} budget for each payment center for the selected year, phased by month.
+          Program lines budget part of a payment center for one program. Typing an annual amount spreads it
+          evenly; the Dashboard compares year-to-date spend against the phased budget.
         </Alert>
-
+        
         <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between' }}>
           <Button
             variant="outlined"
@@ -394,6 +573,28 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
             {exporting ? "Exporting..." : "Export Database"}
             {exporting && <CircularProgress size={20} sx={{ ml: 1 }} />}
           </Button>
+          
+          {editMode && (
+            <Box>
+              <Button
+                variant="outlined"
+                startIcon={<CopyIcon />}
+                onClick={handleCopyLastYear}
+                disabled={saving}
+                sx={{ mr: 1 }}
+              >
+                Copy Last Year
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<SpreadIcon />}
+                onClick={handleSpreadEvenly}
+                disabled={saving}
+              >
+                Spread Evenly
+              </Button>
+            </Box>
+          )}
         </Box>
         
         {budgets.length === 0 ? (
@@ -401,51 +602,116 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
             No payment centers found. Please add payment centers first.
           </Alert>
         ) : (
-          <Table>
-            <TableHead>
-              <TableRow>
-                <TableCell width="60%">Payment Center</TableCell>
-                <TableCell width="40%">Budget (AUD)</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {budgets.map((budget) => (
-                <TableRow key={budget.paymentCenterId}>
-                  <TableCell>{budget.paymentCenterName}</TableCell>
-                  <TableCell>
-                    {editMode ? (
-                      <TextField
-                        type="number"
-                        size="small"
-                        value={budget.budget}
-                        onChange={(e) => handleBudgetChange(budget.paymentCenterId, e.target.value)}
-                        fullWidth
-                        inputProps={{ min: 0, step: 100 }}
-                      />
-                    ) : (
-                      formatCurrency(parseFloat(budget.budget) || 0)
-                    )}
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ minWidth: 200 }}>Payment Center / Program</TableCell>
+                  <TableCell align="right" sx={{ minWidth: 120 }}>Annual (AUD)</TableCell>
+                  {monthLabels.map(month => (
+                    <TableCell key={month} align="right" sx={{ minWidth: editMode ? 90 : 70 }}>{month}</TableCell>
+                  ))}
+                  {editMode && <TableCell />}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {budgets.map((budget) => {
+                  const annual = budgetHelper.getAnnual(budget.months);
+                  const programLine = isProgramLine(budget);
+                  
+                  return (
+                    <TableRow key={budget.key}>
+                      <TableCell sx={{ pl: programLine ? 4 : 2 }}>
+                        {!programLine ? (
+                          <Typography variant="body2" fontWeight="bold">{budget.paymentCenterName}</Typography>
+                        ) : editMode ? (
+                          <Select
+                            size="small"
+                            fullWidth
+                            value={budget.programId}
+                            onChange={(e) => updateLine(budget.key, { programId: e.target.value })}
+                            displayEmpty
+                          >
+                            <MenuItem value="" disabled>Select program...</MenuItem>
+                            {(data.Programs || []).map(program => (
+                              <MenuItem key={program.id} value={program.id.toString()}>{program.name}</MenuItem>
+                            ))}
+                          </Select>
+                        ) : (
+                          getProgramName(budget.programId)
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        {editMode ? (
+                          <TextField
+                            type="number"
+                            size="small"
+                            value={annual}
+                            onChange={(e) => handleAnnualChange(budget.key, e.target.value)}
+                            inputProps={{ min: 0, step: 100 }}
+                          />
+                        ) : (
+                          formatCurrency(annual)
+                        )}
+                      </TableCell>
+                      {budget.months.map((amount, month) => (
+                        <TableCell key={month} align="right">
+                          {editMode ? (
+                            <TextField
+                              type="number"
+                              size="small"
+                              value={amount}
+                              onChange={(e) => handleMonthChange(budget.key, month, e.target.value)}
+                              inputProps={{ min: 0 }}
+                            />
+                          ) : (
+                            Math.round(parseFloat(amount) || 0).toLocaleString('en-AU')
+                          )}
+                        </TableCell>
+                      ))}
+                      {editMode && (
+                        <TableCell>
+                          {programLine ? (
+                            <Tooltip title="Remove program line">
+                              <IconButton size="small" onClick={() => handleRemoveLine(budget)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          ) : (
+                            <Tooltip title="Add program line">
+                              <IconButton size="small" onClick={() => handleAddProgramLine(budget)}>
+                                <AddIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  );
+                })}
+                
+                {/* Total row */}
+                <TableRow sx={{ bgcolor: 'background.default' }}>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                    {formatCurrency(budgetHelper.getAnnual(monthTotals))}
                   </TableCell>
+                  {monthTotals.map((amount, month) => (
+                    <TableCell key={month} align="right" sx={{ fontWeight: 'bold' }}>
+                      {Math.round(amount).toLocaleString('en-AU')}
+                    </TableCell>
+                  ))}
+                  {editMode && <TableCell />}
                 </TableRow>
-              ))}
-              
-              {/* Total row */}
-              <TableRow sx={{ bgcolor: 'background.default' }}>
-                <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
-                <TableCell sx={{ fontWeight: 'bold' }}>
-                  {formatCurrency(
-                    budgets.reduce((sum, budget) => sum + (parseFloat(budget.budget) || 0), 0)
-                  )}
-                </TableCell>
-              </TableRow>
-            </TableBody>
-          </Table>
+              </TableBody>
+            </Table>
+          </TableContainer>
         )}
       </DialogContent>
       
       <DialogActions>
         {editMode && (
-          <Button onClick={() => setEditMode(false)} color="inherit">
+          <Button onClick={handleCancelEdit} color="inherit">
             Cancel
           </Button>
         )}
@@ -467,4 +733,4 @@ const PaymentCenterBudgetForm = ({ open, onClose, onSaveToGitHub }) => {
   );
 };
 
-export default PaymentCenterBudgetForm;
\ No newline at end of file
+export default PaymentCenterBudgetForm;
@@ -0,0 +1,186 @@
+// src/components/ProgramBudgetReport.js - Budget vs actual by program within each payment center
+import React, { useState, useMemo, Fragment } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Tooltip,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  PictureAsPdf as PdfIcon,
+  Description as CsvIcon
+} from '@mui/icons-material';
+import { useData, useCollections } from '../contexts/DataContext';
+import financialReports from '../utils/FinancialReports';
+import budgetHelper from '../utils/BudgetHelper';
+import fiscalCalendar from '../utils/FiscalCalendar';
+
+// Amount columns, in report order
+const COLUMNS = [
+  { key: 'budget', label: 'Budget' },
+  { key: 'committed', label: 'Committed' },
+  { key: 'invoiced', label: 'Invoiced' },
+  { key: 'paid', label: 'Paid' },
+  { key: 'transfersIn', label: 'Transfers In' },
+  { key: 'transfersOut', label: 'Transfers Out' },
+  { key: 'remaining', label: 'Remaining' }
+];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+/**
+ * Program budget report for one financial year and budget version.
+ * onExported is called with (success, message) after an export.
+ */
+const ProgramBudgetReport = ({ onExported }) => {
+  const { data, exportToPdf, exportToCsv } = useData();
+
+  // Spend and journal transfers for the budget year
+  useCollections(['Expenses', 'JournalEntries']);
+
+  const startMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
+  const years = fiscalCalendar.getYearOptions(startMonth);
+  const [year, setYear] = useState(() => String(fiscalCalendar.getFiscalYear(new Date(), startMonth)));
+  const yearLabel = fiscalCalendar.getYearLabel(year, startMonth);
+  const [version, setVersion] = useState('');
+
+  const versions = budgetHelper.getVersions(data.PaymentCenterBudgets || []);
+  const activeVersion = version || budgetHelper.getLatestVersion(data.PaymentCenterBudgets || [], year);
+
+  const report = useMemo(() =>
+    financialReports.buildProgramBudgetReport({
+      budgets: data.PaymentCenterBudgets || [],
+      expenses: data.Expenses || [],
+      journals: data.JournalEntries || [],
+      purchaseOrders: data.PurchaseOrders || [],
+      paymentCenters: data.PaymentCenters || [],
+      programs: data.Programs || []
+    }, { year, version: activeVersion, startMonth }),
+  [data.PaymentCenterBudgets, data.Expenses, data.JournalEntries, data.PurchaseOrders, data.PaymentCenters, data.Programs, year, activeVersion, startMonth]);
+
+  const handleExport = (target) => {
+    const options = {
+      report,
+      title: `Program Budget Report ${yearLabel} (${activeVersion})`,
+      filename: `KIOSC_ProgramBudget_${yearLabel}_${activeVersion.replace(/\s/g, '')}.${target}`
+    };
+    const success = target === 'pdf' ? exportToPdf('programBudget', options) : exportToCsv('programBudget', options);
+    if (onExported) {
+      onExported(success, success ? `Program budget report exported to ${target.toUpperCase()}` : `${target.toUpperCase()} export failed`);
+    }
+  };
+
+  const amountCells = (row, sx = {}) => COLUMNS.map(column => (
+    <TableCell
+      key={column.key}
+      align="right"
+      sx={{ ...sx, color: column.key === 'remaining' && row.remaining < 0 ? 'error.main' : undefined }}
+    >
+      {formatCurrency(row[column.key])}
+    </TableCell>
+  ));
+
+  return (
+    <Paper sx={{ p: 2, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">Program Budget vs Actual</Typography>
+        <Box>
+          <Tooltip title="Export to CSV">
+            <Button variant="outlined" size="small" startIcon={<CsvIcon />} onClick={() => handleExport('csv')} sx={{ mr: 1 }}>
+              CSV
+            </Button>
+          </Tooltip>
+          <Tooltip title="Export to PDF">
+            <Button variant="outlined" size="small" startIcon={<PdfIcon />} onClick={() => handleExport('pdf')}>
+              PDF
+            </Button>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={6} md={2}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Financial Year</InputLabel>
+            <Select value={year} label="Financial Year" onChange={(e) => setYear(e.target.value)}>
+              {years.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Budget Version</InputLabel>
+            <Select value={version} label="Budget Version" onChange={(e) => setVersion(e.target.value)}>
+              <MenuItem value="">Latest ({budgetHelper.getLatestVersion(data.PaymentCenterBudgets || [], year)})</MenuItem>
+              {versions.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <Typography variant="body2" color="text.secondary">
+            Committed includes open purchase orders. Transfers are approved journal debits (in) and credits (out).
+            Payment center budget not set against a program shows as "No program".
+          </Typography>
+        </Grid>
+      </Grid>
+
+      {report.centers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No budgets or spend for {yearLabel}.
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Payment Center / Program</TableCell>
+                {COLUMNS.map(column => (
+                  <TableCell key={column.key} align="right">{column.label}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.centers.map(center => (
+                <Fragment key={center.id || 'none'}>
+                  <TableRow sx={{ bgcolor: 'action.hover' }}>
+                    <TableCell sx={{ fontWeight: 'bold' }}>{center.name}</TableCell>
+                    {amountCells(center, { fontWeight: 'bold' })}
+                  </TableRow>
+                  {center.programs.map(program => (
+                    <TableRow key={`${center.id}-${program.id || 'none'}`}>
+                      <TableCell sx={{ pl: 4, fontStyle: program.id ? 'normal' : 'italic' }}>{program.name}</TableCell>
+                      {amountCells(program)}
+                    </TableRow>
+                  ))}
+                </Fragment>
+              ))}
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>Totals</TableCell>
+                {amountCells(report.totals, { fontWeight: 'bold' })}
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default ProgramBudgetReport;
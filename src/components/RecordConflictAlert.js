@@ -0,0 +1,111 @@
+// src/components/RecordConflictAlert.js
+import React from 'react';
+import {
+  Alert,
+  AlertTitle,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography
+} from '@mui/material';
+
+// Display value for comparison; null, undefined and '' all count as empty
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Warning shown inside an edit dialog when the record was changed by someone else,
+ * either live (Realtime) or when a save failed its version check.
+ *
+ * fields: [{ field, label, format }] compared between the server copy and the user's values
+ */
+const RecordConflictAlert = ({
+  conflict,
+  entityLabel = 'record',
+  fields = [],
+  localValues = {},
+  onLoadLatest,
+  onKeepMine,
+  onClose
+}) => {
+  if (!conflict) return null;
+
+  // Deleted underneath the user - nothing to merge
+  if (conflict.eventType === 'DELETE') {
+    return (
+      <Alert
+        severity="error"
+        sx={{ mb: 2 }}
+        action={
+          <Button color="inherit" size="small" onClick={onClose}>
+            Close
+          </Button>
+        }
+      >
+        This {entityLabel} was deleted by another user while you had it open.
+      </Alert>
+    );
+  }
+
+  const server = conflict.server;
+  const format = (item, value) => (item.format ? item.format(value) : normalize(value) || '-');
+  const differences = server ?
+    fields.filter(item => format(item, server[item.field]) !== format(item, localValues[item.field])) :
+    [];
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ mb: 2 }}
+      action={
+        <>
+          <Button color="inherit" size="small" onClick={onLoadLatest}>
+            Use latest
+          </Button>
+          <Button color="inherit" size="small" onClick={onKeepMine}>
+            Keep mine
+          </Button>
+        </>
+      }
+    >
+      <AlertTitle>
+        {conflict.eventType === 'VERSION' ? 'Not saved - changed by another user' : 'Changed by another user'}
+      </AlertTitle>
+      <Typography variant="body2" gutterBottom>
+        {conflict.eventType === 'VERSION' ?
+          `Someone else saved this ${entityLabel} after you opened it, so your changes were not applied.` :
+          `Someone else changed this ${entityLabel} while you had it open.`}
+        {' '}Use the latest copy, or keep your changes and save again to overwrite theirs.
+      </Typography>
+
+      {differences.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>Latest (server)</TableCell>
+              <TableCell>Your changes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {differences.map(item => (
+              <TableRow key={item.field}>
+                <TableCell>{item.label}</TableCell>
+                <TableCell>{format(item, server[item.field])}</TableCell>
+                <TableCell>{format(item, localValues[item.field])}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Alert>
+  );
+};
+
+export default RecordConflictAlert;
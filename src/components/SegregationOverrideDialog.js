@@ -0,0 +1,60 @@
+// src/components/SegregationOverrideDialog.js - Admin override of a segregation-of-duties rule
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  TextField,
+  Button
+} from '@mui/material';
+
+/**
+ * Shows the rules an action breaks and asks an admin for the reason to override them.
+ * onConfirm receives { reason }, which DataContext records in the audit log.
+ */
+const SegregationOverrideDialog = ({ open, violations = [], onClose, onConfirm }) => {
+  const [reason, setReason] = useState('');
+
+  // Start with an empty reason every time the dialog opens
+  useEffect(() => {
+    if (open) setReason('');
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Segregation of Duties</DialogTitle>
+      <DialogContent>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {violations.map(violation => (
+            <div key={violation.ruleId}>{violation.message}</div>
+          ))}
+        </Alert>
+        <TextField
+          fullWidth
+          label="Override reason (recorded in the audit log)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          margin="normal"
+          multiline
+          rows={2}
+          required
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={() => onConfirm({ reason: reason.trim() })}
+          variant="contained"
+          color="warning"
+          disabled={!reason.trim()}
+        >
+          Override and Continue
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SegregationOverrideDialog;
@@ -0,0 +1,103 @@
+// src/components/SegregationRulesSettings.js - Switch segregation-of-duties rules on and off
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  Switch,
+  Alert
+} from '@mui/material';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import dutySegregation, { SEGREGATION_RULES } from '../utils/DutySegregation';
+
+const SegregationRulesSettings = () => {
+  const { data, addEntity, updateEntity } = useData();
+  const { currentUser, isAdmin } = useAuth();
+
+  const settings = useMemo(() => data.SegregationRules || [], [data.SegregationRules]);
+  const canEdit = isAdmin();
+
+  // Recent admin overrides, newest first
+  const overrides = useMemo(() => (data.AuditLog || [])
+    .filter(entry => entry.action === 'SOD_OVERRIDE')
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+    .slice(0, 10),
+  [data.AuditLog]);
+
+  const handleToggle = async (rule) => {
+    const changes = {
+      enabled: !dutySegregation.isEnabled(rule.id, settings),
+      updatedBy: currentUser?.username || 'system',
+      updatedAt: new Date().toISOString()
+    };
+
+    if (settings.some(setting => setting.id === rule.id)) {
+      await updateEntity('SegregationRules', rule.id, changes);
+    } else {
+      await addEntity('SegregationRules', { id: rule.id, ...changes });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Segregation of Duties
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Enforced when journals are approved and when expenses are approved or marked paid.
+        Admins can override a rule with a reason, which is recorded in the audit log.
+        Payment center responsibilities are set per user in User Management.
+      </Typography>
+
+      {!canEdit && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Only admins can change segregation rules.
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableBody>
+          {SEGREGATION_RULES.map(rule => (
+            <TableRow key={rule.id}>
+              <TableCell>{rule.label}</TableCell>
+              <TableCell align="right" width={80}>
+                <Switch
+                  checked={dutySegregation.isEnabled(rule.id, settings)}
+                  onChange={() => handleToggle(rule)}
+                  disabled={!canEdit}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+        Recent Overrides
+      </Typography>
+      {overrides.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No overrides recorded yet.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableBody>
+            {overrides.map(entry => (
+              <TableRow key={entry.id}>
+                <TableCell>{new Date(entry.timestamp).toLocaleString('en-AU')}</TableCell>
+                <TableCell>{entry.username}</TableCell>
+                <TableCell>{entry.description}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default SegregationRulesSettings;
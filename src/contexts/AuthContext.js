@@ -1,6 +1,7 @@
 // src/contexts/AuthContext.js - Enhanced version with session persistence
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import supabase from '../lib/supabase';
+import dutySegregation from '../utils/DutySegregation';
 
 const AuthContext = createContext();
 
@@ -111,6 +112,7 @@ export const AuthProvider = ({ children }) => {
                 name: userData.name,
                 role: userData.role,
                 permissions: userData.permissions,
+                paymentCenters: userData.paymentCenters,
                 status: userData.status
               };
               
@@ -218,6 +220,7 @@ export const AuthProvider = ({ children }) => {
                 name: userData.name,
                 role: userData.role,
                 permissions: userData.permissions,
+                paymentCenters: userData.paymentCenters,
                 status: userData.status
               };
               
@@ -371,6 +374,7 @@ export const AuthProvider = ({ children }) => {
               name: userData.name,
               role: userData.role,
               permissions: userData.permissions,
+              paymentCenters: userData.paymentCenters,
               status: userData.status
             };
             
@@ -590,6 +594,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Keep the signed-in user's payment centers current once they are saved through
+  // DataContext (used by segregation-of-duties rules)
+  const refreshUserPaymentCenters = (userId, paymentCenters = []) => {
+    if (user && String(user.id) === String(userId)) {
+      const updatedUser = { ...user, paymentCenters: paymentCenters.join(',') };
+      setUser(updatedUser);
+      saveUserToStorage(updatedUser);
+    }
+  };
+
   // Logout
   const logout = async () => {
     try {
@@ -646,6 +660,17 @@ export const AuthProvider = ({ children }) => {
     );
   };
 
+  // Segregation-of-duties check for the current user; admins may override with a reason
+  const checkSegregation = (action, record, rules = []) => {
+    const violations = dutySegregation.check(action, record, user, rules);
+    
+    return {
+      allowed: violations.length === 0,
+      violations,
+      canOverride: isAdmin()
+    };
+  };
+
   // Get all users - for admin user management
   const getAllUsers = async () => {
     try {
@@ -704,10 +729,12 @@ export const AuthProvider = ({ children }) => {
     updatePassword,
     approveUser,
     updateUserRole,
+    refreshUserPaymentCenters,
     getAllUsers,
     getPendingUsers,
     hasPermission,
     isAdmin,
+    checkSegregation,
     isAuthenticated,
     authChecked
   };
@@ -1,14 +1,259 @@
 // src/contexts/DataContext.js - Modified for Supabase
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import supabaseService from '../services/SupabaseService';
+import supabaseService, { VersionConflictError } from '../services/SupabaseService';
+import tableMapperRegistry from '../services/TableMapperRegistry';
 import pdfExporter from '../utils/PdfExporter';
 import csvExporter from '../utils/CsvExporter';
+import realtimeMerger from '../utils/RealtimeMerger';
+import localQuery from '../utils/LocalQuery';
+import offlineStore, { isNetworkError } from '../services/OfflineStore';
+import periodLock, { PeriodLockedError } from '../utils/PeriodLock';
+import approvalWorkflow, { ApprovalRequiredError } from '../utils/ApprovalWorkflow';
+import dutySegregation, { SegregationError } from '../utils/DutySegregation';
+import invoiceMatcher, { MatchExceptionError } from '../utils/InvoiceMatcher';
+import journalHelper from '../utils/JournalHelper';
+import scheduleEngine from '../utils/ScheduleEngine';
+import attachmentHelper, { ATTACHMENT_BUCKET, ATTACHMENT_ENTITIES } from '../utils/AttachmentHelper';
+import gstHelper from '../utils/GstHelper';
+import currencyHelper, { BASE_CURRENCY, ExchangeRateError } from '../utils/CurrencyHelper';
+import fiscalCalendar from '../utils/FiscalCalendar';
+import { format } from 'date-fns';
 import { useAuth } from './AuthContext';
 
 // Create context
 const DataContext = createContext();
 
+// Collections loaded from Supabase and kept in sync via Realtime
+const COLLECTIONS = [
+  'Users',
+  'Suppliers',
+  'PaymentCenters',
+  'PaymentTypes',
+  'ExpenseStatus',
+  'PaymentCenterBudgets',
+  'ApprovalRules',
+  'SegregationRules',
+  'MatchSettings',
+  'OrganisationSettings',
+  'ExchangeRates',
+  'PurchaseOrders',
+  'Expenses',
+  'ChartOfAccounts',
+  'AccountingPeriods',
+  'JournalEntries',
+  'JournalLines',
+  'JournalTemplates',
+  'Schedules',
+  'Attachments',
+  'AuditLog',
+  'Programs'
+];
+
+// Collections with a long history. The expense and journal tables query them a page
+// at a time, so they are only loaded in full when a page works across all of them
+// (see useCollections). Journal lines are loaded with their journals.
+const PAGED_COLLECTIONS = ['Expenses', 'JournalEntries', 'JournalLines'];
+
+// Rows per request when a query's every match is wanted (see queryAllExpenses)
+const QUERY_ALL_PAGE_SIZE = 500;
+
+// Every row matching a paged query, fetched a page at a time
+const fetchAllPages = async (query, options) => {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const result = await query({ ...options, page, pageSize: QUERY_ALL_PAGE_SIZE });
+    rows.push(...result.rows);
+    if (result.rows.length === 0 || rows.length >= result.total) return rows;
+  }
+};
+
+// Realtime events for records this client wrote within this window are our own echoes
+const LOCAL_WRITE_GRACE_MS = 5000;
+
+// Offline mode: how often to check whether Supabase is reachable again, and how
+// long to wait after a change before refreshing the IndexedDB cache
+const OFFLINE_PROBE_INTERVAL_MS = 30000;
+const CACHE_DELAY_MS = 1000;
+
+// Order in which collections are pushed on save (parents before children)
+const SAVE_ORDER = [
+  'Users',
+  'Suppliers',
+  'PaymentCenters',
+  'PaymentTypes',
+  'ExpenseStatus',
+  'Programs',
+  'PaymentCenterBudgets',
+  'ApprovalRules',
+  'SegregationRules',
+  'MatchSettings',
+  'OrganisationSettings',
+  'ExchangeRates',
+  'PurchaseOrders',
+  'Expenses',
+  'ChartOfAccounts',
+  'AccountingPeriods',
+  'JournalEntries',
+  'JournalLines',
+  'JournalTemplates',
+  'Schedules',
+  'Attachments',
+  'AuditLog'
+];
+
+// Dates that place a record in an accounting period. Posting dates are checked on
+// every write; dated entries only where a write adds, removes or changes them, so
+// a record with history in a closed period can still be worked on elsewhere.
+const PERIOD_DATE_FIELDS = {
+  Expenses: {
+    posting: ['date'],
+    entries: expense => ['invoiceDate', 'paymentDate']
+      .map(field => ({ field, date: expense[field] ? String(expense[field]).slice(0, 10) : null }))
+  },
+  JournalEntries: { posting: ['date'] },
+  // Goods received post on their receipt date
+  PurchaseOrders: { entries: order => order.receipts || [] },
+  // Skipping or restoring an occurrence decides what the schedule creates in its period
+  Schedules: {
+    entries: schedule => (schedule.skippedDates || [])
+      .filter(date => !schedule.generatedThrough || date > schedule.generatedThrough)
+      .map(date => ({ date }))
+  }
+};
+
+// Dates a write touches: the posting dates of every version, plus the dated entries
+// found in only one of the versions (all of them when creating or deleting)
+const getPeriodDates = ({ posting = [], entries }, records) => {
+  const dates = records.flatMap(record => posting.map(field => record[field]));
+  if (entries) {
+    const versions = records.map(record => entries(record).map(entry => JSON.stringify(entry)));
+    versions.forEach((keys, index) => {
+      const others = versions.filter((_, otherIndex) => otherIndex !== index);
+      keys
+        .filter(key => !others.some(other => other.includes(key)))
+        .forEach(key => dates.push(JSON.parse(key).date));
+    });
+  }
+  return dates.filter(Boolean);
+};
+
+// Writes refused by a business rule rather than by the database
+const isBlockedWrite = (err) =>
+  err instanceof PeriodLockedError || err instanceof ApprovalRequiredError ||
+  err instanceof SegregationError || err instanceof MatchExceptionError ||
+  err instanceof ExchangeRateError;
+
+// Match fields on an expense that only change through matching and resolution
+const MATCH_FIELDS = ['matchStatus', 'matchExceptions', 'matchResolvedBy', 'matchResolvedAt', 'matchResolution'];
+
+// Keep an expense's hasInvoice flag in step locally; a database trigger sets the stored value
+const withInvoiceFlag = (expenses = [], attachments, expenseId) => {
+  const hasInvoice = attachments.some(attachment =>
+    attachment.entityType === 'Expenses' &&
+    String(attachment.entityId) === String(expenseId) &&
+    attachment.category === 'Invoice'
+  );
+  return expenses.map(expense =>
+    String(expense.id) === String(expenseId) ? { ...expense, hasInvoice } : expense
+  );
+};
+
+// Expense fields the base-currency amount is worked out from
+const CURRENCY_INPUTS = ['currency', 'originalAmount', 'date'];
+
+// Base-currency amount (and allocations) of an expense being written. A new amount
+// on a base-currency expense is also its original amount.
+const withBaseAmount = (existing, prepared, rates) => {
+  const merged = { ...existing, ...prepared };
+  const isBase = (merged.currency || BASE_CURRENCY) === BASE_CURRENCY;
+  if ('amount' in prepared && !('originalAmount' in prepared) && isBase) {
+    merged.originalAmount = prepared.amount;
+  } else if (!CURRENCY_INPUTS.some(field => field in prepared)) {
+    return prepared;
+  }
+  
+  const converted = currencyHelper.convert(merged, rates);
+  const result = { ...prepared, ...converted };
+  
+  // Allocations arrive in the original currency; saved ones are rescaled to a new rate
+  if (!isBase && (merged.allocations || []).length > 0) {
+    result.allocations = 'allocations' in prepared ?
+      currencyHelper.convertAllocations(prepared.allocations, converted.exchangeRate, converted.amount) :
+      currencyHelper.convertAllocations(existing.allocations, converted.amount / (parseFloat(existing.amount) || converted.amount), converted.amount);
+  }
+  return result;
+};
+
+// Expense fields the tax components are worked out from
+const TAX_INPUTS = ['amount', 'taxCode', 'gstAmount'];
+
+// Paying an invoice with an unresolved match exception is refused
+const assertPayable = (existing, merged) => {
+  if (merged.status === 'Paid' && existing?.status !== 'Paid' && merged.matchStatus === 'Exception') {
+    throw new MatchExceptionError(
+      `Expense "${merged.description || merged.id}" does not match its purchase order. ` +
+      'Someone with approve permission must resolve the exception before it can be paid.'
+    );
+  }
+};
+
+// Batch and retry settings for saveData
+const SAVE_BATCH_SIZE = 100;
+const SAVE_MAX_ATTEMPTS = 3;
+const SAVE_RETRY_DELAY_MS = 500;
+
+// Split an array into chunks of the given size
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Run an async operation, retrying with a growing delay before giving up.
+// A version conflict is not retried: the server copy stays newer.
+const runWithRetry = async (operation, attempts = SAVE_MAX_ATTEMPTS) => {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (err instanceof VersionConflictError) throw err;
+      lastError = err;
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, SAVE_RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
+  throw lastError;
+};
+
+// Lines as nested on a journal entry
+const toNestedLines = (lines) => [...lines]
+  .sort((a, b) => a.lineNumber - b.lineNumber)
+  .map(line => ({
+    id: line.id,
+    type: line.type,
+    account: line.account,
+    program: line.program,
+    paymentCenter: line.paymentCenter,
+    amount: line.amount
+  }));
+
+// Journals with their lines nested on them
+const attachJournalLines = (journals = [], lines = []) => journals.map(journal => ({
+  ...journal,
+  lines: toNestedLines(lines.filter(line => line.journalId === journal.id))
+}));
+
+// Swap one journal's rows in the JournalLines collection for the saved set
+const replaceJournalLines = (allLines = [], journalId, savedLines) => [
+  ...allLines.filter(line => String(line.journalId) !== String(journalId)),
+  ...savedLines
+];
+
 // Context provider component
 export const DataProvider = ({ children }) => {
   // State for all data
@@ -17,9 +262,58 @@ export const DataProvider = ({ children }) => {
   const [error, setError] = useState(null); 
   const [initialized, setInitialized] = useState(false);
   const [unsavedChanges, setUnsavedChanges] = useState(false);
+  const [lastSaveResult, setLastSaveResult] = useState(null);
+  
+  // Paged collections loaded in full so far, and those with a load started
+  const [loadedCollections, setLoadedCollections] = useState({});
+  const loadedRef = useRef({});
+  const requestedRef = useRef({});
+  
+  // IDs changed per collection since the last save: { [collection]: { upserts: Set, deletes: Set } }
+  const pendingChangesRef = useRef({});
+  
+  // Realtime sync state: when this client last wrote each record, and the records open in edit dialogs
+  const localWritesRef = useRef({});
+  const editingRef = useRef({});
+  const dataRef = useRef(data);
+  const [conflicts, setConflicts] = useState({});
+  
+  // Keep a ref to the latest data for callbacks that must stay stable
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+  
+  // Offline mode: connection state, writes waiting to be replayed, and replay failures
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [syncErrors, setSyncErrors] = useState([]);
+  const isOnlineRef = useRef(isOnline);
+  const replayingRef = useRef(false);
+  
+  // Switch to offline mode (reads from the cache, writes to the queue)
+  const goOffline = useCallback(() => {
+    if (isOnlineRef.current) {
+      console.warn('Supabase unreachable - switching to offline mode');
+    }
+    isOnlineRef.current = false;
+    setIsOnline(false);
+  }, []);
+  
+  // Refresh the number of queued writes
+  const refreshQueuedCount = useCallback(async () => {
+    try {
+      setQueuedCount(await offlineStore.countQueue());
+    } catch (countError) {
+      console.warn('Could not count queued changes:', countError);
+    }
+  }, []);
   
   // Get currentUser from AuthContext
-  const { currentUser } = useAuth();
+  const { currentUser, hasPermission, isAdmin, checkSegregation: checkUserSegregation } = useAuth();
+  
+  // Last write refused because its accounting period is soft-closed or closed
+  const [blockedWriteError, setBlockedWriteError] = useState(null);
   
   // Add this function to handle CSV-formatted permissions
   const parseCSVPermissions = (permissionsString) => {
@@ -70,36 +364,43 @@ export const DataProvider = ({ children }) => {
   }, []);
   
   // Initialize data from Supabase
-  const initializeData = useCallback(async () => {
+  // Pass { silent: true } to refresh without showing the loading state
+  const initializeData = useCallback(async (options = {}) => {
+    const silent = options.silent === true;
+    
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
       
       let newData = {};
+      let cachedData = null;
+      let servedFromCache = false;
       
-      // List of collections to load
-      const collections = [
-        'Users',
-        'Suppliers',
-        'PaymentCenters',
-        'PaymentTypes',
-        'ExpenseStatus',
-        'PaymentCenterBudgets',
-        'Expenses',
-        'JournalEntries',
-        'JournalLines',
-        'AuditLog',
-        'Programs'  // Add Programs to the list
-      ];
-      
-      // Load each collection from Supabase
-      for (const collection of collections) {
+      // Load each collection from Supabase. Paged collections are left for
+      // loadCollections unless a page has already loaded them.
+      for (const collection of COLLECTIONS) {
+        if (PAGED_COLLECTIONS.includes(collection) && !loadedRef.current[collection]) {
+          newData[collection] = [];
+          continue;
+        }
+        
         try {
           const collectionData = await supabaseService.getAll(collection);
           newData[collection] = collectionData;
           
           console.log(`Loaded ${collectionData.length} records from ${collection}`);
         } catch (collectionError) {
+          // Supabase unreachable: serve the last cached copy instead
+          if (isNetworkError(collectionError)) {
+            if (!cachedData) {
+              cachedData = await offlineStore.loadCollections();
+            }
+            newData[collection] = cachedData[collection] || [];
+            servedFromCache = true;
+            console.log(`Loaded ${newData[collection].length} cached records for ${collection}`);
+            continue;
+          }
+          
           console.warn(`Could not load ${collection}:`, collectionError);
           // Create empty array for missing collections
           newData[collection] = [];
@@ -144,22 +445,7 @@ export const DataProvider = ({ children }) => {
       
       // Reconstruct journal entries with lines if needed
       if (newData.JournalEntries && newData.JournalLines) {
-        newData.JournalEntries = newData.JournalEntries.map(journal => {
-          const lines = newData.JournalLines
-            .filter(line => line.journalId === journal.id)
-            .sort((a, b) => a.lineNumber - b.lineNumber);
-          
-          return {
-            ...journal,
-            lines: lines.map(line => ({
-              id: line.id,
-              type: line.type,
-              program: line.program,
-              paymentCenter: line.paymentCenter,
-              amount: line.amount
-            }))
-          };
-        });
+        newData.JournalEntries = attachJournalLines(newData.JournalEntries, newData.JournalLines);
       }
       
       // Ensure PaymentCenterBudgets collection exists
@@ -168,7 +454,7 @@ export const DataProvider = ({ children }) => {
       }
       
       // Add other collections if they don't exist
-      ['Expenses', 'Suppliers', 'Programs', 'PaymentCenters', 'PaymentTypes', 'PaymentCenterBudgets', 'ExpenseStatus'].forEach(collection => {
+      ['Expenses', 'Suppliers', 'Programs', 'PaymentCenters', 'PaymentTypes', 'PaymentCenterBudgets', 'ExpenseStatus', 'ChartOfAccounts', 'AccountingPeriods', 'JournalTemplates', 'Schedules', 'ApprovalRules', 'SegregationRules', 'MatchSettings', 'OrganisationSettings', 'ExchangeRates', 'PurchaseOrders', 'Attachments'].forEach(collection => {
         if (!newData[collection]) {
           newData[collection] = [];
         }
@@ -177,13 +463,17 @@ export const DataProvider = ({ children }) => {
       setData(newData);
       setInitialized(true);
       
+      if (servedFromCache) {
+        goOffline();
+      }
+      
     } catch (err) {
       console.error('Error initializing data:', err);
       setError('Failed to initialize data: ' + (err.message || 'Unknown error'));
     } finally {
       setLoading(false);
     }
-  }, [initializePrograms]);
+  }, [initializePrograms, goOffline]);
   
   // Load data on component mount 
   useEffect(() => {
@@ -192,28 +482,433 @@ export const DataProvider = ({ children }) => {
     }
   }, [initialized, initializeData]);
   
-  // Save data to Supabase
+  // Load paged collections in full, once, for pages that work across their whole
+  // history (reports, period close). Served from the IndexedDB cache
+  // when Supabase is unreachable.
+  const loadCollections = useCallback(async (collections) => {
+    const wanted = collections.includes('JournalEntries') ? [...collections, 'JournalLines'] : collections;
+    const pending = [...new Set(wanted)]
+      .filter(collection => PAGED_COLLECTIONS.includes(collection) && !requestedRef.current[collection]);
+    if (pending.length === 0) return;
+    
+    pending.forEach(collection => {
+      requestedRef.current[collection] = true;
+    });
+    
+    try {
+      const loaded = {};
+      let cachedData = null;
+      
+      for (const collection of pending) {
+        try {
+          loaded[collection] = await supabaseService.getAll(collection);
+          console.log(`Loaded ${loaded[collection].length} records from ${collection}`);
+        } catch (collectionError) {
+          if (!isNetworkError(collectionError)) throw collectionError;
+          
+          if (!cachedData) {
+            cachedData = await offlineStore.loadCollections();
+          }
+          loaded[collection] = cachedData[collection] || [];
+          goOffline();
+        }
+      }
+      
+      setData(prevData => {
+        const nextData = { ...prevData, ...loaded };
+        if (loaded.JournalEntries || loaded.JournalLines) {
+          nextData.JournalEntries = attachJournalLines(nextData.JournalEntries, nextData.JournalLines);
+        }
+        return nextData;
+      });
+      pending.forEach(collection => {
+        loadedRef.current[collection] = true;
+      });
+      setLoadedCollections(prev => ({
+        ...prev,
+        ...Object.fromEntries(pending.map(collection => [collection, true]))
+      }));
+    } catch (err) {
+      pending.forEach(collection => {
+        delete requestedRef.current[collection];
+      });
+      console.error('Error loading collections:', err);
+      setError(`Failed to load ${pending.join(', ')}: ${err.message || 'Unknown error'}`);
+    }
+  }, [goOffline]);
+  
+  // Rows of a paged collection for answering queries offline: local data once it has
+  // been loaded in full, otherwise the IndexedDB cache
+  const getOfflineRows = useCallback(async (collection) => {
+    if (loadedRef.current[collection]) return dataRef.current[collection] || [];
+    
+    const cachedData = await offlineStore.loadCollections();
+    return collection === 'JournalEntries' ?
+      attachJournalLines(cachedData.JournalEntries, cachedData.JournalLines) :
+      cachedData[collection] || [];
+  }, []);
+  
+  // Rows of a paged collection with a field equal to value, for writes and matching on a
+  // page that has not loaded the collection in full. Rows not held locally are fetched
+  // (from the cache while offline) and added to local data; local copies are kept as
+  // they may carry changes not yet saved.
+  const fetchRows = useCallback(async (collection, field, value) => {
+    const isMatch = item => String(item[field]) === String(value);
+    const local = (dataRef.current[collection] || []).filter(isMatch);
+    if (!PAGED_COLLECTIONS.includes(collection) || loadedRef.current[collection]) return local;
+    
+    let rows = null;
+    if (isOnlineRef.current) {
+      try {
+        rows = await supabaseService.query(collection, field, value);
+        if (collection === 'JournalEntries') {
+          rows = await Promise.all(rows.map(async journal => {
+            const lines = await supabaseService.query('JournalLines', 'journalId', journal.id);
+            return realtimeMerger.restitchJournalLines([journal], lines, journal.id)[0];
+          }));
+        }
+      } catch (fetchError) {
+        if (!isNetworkError(fetchError)) throw fetchError;
+        goOffline();
+      }
+    }
+    if (!rows) {
+      rows = (await getOfflineRows(collection)).filter(isMatch);
+    }
+    
+    const isHeld = (records, row) => records.some(item => String(item.id) === String(row.id));
+    const missing = rows.filter(row => !isHeld(dataRef.current[collection] || [], row));
+    if (missing.length > 0) {
+      const addMissing = prevData => ({
+        ...prevData,
+        [collection]: [
+          ...(prevData[collection] || []),
+          ...missing.filter(row => !isHeld(prevData[collection] || [], row))
+        ]
+      });
+      // The ref too, so the rest of this write sees them
+      dataRef.current = addMissing(dataRef.current);
+      setData(addMissing);
+    }
+    
+    return [...local, ...missing];
+  }, [goOffline, getOfflineRows]);
+  
+  // A record by ID, fetched if its paged collection has not been loaded in full
+  const fetchEntity = useCallback(async (collection, id) => {
+    const [record] = await fetchRows(collection, 'id', id);
+    return record || null;
+  }, [fetchRows]);
+  
+  // Remember that this client just wrote a record so its Realtime echo is not treated as a conflict
+  const markLocalWrite = useCallback((collection, id) => {
+    localWritesRef.current[`${collection}:${id}`] = Date.now();
+  }, []);
+  
+  // Check whether this client wrote a record recently
+  const isRecentLocalWrite = useCallback((collection, id) => {
+    const writtenAt = localWritesRef.current[`${collection}:${id}`];
+    return Boolean(writtenAt) && Date.now() - writtenAt < LOCAL_WRITE_GRACE_MS;
+  }, []);
+  
+  // Record that an entity changed locally so the next save pushes it
+  const trackChange = useCallback((collection, id, action = 'upsert') => {
+    markLocalWrite(collection, id);
+    
+    const tracker = pendingChangesRef.current;
+    if (!tracker[collection]) {
+      tracker[collection] = { upserts: new Set(), deletes: new Set() };
+    }
+    
+    const key = String(id);
+    if (action === 'delete') {
+      tracker[collection].upserts.delete(key);
+      tracker[collection].deletes.add(key);
+    } else {
+      tracker[collection].deletes.delete(key);
+      tracker[collection].upserts.add(key);
+    }
+    
+    setUnsavedChanges(true);
+  }, [markLocalWrite]);
+  
+  // Mark an entity as changed when it was modified outside addEntity/updateEntity (e.g. via setData).
+  // Pass 'delete' as the action for one removed that way.
+  const markDirty = useCallback((collection, id, action = 'upsert') => {
+    trackChange(collection, id, action);
+  }, [trackChange]);
+  
+  // Count of pending upserts and deletes per collection
+  const getPendingChanges = useCallback(() => {
+    const summary = {};
+    Object.entries(pendingChangesRef.current).forEach(([collection, changes]) => {
+      if (changes.upserts.size || changes.deletes.size) {
+        summary[collection] = {
+          upserts: changes.upserts.size,
+          deletes: changes.deletes.size
+        };
+      }
+    });
+    return summary;
+  }, []);
+
+  // Start tracking a record open in an edit dialog so remote changes to it are flagged
+  const beginEditing = useCallback((collection, id) => {
+    const key = `${collection}:${id}`;
+    const snapshot = (dataRef.current[collection] || []).find(item => String(item.id) === String(id));
+    editingRef.current[key] = snapshot ? { ...snapshot } : {};
+  }, []);
+
+  // Stop tracking a record once its dialog closes, dropping any unresolved conflict
+  const endEditing = useCallback((collection, id) => {
+    const key = `${collection}:${id}`;
+    delete editingRef.current[key];
+    setConflicts(prev => {
+      if (!prev[key]) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  // Get the unresolved conflict for a record being edited, if any
+  const getConflict = useCallback((collection, id) => {
+    return conflicts[`${collection}:${id}`] || null;
+  }, [conflicts]);
+
+  // Clear a conflict once the user has chosen to keep their changes or load the latest copy
+  const resolveConflict = useCallback((collection, id) => {
+    const key = `${collection}:${id}`;
+
+    // Compare future remote changes against the latest copy
+    if (editingRef.current[key]) {
+      const latest = (dataRef.current[collection] || []).find(item => String(item.id) === String(id));
+      editingRef.current[key] = latest ? { ...latest } : {};
+    }
+
+    setConflicts(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  // Flag a conflict if a remote change touches a record open in an edit dialog
+  const detectConflict = useCallback((change) => {
+    let collection = change.table;
+    let id = realtimeMerger.getChangeId(change);
+
+    // Line changes belong to the journal being edited
+    if (collection === 'JournalLines') {
+      const existingLine = (dataRef.current.JournalLines || []).find(line => String(line.id) === id);
+      const journalId = change.new?.journalId || change.old?.journalId || existingLine?.journalId;
+      if (!journalId || isRecentLocalWrite('JournalLines', id)) return;
+      collection = 'JournalEntries';
+      id = String(journalId);
+    }
+
+    const key = `${collection}:${id}`;
+    const snapshot = editingRef.current[key];
+    if (!snapshot || isRecentLocalWrite(collection, id)) return;
+
+    if (change.table === collection && !realtimeMerger.isDifferent(snapshot, change)) return;
+
+    console.log(`Remote ${change.eventType} on ${collection} ${id} while it is being edited`);
+
+    setConflicts(prev => ({
+      ...prev,
+      [key]: {
+        collection,
+        id,
+        eventType: change.table === collection ? change.eventType : 'UPDATE',
+        server: change.table === collection ? change.new : null,
+        receivedAt: new Date().toISOString()
+      }
+    }));
+  }, [isRecentLocalWrite]);
+
+  // Merge a Realtime insert, update or delete into local state
+  const handleRealtimeChange = useCallback((change) => {
+    if (!change || !realtimeMerger.getChangeId(change)) return;
+
+    detectConflict(change);
+
+    // Rows arrive already mapped (e.g. CSV permissions split into arrays)
+    setData(prevData => realtimeMerger.mergeIntoData(prevData, change));
+  }, [detectConflict]);
+
+  // Subscribe to Realtime changes once the initial load has finished
+  useEffect(() => {
+    if (!initialized) return undefined;
+
+    const unsubscribers = [];
+    COLLECTIONS.forEach(collection => {
+      try {
+        unsubscribers.push(supabaseService.subscribeToTable(collection, handleRealtimeChange));
+      } catch (subscribeError) {
+        console.warn(`Could not subscribe to ${collection}:`, subscribeError);
+      }
+    });
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [initialized, handleRealtimeChange]);
+
+  // Push every tracked change to Supabase as batched upserts and deletes.
+  // Resolves to { success, message, collections: { [collection]: { saved, deleted, failed, errors } } },
+  // or null if the user cancels. Rows that still fail after retrying stay pending for the next save.
   const saveData = useCallback(async (silent = false) => {
+    const tracker = pendingChangesRef.current;
+    const collections = Object.keys(tracker)
+      .filter(collection => tracker[collection].upserts.size || tracker[collection].deletes.size)
+      .sort((a, b) => {
+        const indexA = SAVE_ORDER.indexOf(a);
+        const indexB = SAVE_ORDER.indexOf(b);
+        return (indexA === -1 ? SAVE_ORDER.length : indexA) - (indexB === -1 ? SAVE_ORDER.length : indexB);
+      });
+    
+    if (collections.length === 0) {
+      const result = { success: true, message: 'No unsaved changes', collections: {} };
+      setLastSaveResult(result);
+      setUnsavedChanges(false);
+      return result;
+    }
+    
     try {
       if (!silent) {
         const confirmed = window.confirm('Do you want to save changes to the database?');
-        if (!confirmed) return false;
+        if (!confirmed) return null;
       }
       
       setLoading(true);
-      // Implement saving to Supabase here
-      // This would involve mapping over data collections and using supabaseService.update/insert
       
-      setUnsavedChanges(false);
-      return true;
+      const report = {};
+      collections.forEach(collection => {
+        report[collection] = { saved: 0, deleted: 0, failed: [], errors: [] };
+      });
+      
+      // Upserts first, parents before children
+      for (const collection of collections) {
+        const ids = [...tracker[collection].upserts];
+        const records = [];
+        const versionedRecords = [];
+        
+        ids.forEach(id => {
+          const record = (data[collection] || []).find(item => String(item.id) === id);
+          if (!record) {
+            // Nothing left locally to push
+            tracker[collection].upserts.delete(id);
+          } else if (tableMapperRegistry.isVersioned(collection) && record.version != null) {
+            // Already on the server: only written if nobody has changed it since
+            versionedRecords.push(record);
+          } else {
+            records.push(record);
+          }
+        });
+        
+        for (const record of versionedRecords) {
+          try {
+            const saved = await runWithRetry(() => (
+              supabaseService.update(collection, record.id, record, { expectedVersion: record.version })
+            ));
+            
+            tracker[collection].upserts.delete(String(record.id));
+            setData(prevData => ({
+              ...prevData,
+              [collection]: (prevData[collection] || []).map(item =>
+                String(item.id) === String(record.id) ? { ...item, version: saved.version } : item
+              )
+            }));
+            report[collection].saved += 1;
+          } catch (rowError) {
+            report[collection].failed.push(String(record.id));
+            report[collection].errors.push(rowError.message);
+          }
+        }
+        
+        // Field mapping (app-only fields, CSV permissions, etc.) is handled by the service mappers.
+        // These rows have not reached the server, so one already there is never overwritten.
+        for (const batch of chunk(records, SAVE_BATCH_SIZE)) {
+          try {
+            await runWithRetry(() => supabaseService.upsertMany(collection, batch, { ignoreDuplicates: true }));
+            batch.forEach(record => tracker[collection].upserts.delete(String(record.id)));
+            report[collection].saved += batch.length;
+          } catch (batchError) {
+            console.warn(`Batch upsert failed for ${collection}, retrying row by row:`, batchError);
+            
+            // Retry each row on its own so one bad record does not block the rest
+            for (const record of batch) {
+              try {
+                await runWithRetry(() => supabaseService.upsertMany(collection, [record], { ignoreDuplicates: true }));
+                tracker[collection].upserts.delete(String(record.id));
+                report[collection].saved += 1;
+              } catch (rowError) {
+                report[collection].failed.push(String(record.id));
+                report[collection].errors.push(rowError.message);
+              }
+            }
+          }
+        }
+      }
+      
+      // Deletes afterwards, children before parents
+      for (const collection of [...collections].reverse()) {
+        const ids = [...tracker[collection].deletes];
+        
+        for (const batch of chunk(ids, SAVE_BATCH_SIZE)) {
+          try {
+            await runWithRetry(() => supabaseService.deleteMany(collection, batch));
+            batch.forEach(id => tracker[collection].deletes.delete(id));
+            report[collection].deleted += batch.length;
+          } catch (batchError) {
+            console.warn(`Batch delete failed for ${collection}, retrying row by row:`, batchError);
+            
+            for (const id of batch) {
+              try {
+                await runWithRetry(() => supabaseService.delete(collection, id));
+                tracker[collection].deletes.delete(id);
+                report[collection].deleted += 1;
+              } catch (rowError) {
+                report[collection].failed.push(id);
+                report[collection].errors.push(rowError.message);
+              }
+            }
+          }
+        }
+      }
+      
+      const failedCollections = collections.filter(collection => report[collection].failed.length > 0);
+      const savedCount = collections.reduce(
+        (sum, collection) => sum + report[collection].saved + report[collection].deleted,
+        0
+      );
+      
+      const result = {
+        success: failedCollections.length === 0,
+        message: failedCollections.length === 0 ?
+          `Saved ${savedCount} ${savedCount === 1 ? 'change' : 'changes'} to the database` :
+          `Could not save: ${failedCollections
+            .map(collection => `${collection} (${report[collection].failed.length} failed)`)
+            .join(', ')}`,
+        collections: report
+      };
+      
+      setUnsavedChanges(Object.keys(getPendingChanges()).length > 0);
+      setLastSaveResult(result);
+      return result;
     } catch (err) {
       console.error('Error saving data:', err);
       setError('Failed to save data: ' + (err.message || 'Unknown error'));
-      return false;
+      return {
+        success: false,
+        message: err.message || 'Unknown error',
+        collections: {}
+      };
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [data, getPendingChanges]);
   
   // Add audit entry helper function
   const createAuditEntry = useCallback((entityType, entityId, action, changes, description) => {
@@ -229,9 +924,330 @@ export const DataProvider = ({ children }) => {
       description
     };
   }, [currentUser]);
+
+  // Audit entry for an accounting period status change
+  const createPeriodAuditEntry = useCallback((id, before, after) => {
+    const label = periodLock.getPeriodLabel(after.period || before?.period);
+    const previousStatus = before?.status || 'open';
+    
+    return createAuditEntry(
+      'AccountingPeriods',
+      id,
+      periodLock.getAuditAction(previousStatus, after.status),
+      JSON.stringify({ before: previousStatus, after: after.status, notes: after.notes || '' }),
+      `Accounting period ${label} changed from ${previousStatus} to ${after.status}`
+    );
+  }, [createAuditEntry]);
   
+  // Check a write against the accounting periods of the records it touches (pass the
+  // record before and after the change). Returns { allowed, override, status, period, message }.
+  const checkPeriod = useCallback((collection, ...records) => {
+    const fields = PERIOD_DATE_FIELDS[collection];
+    if (!fields) {
+      return { allowed: true, override: false, status: 'open', period: null, message: '' };
+    }
+    
+    const dates = getPeriodDates(fields, records.filter(Boolean));
+    return periodLock.checkChange(dataRef.current.AccountingPeriods || [], dates, hasPermission('approve'));
+  }, [hasPermission]);
+  
+  // Refuse writes into locked periods; changes in soft-closed periods by approvers are audited as overrides
+  const enforcePeriod = useCallback(async (collection, id, ...records) => {
+    const check = checkPeriod(collection, ...records);
+    if (!check.allowed) {
+      throw new PeriodLockedError(check);
+    }
+    
+    if (check.override) {
+      const auditEntry = createAuditEntry(
+        collection,
+        id,
+        'PERIOD_OVERRIDE',
+        JSON.stringify({ period: check.period, status: check.status }),
+        `Changed ${collection.slice(0, -1)} ${id} in soft-closed period ${periodLock.getPeriodLabel(check.period)}`
+      );
+      
+      setData(prevData => ({
+        ...prevData,
+        AuditLog: [...(prevData.AuditLog || []), auditEntry]
+      }));
+      
+      if (isOnlineRef.current) {
+        try {
+          await supabaseService.insert('AuditLog', auditEntry);
+        } catch (auditError) {
+          console.error('Error recording period override:', auditError);
+          // Not on the server yet: the next save pushes it
+          trackChange('AuditLog', auditEntry.id);
+        }
+      } else {
+        trackChange('AuditLog', auditEntry.id);
+      }
+    }
+    
+    return check;
+  }, [checkPeriod, createAuditEntry, trackChange]);
+
+  // Record where a new journal came from on its source: the journal it reverses, or
+  // the template it was built from (and the journal that template was saved from)
+  const recordJournalLinks = useCallback(async (journal) => {
+    const entries = [];
+    
+    if (journal.reversalOf) {
+      const source = (dataRef.current.JournalEntries || []).find(j => String(j.id) === String(journal.reversalOf));
+      entries.push(createAuditEntry(
+        'JournalEntries',
+        journal.reversalOf,
+        'REVERSE',
+        JSON.stringify({ reversalJournalId: journal.id, reversalReference: journal.reference }),
+        `Journal entry ${source ? source.reference : journal.reversalOf} reversed by ${journal.reference || journal.id}`
+      ));
+    }
+    
+    if (journal.templateId) {
+      const template = (dataRef.current.JournalTemplates || []).find(t => String(t.id) === String(journal.templateId));
+      entries.push(createAuditEntry(
+        'JournalTemplates',
+        journal.templateId,
+        'TEMPLATE_USE',
+        JSON.stringify({ journalId: journal.id, sourceJournalId: template?.sourceJournalId || null }),
+        `Template "${template ? template.name : journal.templateId}" used for journal entry ${journal.reference || journal.id}`
+      ));
+    }
+    
+    // Entries created in the same millisecond would share an ID
+    entries.forEach((entry, index) => {
+      entry.id = `${entry.id}-${entry.action}${index}`;
+    });
+    
+    if (entries.length === 0) return;
+    
+    setData(prevData => ({
+      ...prevData,
+      AuditLog: [...(prevData.AuditLog || []), ...entries]
+    }));
+    
+    for (const entry of entries) {
+      if (isOnlineRef.current) {
+        try {
+          await supabaseService.insert('AuditLog', entry);
+        } catch (auditError) {
+          console.error('Error recording journal link:', auditError);
+          // Not on the server yet: the next save pushes it
+          trackChange('AuditLog', entry.id);
+        }
+      } else {
+        trackChange('AuditLog', entry.id);
+      }
+    }
+  }, [createAuditEntry, trackChange]);
+
+  // Three-way match fields for an invoice matched to a purchase order. Returns the
+  // fields to write: a fresh match when the invoice changed, cleared fields when it
+  // is no longer matched to an order, otherwise nothing. currentOrder stands in for
+  // the stored order when it has just been written.
+  const getInvoiceMatch = useCallback((existing, merged, currentOrder = null) => {
+    if (invoiceMatcher.needsMatching(existing, merged)) {
+      const orders = dataRef.current.PurchaseOrders || [];
+      const order = currentOrder || orders.find(o => String(o.id) === String(merged.purchaseOrderId));
+      return {
+        ...invoiceMatcher.match(
+          merged,
+          order,
+          dataRef.current.Expenses || [],
+          invoiceMatcher.getTolerance(dataRef.current.MatchSettings || [])
+        ),
+        matchResolvedBy: null,
+        matchResolvedAt: null,
+        matchResolution: null
+      };
+    }
+    
+    if (!merged.purchaseOrderId && existing?.matchStatus) {
+      return Object.fromEntries(MATCH_FIELDS.map(field => [field, null]));
+    }
+    
+    return {};
+  }, []);
+  
+  // Approval fields on an expense update: they only change through approveExpense/rejectExpense,
+  // restart when the amount, payment center or allocation changes, and must be cleared before the
+  // expense moves past Committed
+  const prepareExpenseUpdate = useCallback((existingEntity, updates, options = {}) => {
+    // Amounts are kept in the base currency, so convert before anything reads them
+    const prepared = withBaseAmount(existingEntity, { ...updates }, dataRef.current.ExchangeRates || []);
+    
+    if (!options.approval) {
+      delete prepared.approvalStatus;
+      delete prepared.approvalSteps;
+      delete prepared.rejectionReason;
+      
+      if (approvalWorkflow.needsReapproval(existingEntity, { ...existingEntity, ...prepared }) &&
+          ('amount' in prepared || 'paymentCenter' in prepared || 'allocations' in prepared)) {
+        Object.assign(prepared, approvalWorkflow.initialize(
+          { ...existingEntity, ...prepared },
+          dataRef.current.ApprovalRules || []
+        ));
+      }
+    }
+    
+    if (!options.matching) {
+      MATCH_FIELDS.forEach(field => delete prepared[field]);
+      Object.assign(prepared, getInvoiceMatch(existingEntity, { ...existingEntity, ...prepared }));
+    }
+    
+    // Tax components follow the gross amount and tax code; a new amount alone
+    // keeps the expense's existing share of GST
+    if (TAX_INPUTS.some(field => field in prepared)) {
+      Object.assign(prepared, gstHelper.recalculate(existingEntity, prepared));
+    }
+    
+    const merged = { ...existingEntity, ...prepared };
+    if (prepared.status && prepared.status !== existingEntity.status &&
+        prepared.status !== 'Committed' && !approvalWorkflow.isCleared(merged)) {
+      throw new ApprovalRequiredError(
+        `Expense "${merged.description || merged.id}" needs approval before it can be marked ${prepared.status}.`
+      );
+    }
+    assertPayable(existingEntity, merged);
+    
+    return prepared;
+  }, [getInvoiceMatch]);
+
+  // Segregation-of-duties check for the current user against the configured rules
+  const checkSegregation = useCallback((action, record) => (
+    checkUserSegregation(action, record, dataRef.current.SegregationRules || [])
+  ), [checkUserSegregation]);
+
+  // Refuse approvals and payments that break a segregation rule, unless an admin
+  // overrides it with a reason; overrides are audited
+  const enforceSegregation = useCallback(async (action, collection, id, record, override = null) => {
+    const check = checkSegregation(action, record);
+    if (check.allowed) return check;
+    
+    const reason = override?.reason?.trim();
+    if (!check.canOverride || !reason) {
+      throw new SegregationError(check.violations);
+    }
+    
+    const auditEntry = createAuditEntry(
+      collection,
+      id,
+      'SOD_OVERRIDE',
+      JSON.stringify({ action, rules: check.violations.map(v => v.ruleId), reason }),
+      `Overrode segregation of duties to ${action.replace('-', ' ')} ${collection.slice(0, -1)} ${id}: ${reason}`
+    );
+    
+    setData(prevData => ({
+      ...prevData,
+      AuditLog: [...(prevData.AuditLog || []), auditEntry]
+    }));
+    
+    if (isOnlineRef.current) {
+      try {
+        await supabaseService.insert('AuditLog', auditEntry);
+      } catch (auditError) {
+        console.error('Error recording segregation override:', auditError);
+        // Not on the server yet: the next save pushes it
+        trackChange('AuditLog', auditEntry.id);
+      }
+    } else {
+      trackChange('AuditLog', auditEntry.id);
+    }
+    
+    return check;
+  }, [checkSegregation, createAuditEntry, trackChange]);
+
+  // Apply a write to local state and queue it, with its audit entry, for replay once back online.
+  // action is 'insert', 'update' or 'delete'; resolves like addEntity/updateEntity/deleteEntity.
+  const writeOffline = useCallback(async (collection, action, id, payload = null, expectedVersion = null) => {
+    const existingEntity = (dataRef.current[collection] || []).find(item => String(item.id) === String(id));
+    const label = collection.slice(0, -1);
+    let record = payload ? { ...payload, id } : null;
+    let auditEntry;
+
+    if (action === 'insert') {
+      if (collection === 'Expenses') {
+        record.createdBy = currentUser?.username || 'system';
+        record.createdAt = new Date().toISOString();
+      }
+      auditEntry = createAuditEntry(collection, id, 'CREATE', '', `Created new ${label} (offline)`);
+    } else if (action === 'update') {
+      auditEntry = createAuditEntry(
+        collection,
+        id,
+        'UPDATE',
+        JSON.stringify({ before: existingEntity, after: payload }),
+        `Updated ${label} ${id} (offline)`
+      );
+    } else {
+      auditEntry = createAuditEntry(
+        collection,
+        id,
+        'DELETE',
+        JSON.stringify(existingEntity),
+        `Deleted ${label} ${id} (offline)`
+      );
+    }
+
+    // Users keep permissions as arrays locally
+    if (record && collection === 'Users' && typeof record.permissions === 'string') {
+      record.permissions = record.permissions.split(',').map(perm => perm.trim()).filter(Boolean);
+    }
+
+    // Journals keep their total and line rows in step with the nested lines
+    let journalLines = null;
+    if (collection === 'JournalEntries' && record && record.lines) {
+      record.totalAmount = record.lines
+        .filter(line => line.type === 'debit')
+        .reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
+      journalLines = record.lines.map((line, index) => ({
+        id: `${id}-L${index + 1}`,
+        journalId: id,
+        lineNumber: index + 1,
+        type: line.type,
+        account: line.account,
+        program: line.program || '',
+        paymentCenter: line.paymentCenter,
+        amount: line.amount
+      }));
+    }
+
+    await offlineStore.enqueue({ collection, action, recordId: id, payload: record, expectedVersion, auditEntry });
+    markLocalWrite(collection, id);
+
+    setData(prevData => {
+      const nextData = {
+        ...prevData,
+        AuditLog: [...(prevData.AuditLog || []), auditEntry]
+      };
+
+      if (action === 'delete') {
+        nextData[collection] = realtimeMerger.applyChange(prevData[collection], { eventType: 'DELETE', old: { id } });
+        if (collection === 'JournalEntries') {
+          nextData.JournalLines = (prevData.JournalLines || []).filter(line => String(line.journalId) !== String(id));
+        }
+      } else {
+        nextData[collection] = realtimeMerger.applyChange(prevData[collection], { eventType: 'UPDATE', new: record });
+        if (journalLines) {
+          nextData.JournalLines = replaceJournalLines(prevData.JournalLines, id, journalLines);
+        }
+      }
+
+      return nextData;
+    });
+
+    await refreshQueuedCount();
+    console.log(`Queued offline ${action} for ${collection} ${id}`);
+
+    return action === 'insert' ? record : true;
+  }, [currentUser, createAuditEntry, markLocalWrite, refreshQueuedCount]);
+
   // Add a new entity to a specific collection
   const addEntity = useCallback(async (collection, entity) => {
+    // Kept outside the try so a network failure can still queue the record
+    let pendingEntity = null;
+    
     try {
       // Ensure the collection exists
       if (!data[collection]) {
@@ -251,6 +1267,33 @@ export const DataProvider = ({ children }) => {
         return existingEntity;
       }
       
+      // New expenses get one approval step per matching rule, and invoices against
+      // a purchase order are matched straight away
+      if (collection === 'Expenses') {
+        Object.assign(newEntity, withBaseAmount({}, newEntity, dataRef.current.ExchangeRates || []));
+        Object.assign(newEntity, approvalWorkflow.initialize(newEntity, dataRef.current.ApprovalRules || []));
+        MATCH_FIELDS.forEach(field => delete newEntity[field]);
+        if (newEntity.purchaseOrderId) {
+          await fetchRows('Expenses', 'purchaseOrderId', newEntity.purchaseOrderId);
+        }
+        Object.assign(newEntity, getInvoiceMatch(null, newEntity));
+        Object.assign(newEntity, gstHelper.calculate(newEntity));
+        assertPayable(null, newEntity);
+      }
+      
+      // Back-dated entries must land in a period that is still open
+      await enforcePeriod(collection, newEntity.id, newEntity);
+      
+      // Offline: apply locally and queue for replay
+      pendingEntity = newEntity;
+      if (!isOnlineRef.current) {
+        const queued = await writeOffline(collection, 'insert', newEntity.id, newEntity);
+        if (collection === 'JournalEntries') {
+          await recordJournalLinks(newEntity);
+        }
+        return queued;
+      }
+      
       // Special handling for Expenses table
       if (collection === 'Expenses') {
         // Add created by and timestamp
@@ -285,12 +1328,16 @@ export const DataProvider = ({ children }) => {
           // Update state
           setData(prevData => ({
             ...prevData,
-            [collection]: [...prevData[collection], addedExpense]
+            // Merge rather than append in case the Realtime insert arrived first
+            [collection]: realtimeMerger.applyChange(prevData[collection], { eventType: 'INSERT', new: addedExpense })
           }));
           
-          setUnsavedChanges(true);
+          markLocalWrite(collection, addedExpense.id);
           return addedExpense;
         } catch (error) {
+          // Connection dropped: handled below by queueing the expense
+          if (isNetworkError(error)) throw error;
+          
           console.error('Error adding expense:', error);
           // Enhanced error handling for expenses
           let errorMessage = `Failed to add expense: ${error.message}`;
@@ -318,39 +1365,30 @@ export const DataProvider = ({ children }) => {
           .filter(line => line.type === 'debit')
           .reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
         
-        // Add to Supabase
+        // Header and lines are written together; the server rejects unbalanced entries
         try {
-          const addedJournal = await supabaseService.insert(collection, journalEntry);
+          const { journal: addedJournal, lines: savedLines } = await supabaseService.saveJournal(
+            journalEntry,
+            entity.lines,
+            { isNew: true }
+          );
+          const journalLines = toNestedLines(savedLines);
           
-          // Add lines to JournalLines collection
-          for (const [index, line] of entity.lines.entries()) {
-            const journalLine = {
-              id: `${newEntity.id}-L${index + 1}`,
-              journalId: newEntity.id,
-              lineNumber: index + 1,
-              type: line.type,
-              program: line.program || '',
-              paymentCenter: line.paymentCenter,
-              amount: line.amount,
-              createdAt: new Date().toISOString()
-            };
-            
-            await supabaseService.insert('JournalLines', journalLine);
-            
-            // Add to local data
-            if (!data.JournalLines) {
-              data.JournalLines = [];
-            }
-            data.JournalLines.push(journalLine);
-          }
+          savedLines.forEach(line => markLocalWrite('JournalLines', line.id));
           
           // Create audit entry for journal creation
           const auditEntry = createAuditEntry(
             'JournalEntries',
             newEntity.id,
             'CREATE',
-            JSON.stringify({ lines: entity.lines.length, totalAmount: journalEntry.totalAmount }),
-            `Created journal entry ${newEntity.reference || newEntity.id}`
+            JSON.stringify({
+              lines: entity.lines.length,
+              totalAmount: journalEntry.totalAmount,
+              reversalOf: newEntity.reversalOf,
+              templateId: newEntity.templateId
+            }),
+            `Created journal entry ${newEntity.reference || newEntity.id}` +
+              journalHelper.describeSource(newEntity, dataRef.current.JournalEntries, dataRef.current.JournalTemplates)
           );
           
           // Add audit entry
@@ -365,15 +1403,18 @@ export const DataProvider = ({ children }) => {
           // Update state
           setData(prevData => ({
             ...prevData,
-            JournalEntries: [...prevData.JournalEntries, {
-              ...addedJournal,
-              lines: entity.lines
-            }]
+            JournalLines: replaceJournalLines(prevData.JournalLines, newEntity.id, savedLines),
+            JournalEntries: realtimeMerger.applyChange(prevData.JournalEntries, {
+              eventType: 'INSERT',
+              new: { ...addedJournal, lines: journalLines }
+            })
           }));
           
+          markLocalWrite(collection, newEntity.id);
+          await recordJournalLinks(newEntity);
           return {
             ...addedJournal,
-            lines: entity.lines
+            lines: journalLines
           };
         } catch (error) {
           console.error('Error adding journal with lines:', error);
@@ -391,13 +1432,31 @@ export const DataProvider = ({ children }) => {
         const addedEntity = await supabaseService.insert(collection, newEntity);
         
         // Create audit entry
-        const auditEntry = createAuditEntry(
-          collection,
-          addedEntity.id,
-          'CREATE',
-          '',
-          `Created new ${collection.slice(0, -1)}`
-        );
+        let auditEntry;
+        if (collection === 'AccountingPeriods') {
+          auditEntry = createPeriodAuditEntry(addedEntity.id, null, addedEntity);
+        } else if (collection === 'JournalTemplates') {
+          // Templates saved from a journal keep a link back to it
+          const source = addedEntity.sourceJournalId ?
+            (dataRef.current.JournalEntries || []).find(j => String(j.id) === String(addedEntity.sourceJournalId)) :
+            null;
+          auditEntry = createAuditEntry(
+            collection,
+            addedEntity.id,
+            'CREATE',
+            JSON.stringify({ sourceJournalId: addedEntity.sourceJournalId || null }),
+            `Created journal template "${addedEntity.name}"` +
+              (addedEntity.sourceJournalId ? ` from journal entry ${source ? source.reference : addedEntity.sourceJournalId}` : '')
+          );
+        } else {
+          auditEntry = createAuditEntry(
+            collection,
+            addedEntity.id,
+            'CREATE',
+            '',
+            `Created new ${collection.slice(0, -1)}`
+          );
+        }
         
         // Add audit entry
         await supabaseService.insert('AuditLog', auditEntry);
@@ -417,13 +1476,28 @@ export const DataProvider = ({ children }) => {
         // Update state
         setData(prevData => ({
           ...prevData,
-          [collection]: [...prevData[collection], stateEntity]
+          [collection]: realtimeMerger.applyChange(prevData[collection], { eventType: 'INSERT', new: stateEntity })
         }));
         
-        setUnsavedChanges(true);
+        markLocalWrite(collection, stateEntity.id);
         return stateEntity;
       }
     } catch (err) {
+      if (isBlockedWrite(err)) {
+        setBlockedWriteError(err.message);
+        return null;
+      }
+      
+      // Connection dropped mid-save: keep the record and queue it
+      if (pendingEntity && isNetworkError(err)) {
+        goOffline();
+        try {
+          return await writeOffline(collection, 'insert', pendingEntity.id, pendingEntity);
+        } catch (queueError) {
+          console.error('Error queueing offline insert:', queueError);
+        }
+      }
+      
       console.error('Error adding entity:', err);
       
       // Improved error handling
@@ -443,10 +1517,59 @@ export const DataProvider = ({ children }) => {
       
       return null;
     }
-  }, [data, createAuditEntry, currentUser]);
+  }, [data, createAuditEntry, createPeriodAuditEntry, currentUser, markLocalWrite, writeOffline, goOffline, enforcePeriod, recordJournalLinks, getInvoiceMatch, fetchRows]);
+  
+  // Record a failed version check so the UI can show the server copy next to the user's changes
+  const handleVersionConflict = useCallback(async (collection, id, conflictError, updates) => {
+    let server = conflictError.current;
+    
+    // Journals carry their lines in a separate table
+    if (server && collection === 'JournalEntries' && !server.lines) {
+      try {
+        const lines = await supabaseService.query('JournalLines', 'journalId', id);
+        server = realtimeMerger.restitchJournalLines([server], lines, id)[0];
+      } catch (linesError) {
+        console.warn('Could not load lines for conflicting journal:', linesError);
+      }
+    }
+    
+    // Bring the local copy up to date with the server
+    setData(prevData => {
+      if (!prevData[collection]) return prevData;
+      return {
+        ...prevData,
+        [collection]: server ?
+          realtimeMerger.applyChange(prevData[collection], { eventType: 'UPDATE', new: server }) :
+          realtimeMerger.applyChange(prevData[collection], { eventType: 'DELETE', old: { id } })
+      };
+    });
+    
+    const key = `${collection}:${id}`;
+    setConflicts(prev => ({
+      ...prev,
+      [key]: {
+        collection,
+        id,
+        eventType: server ? 'VERSION' : 'DELETE',
+        server,
+        local: updates,
+        expectedVersion: conflictError.expectedVersion,
+        receivedAt: new Date().toISOString()
+      }
+    }));
+    
+    // Dialogs show the conflict themselves; anywhere else fall back to the error banner
+    if (!editingRef.current[key]) {
+      setError(`Could not update ${collection.slice(0, -1)} ${id}: it was changed by another user. Reload and try again.`);
+    }
+  }, []);
   
   // Update an entity in a specific collection
-  const updateEntity = useCallback(async (collection, id, updates) => {
+  const updateEntity = useCallback(async (collection, id, changes, options = {}) => {
+    // Kept outside the try so a network failure can still queue the change
+    let queueableVersion;
+    let updates = changes;
+    
     try {
       // Ensure the collection exists
       if (!data[collection]) {
@@ -454,16 +1577,50 @@ export const DataProvider = ({ children }) => {
       }
       
       // Get existing entity for comparison
-      const existingEntity = data[collection].find(item => String(item.id) === String(id));
+      const existingEntity = await fetchEntity(collection, id);
       if (!existingEntity) {
         throw new Error(`Entity with ID "${id}" not found in ${collection}`);
       }
       
+      if (collection === 'Expenses') {
+        // Matching counts the order's other invoices
+        const orderId = 'purchaseOrderId' in changes ? changes.purchaseOrderId : existingEntity.purchaseOrderId;
+        if (orderId) {
+          await fetchRows('Expenses', 'purchaseOrderId', orderId);
+        }
+        updates = prepareExpenseUpdate(existingEntity, changes, options);
+      }
+      
+      // Approving a journal or paying an expense is checked against the segregation rules
+      const dutyAction = dutySegregation.getAction(collection, existingEntity, updates);
+      if (dutyAction) {
+        await enforceSegregation(dutyAction, collection, id, {
+          ...existingEntity,
+          ...updates,
+          createdBy: existingEntity.createdBy
+        }, options.override);
+      }
+      
+      // The dates the change touches, before and after, must be in periods that accept changes
+      await enforcePeriod(collection, id, existingEntity, { ...existingEntity, ...updates });
+      
+      // Our own write will echo back through Realtime
+      markLocalWrite(collection, id);
+      
+      // Version the user started editing from, for the optimistic concurrency check
+      const expectedVersion = updates.version ?? existingEntity.version;
+      queueableVersion = expectedVersion ?? null;
+      
+      // Offline: apply locally and queue for replay
+      if (!isOnlineRef.current) {
+        return await writeOffline(collection, 'update', id, updates, queueableVersion);
+      }
+      
       // Special handling for Expenses table
       if (collection === 'Expenses') {
         try {
           // Update in Supabase with field mapping handled in service
-          const updatedExpense = await supabaseService.update(collection, id, updates);
+          const updatedExpense = await supabaseService.update(collection, id, updates, { expectedVersion });
           
           // Create audit entry
           const auditEntry = createAuditEntry(
@@ -500,9 +1657,16 @@ export const DataProvider = ({ children }) => {
             )
           }));
           
-          setUnsavedChanges(true);
           return true;
         } catch (error) {
+          if (error instanceof VersionConflictError) {
+            await handleVersionConflict(collection, id, error, updates);
+            return false;
+          }
+          
+          // Connection dropped: handled below by queueing the change
+          if (isNetworkError(error)) throw error;
+          
           console.error('Error updating expense:', error);
           
           // Enhanced error handling for expenses
@@ -530,41 +1694,19 @@ export const DataProvider = ({ children }) => {
           .filter(line => line.type === 'debit')
           .reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
         
-        // Update in Supabase
-        await supabaseService.update(collection, id, journalUpdates);
+        // Header and lines are replaced together; a stale version or unbalanced lines change nothing
+        const { journal: updatedJournal, lines: savedLines } = await supabaseService.saveJournal(
+          { ...journalUpdates, id },
+          updates.lines,
+          { expectedVersion }
+        );
         
-        // Delete existing lines
-        if (data.JournalLines) {
-          const existingLines = data.JournalLines.filter(line => line.journalId === id);
-          for (const line of existingLines) {
-            await supabaseService.delete('JournalLines', line.id);
-          }
-          
-          // Update local data
-          data.JournalLines = data.JournalLines.filter(line => line.journalId !== id);
-        }
-        
-        // Add updated lines
-        for (const [index, line] of updates.lines.entries()) {
-          const journalLine = {
-            id: `${id}-L${index + 1}`,
-            journalId: id,
-            lineNumber: index + 1,
-            type: line.type,
-            program: line.program || '',
-            paymentCenter: line.paymentCenter,
-            amount: line.amount,
-            createdAt: new Date().toISOString()
-          };
-          
-          await supabaseService.insert('JournalLines', journalLine);
-          
-          // Add to local data
-          if (!data.JournalLines) {
-            data.JournalLines = [];
-          }
-          data.JournalLines.push(journalLine);
-        }
+        // Lines the save dropped (e.g. the journal now has fewer lines)
+        (data.JournalLines || [])
+          .filter(line => String(line.journalId) === String(id))
+          .filter(line => !savedLines.some(saved => saved.id === line.id))
+          .forEach(line => markLocalWrite('JournalLines', line.id));
+        savedLines.forEach(line => markLocalWrite('JournalLines', line.id));
         
         // Create audit entry for journal update
         const auditEntry = createAuditEntry(
@@ -597,11 +1739,13 @@ export const DataProvider = ({ children }) => {
         // Update state
         setData(prevData => ({
           ...prevData,
+          JournalLines: replaceJournalLines(prevData.JournalLines, id, savedLines),
           JournalEntries: prevData.JournalEntries.map(journal => 
             String(journal.id) === String(id) ? { 
               ...journal, 
               ...journalUpdates,
-              lines: updates.lines
+              ...updatedJournal,
+              lines: toNestedLines(savedLines)
             } : journal
           )
         }));
@@ -616,19 +1760,21 @@ export const DataProvider = ({ children }) => {
         }
         
         // Update in Supabase
-        await supabaseService.update(collection, id, supabaseUpdates);
+        const updatedRow = await supabaseService.update(collection, id, supabaseUpdates, { expectedVersion });
         
         // Create audit entry
-        const auditEntry = createAuditEntry(
-          collection,
-          id,
-          'UPDATE',
-          JSON.stringify({
-            before: existingEntity,
-            after: updates
-          }),
-          `Updated ${collection.slice(0, -1)} ${id}`
-        );
+        const auditEntry = collection === 'AccountingPeriods' ?
+          createPeriodAuditEntry(id, existingEntity, { ...existingEntity, ...updates }) :
+          createAuditEntry(
+            collection,
+            id,
+            'UPDATE',
+            JSON.stringify({
+              before: existingEntity,
+              after: updates
+            }),
+            `Updated ${collection.slice(0, -1)} ${id}`
+          );
         
         // Add audit entry
         await supabaseService.insert('AuditLog', auditEntry);
@@ -645,6 +1791,11 @@ export const DataProvider = ({ children }) => {
           stateUpdates.permissions = parseCSVPermissions(updates.permissions);
         }
         
+        // Take the new version from the server
+        if (updatedRow && updatedRow.version !== undefined) {
+          stateUpdates.version = updatedRow.version;
+        }
+        
         setData(prevData => ({
           ...prevData,
           [collection]: prevData[collection].map(item => 
@@ -653,32 +1804,209 @@ export const DataProvider = ({ children }) => {
         }));
       }
       
-      setUnsavedChanges(true);
-      return true;
-    } catch (err) {
-      console.error('Error updating entity:', err);
+      return true;
+    } catch (err) {
+      if (isBlockedWrite(err)) {
+        setBlockedWriteError(err.message);
+        return false;
+      }
+      
+      if (err instanceof VersionConflictError) {
+        await handleVersionConflict(collection, id, err, updates);
+        return false;
+      }
+      
+      // Connection dropped mid-save: keep the change and queue it
+      if (queueableVersion !== undefined && isNetworkError(err)) {
+        goOffline();
+        try {
+          return await writeOffline(collection, 'update', id, updates, queueableVersion);
+        } catch (queueError) {
+          console.error('Error queueing offline update:', queueError);
+        }
+      }
+      
+      console.error('Error updating entity:', err);
+      
+      // Improved error handling
+      if (err.code) {
+        console.error(`Database error code: ${err.code}`);
+      }
+      
+      if (err.message.includes('not found') || err.message.includes('does not exist')) {
+        setError(`Table "${collection}" does not exist or is not accessible`);
+      } else if (err.message.includes('violates foreign key constraint')) {
+        setError(`One of the reference IDs is invalid or missing`);
+      } else if (err.message.includes('violates not-null constraint')) {
+        setError(`Missing required field in ${collection}`);
+      } else {
+        setError(`Failed to update entity in ${collection}: ${err.message}`);
+      }
+      
+      return false;
+    }
+  }, [data, createAuditEntry, createPeriodAuditEntry, markLocalWrite, handleVersionConflict, writeOffline, goOffline, enforcePeriod, prepareExpenseUpdate, enforceSegregation, fetchEntity, fetchRows]);
+  
+  // Record an attachment being added to or removed from an entity
+  const recordAttachmentAudit = useCallback(async (attachment, action, description) => {
+    const auditEntry = createAuditEntry(
+      attachment.entityType,
+      attachment.entityId,
+      action,
+      JSON.stringify({
+        attachmentId: attachment.id,
+        fileName: attachment.fileName,
+        size: attachment.size,
+        hash: attachment.hash
+      }),
+      description
+    );
+    
+    setData(prevData => ({
+      ...prevData,
+      AuditLog: [...(prevData.AuditLog || []), auditEntry]
+    }));
+    
+    try {
+      await supabaseService.insert('AuditLog', auditEntry);
+    } catch (auditError) {
+      console.error('Error recording attachment audit entry:', auditError);
+    }
+  }, [createAuditEntry]);
+  
+  // Upload a PDF or image and attach it to an expense, journal or supplier.
+  // Files go to storage first; the metadata row is written only once the upload succeeds.
+  const uploadAttachment = useCallback(async (entityType, entityId, file, category = 'Other') => {
+    if (!isOnlineRef.current) {
+      setBlockedWriteError('Attachments can only be uploaded while online.');
+      return null;
+    }
+    
+    const invalid = attachmentHelper.validate(file);
+    if (invalid) {
+      setBlockedWriteError(invalid);
+      return null;
+    }
+    
+    let storagePath = null;
+    try {
+      const hash = await attachmentHelper.hash(file);
+      const existing = attachmentHelper.getForEntity(dataRef.current.Attachments || [], entityType, entityId);
+      const duplicate = existing.find(attachment => attachment.hash === hash);
+      if (duplicate) {
+        setBlockedWriteError(`${file.name} is already attached as ${duplicate.fileName}.`);
+        return null;
+      }
+      
+      const id = uuidv4();
+      storagePath = attachmentHelper.buildPath(entityType, entityId, id, file.name);
+      await supabaseService.uploadFile(ATTACHMENT_BUCKET, storagePath, file, file.type);
+      
+      markLocalWrite('Attachments', id);
+      const attachment = await supabaseService.insert('Attachments', {
+        id,
+        entityType,
+        entityId: String(entityId),
+        category,
+        fileName: file.name,
+        contentType: file.type,
+        size: file.size,
+        hash,
+        storagePath,
+        uploadedBy: currentUser?.username || 'system',
+        uploadedAt: new Date().toISOString()
+      });
+      storagePath = null;
+      
+      setData(prevData => {
+        const attachments = [...(prevData.Attachments || []), attachment];
+        return {
+          ...prevData,
+          Attachments: attachments,
+          ...(entityType === 'Expenses' ? { Expenses: withInvoiceFlag(prevData.Expenses, attachments, entityId) } : {})
+        };
+      });
       
-      // Improved error handling
-      if (err.code) {
-        console.error(`Database error code: ${err.code}`);
-      }
+      await recordAttachmentAudit(
+        attachment,
+        'ATTACH',
+        `Attached ${category.toLowerCase()} ${file.name} to ${entityType.slice(0, -1)} ${entityId}`
+      );
+      return attachment;
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
       
-      if (err.message.includes('not found') || err.message.includes('does not exist')) {
-        setError(`Table "${collection}" does not exist or is not accessible`);
-      } else if (err.message.includes('violates foreign key constraint')) {
-        setError(`One of the reference IDs is invalid or missing`);
-      } else if (err.message.includes('violates not-null constraint')) {
-        setError(`Missing required field in ${collection}`);
-      } else {
-        setError(`Failed to update entity in ${collection}: ${err.message}`);
+      // Don't leave a file behind without its metadata row
+      if (storagePath) {
+        try {
+          await supabaseService.removeFiles(ATTACHMENT_BUCKET, [storagePath]);
+        } catch (cleanupError) {
+          console.error('Error removing uploaded file:', cleanupError);
+        }
       }
       
+      setBlockedWriteError(`Could not upload ${file.name}: ${err.message}`);
+      return null;
+    }
+  }, [currentUser, markLocalWrite, recordAttachmentAudit]);
+  
+  // Remove attachments: the files first, then their metadata rows
+  const removeAttachments = useCallback(async (attachments) => {
+    if (attachments.length === 0) return;
+    
+    await supabaseService.removeFiles(ATTACHMENT_BUCKET, attachments.map(attachment => attachment.storagePath));
+    attachments.forEach(attachment => markLocalWrite('Attachments', attachment.id));
+    await supabaseService.deleteMany('Attachments', attachments.map(attachment => attachment.id));
+    
+    const removedIds = attachments.map(attachment => attachment.id);
+    setData(prevData => {
+      const remaining = (prevData.Attachments || []).filter(attachment => !removedIds.includes(attachment.id));
+      const expenseIds = [...new Set(
+        attachments.filter(attachment => attachment.entityType === 'Expenses').map(attachment => attachment.entityId)
+      )];
+      const expenses = expenseIds.reduce(
+        (list, expenseId) => withInvoiceFlag(list, remaining, expenseId),
+        prevData.Expenses
+      );
+      return { ...prevData, Attachments: remaining, Expenses: expenses };
+    });
+  }, [markLocalWrite]);
+  
+  // Delete a single attachment
+  const deleteAttachment = useCallback(async (id) => {
+    const attachment = (dataRef.current.Attachments || []).find(item => item.id === id);
+    if (!attachment) return false;
+    
+    if (!isOnlineRef.current) {
+      setBlockedWriteError('Attachments can only be deleted while online.');
+      return false;
+    }
+    
+    try {
+      await removeAttachments([attachment]);
+      await recordAttachmentAudit(
+        attachment,
+        'DETACH',
+        `Removed ${attachment.category.toLowerCase()} ${attachment.fileName} from ${attachment.entityType.slice(0, -1)} ${attachment.entityId}`
+      );
+      return true;
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setBlockedWriteError(`Could not delete ${attachment.fileName}: ${err.message}`);
       return false;
     }
-  }, [data, createAuditEntry]);
+  }, [removeAttachments, recordAttachmentAudit]);
+  
+  // Short-lived link for previewing or downloading an attachment
+  const getAttachmentUrl = useCallback(async (attachment) => (
+    supabaseService.createSignedUrl(ATTACHMENT_BUCKET, attachment.storagePath)
+  ), []);
   
   // Delete an entity from a specific collection
   const deleteEntity = useCallback(async (collection, id) => {
+    // Version of the record being deleted, kept for queueing if the network fails
+    let queueableVersion;
+    
     try {
       // Ensure the collection exists
       if (!data[collection]) {
@@ -686,27 +2014,48 @@ export const DataProvider = ({ children }) => {
       }
       
       // Get existing entity for audit
-      const existingEntity = data[collection].find(item => String(item.id) === String(id));
+      const existingEntity = await fetchEntity(collection, id);
       if (!existingEntity) {
         throw new Error(`Entity with ID "${id}" not found in ${collection}`);
       }
       
-      // Special handling for journal entries - also delete lines
-      if (collection === 'JournalEntries') {
-        // Delete journal lines
-        if (data.JournalLines) {
-          const journalLines = data.JournalLines.filter(line => line.journalId === id);
-          for (const line of journalLines) {
-            await supabaseService.delete('JournalLines', line.id);
-          }
-          
-          // Update local data
-          data.JournalLines = data.JournalLines.filter(line => line.journalId !== id);
-        }
+      await enforcePeriod(collection, id, existingEntity);
+      
+      // Files go with the entity; that needs storage, so it can't be queued offline
+      const attachments = ATTACHMENT_ENTITIES.includes(collection) ?
+        attachmentHelper.getForEntity(dataRef.current.Attachments || [], collection, id) :
+        [];
+      if (attachments.length > 0 && !isOnlineRef.current) {
+        setBlockedWriteError(`Reconnect to delete this ${collection.slice(0, -1)}: its attachments must be removed from storage first.`);
+        return false;
       }
       
-      // Delete from Supabase
-      await supabaseService.delete(collection, id);
+      markLocalWrite(collection, id);
+      queueableVersion = existingEntity.version ?? null;
+      
+      // Offline: apply locally and queue for replay
+      if (!isOnlineRef.current) {
+        return await writeOffline(collection, 'delete', id, null, queueableVersion);
+      }
+      
+      await removeAttachments(attachments);
+      
+      // Journals and their lines are deleted together
+      if (collection === 'JournalEntries') {
+        await supabaseService.deleteJournal(id);
+        
+        (data.JournalLines || [])
+          .filter(line => String(line.journalId) === String(id))
+          .forEach(line => markLocalWrite('JournalLines', line.id));
+        
+        setData(prevData => ({
+          ...prevData,
+          JournalLines: (prevData.JournalLines || []).filter(line => String(line.journalId) !== String(id))
+        }));
+      } else {
+        // Delete from Supabase
+        await supabaseService.delete(collection, id);
+      }
       
       // Create audit entry for deletion
       const auditEntry = createAuditEntry(
@@ -732,15 +2081,485 @@ export const DataProvider = ({ children }) => {
         [collection]: prevData[collection].filter(item => String(item.id) !== String(id))
       }));
       
-      setUnsavedChanges(true);
+      markLocalWrite(collection, id);
       return true;
     } catch (err) {
+      if (isBlockedWrite(err)) {
+        setBlockedWriteError(err.message);
+        return false;
+      }
+      
+      // Connection dropped: queue the delete
+      if (queueableVersion !== undefined && isNetworkError(err)) {
+        goOffline();
+        try {
+          return await writeOffline(collection, 'delete', id, null, queueableVersion);
+        } catch (queueError) {
+          console.error('Error queueing offline delete:', queueError);
+        }
+      }
+      
       console.error('Error deleting entity:', err);
       setError(`Failed to delete entity from ${collection}: ${err.message}`);
       return false;
     }
-  }, [data, createAuditEntry]);
+  }, [data, createAuditEntry, markLocalWrite, writeOffline, goOffline, enforcePeriod, removeAttachments, fetchEntity]);
+
+  // Open, soft-close or close an accounting period (yyyy-MM). Admins only; audited via add/updateEntity.
+  const setPeriodStatus = useCallback(async (periodKey, status, notes = '') => {
+    if (!isAdmin()) {
+      setBlockedWriteError('Only admins can change accounting periods.');
+      return false;
+    }
+    
+    const existingPeriod = (data.AccountingPeriods || []).find(period => period.period === periodKey);
+    const changes = {
+      status,
+      notes,
+      changedBy: currentUser?.username || 'system',
+      changedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    if (existingPeriod) {
+      return updateEntity('AccountingPeriods', existingPeriod.id, changes);
+    }
+    
+    const added = await addEntity('AccountingPeriods', {
+      id: `PERIOD-${periodKey}`,
+      period: periodKey,
+      ...periodLock.getPeriodRange(periodKey),
+      ...changes
+    });
+    return Boolean(added);
+  }, [data, currentUser, isAdmin, addEntity, updateEntity]);
+  
+  // Current user as an expense approver
+  const getApprover = useCallback(() => ({
+    username: currentUser?.username || 'system',
+    isAdmin: isAdmin(),
+    canApprove: hasPermission('approve')
+  }), [currentUser, isAdmin, hasPermission]);
+  
+  // Record an approval decision in the audit log
+  const recordApprovalDecision = useCallback(async (expense, action, step, reason = '') => {
+    const auditEntry = createAuditEntry(
+      'Expenses',
+      expense.id,
+      action,
+      JSON.stringify({ level: step.level, rule: step.ruleName, reason: reason || undefined }),
+      action === 'APPROVE_STEP' ?
+        `Approved step ${step.level} (${step.ruleName}) of expense ${expense.description || expense.id}` :
+        `Rejected expense ${expense.description || expense.id} at step ${step.level}: ${reason}`
+    );
+    
+    setData(prevData => ({
+      ...prevData,
+      AuditLog: [...(prevData.AuditLog || []), auditEntry]
+    }));
+    
+    if (isOnlineRef.current) {
+      try {
+        await supabaseService.insert('AuditLog', auditEntry);
+      } catch (auditError) {
+        console.error('Error recording approval decision:', auditError);
+        // Not on the server yet: the next save pushes it
+        trackChange('AuditLog', auditEntry.id);
+      }
+    } else {
+      trackChange('AuditLog', auditEntry.id);
+    }
+  }, [createAuditEntry, trackChange]);
+  
+  // Approve the current step of an expense as the signed-in user. An admin can pass
+  // { reason } to override a segregation-of-duties rule.
+  const approveExpense = useCallback(async (id, override = null) => {
+    const expense = await fetchEntity('Expenses', id);
+    if (!expense) return false;
+    
+    try {
+      await enforceSegregation('approve-expense', 'Expenses', id, expense, override);
+    } catch (err) {
+      if (!isBlockedWrite(err)) throw err;
+      setBlockedWriteError(err.message);
+      return false;
+    }
+    
+    const result = approvalWorkflow.approve(expense, getApprover());
+    if (result.error) {
+      setBlockedWriteError(result.error);
+      return false;
+    }
+    
+    const success = await updateEntity('Expenses', id, result.updates, { approval: true });
+    if (success) {
+      await recordApprovalDecision(expense, 'APPROVE_STEP', result.step);
+    }
+    return success;
+  }, [getApprover, enforceSegregation, updateEntity, recordApprovalDecision, fetchEntity]);
+  
+  // Reject an expense at its current step; a reason is required
+  const rejectExpense = useCallback(async (id, reason) => {
+    const expense = await fetchEntity('Expenses', id);
+    if (!expense) return false;
+    
+    const result = approvalWorkflow.reject(expense, getApprover(), reason);
+    if (result.error) {
+      setBlockedWriteError(result.error);
+      return false;
+    }
+    
+    const success = await updateEntity('Expenses', id, result.updates, { approval: true });
+    if (success) {
+      await recordApprovalDecision(expense, 'REJECT', result.step, reason.trim());
+    }
+    return success;
+  }, [getApprover, updateEntity, recordApprovalDecision, fetchEntity]);
+  
+  // Accept an invoice that failed three-way matching so it can be paid; needs approve
+  // permission and a resolution note, and is recorded in the audit log
+  const resolveMatchException = useCallback(async (id, resolution) => {
+    const expense = await fetchEntity('Expenses', id);
+    if (!expense || expense.matchStatus !== 'Exception') return false;
+    
+    if (!hasPermission('approve')) {
+      setBlockedWriteError('You need approve permission to resolve a match exception.');
+      return false;
+    }
+    if (!resolution || !resolution.trim()) {
+      setBlockedWriteError('A resolution note is required.');
+      return false;
+    }
+    
+    const success = await updateEntity('Expenses', id, {
+      matchStatus: 'Resolved',
+      matchResolvedBy: currentUser?.username || 'system',
+      matchResolvedAt: new Date().toISOString(),
+      matchResolution: resolution.trim()
+    }, { matching: true });
+    
+    if (success) {
+      const auditEntry = createAuditEntry(
+        'Expenses',
+        id,
+        'RESOLVE_MATCH',
+        JSON.stringify({ exceptions: expense.matchExceptions, resolution: resolution.trim() }),
+        `Resolved match exception on expense ${expense.description || id}: ${resolution.trim()}`
+      );
+      
+      setData(prevData => ({
+        ...prevData,
+        AuditLog: [...(prevData.AuditLog || []), auditEntry]
+      }));
+      
+      if (isOnlineRef.current) {
+        try {
+          await supabaseService.insert('AuditLog', auditEntry);
+        } catch (auditError) {
+          console.error('Error recording match resolution:', auditError);
+          // Not on the server yet: the next save pushes it
+          trackChange('AuditLog', auditEntry.id);
+        }
+      } else {
+        trackChange('AuditLog', auditEntry.id);
+      }
+    }
+    return success;
+  }, [currentUser, hasPermission, updateEntity, createAuditEntry, trackChange, fetchEntity]);
+  
+  // Match exception invoices again, e.g. after more goods are received. Pass an order ID
+  // to limit it to that order's invoices, and the order itself if it was just updated.
+  // Returns the number that now match.
+  const recheckInvoiceMatches = useCallback(async (orderId = null, order = null) => {
+    const exceptions = (await fetchRows('Expenses', 'matchStatus', 'Exception')).filter(expense =>
+      !orderId || String(expense.purchaseOrderId) === String(orderId)
+    );
+    let matched = 0;
+    
+    for (const expense of exceptions) {
+      // Matching counts the order's other invoices
+      await fetchRows('Expenses', 'purchaseOrderId', expense.purchaseOrderId);
+      const result = getInvoiceMatch({ ...expense, matchStatus: null }, expense, order);
+      if (result.matchStatus === 'Matched' &&
+          await updateEntity('Expenses', expense.id, result, { matching: true })) {
+        matched++;
+      }
+    }
+    return matched;
+  }, [getInvoiceMatch, updateEntity, fetchRows]);
+  
+  // Dismiss the blocked write message
+  const clearBlockedWriteError = useCallback(() => {
+    setBlockedWriteError(null);
+  }, []);
+
+  // Send one queued write to Supabase and merge the result into local state
+  const replayOperation = useCallback(async (operation, expectedVersion) => {
+    const { collection, action, recordId, payload } = operation;
+    const isJournal = collection === 'JournalEntries';
+
+    markLocalWrite(collection, recordId);
+
+    if (action === 'delete') {
+      // Only delete if nobody changed the row while we were offline
+      const [current] = await supabaseService.query(collection, 'id', recordId);
+      if (current && expectedVersion !== null && expectedVersion !== undefined &&
+          current.version !== undefined && String(current.version) !== String(expectedVersion)) {
+        throw new VersionConflictError(collection, recordId, expectedVersion, current);
+      }
+
+      if (isJournal) {
+        await supabaseService.deleteJournal(recordId);
+      } else if (current) {
+        await supabaseService.delete(collection, recordId);
+      }
+      return null;
+    }
+
+    let saved;
+    if (isJournal && payload.lines) {
+      const { journal, lines } = await supabaseService.saveJournal(payload, payload.lines, {
+        expectedVersion: action === 'update' ? expectedVersion : null,
+        isNew: action === 'insert'
+      });
+      saved = { ...journal, lines: toNestedLines(lines) };
+
+      setData(prevData => ({
+        ...prevData,
+        JournalLines: replaceJournalLines(prevData.JournalLines, recordId, lines)
+      }));
+    } else if (action === 'insert') {
+      // Upsert so a row that reached the server before the connection dropped is not duplicated
+      [saved] = await supabaseService.upsertMany(collection, [payload]);
+    } else {
+      saved = await supabaseService.update(collection, recordId, payload, { expectedVersion });
+    }
+
+    if (saved) {
+      setData(prevData => ({
+        ...prevData,
+        [collection]: realtimeMerger.applyChange(prevData[collection], { eventType: 'UPDATE', new: saved })
+      }));
+    }
+
+    return saved;
+  }, [markLocalWrite]);
+
+  // Replay queued writes in order. Stops (staying offline) at the first network failure;
+  // rows changed on the server meanwhile are reported as conflicts instead of being overwritten.
+  const replayQueue = useCallback(async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    setSyncing(true);
+
+    let replayed = 0;
+
+    try {
+      const queue = await offlineStore.getQueue();
+      if (queue.length > 0) {
+        console.log(`Replaying ${queue.length} queued changes`);
+      }
+
+      // Versions written during this replay, so later changes to the same row build on them
+      const replayedVersions = {};
+
+      for (const operation of queue) {
+        const key = `${operation.collection}:${operation.recordId}`;
+        const expectedVersion = key in replayedVersions ? replayedVersions[key] : operation.expectedVersion;
+
+        try {
+          const saved = await replayOperation(operation, expectedVersion);
+          if (saved && saved.version !== undefined) {
+            replayedVersions[key] = saved.version;
+          }
+
+          if (operation.auditEntry) {
+            await supabaseService.upsertMany('AuditLog', [operation.auditEntry]);
+          }
+          replayed += 1;
+        } catch (replayError) {
+          if (isNetworkError(replayError)) {
+            goOffline();
+            break;
+          }
+
+          if (replayError instanceof VersionConflictError) {
+            await handleVersionConflict(operation.collection, operation.recordId, replayError, operation.payload || {});
+          } else {
+            console.error('Error replaying queued change:', replayError);
+            setSyncErrors(prev => [...prev, {
+              seq: operation.seq,
+              collection: operation.collection,
+              id: operation.recordId,
+              action: operation.action,
+              message: replayError.message || 'Unknown error'
+            }]);
+          }
+        }
+
+        // Replayed, or reported as a conflict or error - either way it leaves the queue
+        await offlineStore.dequeue(operation.seq);
+        await refreshQueuedCount();
+      }
+    } catch (err) {
+      console.error('Error replaying offline queue:', err);
+    } finally {
+      replayingRef.current = false;
+      setSyncing(false);
+    }
+
+    // Pick up anything other users changed while we were offline
+    if (replayed > 0 && isOnlineRef.current) {
+      await initializeData({ silent: true });
+    }
+  }, [replayOperation, goOffline, handleVersionConflict, refreshQueuedCount, initializeData]);
+
+  // Check whether Supabase is reachable again and, if so, replay the queue
+  const checkConnection = useCallback(async () => {
+    const reachable = await supabaseService.ping();
+    if (reachable) {
+      if (!isOnlineRef.current) {
+        console.log('Supabase reachable again - leaving offline mode');
+      }
+      isOnlineRef.current = true;
+      setIsOnline(true);
+    } else {
+      goOffline();
+    }
+    return reachable;
+  }, [goOffline]);
+
+  // Drop a replay error once the user has seen it
+  const dismissSyncError = useCallback((seq) => {
+    setSyncErrors(prev => prev.filter(syncError => syncError.seq !== seq));
+  }, []);
+
+  // Follow the browser's connection events
+  useEffect(() => {
+    const handleOnline = () => {
+      checkConnection();
+    };
+    const handleOffline = () => {
+      goOffline();
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    refreshQueuedCount();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [checkConnection, goOffline, refreshQueuedCount]);
+
+  // While offline, keep checking whether Supabase is reachable again
+  useEffect(() => {
+    if (isOnline) return undefined;
+
+    const timer = setInterval(checkConnection, OFFLINE_PROBE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOnline, checkConnection]);
+
+  // Replay queued writes whenever we are online with something queued
+  useEffect(() => {
+    if (initialized && isOnline && queuedCount > 0) {
+      replayQueue();
+    }
+  }, [initialized, isOnline, queuedCount, replayQueue]);
+
+  // Create the expenses and journals that active schedules have due up to today.
+  // Instances in a period that does not accept the write wait until it is reopened.
+  const generateScheduledItems = useCallback(async () => {
+    const summary = { created: 0, waiting: 0 };
+    if (!hasPermission('write')) return summary;
+    
+    const today = format(new Date(), 'yyyy-MM-dd');
+    
+    for (const schedule of dataRef.current.Schedules || []) {
+      const due = scheduleEngine.getDueOccurrences(schedule, today);
+      if (due.length === 0) continue;
+      
+      const createdDates = [];
+      
+      for (const date of due) {
+        const instance = scheduleEngine.buildInstance(schedule, date, {
+          templates: dataRef.current.JournalTemplates || [],
+          username: currentUser?.username || 'system'
+        });
+        
+        if (!instance) {
+          console.error(`Schedule ${schedule.name}: journal template not found`);
+          summary.waiting += 1;
+          break;
+        }
+        
+        // Another client (or an earlier run) already created it
+        const exists = loadedRef.current[instance.collection] ?
+          (dataRef.current[instance.collection] || []).some(record => String(record.id) === String(instance.record.id)) :
+          await supabaseService.exists(instance.collection, instance.record.id);
+        if (exists) {
+          createdDates.push(date);
+          continue;
+        }
+        
+        if (!checkPeriod(instance.collection, instance.record).allowed) {
+          summary.waiting += 1;
+          break;
+        }
+        
+        const result = await addEntity(instance.collection, instance.record);
+        if (!result) {
+          summary.waiting += 1;
+          break;
+        }
+        
+        createdDates.push(date);
+        summary.created += 1;
+      }
+      
+      const generatedThrough = scheduleEngine.getGeneratedThrough(schedule, createdDates, today);
+      if (generatedThrough && generatedThrough !== schedule.generatedThrough) {
+        await updateEntity('Schedules', schedule.id, { generatedThrough });
+      }
+    }
+    
+    if (summary.created > 0) {
+      console.log(`Created ${summary.created} scheduled items`);
+    }
+    
+    return summary;
+  }, [hasPermission, currentUser, checkPeriod, addEntity, updateEntity]);
+  
+  // Catch up on due schedules once per session, after the first load
+  const schedulesRunRef = useRef(false);
   
+  useEffect(() => {
+    if (!initialized || !currentUser || schedulesRunRef.current) return;
+    if (!dataRef.current.Schedules) return;
+    
+    schedulesRunRef.current = true;
+    generateScheduledItems().catch(err => {
+      console.error('Error generating scheduled items:', err);
+    });
+  }, [initialized, currentUser, data.Schedules, generateScheduledItems]);
+  
+  // Keep the IndexedDB cache in step with local data
+  useEffect(() => {
+    if (!initialized) return undefined;
+
+    const timer = setTimeout(() => {
+      COLLECTIONS.forEach(collection => {
+        // A paged collection not loaded in full would replace the cached copy with a partial one
+        if (data[collection] && (!PAGED_COLLECTIONS.includes(collection) || loadedRef.current[collection])) {
+          offlineStore.saveCollection(collection, data[collection]);
+        }
+      });
+    }, CACHE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [data, initialized]);
+
   // Export data to Excel file
   const exportToExcel = useCallback((filename = 'KIOSC_Finance_Export.xlsx') => {
     try {
@@ -786,7 +2605,7 @@ export const DataProvider = ({ children }) => {
           break;
         case 'journalEntries':
           doc = pdfExporter.exportJournalsToPdf(
-            data.JournalEntries || [],
+            options.journals || data.JournalEntries || [],
             data.Programs || [],
             data.PaymentCenters || [],
             options.title || 'Journal Entries Report'
@@ -799,6 +2618,36 @@ export const DataProvider = ({ children }) => {
             data.PaymentCenters || []
           );
           break;
+        case 'trialBalance':
+          doc = pdfExporter.exportTrialBalanceToPdf(options.report, {
+            dateFrom: options.dateFrom,
+            dateTo: options.dateTo,
+            startMonth: fiscalCalendar.getStartMonth(data.OrganisationSettings || []),
+            title: options.title
+          });
+          break;
+        case 'debitCreditTotals':
+          doc = pdfExporter.exportDebitCreditTotalsToPdf(options.report, {
+            dimensionLabel: options.dimensionLabel,
+            dateFrom: options.dateFrom,
+            dateTo: options.dateTo,
+            startMonth: fiscalCalendar.getStartMonth(data.OrganisationSettings || []),
+            title: options.title
+          });
+          break;
+        case 'gstSummary':
+          doc = pdfExporter.exportGstSummaryToPdf(options.report, {
+            dateFrom: options.dateFrom,
+            dateTo: options.dateTo,
+            startMonth: fiscalCalendar.getStartMonth(data.OrganisationSettings || []),
+            title: options.title
+          });
+          break;
+        case 'programBudget':
+          doc = pdfExporter.exportProgramBudgetToPdf(options.report, {
+            title: options.title
+          });
+          break;
         default:
           throw new Error(`Unknown PDF export type: ${type}`);
       }
@@ -830,15 +2679,42 @@ export const DataProvider = ({ children }) => {
             data.Programs || [],
             data.PaymentCenters || [],
             data.PaymentTypes || [],
-            options.filename || 'KIOSC_Expenses.csv'
+            options.filename || 'KIOSC_Expenses.csv',
+            fiscalCalendar.getStartMonth(data.OrganisationSettings || [])
           );
           break;
         case 'journalEntries':
           csvExporter.exportJournalsToCsv(
-            data.JournalEntries || [],
+            options.journals || data.JournalEntries || [],
             data.Programs || [],
             data.PaymentCenters || [],
-            options.filename || 'KIOSC_JournalEntries.csv'
+            options.filename || 'KIOSC_JournalEntries.csv',
+            fiscalCalendar.getStartMonth(data.OrganisationSettings || [])
+          );
+          break;
+        case 'trialBalance':
+          csvExporter.exportTrialBalanceToCsv(
+            options.report,
+            options.filename || 'KIOSC_TrialBalance.csv'
+          );
+          break;
+        case 'debitCreditTotals':
+          csvExporter.exportDebitCreditTotalsToCsv(
+            options.report,
+            options.dimensionLabel || 'Payment Center',
+            options.filename || 'KIOSC_DebitCreditTotals.csv'
+          );
+          break;
+        case 'gstSummary':
+          csvExporter.exportGstSummaryToCsv(
+            options.report,
+            options.filename || 'KIOSC_GstSummary.csv'
+          );
+          break;
+        case 'programBudget':
+          csvExporter.exportProgramBudgetToCsv(
+            options.report,
+            options.filename || 'KIOSC_ProgramBudget.csv'
           );
           break;
         default:
@@ -852,6 +2728,52 @@ export const DataProvider = ({ children }) => {
     }
   }, [data]);
   
+  // Server-side filtered, sorted and paginated expense query - resolves to { rows, total, statusCounts }
+  // Answered from local (cached) data while offline
+  const queryExpenses = useCallback(async (options = {}) => {
+    if (!isOnlineRef.current) {
+      return localQuery.queryExpenses(await getOfflineRows('Expenses'), options);
+    }
+    
+    try {
+      return await supabaseService.queryExpenses(options);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        goOffline();
+        return localQuery.queryExpenses(await getOfflineRows('Expenses'), options);
+      }
+      
+      console.error('Error querying expenses:', err);
+      throw err;
+    }
+  }, [goOffline, getOfflineRows]);
+  
+  // Every expense matching a query (e.g. a work queue), without loading the whole collection
+  const queryAllExpenses = useCallback((options = {}) => fetchAllPages(queryExpenses, options), [queryExpenses]);
+  
+  // Server-side filtered, sorted and paginated journal query - resolves to { rows, total }
+  // Answered from local (cached) data while offline
+  const queryJournals = useCallback(async (options = {}) => {
+    if (!isOnlineRef.current) {
+      return localQuery.queryJournals(await getOfflineRows('JournalEntries'), options);
+    }
+    
+    try {
+      return await supabaseService.queryJournals(options);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        goOffline();
+        return localQuery.queryJournals(await getOfflineRows('JournalEntries'), options);
+      }
+      
+      console.error('Error querying journals:', err);
+      throw err;
+    }
+  }, [goOffline, getOfflineRows]);
+  
+  // Every journal matching a query, without loading the whole collection
+  const queryAllJournals = useCallback((options = {}) => fetchAllPages(queryJournals, options), [queryJournals]);
+  
   // Get entities from a specific collection
   const getEntities = useCallback((collection) => {
     return data[collection] || [];
@@ -888,14 +2810,49 @@ export const DataProvider = ({ children }) => {
     error,
     initialized,
     unsavedChanges,
+    lastSaveResult,
     initializeData,
+    loadCollections,
+    loadedCollections,
     saveData,
+    markDirty,
+    getPendingChanges,
+    conflicts,
+    beginEditing,
+    endEditing,
+    getConflict,
+    resolveConflict,
+    isOnline,
+    queuedCount,
+    syncing,
+    syncErrors,
+    replayQueue,
+    checkConnection,
+    dismissSyncError,
+    checkPeriod,
+    checkSegregation,
+    setPeriodStatus,
+    blockedWriteError,
+    clearBlockedWriteError,
+    generateScheduledItems,
+    approveExpense,
+    rejectExpense,
+    resolveMatchException,
+    recheckInvoiceMatches,
+    uploadAttachment,
+    deleteAttachment,
+    getAttachmentUrl,
     exportToExcel,
     exportToPdf,
     exportToCsv,
     addEntity,
     updateEntity,
     deleteEntity,
+    queryExpenses,
+    queryJournals,
+    queryAllExpenses,
+    queryAllJournals,
+    fetchEntity,
     getEntities,
     filterEntities,
     clearError
@@ -919,4 +2876,17 @@ export const useData = () => {
   return context;
 };
 
+// Load paged collections in full for a page that works across their whole history.
+// Returns true once they are loaded.
+export const useCollections = (collections) => {
+  const { loadCollections, loadedCollections } = useData();
+  const key = collections.join(',');
+  
+  useEffect(() => {
+    loadCollections(key.split(','));
+  }, [loadCollections, key]);
+  
+  return key.split(',').every(collection => !PAGED_COLLECTIONS.includes(collection) || loadedCollections[collection]);
+};
+
 export default DataContext;
\ No newline at end of file
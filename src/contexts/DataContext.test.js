@@ -0,0 +1,305 @@
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import { DataProvider, useData } from './DataContext';
+import supabaseService, { VersionConflictError } from '../services/SupabaseService';
+import offlineStore from '../services/OfflineStore';
+
+jest.mock('../lib/supabase', () => ({
+  __esModule: true,
+  default: {
+    channel: jest.fn(),
+    removeChannel: jest.fn(),
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+jest.mock('../services/SupabaseService', () => ({
+  __esModule: true,
+  VersionConflictError: jest.requireActual('../services/SupabaseService').VersionConflictError,
+  default: {
+    getAll: jest.fn(),
+    query: jest.fn(),
+    insert: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    upsertMany: jest.fn(),
+    deleteMany: jest.fn(),
+    subscribeToTable: jest.fn(),
+    ping: jest.fn()
+  }
+}));
+
+// jsPDF probes for a canvas, which jsdom does not have
+jest.mock('../utils/PdfExporter', () => ({ __esModule: true, default: {} }));
+
+jest.mock('./AuthContext', () => ({
+  useAuth: () => ({
+    currentUser: null,
+    hasPermission: () => true,
+    isAdmin: () => true,
+    checkSegregation: () => ({ allowed: true })
+  })
+}));
+
+// Rows each table returns on load
+let mockTables = {};
+
+// Latest context value, captured by a component inside the provider
+let context;
+const Probe = () => {
+  context = useData();
+  return null;
+};
+
+const renderProvider = async () => {
+  render(<DataProvider><Probe /></DataProvider>);
+  await waitFor(() => expect(context.initialized).toBe(true));
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  for (const operation of await offlineStore.getQueue()) {
+    await offlineStore.dequeue(operation.seq);
+  }
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockTables = {};
+  supabaseService.getAll.mockImplementation(async (collection) => mockTables[collection] || []);
+  supabaseService.subscribeToTable.mockReturnValue(() => {});
+  supabaseService.upsertMany.mockImplementation(async (collection, rows) => rows);
+  supabaseService.deleteMany.mockResolvedValue(undefined);
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('saveData', () => {
+  test('pushes tracked changes in batches and reports each collection', async () => {
+    mockTables = { PaymentCenters: [{ id: 'PC1', name: 'Old centre' }] };
+    await renderProvider();
+
+    const suppliers = Array.from({ length: 150 }, (item, index) => ({ id: `S${index + 1}`, name: `Supplier ${index + 1}` }));
+    act(() => {
+      context.setData(prevData => ({ ...prevData, Suppliers: suppliers, PaymentCenters: [] }));
+      suppliers.forEach(supplier => context.markDirty('Suppliers', supplier.id));
+      context.markDirty('PaymentCenters', 'PC1', 'delete');
+    });
+    expect(context.getPendingChanges()).toEqual({
+      Suppliers: { upserts: 150, deletes: 0 },
+      PaymentCenters: { upserts: 0, deletes: 1 }
+    });
+
+    let result;
+    await act(async () => {
+      result = await context.saveData(true);
+    });
+
+    expect(supabaseService.upsertMany.mock.calls.map(([collection, rows]) => [collection, rows.length]))
+      .toEqual([['Suppliers', 100], ['Suppliers', 50]]);
+    expect(supabaseService.deleteMany).toHaveBeenCalledWith('PaymentCenters', ['PC1']);
+    expect(result).toEqual({
+      success: true,
+      message: 'Saved 151 changes to the database',
+      collections: {
+        Suppliers: { saved: 150, deleted: 0, failed: [], errors: [] },
+        PaymentCenters: { saved: 0, deleted: 1, failed: [], errors: [] }
+      }
+    });
+    expect(context.getPendingChanges()).toEqual({});
+    expect(context.unsavedChanges).toBe(false);
+  });
+
+  test('keeps rows that were not saved pending for the next save', async () => {
+    mockTables = {
+      Suppliers: [
+        { id: 'S1', name: 'Acme', version: 3 },
+        { id: 'S2', name: 'Bolt' }
+      ]
+    };
+    await renderProvider();
+
+    supabaseService.update.mockRejectedValueOnce(new VersionConflictError('Suppliers', 'S1', 3, { id: 'S1', version: 4 }));
+    act(() => {
+      context.markDirty('Suppliers', 'S1');
+      context.markDirty('Suppliers', 'S2');
+    });
+
+    let result;
+    await act(async () => {
+      result = await context.saveData(true);
+    });
+
+    expect(supabaseService.update).toHaveBeenCalledWith('Suppliers', 'S1', mockTables.Suppliers[0], { expectedVersion: 3 });
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('Could not save: Suppliers (1 failed)');
+    expect(result.collections.Suppliers).toEqual(expect.objectContaining({ saved: 1, failed: ['S1'] }));
+    expect(context.getPendingChanges()).toEqual({ Suppliers: { upserts: 1, deletes: 0 } });
+    expect(context.unsavedChanges).toBe(true);
+
+    // Saved once the write goes through
+    supabaseService.update.mockResolvedValueOnce({ id: 'S1', name: 'Acme', version: 4 });
+    await act(async () => {
+      result = await context.saveData(true);
+    });
+
+    expect(result.collections.Suppliers).toEqual({ saved: 1, deleted: 0, failed: [], errors: [] });
+    expect(context.getPendingChanges()).toEqual({});
+    expect(context.data.Suppliers.find(supplier => supplier.id === 'S1').version).toBe(4);
+  });
+});
+
+// Queued writes are replayed as soon as the provider has loaded and is online
+describe('replaying queued writes', () => {
+  const remaining = async () => (await offlineStore.getQueue()).map(operation => operation.recordId);
+
+  beforeEach(() => {
+    mockTables = {
+      Suppliers: [
+        { id: 'S1', name: 'Acme', version: 1 },
+        { id: 'S2', name: 'Bolt', version: 1 }
+      ]
+    };
+    supabaseService.query.mockImplementation(async (collection, field, id) =>
+      mockTables[collection].filter(row => row.id === id)
+    );
+    supabaseService.update.mockImplementation(async (collection, id, payload, { expectedVersion }) => (
+      { ...payload, id, version: expectedVersion + 1 }
+    ));
+  });
+
+  test('sends writes in the order they were queued', async () => {
+    const calls = [];
+    supabaseService.upsertMany.mockImplementation(async (collection, rows) => {
+      calls.push(['insert', rows[0].id]);
+      return rows;
+    });
+    supabaseService.update.mockImplementation(async (collection, id, payload) => {
+      calls.push(['update', id]);
+      return { ...payload, id, version: 2 };
+    });
+    supabaseService.delete.mockImplementation(async (collection, id) => {
+      calls.push(['delete', id]);
+    });
+
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'insert', recordId: 'S3', payload: { id: 'S3', name: 'Core' } });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', payload: { name: 'Acme Ltd' }, expectedVersion: 1 });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'delete', recordId: 'S2', expectedVersion: 1 });
+    await renderProvider();
+
+    await waitFor(() => expect(context.queuedCount).toBe(0));
+    expect(calls).toEqual([['insert', 'S3'], ['update', 'S1'], ['delete', 'S2']]);
+    expect(await remaining()).toEqual([]);
+    expect(context.syncErrors).toEqual([]);
+  });
+
+  test('stops at a network failure and keeps the rest queued', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    supabaseService.update.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'insert', recordId: 'S3', payload: { id: 'S3', name: 'Core' } });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', payload: { name: 'Acme Ltd' }, expectedVersion: 1 });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S2', payload: { name: 'Bolt Ltd' }, expectedVersion: 1 });
+    await renderProvider();
+
+    await waitFor(() => expect(context.isOnline).toBe(false));
+    await waitFor(() => expect(context.syncing).toBe(false));
+    expect(supabaseService.update).toHaveBeenCalledTimes(1);
+    expect(await remaining()).toEqual(['S1', 'S2']);
+    expect(context.queuedCount).toBe(2);
+    console.warn.mockRestore();
+  });
+
+  test('reports a row changed on the server instead of overwriting it', async () => {
+    const server = { id: 'S1', name: 'Acme Pty', version: 2 };
+    supabaseService.update.mockRejectedValueOnce(new VersionConflictError('Suppliers', 'S1', 1, server));
+
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', payload: { name: 'Acme Ltd' }, expectedVersion: 1 });
+    await renderProvider();
+
+    await waitFor(() => expect(context.conflicts['Suppliers:S1']).toBeDefined());
+    expect(context.conflicts['Suppliers:S1']).toEqual(expect.objectContaining({
+      eventType: 'VERSION',
+      server,
+      local: { name: 'Acme Ltd' },
+      expectedVersion: 1
+    }));
+    expect(context.data.Suppliers.find(supplier => supplier.id === 'S1').name).toBe('Acme Pty');
+    expect(supabaseService.update).toHaveBeenCalledTimes(1);
+    await waitFor(() => expect(context.queuedCount).toBe(0));
+  });
+
+  test('builds later changes to a row on the version it was just saved at', async () => {
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', payload: { name: 'Acme Ltd' }, expectedVersion: 1 });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', payload: { phone: '555' }, expectedVersion: 1 });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'delete', recordId: 'S1', expectedVersion: 1 });
+    // Where the server is once both updates have gone through
+    mockTables.Suppliers[0] = { ...mockTables.Suppliers[0], version: 3 };
+    await renderProvider();
+
+    await waitFor(() => expect(context.queuedCount).toBe(0));
+    expect(supabaseService.update.mock.calls.map(([, , , options]) => options.expectedVersion)).toEqual([1, 2]);
+    expect(supabaseService.delete).toHaveBeenCalledWith('Suppliers', 'S1');
+    expect(context.conflicts).toEqual({});
+  });
+});
+
+describe('expenses not loaded in full', () => {
+  // Expenses on the server; the page using them has not loaded the collection
+  const serverExpenses = [
+    { id: 'E1', description: 'Printer', supplier: 'S1', amount: 400, status: 'Invoiced', purchaseOrderId: 'PO1', version: 2 },
+    { id: 'E2', description: 'Toner', supplier: 'S1', amount: 100, status: 'Invoiced', purchaseOrderId: 'PO1', version: 1 }
+  ];
+
+  beforeEach(() => {
+    supabaseService.query.mockImplementation(async (collection, field, value) => (
+      collection === 'Expenses' ? serverExpenses.filter(expense => String(expense[field]) === String(value)) : []
+    ));
+    supabaseService.insert.mockImplementation(async (collection, record) => record);
+  });
+
+  test('fetches the expense being updated, and the other invoices on its order', async () => {
+    await renderProvider();
+    expect(context.data.Expenses).toEqual([]);
+    supabaseService.update.mockResolvedValue({ ...serverExpenses[0], description: 'Laser printer', version: 3 });
+
+    let success;
+    await act(async () => {
+      success = await context.updateEntity('Expenses', 'E1', { description: 'Laser printer' });
+    });
+
+    expect(success).toBe(true);
+    expect(supabaseService.query).toHaveBeenCalledWith('Expenses', 'id', 'E1');
+    expect(supabaseService.query).toHaveBeenCalledWith('Expenses', 'purchaseOrderId', 'PO1');
+    expect(supabaseService.update).toHaveBeenCalledWith(
+      'Expenses', 'E1', expect.objectContaining({ description: 'Laser printer' }), { expectedVersion: 2 }
+    );
+    expect(context.data.Expenses.map(expense => [expense.id, expense.description])).toEqual([
+      ['E1', 'Laser printer'],
+      ['E2', 'Toner']
+    ]);
+  });
+
+  test('matches a new invoice against every invoice on its order', async () => {
+    mockTables = {
+      PurchaseOrders: [{ id: 'PO1', poNumber: 'PO-1', status: 'Approved', supplier: 'S1', approvedAmount: 500, lines: [] }]
+    };
+    await renderProvider();
+
+    await act(async () => {
+      await context.addEntity('Expenses', {
+        id: 'E3',
+        description: 'Stand',
+        supplier: 'S1',
+        amount: 200,
+        date: '2026-10-18',
+        status: 'Invoiced',
+        purchaseOrderId: 'PO1'
+      });
+    });
+
+    const [, inserted] = supabaseService.insert.mock.calls.find(([collection]) => collection === 'Expenses');
+    expect(inserted.matchStatus).toBe('Exception');
+    expect(inserted.matchExceptions).toContainEqual({ code: 'approved', message: 'Invoiced 700.00 exceeds the approved 500.00' });
+  });
+});
@@ -27,7 +27,10 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  Alert
+  Alert,
+  Snackbar,
+  Chip,
+  CircularProgress
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -42,7 +45,15 @@ import {
   Settings as SettingsIcon,
   Logout as LogoutIcon,
   ChevronLeft as ChevronLeftIcon,
-  ArrowUpward as ArrowUpIcon
+  ArrowUpward as ArrowUpIcon,
+  AccountTree as AccountsIcon,
+  MenuBook as LedgerIcon,
+  Assessment as ReportsIcon,
+  CloudDone as OnlineIcon,
+  CloudOff as OfflineIcon,
+  Sync as SyncIcon,
+  EventRepeat as SchedulesIcon,
+  ShoppingCart as PurchaseOrderIcon
 } from '@mui/icons-material';
 
 // Drawer width
@@ -52,7 +63,22 @@ const MainLayout = ({ children }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const { currentUser, logout, isAdmin } = useAuth();
-  const { data } = useData();
+  const { 
+    data, 
+    loadedCollections, 
+    isOnline, 
+    queuedCount, 
+    syncing, 
+    syncErrors, 
+    conflicts, 
+    replayQueue, 
+    checkConnection, 
+    dismissSyncError, 
+    resolveConflict, 
+    updateEntity,
+    blockedWriteError,
+    clearBlockedWriteError
+  } = useData();
   
   // State for mobile drawer
   const [mobileOpen, setMobileOpen] = useState(false);
@@ -66,12 +92,21 @@ const MainLayout = ({ children }) => {
   // State for notifications dialog
   const [notificationsOpen, setNotificationsOpen] = useState(false);
   
-  // Calculate dynamic notifications
+  // State for sync status dialog
+  const [syncDialogOpen, setSyncDialogOpen] = useState(false);
+  
+  // Offline changes that could not be applied because the row changed on the server
+  const syncConflicts = useMemo(() => 
+    Object.values(conflicts || {}).filter(conflict => ['VERSION', 'DELETE'].includes(conflict.eventType) && conflict.local),
+  [conflicts]);
+  
+  // Calculate dynamic notifications. Expenses and journals are only checked once a
+  // page has loaded them in full.
   const notifications = useMemo(() => {
     const alerts = [];
     
     // Get pending journal entries
-    if (data.JournalEntries) {
+    if (loadedCollections.JournalEntries) {
       const pendingJournals = data.JournalEntries.filter(journal => 
         journal.status === 'Pending' && journal.id !== 'dummy-journal'
       );
@@ -84,7 +119,7 @@ const MainLayout = ({ children }) => {
     }
     
     // Check budget utilization
-    if (data.Programs && data.Expenses) {
+    if (data.Programs && loadedCollections.Expenses) {
       data.Programs.forEach(program => {
         if (program.budget && parseFloat(program.budget) > 0) {
           const programExpenses = data.Expenses.filter(
@@ -112,7 +147,7 @@ const MainLayout = ({ children }) => {
     }
     
     // Check committed expenses
-    if (data.Expenses) {
+    if (loadedCollections.Expenses) {
       const committedExpenses = data.Expenses.filter(
         expense => expense.status === 'Committed'
       );
@@ -130,14 +165,17 @@ const MainLayout = ({ children }) => {
     
     // If no alerts, add a success message
     if (alerts.length === 0) {
-      alerts.push({
+      alerts.push(loadedCollections.Expenses && loadedCollections.JournalEntries ? {
         type: 'success',
         message: 'All clear - no pending issues'
+      } : {
+        type: 'info',
+        message: 'Open the Dashboard to check budgets, pending journals and committed expenses'
       });
     }
     
     return alerts;
-  }, [data]);
+  }, [data, loadedCollections]);
   
   // Handle drawer toggle
   const handleDrawerToggle = () => {
@@ -177,6 +215,30 @@ const MainLayout = ({ children }) => {
     setNotificationsOpen(!notificationsOpen);
   };
   
+  // Handle sync status dialog
+  const handleSyncDialog = () => {
+    setSyncDialogOpen(!syncDialogOpen);
+  };
+  
+  // Retry the connection and replay queued changes
+  const handleSyncNow = async () => {
+    const reachable = await checkConnection();
+    if (reachable) {
+      await replayQueue();
+    }
+  };
+  
+  // Re-apply the user's changes on top of the server copy
+  const handleApplyMine = async (conflict) => {
+    const success = await updateEntity(conflict.collection, conflict.id, {
+      ...conflict.local,
+      version: conflict.server?.version
+    });
+    if (success) {
+      resolveConflict(conflict.collection, conflict.id);
+    }
+  };
+  
   // Handle settings click
   const handleSettingsClick = () => {
     // For now, show a simple alert. In production, this would navigate to settings page
@@ -187,8 +249,13 @@ const MainLayout = ({ children }) => {
   const navItems = [
     { name: 'Dashboard', icon: <DashboardIcon />, path: '/' },
     { name: 'Expenses', icon: <ExpenseIcon />, path: '/expenses' },
+    { name: 'Purchase Orders', icon: <PurchaseOrderIcon />, path: '/purchase-orders' },
     { name: 'Suppliers', icon: <SupplierIcon />, path: '/suppliers' },
     { name: 'Journal Entries', icon: <JournalIcon />, path: '/journal' },
+    { name: 'Schedules', icon: <SchedulesIcon />, path: '/schedules' },
+    { name: 'Chart of Accounts', icon: <AccountsIcon />, path: '/accounts' },
+    { name: 'General Ledger', icon: <LedgerIcon />, path: '/ledger' },
+    { name: 'Reports', icon: <ReportsIcon />, path: '/reports' },
   ];
   
   // Admin nav items - only show if user is actually admin
@@ -288,6 +355,18 @@ const MainLayout = ({ children }) => {
              'Dashboard'}
           </Typography>
           
+          {/* Connection status and queued offline changes */}
+          <Tooltip title={isOnline ? 'Connected to the database' : 'Offline - changes are queued until the connection returns'}>
+            <Chip
+              icon={syncing ? <CircularProgress size={16} color="inherit" /> : (isOnline ? <OnlineIcon /> : <OfflineIcon />)}
+              label={`${isOnline ? 'Online' : 'Offline'}${queuedCount > 0 ? ` · ${queuedCount} queued` : ''}`}
+              color={isOnline ? (syncConflicts.length + syncErrors.length > 0 ? 'warning' : 'success') : 'default'}
+              onClick={handleSyncDialog}
+              sx={{ mr: 1, color: 'inherit', '& .MuiChip-icon': { color: 'inherit' } }}
+              variant={isOnline ? 'filled' : 'outlined'}
+            />
+          </Tooltip>
+          
           {/* Notifications */}
           <Tooltip title="Notifications">
             <IconButton
@@ -426,6 +505,80 @@ const MainLayout = ({ children }) => {
         </DialogActions>
       </Dialog>
       
+      {/* Writes refused by a locked accounting period or a missing approval */}
+      <Snackbar
+        open={Boolean(blockedWriteError)}
+        autoHideDuration={8000}
+        onClose={clearBlockedWriteError}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={clearBlockedWriteError} severity="warning" sx={{ width: '100%' }}>
+          {blockedWriteError}
+        </Alert>
+      </Snackbar>
+      
+      {/* Sync Status Dialog */}
+      <Dialog open={syncDialogOpen} onClose={handleSyncDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>Sync Status</DialogTitle>
+        <DialogContent>
+          <Alert severity={isOnline ? 'success' : 'warning'} sx={{ mb: 2 }}>
+            {isOnline ? 
+              'Connected to the database.' : 
+              'Offline. You can keep working - data is read from this device and changes are queued.'}
+            {queuedCount > 0 && ` ${queuedCount} ${queuedCount === 1 ? 'change is' : 'changes are'} waiting to be sent.`}
+          </Alert>
+          
+          {syncConflicts.map(conflict => (
+            <Alert
+              key={`${conflict.collection}:${conflict.id}`}
+              severity="warning"
+              sx={{ mb: 2 }}
+              action={
+                <>
+                  {conflict.server && (
+                    <Button color="inherit" size="small" onClick={() => handleApplyMine(conflict)}>
+                      Apply mine
+                    </Button>
+                  )}
+                  <Button color="inherit" size="small" onClick={() => resolveConflict(conflict.collection, conflict.id)}>
+                    Discard
+                  </Button>
+                </>
+              }
+            >
+              {conflict.server ?
+                `${conflict.collection.slice(0, -1)} ${conflict.id} was changed by someone else, so your change was not applied.` :
+                `${conflict.collection.slice(0, -1)} ${conflict.id} was deleted by someone else, so your change was not applied.`}
+            </Alert>
+          ))}
+          
+          {syncErrors.map(syncError => (
+            <Alert
+              key={syncError.seq}
+              severity="error"
+              sx={{ mb: 2 }}
+              action={
+                <Button color="inherit" size="small" onClick={() => dismissSyncError(syncError.seq)}>
+                  Dismiss
+                </Button>
+              }
+            >
+              Could not {syncError.action} {syncError.collection.slice(0, -1)} {syncError.id}: {syncError.message}
+            </Alert>
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button 
+            onClick={handleSyncNow} 
+            startIcon={<SyncIcon />} 
+            disabled={syncing}
+          >
+            Sync now
+          </Button>
+          <Button onClick={handleSyncDialog}>Close</Button>
+        </DialogActions>
+      </Dialog>
+      
       {/* Drawer */}
       <Box
         component="nav"
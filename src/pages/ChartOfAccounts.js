@@ -0,0 +1,603 @@
+// src/pages/ChartOfAccounts.js - Account codes that journal lines post to
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Grid,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  Switch,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Snackbar,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Search as SearchIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Close as CloseIcon,
+  SaveAlt as SaveIcon,
+  Block as BlockIcon,
+  Check as CheckIcon
+} from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
+import { useData, useCollections } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import dataValidator from '../utils/DataValidator';
+import generalLedger from '../utils/GeneralLedger';
+
+// Account types and their chip colors
+const accountTypes = [
+  { value: 'asset', label: 'Asset', color: 'primary' },
+  { value: 'liability', label: 'Liability', color: 'warning' },
+  { value: 'equity', label: 'Equity', color: 'secondary' },
+  { value: 'income', label: 'Income', color: 'success' },
+  { value: 'expense', label: 'Expense', color: 'error' }
+];
+
+const emptyAccount = {
+  id: '',
+  code: '',
+  name: '',
+  type: 'expense',
+  parent: '',
+  active: true
+};
+
+const ChartOfAccounts = () => {
+  const { data, loading, error, addEntity, updateEntity, deleteEntity } = useData();
+  const { currentUser, hasPermission } = useAuth();
+
+  // Lines posted to each account
+  const collectionsLoaded = useCollections(['JournalLines']);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [dialogMode, setDialogMode] = useState(null); // 'add', 'edit'
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [confirmDeleteOpen, setConfirmDeleteOpen] = useState(false);
+  const [accountForm, setAccountForm] = useState(emptyAccount);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Filter state
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterType, setFilterType] = useState('All');
+  const [filterStatus, setFilterStatus] = useState('Active');
+
+  const accounts = useMemo(() => data.ChartOfAccounts || [], [data.ChartOfAccounts]);
+
+  // Number of journal lines posted to each account
+  const lineCounts = useMemo(() => {
+    const counts = {};
+    (data.JournalLines || []).forEach(line => {
+      if (line.account) {
+        counts[line.account] = (counts[line.account] || 0) + 1;
+      }
+    });
+    return counts;
+  }, [data.JournalLines]);
+
+  // Accounts in tree order (parents followed by their children), with their depth
+  const orderedAccounts = useMemo(() => {
+    const byCode = (a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true });
+    const ids = new Set(accounts.map(account => String(account.id)));
+    const result = [];
+    const visited = new Set();
+
+    const visit = (account, depth) => {
+      if (visited.has(account.id)) return;
+      visited.add(account.id);
+      result.push({ ...account, depth });
+      accounts
+        .filter(child => String(child.parent) === String(account.id))
+        .sort(byCode)
+        .forEach(child => visit(child, depth + 1));
+    };
+
+    accounts
+      .filter(account => !account.parent || !ids.has(String(account.parent)))
+      .sort(byCode)
+      .forEach(account => visit(account, 0));
+
+    return result;
+  }, [accounts]);
+
+  const filteredAccounts = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+
+    return orderedAccounts.filter(account => {
+      if (filterType !== 'All' && account.type !== filterType) return false;
+      if (filterStatus === 'Active' && account.active === false) return false;
+      if (filterStatus === 'Inactive' && account.active !== false) return false;
+      if (term &&
+        !String(account.code).toLowerCase().includes(term) &&
+        !String(account.name).toLowerCase().includes(term)) return false;
+      return true;
+    });
+  }, [orderedAccounts, searchTerm, filterType, filterStatus]);
+
+  // Get account label by ID
+  const getAccountLabel = (id) => {
+    if (!id) return '';
+    const account = accounts.find(a => String(a.id) === String(id));
+    return account ? `${account.code} - ${account.name}` : 'Unknown';
+  };
+
+  const getTypeInfo = (type) => accountTypes.find(t => t.value === type) || { label: type, color: 'default' };
+
+  // Open dialog for adding a new account
+  const handleAddAccount = () => {
+    setAccountForm({ ...emptyAccount, id: uuidv4(), type: filterType !== 'All' ? filterType : 'expense' });
+    setSelectedAccount(null);
+    setValidationErrors([]);
+    setDialogMode('add');
+    setDialogOpen(true);
+  };
+
+  // Open dialog to edit an account
+  const handleEditAccount = (account) => {
+    const { depth, ...stored } = account;
+    setAccountForm({ ...emptyAccount, ...stored, parent: stored.parent || '' });
+    setSelectedAccount(stored);
+    setValidationErrors([]);
+    setDialogMode('edit');
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setValidationErrors([]);
+  };
+
+  // Handle form field change
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setAccountForm(prev => ({
+      ...prev,
+      [name]: value,
+      // A parent of another type no longer applies
+      ...(name === 'type' ? { parent: '' } : {})
+    }));
+
+    if (validationErrors.length > 0) {
+      setValidationErrors([]);
+    }
+  };
+
+  // Save account (add/edit)
+  const handleSaveAccount = async () => {
+    const formattedAccount = {
+      ...accountForm,
+      code: String(accountForm.code).trim(),
+      name: accountForm.name.trim(),
+      parent: accountForm.parent || null
+    };
+
+    const validation = dataValidator.validateAccount(formattedAccount, accounts);
+    if (!validation.isValid) {
+      setValidationErrors(validation.errors);
+      return;
+    }
+
+    try {
+      if (dialogMode === 'add') {
+        const result = await addEntity('ChartOfAccounts', {
+          ...formattedAccount,
+          createdBy: currentUser?.username || 'anonymous',
+          createdAt: new Date().toISOString()
+        });
+
+        if (!result) {
+          setSnackbar({ open: true, message: 'Error adding account', severity: 'error' });
+          return;
+        }
+        setSnackbar({ open: true, message: `Account ${formattedAccount.code} added`, severity: 'success' });
+      } else {
+        const success = await updateEntity('ChartOfAccounts', selectedAccount.id, {
+          ...formattedAccount,
+          updatedAt: new Date().toISOString()
+        });
+
+        if (!success) {
+          setSnackbar({ open: true, message: 'Error updating account', severity: 'error' });
+          return;
+        }
+        setSnackbar({ open: true, message: `Account ${formattedAccount.code} updated`, severity: 'success' });
+      }
+
+      setDialogOpen(false);
+      setValidationErrors([]);
+    } catch (err) {
+      console.error('Error saving account:', err);
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
+  // Activate or deactivate an account; inactive accounts can't be picked on new journal lines
+  const handleToggleActive = async (account) => {
+    const success = await updateEntity('ChartOfAccounts', account.id, {
+      active: account.active === false,
+      updatedAt: new Date().toISOString()
+    });
+
+    setSnackbar({
+      open: true,
+      message: success ?
+        `Account ${account.code} ${account.active === false ? 'activated' : 'deactivated'}` :
+        'Error updating account',
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  // Accounts with postings or sub-accounts are kept for the audit trail
+  const handleDeleteAccount = (account) => {
+    if (lineCounts[account.id]) {
+      setSnackbar({
+        open: true,
+        message: `Account ${account.code} has journal lines posted to it. Deactivate it instead.`,
+        severity: 'warning'
+      });
+      return;
+    }
+
+    if (accounts.some(other => String(other.parent) === String(account.id))) {
+      setSnackbar({
+        open: true,
+        message: `Account ${account.code} has sub-accounts. Move or delete them first.`,
+        severity: 'warning'
+      });
+      return;
+    }
+
+    setSelectedAccount(account);
+    setConfirmDeleteOpen(true);
+  };
+
+  const handleConfirmDelete = async () => {
+    if (selectedAccount) {
+      const success = await deleteEntity('ChartOfAccounts', selectedAccount.id);
+
+      setSnackbar({
+        open: true,
+        message: success ? 'Account deleted successfully' : 'Error deleting account',
+        severity: success ? 'success' : 'error'
+      });
+    }
+
+    setConfirmDeleteOpen(false);
+    setSelectedAccount(null);
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  // Loading state
+  if (loading || !collectionsLoaded) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  // Possible parents: same type, not the account itself
+  const parentOptions = orderedAccounts.filter(account =>
+    account.type === accountForm.type &&
+    account.id !== accountForm.id
+  );
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Chart of Accounts</Typography>
+
+        {hasPermission('write') && (
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleAddAccount}
+          >
+            New Account
+          </Button>
+        )}
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Search by code or name"
+              variant="outlined"
+              size="small"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={filterType}
+                label="Type"
+                onChange={(e) => setFilterType(e.target.value)}
+              >
+                <MenuItem value="All">All Types</MenuItem>
+                {accountTypes.map(type => (
+                  <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={filterStatus}
+                label="Status"
+                onChange={(e) => setFilterStatus(e.target.value)}
+              >
+                <MenuItem value="All">All Statuses</MenuItem>
+                <MenuItem value="Active">Active</MenuItem>
+                <MenuItem value="Inactive">Inactive</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {/* Accounts Table */}
+      <Paper>
+        {filteredAccounts.length > 0 ? (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Normal Balance</TableCell>
+                  <TableCell>Parent</TableCell>
+                  <TableCell align="right">Journal Lines</TableCell>
+                  <TableCell align="center">Status</TableCell>
+                  {hasPermission('write') && <TableCell align="center">Actions</TableCell>}
+                </TableRow>
+              </TableHead>
+
+              <TableBody>
+                {filteredAccounts.map(account => {
+                  const typeInfo = getTypeInfo(account.type);
+
+                  return (
+                    <TableRow key={account.id} sx={{ opacity: account.active === false ? 0.6 : 1 }}>
+                      <TableCell sx={{ pl: 2 + account.depth * 3, fontWeight: account.depth === 0 ? 'bold' : 'normal' }}>
+                        {account.code}
+                      </TableCell>
+                      <TableCell sx={{ fontWeight: account.depth === 0 ? 'bold' : 'normal' }}>
+                        {account.name}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={typeInfo.label} color={typeInfo.color} size="small" variant="outlined" />
+                      </TableCell>
+                      <TableCell sx={{ textTransform: 'capitalize' }}>
+                        {generalLedger.getNormalBalance(account.type)}
+                      </TableCell>
+                      <TableCell>{getAccountLabel(account.parent)}</TableCell>
+                      <TableCell align="right">{lineCounts[account.id] || 0}</TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          label={account.active === false ? 'Inactive' : 'Active'}
+                          color={account.active === false ? 'default' : 'success'}
+                          size="small"
+                        />
+                      </TableCell>
+                      {hasPermission('write') && (
+                        <TableCell align="center">
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => handleEditAccount(account)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title={account.active === false ? 'Activate' : 'Deactivate'}>
+                            <IconButton size="small" onClick={() => handleToggleActive(account)}>
+                              {account.active === false ? <CheckIcon fontSize="small" /> : <BlockIcon fontSize="small" />}
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => handleDeleteAccount(account)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <Typography variant="body1" color="text.secondary">
+              {accounts.length === 0 ?
+                'No accounts set up yet. Add the accounts that journal lines will post to.' :
+                'No accounts match the current filters.'}
+            </Typography>
+          </Box>
+        )}
+      </Paper>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {dialogMode === 'add' ? 'New Account' : `Edit Account ${selectedAccount?.code || ''}`}
+        </DialogTitle>
+
+        <DialogContent dividers>
+          {validationErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              <ul style={{ margin: 0, paddingLeft: 16 }}>
+                {validationErrors.map((validationError, index) => (
+                  <li key={index}>{validationError}</li>
+                ))}
+              </ul>
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                required
+                label="Code"
+                name="code"
+                value={accountForm.code}
+                onChange={handleFormChange}
+                margin="normal"
+                error={validationErrors.some(e => e.includes('code'))}
+              />
+            </Grid>
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                required
+                label="Name"
+                name="name"
+                value={accountForm.name}
+                onChange={handleFormChange}
+                margin="normal"
+                error={validationErrors.some(e => e.includes('name'))}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth margin="normal" required>
+                <InputLabel>Type</InputLabel>
+                <Select
+                  name="type"
+                  value={accountForm.type}
+                  label="Type"
+                  onChange={handleFormChange}
+                  disabled={dialogMode === 'edit' && Boolean(lineCounts[accountForm.id])}
+                >
+                  {accountTypes.map(type => (
+                    <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Parent Account</InputLabel>
+                <Select
+                  name="parent"
+                  value={accountForm.parent || ''}
+                  label="Parent Account"
+                  onChange={handleFormChange}
+                >
+                  <MenuItem value="">None (top level)</MenuItem>
+                  {parentOptions.map(account => (
+                    <MenuItem key={account.id} value={account.id}>
+                      {' '.repeat(account.depth * 2)}{account.code} - {account.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={accountForm.active !== false}
+                    onChange={(e) => setAccountForm(prev => ({ ...prev, active: e.target.checked }))}
+                  />
+                }
+                label="Active (available on new journal lines)"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+
+        <DialogActions>
+          <Button onClick={handleCloseDialog} startIcon={<CloseIcon />}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveAccount} variant="contained" startIcon={<SaveIcon />}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={confirmDeleteOpen} onClose={() => setConfirmDeleteOpen(false)}>
+        <DialogTitle>Confirm Delete</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Are you sure you want to delete account {selectedAccount?.code} - {selectedAccount?.name}?
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDeleteOpen(false)}>Cancel</Button>
+          <Button onClick={handleConfirmDelete} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ChartOfAccounts;
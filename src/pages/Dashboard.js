@@ -1,5 +1,5 @@
 // src/pages/Dashboard.js - Complete version with budget fix
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Box, 
@@ -31,6 +31,7 @@ import {
   Select,
   FormControl,
   InputLabel,
+  TextField,
   Dialog,
   DialogTitle,
   DialogContent,
@@ -73,8 +74,15 @@ import {
 } from 'chart.js';
 import { Bar, Pie, Line } from 'react-chartjs-2';
 import { useData } from '../contexts/DataContext';
-import { format, parseISO, subMonths } from 'date-fns';
+import { format, parseISO, addMonths, startOfMonth, differenceInCalendarMonths } from 'date-fns';
 import PaymentCenterBudgetForm from '../components/PaymentCenterBudgetForm';
+import purchaseOrderHelper from '../utils/PurchaseOrderHelper';
+import allocationHelper from '../utils/AllocationHelper';
+import currencyHelper from '../utils/CurrencyHelper';
+import budgetHelper from '../utils/BudgetHelper';
+import fiscalCalendar from '../utils/FiscalCalendar';
+import generalLedger from '../utils/GeneralLedger';
+import periodComparison, { COMPARE_MODES } from '../utils/PeriodComparison';
 
 
 // Register ChartJS components
@@ -112,26 +120,67 @@ function TabPanel(props) {
   );
 }
 
-// Dashboard period options
+// Dashboard period options; quarters and years follow the financial year
 const periods = [
   { value: 'month', label: 'This Month' },
+  { value: 'quarter', label: 'This Quarter' },
   { value: '3months', label: 'Last 3 Months' },
   { value: '6months', label: 'Last 6 Months' },
-  { value: 'year', label: 'This Year' },
-  { value: 'all', label: 'All Time' }
+  { value: 'year', label: 'This Financial Year' },
+  { value: 'all', label: 'All Time' },
+  { value: 'custom', label: 'Custom Range' }
 ];
 
+// How long expenses and journals must stay unchanged before they are refetched
+const REFETCH_DELAY_MS = 500;
+
+// Expense amounts by status
+const sumStatusAmounts = (expenses) => {
+  // Always return the default object with zeros
+  const amounts = {
+    Committed: 0,
+    Invoiced: 0,
+    Paid: 0
+  };
+  
+  expenses.forEach(expense => {
+    if (expense.status && amounts[expense.status] !== undefined) {
+      amounts[expense.status] += parseFloat(expense.amount) || 0;
+    }
+  });
+  
+  return amounts;
+};
+
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { data, loading, error, initializeData } = useData();
+  const { data, loading, error, initializeData, saveData, queryAllExpenses, queryAllJournals } = useData();
+  
+  // Expenses and journals in the dates the dashboard covers, and the invoices
+  // against approved purchase orders (for their commitments)
+  const [expenses, setExpenses] = useState([]);
+  const [journals, setJournals] = useState([]);
+  const [orderInvoices, setOrderInvoices] = useState([]);
+  const [rangesLoaded, setRangesLoaded] = useState(false);
+  const [figuresError, setFiguresError] = useState(null);
+  
+  const fiscalStartMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
   
   // Dashboard state
   const [period, setPeriod] = useState('year');
+  const [customRange, setCustomRange] = useState({ dateFrom: '', dateTo: '' });
+  const [compareMode, setCompareMode] = useState('none');
   const [tabValue, setTabValue] = useState(0);
   const [drillDownOpen, setDrillDownOpen] = useState(false);
   const [selectedDrillDown, setSelectedDrillDown] = useState(null);
   const [drillDownExpenses, setDrillDownExpenses] = useState([]);
+  const [drillDownOrders, setDrillDownOrders] = useState([]);
+  const [drillDownPrograms, setDrillDownPrograms] = useState([]);
+  const [drillDownTransfers, setDrillDownTransfers] = useState([]);
+  const [drillDownProgram, setDrillDownProgram] = useState(null);
   const [budgetDialogOpen, setBudgetDialogOpen] = useState(false);
+  const [budgetVersion, setBudgetVersion] = useState('');
+  const [varianceCenter, setVarianceCenter] = useState('');
   
   // Debug logging
   useEffect(() => {
@@ -178,117 +227,322 @@ useEffect(() => {
     return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount);
   };
   
+  // Date range of the selected period; preset periods run to today
+  const dateRange = useMemo(() => 
+    periodComparison.getRange(period, { startMonth: fiscalStartMonth, custom: customRange }),
+  [period, fiscalStartMonth, customRange]);
+  
+  // Range the period is compared against, or null when not comparing
+  const comparisonRange = useMemo(() => 
+    periodComparison.getComparisonRange(dateRange, compareMode),
+  [dateRange, compareMode]);
+  const comparisonLabel = COMPARE_MODES.find(mode => mode.value === compareMode)?.label;
+  
   // Handle period change
   const handlePeriodChange = (event) => {
-    setPeriod(event.target.value);
-  };
-  
-  // Get start date based on selected period
-  const getStartDate = () => {
-    const now = new Date();
-    
-    switch (period) {
-      case 'month':
-        return new Date(now.getFullYear(), now.getMonth(), 1);
-      case '3months':
-        return subMonths(now, 3);
-      case '6months':
-        return subMonths(now, 6);
-      case 'year':
-        return new Date(now.getFullYear(), 0, 1);
-      case 'all':
-      default:
-        return new Date(2000, 0, 1); // Arbitrary old date
+    // A custom range starts out as the period that was selected
+    if (event.target.value === 'custom' && !customRange.dateFrom && !customRange.dateTo) {
+      setCustomRange({
+        dateFrom: dateRange.dateFrom || '',
+        dateTo: dateRange.dateTo || format(new Date(), 'yyyy-MM-dd')
+      });
     }
+    setPeriod(event.target.value);
   };
   
   // Filter expenses by date
-  const filteredExpenses = useMemo(() => {
-    if (!data.Expenses) return [];
+  const filteredExpenses = useMemo(() => 
+    periodComparison.filterByDate(expenses, dateRange),
+  [expenses, dateRange]);
+  
+  // Expenses in the comparison range
+  const comparisonExpenses = useMemo(() => 
+    periodComparison.filterByDate(expenses, comparisonRange),
+  [expenses, comparisonRange]);
+  
+  // Filter journal entries by date
+  const filteredJournals = useMemo(() => 
+    periodComparison.filterByDate(journals, dateRange)
+      .filter(journal => journal.id !== 'dummy-journal'),
+  [journals, dateRange]);
+  
+  // Open purchase order commitments by coding. Commitments are what is still owed
+  // on approved orders today, so they are not limited to the selected period.
+  const poCommitments = useMemo(() => 
+    purchaseOrderHelper.getCommitmentsByCoding(data.PurchaseOrders || [], orderInvoices),
+  [data.PurchaseOrders, orderInvoices]);
+  
+  // Budget year (the current financial year), and the version spend is compared
+  // against: the latest version for the year (e.g. a Forecast) unless one is chosen
+  const budgetYear = String(fiscalCalendar.getFiscalYear(new Date(), fiscalStartMonth));
+  const budgetYearLabel = fiscalCalendar.getYearLabel(budgetYear, fiscalStartMonth);
+  const budgetVersions = budgetHelper.getVersions(data.PaymentCenterBudgets || []);
+  const activeBudgetVersion = budgetVersion ||
+    budgetHelper.getLatestVersion(data.PaymentCenterBudgets || [], budgetYear);
+  
+  // Budget year to date. The budget comparison and alerts always use this window,
+  // whichever period is selected, because the phased budget runs to date.
+  const budgetRange = useMemo(() => 
+    periodComparison.getRange('year', { startMonth: fiscalStartMonth }),
+  [fiscalStartMonth]);
+  
+  // Expenses in the budget year to date
+  const budgetExpenses = useMemo(() => 
+    periodComparison.filterByDate(expenses, budgetRange),
+  [expenses, budgetRange]);
+  
+  // Phased budget by payment center and program for the budget year
+  const budgetSummary = useMemo(() => 
+    budgetHelper.summarize(data.PaymentCenterBudgets || [], { year: budgetYear, version: activeBudgetVersion, startMonth: fiscalStartMonth }),
+  [data.PaymentCenterBudgets, budgetYear, activeBudgetVersion, fiscalStartMonth]);
+  
+  // Approved journal lines in the budget year to date, the same window as the spend
+  // and phased budget. They adjust the budget: a debit moves budget into a payment
+  // center and program, a credit moves it out.
+  const budgetTransfers = useMemo(() => 
+    generalLedger.getPostings(journals, budgetRange),
+  [journals, budgetRange]);
+  
+  // Dates the figures draw on: the selected and comparison periods, the budget
+  // year, and the six months the trend chart shows at least. Open-ended when
+  // any of them is.
+  const fetchRange = useMemo(() => {
+    const trendEnd = dateRange.dateTo ? parseISO(dateRange.dateTo) : new Date();
+    const ranges = [
+      dateRange,
+      comparisonRange,
+      fiscalCalendar.getYearRange(budgetYear, fiscalStartMonth),
+      { dateFrom: format(new Date(trendEnd.getFullYear(), trendEnd.getMonth() - 5, 1), 'yyyy-MM-dd'), dateTo: dateRange.dateTo }
+    ].filter(Boolean);
+    const starts = ranges.map(range => range.dateFrom);
+    const ends = ranges.map(range => range.dateTo);
     
-    const startDate = getStartDate();
+    return {
+      dateFrom: starts.every(Boolean) ? [...starts].sort()[0] : null,
+      dateTo: ends.every(Boolean) ? [...ends].sort().reverse()[0] : null
+    };
+  }, [dateRange, comparisonRange, budgetYear, fiscalStartMonth]);
+  
+  // Approved orders still carry a commitment
+  const approvedOrderKey = (data.PurchaseOrders || [])
+    .filter(order => order.status === 'Approved')
+    .map(order => order.id)
+    .join(',');
+  
+  // Count of settled changes to expenses and journals. Local writes and Realtime
+  // changes arrive in bursts, so the figures are refetched once they stop.
+  const [dataRevision, setDataRevision] = useState(0);
+  const seenDataRef = useRef({ expenses: data.Expenses, journals: data.JournalEntries });
+  
+  useEffect(() => {
+    const seen = seenDataRef.current;
+    if (seen.expenses === data.Expenses && seen.journals === data.JournalEntries) return undefined;
     
-    return data.Expenses.filter(expense => {
-      const expenseDate = new Date(expense.date);
-      return expenseDate >= startDate;
-    });
-  }, [data.Expenses, period]);
+    const timer = setTimeout(() => {
+      seenDataRef.current = { expenses: data.Expenses, journals: data.JournalEntries };
+      setDataRevision(revision => revision + 1);
+    }, REFETCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [data.Expenses, data.JournalEntries]);
   
-  // Filter journal entries by date
-  const filteredJournals = useMemo(() => {
-    if (!data.JournalEntries) return [];
+  // Fetch the expenses and journals in those dates from the server, again when
+  // the period changes or after expenses and journals have changed
+  useEffect(() => {
+    let cancelled = false;
     
-    const startDate = getStartDate();
+    const fetchFigures = async () => {
+      try {
+        const range = { dateFrom: fetchRange.dateFrom, dateTo: fetchRange.dateTo };
+        const approvedOrderIds = approvedOrderKey ? approvedOrderKey.split(',') : [];
+        const [rangeExpenses, rangeJournals, invoices] = await Promise.all([
+          queryAllExpenses(range),
+          queryAllJournals(range),
+          approvedOrderIds.length > 0 ? queryAllExpenses({ purchaseOrderId: approvedOrderIds }) : []
+        ]);
+        
+        if (!cancelled) {
+          setExpenses(rangeExpenses);
+          setJournals(rangeJournals);
+          setOrderInvoices(invoices);
+          setFiguresError(null);
+        }
+      } catch (err) {
+        console.error('Error loading dashboard figures:', err);
+        if (!cancelled) {
+          setFiguresError(`Failed to load expenses and journals: ${err.message}`);
+        }
+      } finally {
+        if (!cancelled) {
+          setRangesLoaded(true);
+        }
+      }
+    };
     
-    return data.JournalEntries.filter(journal => {
-      if (journal.id === 'dummy-journal') return false;
-      
-      const journalDate = new Date(journal.date);
-      return journalDate >= startDate;
-    });
-  }, [data.JournalEntries, period]);
+    fetchFigures();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [queryAllExpenses, queryAllJournals, fetchRange.dateFrom, fetchRange.dateTo, approvedOrderKey, dataRevision]);
   
   // Calculate totals by payment center with budget comparison
   const paymentCenterTotals = useMemo(() => {
     if (!data.PaymentCenters) return [];
     
     const centers = {};
-    const currentYear = new Date().getFullYear().toString();
     
-    // Debug log the available budget data
-    console.log("Available PaymentCenterBudgets:", data.PaymentCenterBudgets);
+    // Totals for one program within a payment center's totals, created on first use.
+    // Spend not coded to a program is kept under the '' program.
+    const getCenterProgram = (center, programId) => {
+      const id = String(programId || '');
+      if (!center.programs[id]) {
+        const program = (data.Programs || []).find(p => String(p.id) === id);
+        center.programs[id] = {
+          id,
+          name: program ? program.name : (id ? 'Unknown program' : 'No program'),
+          total: 0,
+          comparisonTotal: 0,
+          ytdTotal: 0,
+          invoiced: 0,
+          paid: 0,
+          poCommitted: 0,
+          budget: 0,
+          annualBudget: 0,
+          transfersIn: 0,
+          transfersOut: 0
+        };
+      }
+      return center.programs[id];
+    };
     
     // Initialize centers
     data.PaymentCenters.forEach(center => {
       // Convert center.id to string for consistent comparison
       const centerId = center.id.toString();
+      const centerBudget = budgetSummary[centerId];
       
-      // Find budget for this payment center for current year
-      // Make sure to convert paymentCenterId to string for comparison
-      const centerBudget = data.PaymentCenterBudgets?.find(
-        budget => budget.paymentCenterId.toString() === centerId && 
-                  budget.year.toString() === currentYear
-      );
-      
-      // Debug log for each center's budget
-      console.log(`Budget for ${center.name} (ID: ${centerId}):`, centerBudget);
-      
+      // budget is the phased budget to date and annualBudget the full year;
+      // journal transfers are added to both to give what is available
       centers[centerId] = {
         id: centerId,
         name: center.name,
         total: 0,
-        budget: centerBudget ? parseFloat(centerBudget.budget) : 0,
-        expenses: []
+        comparisonTotal: 0,
+        ytdTotal: 0,
+        invoiced: 0,
+        paid: 0,
+        poCommitted: 0,
+        budget: centerBudget ? centerBudget.ytd : 0,
+        annualBudget: centerBudget ? centerBudget.annual : 0,
+        transfersIn: 0,
+        transfersOut: 0,
+        expenses: [],
+        orderIds: [],
+        transfers: [],
+        programs: {}
       };
+      
+      Object.entries(centerBudget ? centerBudget.programs : {}).forEach(([programId, programBudget]) => {
+        const program = getCenterProgram(centers[centerId], programId);
+        program.budget = programBudget.ytd;
+        program.annualBudget = programBudget.annual;
+      });
     });
     
-    // Sum expenses by payment center
+    // Sum expenses by payment center; split expenses count their allocated share
+    // against each payment center they are allocated to
     if (filteredExpenses.length) {
       filteredExpenses.forEach(expense => {
-        // Convert expense.paymentCenter to string for consistent lookup
-        const expenseCenterId = expense.paymentCenter.toString();
-        
-        if (centers[expenseCenterId]) {
-          centers[expenseCenterId].total += parseFloat(expense.amount) || 0;
-          centers[expenseCenterId].expenses.push(expense);
-        }
+        allocationHelper.getAllocations(expense).forEach(allocation => {
+          const center = centers[allocation.paymentCenter];
+          if (!center) return;
+          
+          const program = getCenterProgram(center, allocation.program);
+          [center, program].forEach(totals => {
+            totals.total += allocation.amount;
+            if (expense.status === 'Invoiced') totals.invoiced += allocation.amount;
+            if (expense.status === 'Paid') totals.paid += allocation.amount;
+          });
+          center.expenses.push(allocationHelper.isSplit(expense) ?
+            { ...expense, paymentCenter: allocation.paymentCenter, program: allocation.program, amount: allocation.amount, totalAmount: expense.amount } :
+            expense);
+        });
       });
     }
     
-    return Object.values(centers);
-  }, [data.PaymentCenters, data.PaymentCenterBudgets, filteredExpenses]);
+    // Spend in the comparison range, for period-on-period change
+    comparisonExpenses.forEach(expense => {
+      allocationHelper.getAllocations(expense).forEach(allocation => {
+        const center = centers[allocation.paymentCenter];
+        if (!center) return;
+        
+        center.comparisonTotal += allocation.amount;
+        getCenterProgram(center, allocation.program).comparisonTotal += allocation.amount;
+      });
+    });
+    
+    // Spend in the budget year to date, which is what the budget is compared with
+    budgetExpenses.forEach(expense => {
+      allocationHelper.getAllocations(expense).forEach(allocation => {
+        const center = centers[allocation.paymentCenter];
+        if (!center) return;
+        
+        center.ytdTotal += allocation.amount;
+        getCenterProgram(center, allocation.program).ytdTotal += allocation.amount;
+      });
+    });
+    
+    // Open PO commitments are kept apart from invoiced and paid spend
+    poCommitments.forEach(commitment => {
+      const center = centers[commitment.paymentCenter];
+      if (center) {
+        center.poCommitted += commitment.amount;
+        getCenterProgram(center, commitment.program).poCommitted += commitment.amount;
+        if (!center.orderIds.includes(commitment.orderId)) center.orderIds.push(commitment.orderId);
+      }
+    });
+    
+    // Approved journal transfers adjust the budget of the payment center and program
+    budgetTransfers.forEach(posting => {
+      const center = centers[String(posting.paymentCenter ?? '')];
+      if (!center) return;
+      
+      const program = getCenterProgram(center, posting.program);
+      [center, program].forEach(totals => {
+        totals.transfersIn += posting.debit;
+        totals.transfersOut += posting.credit;
+      });
+      center.transfers.push(posting);
+    });
+    
+    // Budget available to date and for the year after transfers
+    const withAvailable = (totals) => ({
+      ...totals,
+      available: totals.budget + totals.transfersIn - totals.transfersOut,
+      annualAvailable: totals.annualBudget + totals.transfersIn - totals.transfersOut
+    });
+    
+    // Programs for the drill-down, named programs first
+    return Object.values(centers).map(center => withAvailable({
+      ...center,
+      programs: Object.values(center.programs).map(withAvailable).sort((a, b) => {
+        if (!a.id || !b.id) return a.id ? -1 : (b.id ? 1 : 0);
+        return a.name.localeCompare(b.name);
+      })
+    }));
+  }, [data.PaymentCenters, data.Programs, budgetSummary, filteredExpenses, comparisonExpenses, budgetExpenses, poCommitments, budgetTransfers]);
   
   // Calculate total budget utilization
   const budgetUtilization = useMemo(() => {
-    const totalBudget = paymentCenterTotals.reduce((sum, center) => sum + center.budget, 0);
-    const totalSpent = paymentCenterTotals.reduce((sum, center) => sum + center.total, 0);
+    const totalBudget = paymentCenterTotals.reduce((sum, center) => sum + center.available, 0);
+    const totalSpent = paymentCenterTotals.reduce((sum, center) => sum + center.ytdTotal + center.poCommitted, 0);
     
     return totalBudget > 0 ? (totalSpent / totalBudget) * 100 : 0;
   }, [paymentCenterTotals]);
   
   // Calculate totals by payment type
   const paymentTypeTotals = useMemo(() => {
-    if (!data.PaymentTypes || !filteredExpenses.length) return [];
+    if (!data.PaymentTypes || (!filteredExpenses.length && !comparisonExpenses.length)) return [];
     
     const types = {};
     
@@ -298,6 +552,7 @@ useEffect(() => {
         id: type.id,
         name: type.name,
         total: 0,
+        comparisonTotal: 0,
         expenses: []
       };
     });
@@ -310,8 +565,14 @@ useEffect(() => {
       }
     });
     
+    comparisonExpenses.forEach(expense => {
+      if (types[expense.paymentType]) {
+        types[expense.paymentType].comparisonTotal += parseFloat(expense.amount) || 0;
+      }
+    });
+    
     return Object.values(types);
-  }, [data.PaymentTypes, filteredExpenses]);
+  }, [data.PaymentTypes, filteredExpenses, comparisonExpenses]);
   
   // Calculate expense status counts
 const expenseStatusCounts = useMemo(() => {
@@ -334,24 +595,10 @@ const expenseStatusCounts = useMemo(() => {
 }, [filteredExpenses]);
 
 // Calculate expense status amounts
-const expenseStatusAmounts = useMemo(() => {
-  // Always return the default object with zeros
-  const amounts = {
-    Committed: 0,
-    Invoiced: 0,
-    Paid: 0
-  };
-  
-  if (filteredExpenses && filteredExpenses.length) {
-    filteredExpenses.forEach(expense => {
-      if (expense.status && amounts[expense.status] !== undefined) {
-        amounts[expense.status] += parseFloat(expense.amount) || 0;
-      }
-    });
-  }
-  
-  return amounts;
-}, [filteredExpenses]);
+const expenseStatusAmounts = useMemo(() => sumStatusAmounts(filteredExpenses), [filteredExpenses]);
+
+// Expense status amounts in the comparison range
+const comparisonStatusAmounts = useMemo(() => sumStatusAmounts(comparisonExpenses), [comparisonExpenses]);
   
   // Calculate journal status counts
   const journalStatusCounts = useMemo(() => {
@@ -386,30 +633,45 @@ const dashboardAlerts = useMemo(() => {
   });
   
   // Check for payment centers over budget
+  // (spend in the budget year to date plus open PO commitments)
+  const usedBudget = (center) => center.ytdTotal + center.poCommitted;
+  const commitmentNote = (center) => (center.poCommitted > 0 ? ' including open purchase orders' : '');
+  
+  // against the year-to-date budget after journal transfers
   const overBudgetCenters = paymentCenterTotals.filter(center => 
-    center.budget > 0 && center.total > center.budget
+    center.available > 0 && usedBudget(center) > center.available
   );
   
   overBudgetCenters.forEach(center => {
-    const overBudgetPercent = ((center.total - center.budget) / center.budget * 100).toFixed(1);
+    const overBudgetPercent = ((usedBudget(center) - center.available) / center.available * 100).toFixed(1);
     alerts.push({
       type: 'error',
-      message: `${center.name} is over budget by ${overBudgetPercent}% (${formatCurrency(center.total - center.budget)})`
+      message: `${center.name} is over its year-to-date budget by ${overBudgetPercent}% (${formatCurrency(usedBudget(center) - center.available)})${commitmentNote(center)}`
     });
   });
   
+  // A payment center whose budget has all been transferred out but still has spend
+  paymentCenterTotals
+    .filter(center => center.available <= 0 && center.transfersOut > 0 && usedBudget(center) > 0)
+    .forEach(center => {
+      alerts.push({
+        type: 'error',
+        message: `${center.name} has no budget left after journal transfers but has ${formatCurrency(usedBudget(center))} of spend${commitmentNote(center)}`
+      });
+    });
+  
   // Check for payment centers near budget limit (>80%)
   const nearBudgetCenters = paymentCenterTotals.filter(center => 
-    center.budget > 0 && 
-    center.total <= center.budget && 
-    center.total >= (center.budget * 0.8)
+    center.available > 0 && 
+    usedBudget(center) <= center.available && 
+    usedBudget(center) >= (center.available * 0.8)
   );
   
   nearBudgetCenters.forEach(center => {
-    const usedPercent = ((center.total / center.budget) * 100).toFixed(1);
+    const usedPercent = ((usedBudget(center) / center.available) * 100).toFixed(1);
     alerts.push({
       type: 'warning',
-      message: `${center.name} is at ${usedPercent}% of budget`
+      message: `${center.name} is at ${usedPercent}% of its year-to-date budget${commitmentNote(center)}`
     });
   });
   
@@ -445,16 +707,67 @@ const dashboardAlerts = useMemo(() => {
           borderColor: 'rgba(54, 162, 235, 1)',
           borderWidth: 1
         },
+        ...(comparisonRange ? [{
+          label: `Actual Expenses (${comparisonLabel})`,
+          data: paymentCenterTotals.map(center => center.comparisonTotal),
+          backgroundColor: 'rgba(54, 162, 235, 0.2)',
+          borderColor: 'rgba(54, 162, 235, 1)',
+          borderWidth: 1
+        }] : []),
+        {
+          label: 'Open PO Commitments',
+          data: paymentCenterTotals.map(center => center.poCommitted),
+          backgroundColor: 'rgba(153, 102, 255, 0.6)',
+          borderColor: 'rgba(153, 102, 255, 1)',
+          borderWidth: 1
+        },
         {
-          label: 'Budget',
+          label: 'YTD Actual',
+          data: paymentCenterTotals.map(center => center.ytdTotal),
+          backgroundColor: 'rgba(201, 203, 207, 0.6)',
+          borderColor: 'rgba(201, 203, 207, 1)',
+          borderWidth: 1
+        },
+        {
+          label: 'YTD Budget',
           data: paymentCenterTotals.map(center => center.budget),
           backgroundColor: 'rgba(255, 206, 86, 0.6)',
           borderColor: 'rgba(255, 206, 86, 1)',
           borderWidth: 1
+        },
+        {
+          label: 'Transfers In',
+          data: paymentCenterTotals.map(center => center.transfersIn),
+          backgroundColor: 'rgba(75, 192, 192, 0.6)',
+          borderColor: 'rgba(75, 192, 192, 1)',
+          borderWidth: 1
+        },
+        {
+          label: 'Transfers Out',
+          data: paymentCenterTotals.map(center => center.transfersOut),
+          backgroundColor: 'rgba(255, 99, 132, 0.6)',
+          borderColor: 'rgba(255, 99, 132, 1)',
+          borderWidth: 1
+        },
+        {
+          label: 'Available Budget',
+          data: paymentCenterTotals.map(center => center.available),
+          backgroundColor: 'rgba(255, 159, 64, 0.6)',
+          borderColor: 'rgba(255, 159, 64, 1)',
+          borderWidth: 1
         }
       ]
     };
-  }, [paymentCenterTotals]);
+  }, [paymentCenterTotals, comparisonRange, comparisonLabel]);
+  
+  // Budget, actual and variance by month of the budget year
+  const monthlyVariance = useMemo(() => 
+    budgetHelper.buildMonthlyVariance(budgetSummary, expenses, {
+      year: budgetYear,
+      paymentCenterId: varianceCenter,
+      startMonth: fiscalStartMonth
+    }),
+  [budgetSummary, expenses, budgetYear, varianceCenter, fiscalStartMonth]);
   
   // Payment type pie chart data
   const paymentTypePieData = useMemo(() => {
@@ -508,18 +821,16 @@ const dashboardAlerts = useMemo(() => {
 
 // Monthly expenses line chart data
 const monthlyExpenseData = useMemo(() => {
-  if (!data.Expenses) return { labels: [], datasets: [] };
-  
   // Group expenses by month
   const monthlyData = {};
-  const now = new Date();
+  const now = dateRange.dateTo ? parseISO(dateRange.dateTo) : new Date();
   let startMonth = new Date(now.getFullYear(), now.getMonth() - 5, 1); // Last 6 months
   
-  if (period === 'year') {
-    startMonth = new Date(now.getFullYear(), 0, 1); // Start of the year
+  if (['year', 'quarter', 'custom'].includes(period) && dateRange.dateFrom) {
+    startMonth = startOfMonth(parseISO(dateRange.dateFrom)); // Start of the financial year, quarter or custom range
   } else if (period === 'all') {
     // Find the earliest expense date
-    const dates = data.Expenses.map(e => new Date(e.date));
+    const dates = expenses.map(e => new Date(e.date));
     if (dates.length > 0) {
       startMonth = new Date(Math.min(...dates));
       startMonth.setDate(1);
@@ -535,7 +846,7 @@ const monthlyExpenseData = useMemo(() => {
   }
   
   // Fill in actual expense data
-  data.Expenses.forEach(expense => {
+  expenses.forEach(expense => {
     if (!expense.date) return;
     
     const expenseDate = new Date(expense.date);
@@ -557,6 +868,23 @@ const monthlyExpenseData = useMemo(() => {
   const amounts = Object.values(monthlyData).map(data => data.total);
   const counts = Object.values(monthlyData).map(data => data.count);
   
+  // Each month's comparison is the month the same distance back as the
+  // comparison range, e.g. twelve months earlier for the same period last year.
+  // Only expenses inside the comparison range count, so a part month is
+  // compared with the same days of the earlier one.
+  const comparisonAmounts = {};
+  if (comparisonRange) {
+    const shift = differenceInCalendarMonths(parseISO(dateRange.dateFrom), parseISO(comparisonRange.dateFrom));
+    comparisonExpenses.forEach(expense => {
+      if (!expense.date) return;
+      
+      const monthKey = format(addMonths(new Date(expense.date), shift), 'yyyy-MM');
+      if (monthlyData[monthKey]) {
+        comparisonAmounts[monthKey] = (comparisonAmounts[monthKey] || 0) + (parseFloat(expense.amount) || 0);
+      }
+    });
+  }
+  
   return {
     labels,
     datasets: [
@@ -568,6 +896,15 @@ const monthlyExpenseData = useMemo(() => {
         yAxisID: 'y',
         tension: 0.1
       },
+      ...(comparisonRange ? [{
+        label: `Total Amount (${comparisonLabel})`,
+        data: Object.keys(monthlyData).map(key => comparisonAmounts[key] || 0),
+        borderColor: 'rgb(54, 162, 235)',
+        backgroundColor: 'rgba(54, 162, 235, 0.2)',
+        borderDash: [6, 4],
+        yAxisID: 'y',
+        tension: 0.1
+      }] : []),
       {
         label: 'Number of Expenses',
         data: counts,
@@ -578,7 +915,7 @@ const monthlyExpenseData = useMemo(() => {
       }
     ]
   };
-}, [data.Expenses, period]);
+}, [expenses, period, dateRange, comparisonRange, comparisonExpenses, comparisonLabel]);
 
 // Handle drill-down click on payment center
 const handlePaymentCenterClick = (event, elements) => {
@@ -587,6 +924,10 @@ const handlePaymentCenterClick = (event, elements) => {
     const center = paymentCenterTotals[index];
     setSelectedDrillDown(`${center.name} Expenses`);
     setDrillDownExpenses(center.expenses);
+    setDrillDownOrders((data.PurchaseOrders || []).filter(order => center.orderIds.includes(order.id)));
+    setDrillDownPrograms(center.programs);
+    setDrillDownTransfers(center.transfers);
+    setDrillDownProgram(null);
     setDrillDownOpen(true);
   }
 };
@@ -619,8 +960,20 @@ const handleCloseDrillDown = () => {
   setDrillDownOpen(false);
   setSelectedDrillDown(null);
   setDrillDownExpenses([]);
+  setDrillDownOrders([]);
+  setDrillDownPrograms([]);
+  setDrillDownTransfers([]);
+  setDrillDownProgram(null);
 };
 
+// Drill-down expenses, limited to the program picked in a payment center drill-down
+const visibleDrillDownExpenses = drillDownProgram === null ?
+  drillDownExpenses :
+  drillDownExpenses.filter(expense => String(expense.program || '') === drillDownProgram);
+const visibleDrillDownTransfers = drillDownProgram === null ?
+  drillDownTransfers :
+  drillDownTransfers.filter(posting => String(posting.program || '') === drillDownProgram);
+
 // Open budget management dialog
 const handleOpenBudgetDialog = () => {
   // Force refresh data before opening dialog
@@ -637,10 +990,12 @@ const handleCloseBudgetDialog = () => {
   }, 500);
 };
 
-// Handle GitHub save for budgets
-const handleSaveToGitHub = () => {
-  alert("GitHub save functionality would be implemented here. This is a placeholder.");
-  // Additional GitHub save logic would go here
+// Save pending budget changes to the database
+const handleSaveToDatabase = async () => {
+  const result = await saveData();
+  if (result) {
+    alert(result.message);
+  }
 };
 
 // Get supplier name by ID
@@ -662,7 +1017,7 @@ const getPaymentTypeName = (id) => {
 };
 
 // If loading
-if (loading) {
+if (loading || !rangesLoaded) {
   return (
     <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
       <CircularProgress />
@@ -671,19 +1026,25 @@ if (loading) {
 }
 
 // If error
-if (error) {
+if (error || figuresError) {
   return (
     <Alert severity="error" sx={{ mt: 2 }}>
-      {typeof error === 'string' ? error : 'An error occurred'}
+      {figuresError || (typeof error === 'string' ? error : 'An error occurred')}
     </Alert>
   );
 }
 
 return (
   <Box>
-    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
-      <Typography variant="h4">Financial Dashboard</Typography>
-      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+      <Box>
+        <Typography variant="h4">Financial Dashboard</Typography>
+        <Typography variant="body2" color="text.secondary">
+          {periodComparison.describe(dateRange)}
+          {comparisonRange && ` compared with ${periodComparison.describe(comparisonRange)}`}
+        </Typography>
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', rowGap: 1 }}>
         <FormControl variant="outlined" size="small" sx={{ minWidth: 150, mr: 2 }}>
           <InputLabel>Time Period</InputLabel>
           <Select
@@ -699,6 +1060,49 @@ return (
           </Select>
         </FormControl>
         
+        {period === 'custom' && (
+          <>
+            <TextField
+              label="From"
+              type="date"
+              size="small"
+              value={customRange.dateFrom}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, dateFrom: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              sx={{ mr: 1, width: 160 }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              size="small"
+              value={customRange.dateTo}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, dateTo: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              error={Boolean(dateRange.dateFrom && dateRange.dateTo && dateRange.dateFrom > dateRange.dateTo)}
+              helperText={dateRange.dateFrom && dateRange.dateTo && dateRange.dateFrom > dateRange.dateTo ? 'Before From' : undefined}
+              sx={{ mr: 2, width: 160 }}
+            />
+          </>
+        )}
+        
+        <Tooltip title={period === 'all' ? 'Choose a period with a start and end date to compare' : ''}>
+          <FormControl variant="outlined" size="small" sx={{ minWidth: 190, mr: 2 }}>
+            <InputLabel>Compare To</InputLabel>
+            <Select
+              value={compareMode}
+              onChange={(e) => setCompareMode(e.target.value)}
+              label="Compare To"
+              disabled={period === 'all'}
+            >
+              {COMPARE_MODES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Tooltip>
+        
         <Button
           variant="outlined"
           startIcon={<SettingsIcon />}
@@ -756,6 +1160,22 @@ return (
                     {filteredExpenses.length} expense records
                   </Typography>
                 </Box>
+                {comparisonRange && (() => {
+                  const current = filteredExpenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+                  const comparison = comparisonExpenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+                  const up = current > comparison;
+                  
+                  return (
+                    <Box sx={{ display: 'flex', alignItems: 'center', mt: 0.5 }}>
+                      {current !== comparison && (up ?
+                        <ArrowUpIcon fontSize="small" color="error" /> :
+                        <ArrowDownIcon fontSize="small" color="success" />)}
+                      <Typography variant="body2" color="text.secondary">
+                        {periodComparison.formatChange(current, comparison)} vs {formatCurrency(comparison)} ({comparisonLabel})
+                      </Typography>
+                    </Box>
+                  );
+                })()}
               </Box>
             </Box>
           </CardContent>
@@ -908,12 +1328,29 @@ return (
       {/* Payment Centers Budget vs Actual Bar Chart */}
       <TabPanel value={tabValue} index={0}>
         <Box sx={{ p: 2 }}>
-          <Typography variant="h6" gutterBottom>
-            Budget vs Actual by Payment Center
-          </Typography>
-          <Typography variant="body2" color="text.secondary" gutterBottom>
-            Click on a bar to see detailed expenses
-          </Typography>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+            <Box>
+              <Typography variant="h6" gutterBottom>
+                Budget vs Actual by Payment Center
+              </Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                YTD actual ({periodComparison.describe(budgetRange)}) compared against the {activeBudgetVersion} {budgetYearLabel} budget phased to date, adjusted by approved journal transfers. Actual follows the selected period. Click on a bar to see detailed expenses
+              </Typography>
+            </Box>
+            <FormControl variant="outlined" size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Budget Version</InputLabel>
+              <Select
+                value={budgetVersion}
+                onChange={(e) => setBudgetVersion(e.target.value)}
+                label="Budget Version"
+              >
+                <MenuItem value="">Latest ({budgetHelper.getLatestVersion(data.PaymentCenterBudgets || [], budgetYear)})</MenuItem>
+                {budgetVersions.map(version => (
+                  <MenuItem key={version} value={version}>{version}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
           <Box sx={{ height: 400 }}>
             <Bar 
               data={paymentCenterChartData} 
@@ -944,6 +1381,10 @@ return (
                         if (context.parsed.y !== null) {
                           label += formatCurrency(context.parsed.y);
                         }
+                        if (comparisonRange && context.datasetIndex === 0) {
+                          const center = paymentCenterTotals[context.dataIndex];
+                          label += ` (${periodComparison.formatChange(center.total, center.comparisonTotal)} vs ${comparisonLabel})`;
+                        }
                         return label;
                       }
                     }
@@ -963,22 +1404,49 @@ return (
                 <TableHead>
                   <TableRow>
                     <TableCell>Payment Center</TableCell>
-                    <TableCell align="right">Budget</TableCell>
+                    <TableCell align="right">Annual Budget</TableCell>
+                    <TableCell align="right">YTD Budget</TableCell>
+                    <TableCell align="right">Transfers In</TableCell>
+                    <TableCell align="right">Transfers Out</TableCell>
+                    <TableCell align="right">Available</TableCell>
+                    <TableCell align="right">YTD Actual</TableCell>
                     <TableCell align="right">Actual</TableCell>
-                    <TableCell align="right">Remaining</TableCell>
-                    <TableCell align="right">Utilization</TableCell>
+                    {comparisonRange && <TableCell align="right">{comparisonLabel}</TableCell>}
+                    {comparisonRange && <TableCell align="right">Change</TableCell>}
+                    <TableCell align="right">Invoiced</TableCell>
+                    <TableCell align="right">Paid</TableCell>
+                    <TableCell align="right">Open POs</TableCell>
+                    <TableCell align="right">YTD Variance</TableCell>
+                    <TableCell align="right">Remaining (Year)</TableCell>
+                    <TableCell align="right">YTD Utilization</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
                   {paymentCenterTotals.map((center) => {
-                    const remaining = center.budget - center.total;
-                    const utilization = center.budget > 0 ? (center.total / center.budget) * 100 : 0;
+                    const variance = center.available - center.ytdTotal - center.poCommitted;
+                    const remaining = center.annualAvailable - center.ytdTotal - center.poCommitted;
+                    const utilization = center.available > 0 ? ((center.ytdTotal + center.poCommitted) / center.available) * 100 : 0;
                     
                     return (
                       <TableRow key={center.id}>
                         <TableCell>{center.name}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.annualBudget)}</TableCell>
                         <TableCell align="right">{formatCurrency(center.budget)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.transfersIn)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.transfersOut)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.available)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.ytdTotal)}</TableCell>
                         <TableCell align="right">{formatCurrency(center.total)}</TableCell>
+                        {comparisonRange && <TableCell align="right">{formatCurrency(center.comparisonTotal)}</TableCell>}
+                        {comparisonRange && (
+                          <TableCell align="right">{periodComparison.formatChange(center.total, center.comparisonTotal)}</TableCell>
+                        )}
+                        <TableCell align="right">{formatCurrency(center.invoiced)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.paid)}</TableCell>
+                        <TableCell align="right">{formatCurrency(center.poCommitted)}</TableCell>
+                        <TableCell align="right" sx={{ color: variance < 0 ? 'error.main' : 'success.main' }}>
+                          {formatCurrency(variance)}
+                        </TableCell>
                         <TableCell align="right" sx={{ color: remaining < 0 ? 'error.main' : 'success.main' }}>
                           {formatCurrency(remaining)}
                         </TableCell>
@@ -994,14 +1462,54 @@ return (
                   })}
                   <TableRow sx={{ fontWeight: 'bold' }}>
                     <TableCell>Total</TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.annualBudget, 0))}
+                    </TableCell>
                     <TableCell align="right">
                       {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.budget, 0))}
                     </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.transfersIn, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.transfersOut, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.available, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.ytdTotal, 0))}
+                    </TableCell>
                     <TableCell align="right">
                       {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.total, 0))}
                     </TableCell>
+                    {comparisonRange && (
+                      <TableCell align="right">
+                        {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.comparisonTotal, 0))}
+                      </TableCell>
+                    )}
+                    {comparisonRange && (
+                      <TableCell align="right">
+                        {periodComparison.formatChange(
+                          paymentCenterTotals.reduce((sum, c) => sum + c.total, 0),
+                          paymentCenterTotals.reduce((sum, c) => sum + c.comparisonTotal, 0)
+                        )}
+                      </TableCell>
+                    )}
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.invoiced, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.paid, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + c.poCommitted, 0))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + (c.available - c.ytdTotal - c.poCommitted), 0))}
+                    </TableCell>
                     <TableCell align="right">
-                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + (c.budget - c.total), 0))}
+                      {formatCurrency(paymentCenterTotals.reduce((sum, c) => sum + (c.annualAvailable - c.ytdTotal - c.poCommitted), 0))}
                     </TableCell>
                     <TableCell align="right">
                       <Chip
@@ -1015,6 +1523,72 @@ return (
               </Table>
             </TableContainer>
           </Box>
+          
+          {/* Monthly variance against the phased budget */}
+          <Box sx={{ mt: 4 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle1">
+                Monthly Variance ({activeBudgetVersion} {budgetYearLabel})
+              </Typography>
+              <FormControl variant="outlined" size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Payment Center</InputLabel>
+                <Select
+                  value={varianceCenter}
+                  onChange={(e) => setVarianceCenter(e.target.value)}
+                  label="Payment Center"
+                >
+                  <MenuItem value="">All Payment Centers</MenuItem>
+                  {(data.PaymentCenters || []).map(center => (
+                    <MenuItem key={center.id} value={center.id.toString()}>{center.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell />
+                    {fiscalCalendar.getMonthLabels(fiscalStartMonth).map(month => (
+                      <TableCell key={month} align="right">{month}</TableCell>
+                    ))}
+                    <TableCell align="right">YTD</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {[
+                    { key: 'budget', label: 'Budget' },
+                    { key: 'actual', label: 'Actual' },
+                    { key: 'variance', label: 'Variance' }
+                  ].map(row => {
+                    const ytd = monthlyVariance.filter(month => month.elapsed).reduce((sum, month) => sum + month[row.key], 0);
+                    const colorFor = (amount) => (row.key !== 'variance' ? undefined : amount < 0 ? 'error.main' : 'success.main');
+                    
+                    return (
+                      <TableRow key={row.key}>
+                        <TableCell sx={{ fontWeight: row.key === 'variance' ? 'bold' : undefined }}>{row.label}</TableCell>
+                        {monthlyVariance.map(month => (
+                          <TableCell
+                            key={month.month}
+                            align="right"
+                            sx={{ color: month.elapsed ? colorFor(month[row.key]) : 'text.disabled' }}
+                          >
+                            {Math.round(month[row.key]).toLocaleString('en-AU')}
+                          </TableCell>
+                        ))}
+                        <TableCell align="right" sx={{ fontWeight: 'bold', color: colorFor(ytd) }}>
+                          {formatCurrency(ytd)}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <Typography variant="caption" color="text.secondary">
+              Actual is all expenses dated in the month, whatever their status. Variance is budget less actual; months not yet started are greyed out.
+            </Typography>
+          </Box>
         </Box>
       </TabPanel>
          {/* Payment Types Pie Chart */}
@@ -1044,7 +1618,12 @@ return (
                         const value = context.raw || 0;
                         const total = context.chart.data.datasets[0].data.reduce((a, b) => a + b, 0);
                         const percentage = Math.round(value / total * 100);
-                        return `${label}: ${formatCurrency(value)} (${percentage}%)`;
+                        const lines = [`${label}: ${formatCurrency(value)} (${percentage}%)`];
+                        if (comparisonRange) {
+                          const comparison = paymentTypeTotals[context.dataIndex]?.comparisonTotal || 0;
+                          lines.push(`${comparisonLabel}: ${formatCurrency(comparison)}`, `Change: ${periodComparison.formatChange(value, comparison)}`);
+                        }
+                        return lines;
                       }
                     }
                   }
@@ -1052,6 +1631,30 @@ return (
               }}
             />
           </Box>
+          {comparisonRange && (
+            <TableContainer sx={{ mt: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Payment Type</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell align="right">{comparisonLabel}</TableCell>
+                    <TableCell align="right">Change</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {paymentTypeTotals.map(type => (
+                    <TableRow key={type.id}>
+                      <TableCell>{type.name}</TableCell>
+                      <TableCell align="right">{formatCurrency(type.total)}</TableCell>
+                      <TableCell align="right">{formatCurrency(type.comparisonTotal)}</TableCell>
+                      <TableCell align="right">{periodComparison.formatChange(type.total, type.comparisonTotal)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
         </Box>
       </TabPanel>
 
@@ -1084,7 +1687,12 @@ return (
                             const value = context.raw || 0;
                             const total = context.chart.data.datasets[0].data.reduce((a, b) => a + b, 0);
                             const percentage = Math.round(value / total * 100);
-                            return `${label}: ${formatCurrency(value)} (${percentage}%)`;
+                            const lines = [`${label}: ${formatCurrency(value)} (${percentage}%)`];
+                            if (comparisonRange) {
+                              const comparison = comparisonStatusAmounts[label] || 0;
+                              lines.push(`${comparisonLabel}: ${formatCurrency(comparison)}`, `Change: ${periodComparison.formatChange(value, comparison)}`);
+                            }
+                            return lines;
                           }
                         }
                       }
@@ -1102,6 +1710,8 @@ return (
                       <TableCell align="right">Count</TableCell>
                       <TableCell align="right">Amount</TableCell>
                       <TableCell align="right">Percentage</TableCell>
+                      {comparisonRange && <TableCell align="right">{comparisonLabel}</TableCell>}
+                      {comparisonRange && <TableCell align="right">Change</TableCell>}
                     </TableRow>
                   </TableHead>
                   <TableBody>
@@ -1126,6 +1736,10 @@ return (
                           <TableCell align="right">{count}</TableCell>
                           <TableCell align="right">{formatCurrency(amount)}</TableCell>
                           <TableCell align="right">{percentage}%</TableCell>
+                          {comparisonRange && <TableCell align="right">{formatCurrency(comparisonStatusAmounts[status])}</TableCell>}
+                          {comparisonRange && (
+                            <TableCell align="right">{periodComparison.formatChange(amount, comparisonStatusAmounts[status])}</TableCell>
+                          )}
                         </TableRow>
                       );
                     })}
@@ -1138,6 +1752,19 @@ return (
                         {formatCurrency(Object.values(expenseStatusAmounts).reduce((a, b) => a + b, 0))}
                       </TableCell>
                       <TableCell align="right" sx={{ fontWeight: 'bold' }}>100%</TableCell>
+                      {comparisonRange && (
+                        <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                          {formatCurrency(Object.values(comparisonStatusAmounts).reduce((a, b) => a + b, 0))}
+                        </TableCell>
+                      )}
+                      {comparisonRange && (
+                        <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                          {periodComparison.formatChange(
+                            Object.values(expenseStatusAmounts).reduce((a, b) => a + b, 0),
+                            Object.values(comparisonStatusAmounts).reduce((a, b) => a + b, 0)
+                          )}
+                        </TableCell>
+                      )}
                     </TableRow>
                   </TableBody>
                 </Table>
@@ -1194,12 +1821,19 @@ return (
                         if (label) {
                           label += ': ';
                         }
-                        if (context.dataset.label === 'Total Amount') {
+                        if (context.dataset.yAxisID === 'y') {
                           label += formatCurrency(context.parsed.y);
                         } else {
                           label += context.parsed.y;
                         }
                         return label;
+                      },
+                      // Change in the month's amount against the comparison month
+                      footer: function(items) {
+                        if (!comparisonRange || items.length === 0) return '';
+                        const [current, comparison] = monthlyExpenseData.datasets;
+                        const index = items[0].dataIndex;
+                        return `Change: ${periodComparison.formatChange(current.data[index], comparison.data[index])}`;
                       }
                     }
                   }
@@ -1234,6 +1868,84 @@ return (
         </IconButton>
       </DialogTitle>
       <DialogContent dividers>
+        {drillDownPrograms.length > 0 && (
+          <>
+            <Typography variant="subtitle1" gutterBottom>
+              Programs
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Click a program to see its expenses
+            </Typography>
+            <TableContainer sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Program</TableCell>
+                    <TableCell align="right">Annual Budget</TableCell>
+                    <TableCell align="right">YTD Budget</TableCell>
+                    <TableCell align="right">Transfers In</TableCell>
+                    <TableCell align="right">Transfers Out</TableCell>
+                    <TableCell align="right">Available</TableCell>
+                    <TableCell align="right">YTD Actual</TableCell>
+                    <TableCell align="right">Actual</TableCell>
+                    {comparisonRange && <TableCell align="right">{comparisonLabel}</TableCell>}
+                    {comparisonRange && <TableCell align="right">Change</TableCell>}
+                    <TableCell align="right">Invoiced</TableCell>
+                    <TableCell align="right">Paid</TableCell>
+                    <TableCell align="right">Open POs</TableCell>
+                    <TableCell align="right">YTD Variance</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {drillDownPrograms.map(program => {
+                    const variance = program.available - program.ytdTotal - program.poCommitted;
+                    return (
+                      <TableRow
+                        key={program.id || 'none'}
+                        hover
+                        selected={drillDownProgram === program.id}
+                        onClick={() => setDrillDownProgram(drillDownProgram === program.id ? null : program.id)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell sx={{ fontStyle: program.id ? 'normal' : 'italic' }}>{program.name}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.annualBudget)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.budget)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.transfersIn)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.transfersOut)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.available)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.ytdTotal)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.total)}</TableCell>
+                        {comparisonRange && <TableCell align="right">{formatCurrency(program.comparisonTotal)}</TableCell>}
+                        {comparisonRange && (
+                          <TableCell align="right">{periodComparison.formatChange(program.total, program.comparisonTotal)}</TableCell>
+                        )}
+                        <TableCell align="right">{formatCurrency(program.invoiced)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.paid)}</TableCell>
+                        <TableCell align="right">{formatCurrency(program.poCommitted)}</TableCell>
+                        <TableCell align="right" sx={{ color: variance < 0 ? 'error.main' : 'success.main' }}>
+                          {formatCurrency(variance)}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle1">Expenses</Typography>
+              {drillDownProgram !== null && (
+                <Chip
+                  label={drillDownPrograms.find(program => program.id === drillDownProgram)?.name}
+                  size="small"
+                  onDelete={() => setDrillDownProgram(null)}
+                  sx={{ ml: 1 }}
+                />
+              )}
+            </Box>
+          </>
+        )}
+        
         <TableContainer>
           <Table>
             <TableHead>
@@ -1248,14 +1960,26 @@ return (
               </TableRow>
             </TableHead>
             <TableBody>
-              {drillDownExpenses.map((expense) => (
-                <TableRow key={expense.id} hover>
+              {visibleDrillDownExpenses.map((expense, index) => (
+                <TableRow key={`${expense.id}-${index}`} hover>
                   <TableCell>{expense.date}</TableCell>
                   <TableCell>{expense.description}</TableCell>
                   <TableCell>{getSupplierName(expense.supplier)}</TableCell>
                   <TableCell>{getPaymentCenterName(expense.paymentCenter)}</TableCell>
                   <TableCell>{getPaymentTypeName(expense.paymentType)}</TableCell>
-                  <TableCell align="right">{formatCurrency(expense.amount)}</TableCell>
+                  <TableCell align="right">
+                    {formatCurrency(expense.amount)}
+                    {expense.totalAmount !== undefined && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        of {formatCurrency(expense.totalAmount)}
+                      </Typography>
+                    )}
+                    {currencyHelper.isForeign(expense) && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {currencyHelper.formatOriginal(expense)} invoiced
+                      </Typography>
+                    )}
+                  </TableCell>
                   <TableCell align="center">
                     <Chip
                       label={expense.status}
@@ -1272,8 +1996,92 @@ return (
             </TableBody>
           </Table>
         </TableContainer>
+        
+        {visibleDrillDownTransfers.length > 0 && (
+          <>
+            <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+              Budget Transfers (Approved Journals)
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Reference</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Program</TableCell>
+                    <TableCell align="right">In</TableCell>
+                    <TableCell align="right">Out</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {visibleDrillDownTransfers.map((posting) => (
+                    <TableRow key={posting.id} hover>
+                      <TableCell>{posting.date}</TableCell>
+                      <TableCell>{posting.reference}</TableCell>
+                      <TableCell>{posting.description}</TableCell>
+                      <TableCell>
+                        {drillDownPrograms.find(program => program.id === String(posting.program || ''))?.name}
+                      </TableCell>
+                      <TableCell align="right">{posting.debit ? formatCurrency(posting.debit) : ''}</TableCell>
+                      <TableCell align="right">{posting.credit ? formatCurrency(posting.credit) : ''}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+        
+        {drillDownOrders.length > 0 && (
+          <>
+            <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+              Open Purchase Orders
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>PO Number</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Supplier</TableCell>
+                    <TableCell align="right">Approved</TableCell>
+                    <TableCell align="right">Invoiced</TableCell>
+                    <TableCell align="right">Remaining</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {drillDownOrders.map((order) => {
+                    const summary = purchaseOrderHelper.getSummary(order, orderInvoices);
+                    return (
+                      <TableRow key={order.id} hover>
+                        <TableCell>{order.poNumber}</TableCell>
+                        <TableCell>{order.description}</TableCell>
+                        <TableCell>{getSupplierName(order.supplier)}</TableCell>
+                        <TableCell align="right">{formatCurrency(summary.approved)}</TableCell>
+                        <TableCell align="right">{formatCurrency(summary.invoiced)}</TableCell>
+                        <TableCell align="right">{formatCurrency(summary.remaining)}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
       </DialogContent>
       <DialogActions>
+        {drillDownOrders.length > 0 && (
+          <Button 
+            variant="outlined" 
+            onClick={() => {
+              handleCloseDrillDown();
+              navigate('/purchase-orders');
+            }}
+          >
+            View Purchase Orders
+          </Button>
+        )}
         <Button 
           variant="outlined" 
           onClick={() => {
@@ -1459,7 +2267,7 @@ return (
       <PaymentCenterBudgetForm 
         open={budgetDialogOpen} 
         onClose={handleCloseBudgetDialog}
-        onSaveToGitHub={handleSaveToGitHub}
+        onSaveToDatabase={handleSaveToDatabase}
       />
     </Box>
   );
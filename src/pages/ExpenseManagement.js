@@ -1,5 +1,5 @@
 // src/pages/ExpenseManagement.js
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { 
   Box, 
@@ -40,7 +40,10 @@ import {
   TableBody,
   TableRow,
   TableCell,
-  TablePagination
+  TablePagination,
+  TableSortLabel,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import { 
   Add as AddIcon,
@@ -55,11 +58,23 @@ import {
   Close as CloseIcon,
   Refresh as RefreshIcon,
   CloudUpload as CloudUploadIcon,
-  Download as DownloadIcon
+  Download as DownloadIcon,
+  HowToReg as ApprovalIcon
 } from '@mui/icons-material';
 import { v4 as uuidv4 } from 'uuid';
 import { useData } from '../contexts/DataContext';
 import { useAuth } from '../contexts/AuthContext';
+import RecordConflictAlert from '../components/RecordConflictAlert';
+import SegregationOverrideDialog from '../components/SegregationOverrideDialog';
+import approvalWorkflow, { APPROVAL_STATUSES } from '../utils/ApprovalWorkflow';
+import purchaseOrderHelper from '../utils/PurchaseOrderHelper';
+import invoiceMatcher, { MATCH_STATUSES } from '../utils/InvoiceMatcher';
+import attachmentHelper from '../utils/AttachmentHelper';
+import AttachmentsPanel from '../components/AttachmentsPanel';
+import AllocationEditor from '../components/AllocationEditor';
+import allocationHelper from '../utils/AllocationHelper';
+import gstHelper, { TAX_CODES } from '../utils/GstHelper';
+import currencyHelper, { BASE_CURRENCY, CURRENCIES } from '../utils/CurrencyHelper';
 
 // Status colors
 const statusColors = {
@@ -69,6 +84,15 @@ const statusColors = {
   'Cancelled': 'error'
 };
 
+// Payment type ID for purchase orders; invoices of this type are matched to a PO
+const PO_PAYMENT_TYPE = '1';
+
+// Status shown by each tab (null = all)
+const tabStatuses = [null, 'Committed', 'Invoiced', 'Paid'];
+
+// How long expenses must stay unchanged before the table is refetched
+const REFETCH_DELAY_MS = 500;
+
 // TabPanel component
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -93,16 +117,37 @@ function TabPanel(props) {
 const ExpenseManagement = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { data, loading, error, addEntity, updateEntity, deleteEntity, saveData, exportToExcel } = useData();
-  const { currentUser, hasPermission } = useAuth();
+  const { 
+    data, 
+    loading, 
+    error, 
+    addEntity, 
+    updateEntity, 
+    deleteEntity, 
+    saveData, 
+    exportToExcel, 
+    queryExpenses,
+    queryAllExpenses,
+    beginEditing,
+    endEditing,
+    getConflict,
+    resolveConflict,
+    checkPeriod,
+    approveExpense,
+    rejectExpense,
+    checkSegregation,
+    resolveMatchException,
+    recheckInvoiceMatches
+  } = useData();
+  const { currentUser, hasPermission, isAdmin } = useAuth();
   
   // Parse URL parameters
   const queryParams = useMemo(() => new URLSearchParams(location.search), [location.search]);
   const showNewExpense = queryParams.get('action') === 'new';
+  const purchaseOrderParam = queryParams.get('purchaseOrder');
   
   // State - define all state variables at the beginning
   const [submitting, setSubmitting] = useState(false);
-  const [expenses, setExpenses] = useState([]);
   const [suppliers, setSuppliers] = useState([]);
   const [programs, setPrograms] = useState([]);
   const [paymentCenters, setPaymentCenters] = useState([]);
@@ -116,16 +161,43 @@ const ExpenseManagement = () => {
   const [menuExpense, setMenuExpense] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   
+  // Approval dialog state
+  const [approvalExpense, setApprovalExpense] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [approving, setApproving] = useState(false);
+  
+  // Three-way match: invoice quantities/prices entered against PO lines, and the
+  // exception being resolved
+  const [invoiceLineEntries, setInvoiceLineEntries] = useState({});
+  const [allocationLines, setAllocationLines] = useState([]);
+  const [matchExpense, setMatchExpense] = useState(null);
+  const [matchResolution, setMatchResolution] = useState('');
+  const [resolving, setResolving] = useState(false);
+  
+  // Segregation-of-duties override: { violations, perform(override) }
+  const [segregationOverride, setSegregationOverride] = useState(null);
+  
   // Table state
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [sortField, setSortField] = useState('date');
+  const [sortDirection, setSortDirection] = useState('desc');
+  
+  // Server query results for the current page
+  const [pageExpenses, setPageExpenses] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [queryLoading, setQueryLoading] = useState(false);
   
   // Filter state
   const [tabValue, setTabValue] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filterDateRange, setFilterDateRange] = useState({ start: '', end: '' });
   const [filterPaymentCenter, setFilterPaymentCenter] = useState('All');
   const [filterProgram, setFilterProgram] = useState('All');
   const [filterPaymentType, setFilterPaymentType] = useState('All');
+  const [filterMissingInvoice, setFilterMissingInvoice] = useState(false);
   
   // Form state
   const [expenseForm, setExpenseForm] = useState({
@@ -140,30 +212,46 @@ const ExpenseManagement = () => {
     status: 'Committed',
     notes: '',
     invoiceDate: '',
-    paymentDate: ''
+    paymentDate: '',
+    purchaseOrderId: '',
+    taxCode: 'GST',
+    gstAmount: '',
+    isCapital: false,
+    currency: BASE_CURRENCY
   });
   
-  // Check if expense is a duplicate
-  const isDuplicateExpense = useCallback((newExpense) => {
-    // Consider an expense duplicate if it has the same description, supplier, date, and amount
-    return expenses.some(expense => 
-      expense.description?.toLowerCase() === newExpense.description?.toLowerCase() &&
-      expense.supplier === newExpense.supplier &&
-      expense.date === newExpense.date && 
-      parseFloat(expense.amount) === parseFloat(newExpense.amount) &&
-      expense.id !== newExpense.id
-    );
-  }, [expenses]);
+  // Approved purchase orders that invoices can be matched against
+  const openPurchaseOrders = useMemo(() => 
+    (data.PurchaseOrders || []).filter(order => order.status === 'Approved'),
+  [data.PurchaseOrders]);
+  
+  // Current user as an approver, and the expenses waiting on them
+  const approver = useMemo(() => ({
+    username: currentUser?.username || 'system',
+    isAdmin: isAdmin(),
+    canApprove: hasPermission('approve')
+  }), [currentUser, isAdmin, hasPermission]);
+  
+  // Expenses pending approval, invoices that failed three-way matching and cannot be
+  // paid yet, and the invoices against open purchase orders (for their balances).
+  // Each comes from its own query rather than from every expense.
+  const [pendingApproval, setPendingApproval] = useState([]);
+  const [matchExceptions, setMatchExceptions] = useState([]);
+  const [orderInvoices, setOrderInvoices] = useState([]);
+  
+  const awaitingApproval = useMemo(
+    () => approvalWorkflow.getAwaiting(pendingApproval, approver),
+    [pendingApproval, approver]
+  );
+  
+  // Purchase order the invoice in the dialog is matched to
+  const selectedOrder = useMemo(() => 
+    (data.PurchaseOrders || []).find(order => order.id === expenseForm.purchaseOrderId) || null,
+  [data.PurchaseOrders, expenseForm.purchaseOrderId]);
 
   // Load data from context
   useEffect(() => {
     if (data) {
-      // Set expenses - don't filter any out
-      if (data.Expenses) {
-        console.log(`Setting ${data.Expenses.length} expenses`);
-        setExpenses(data.Expenses);
-      }
-      
       // Set suppliers
       if (data.Suppliers) {
         setSuppliers(data.Suppliers);
@@ -206,16 +294,260 @@ const ExpenseManagement = () => {
         status: 'Committed',
         notes: '',
         invoiceDate: '',
-        paymentDate: ''
+        paymentDate: '',
+        purchaseOrderId: '',
+        taxCode: 'GST',
+        gstAmount: '',
+        isCapital: false,
+        currency: BASE_CURRENCY
       });
+      setInvoiceLineEntries({});
+      setAllocationLines([]);
     }
   }, [dialogMode, filterPaymentCenter, filterProgram, filterPaymentType]);
   
+  // Order a new expense was started from on the Purchase Orders page
+  const seedOrder = useMemo(() => 
+    (purchaseOrderParam && (data.PurchaseOrders || []).find(o => o.id === purchaseOrderParam)) || null,
+  [purchaseOrderParam, data.PurchaseOrders]);
+  const seededOrderRef = useRef(null);
+  
+  // Recording an invoice from the Purchase Orders page starts from the order's coding.
+  // It is applied once per new expense, as soon as the order is available.
+  useEffect(() => {
+    if (dialogMode !== 'add') {
+      seededOrderRef.current = null;
+      return undefined;
+    }
+    if (!seedOrder || seededOrderRef.current === seedOrder.id) return undefined;
+    
+    seededOrderRef.current = seedOrder.id;
+    setExpenseForm(prev => ({
+      ...prev,
+      description: `Invoice for ${seedOrder.poNumber}${seedOrder.description ? ` - ${seedOrder.description}` : ''}`,
+      supplier: seedOrder.supplier,
+      taxCode: gstHelper.getDefaultTaxCode((data.Suppliers || []).find(s => s.id === seedOrder.supplier)),
+      paymentType: PO_PAYMENT_TYPE,
+      paymentCenter: seedOrder.paymentCenter,
+      program: seedOrder.program || '',
+      status: 'Invoiced',
+      invoiceDate: new Date().toISOString().split('T')[0],
+      purchaseOrderId: seedOrder.id
+    }));
+    return undefined;
+  }, [dialogMode, seedOrder, data.Suppliers]);
+  
+  // Debounce search input before querying the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+  
+  // Go back to the first page whenever the filters or sort order change
+  useEffect(() => {
+    setPage(0);
+  }, [debouncedSearch, filterDateRange, filterPaymentCenter, filterProgram, filterPaymentType, filterMissingInvoice, tabValue, sortField, sortDirection]);
+  
+  // Count of settled changes to expenses. Local writes and Realtime changes (including
+  // the echoes of our own writes) arrive in bursts, so the page is refetched once
+  // they stop rather than on every change.
+  const [expensesRevision, setExpensesRevision] = useState(0);
+  const seenExpensesRef = useRef(data.Expenses);
+  
+  useEffect(() => {
+    if (seenExpensesRef.current === data.Expenses) return undefined;
+    
+    const timer = setTimeout(() => {
+      seenExpensesRef.current = data.Expenses;
+      setExpensesRevision(revision => revision + 1);
+    }, REFETCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [data.Expenses]);
+  
+  // Filters and revision the status counts were last fetched for. Paging and
+  // sorting do not change the counts, so they are not fetched again for those.
+  const countsKeyRef = useRef(null);
+  
+  // Fetch the current page from the server when the filters, sort or page change,
+  // or after expenses have changed
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchExpenses = async () => {
+      try {
+        setQueryLoading(true);
+        
+        const countsKey = JSON.stringify([
+          debouncedSearch,
+          filterDateRange,
+          filterPaymentCenter,
+          filterProgram,
+          filterPaymentType,
+          filterMissingInvoice,
+          expensesRevision
+        ]);
+        const includeStatusCounts = countsKeyRef.current !== countsKey;
+        
+        // Free-text search also matches supplier names
+        const term = debouncedSearch.trim().toLowerCase();
+        const supplierIds = term ? 
+          suppliers.filter(s => s.name?.toLowerCase().includes(term)).map(s => s.id) : 
+          [];
+        
+        const result = await queryExpenses({
+          dateFrom: filterDateRange.start,
+          dateTo: filterDateRange.end,
+          paymentCenter: filterPaymentCenter,
+          program: filterProgram,
+          paymentType: filterPaymentType,
+          missingInvoice: filterMissingInvoice,
+          status: tabStatuses[tabValue],
+          search: debouncedSearch,
+          supplierIds,
+          sortField,
+          sortDirection,
+          page,
+          pageSize: rowsPerPage,
+          includeStatusCounts
+        });
+        
+        if (!cancelled) {
+          setPageExpenses(result.rows);
+          setTotalCount(result.total);
+          if (includeStatusCounts) {
+            countsKeyRef.current = countsKey;
+            setStatusCounts(result.statusCounts || {});
+          }
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSnackbar({
+            open: true,
+            message: `Error loading expenses: ${err.message}`,
+            severity: 'error'
+          });
+        }
+      } finally {
+        if (!cancelled) {
+          setQueryLoading(false);
+        }
+      }
+    };
+    
+    fetchExpenses();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    queryExpenses,
+    expensesRevision,
+    suppliers,
+    debouncedSearch,
+    filterDateRange,
+    filterPaymentCenter,
+    filterProgram,
+    filterPaymentType,
+    filterMissingInvoice,
+    tabValue,
+    sortField,
+    sortDirection,
+    page,
+    rowsPerPage
+  ]);
+  
+  // Fetch the approval queue, match exceptions and open order invoices, again
+  // whenever expenses or the open orders change
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchWorkQueues = async () => {
+      try {
+        const openOrderIds = openPurchaseOrders.map(order => order.id);
+        const oldestFirst = { sortField: 'date', sortDirection: 'asc' };
+        const [pending, exceptions, invoices] = await Promise.all([
+          queryAllExpenses({ ...oldestFirst, approvalStatus: 'pending' }),
+          queryAllExpenses({ ...oldestFirst, matchStatus: 'Exception' }),
+          openOrderIds.length > 0 ? queryAllExpenses({ purchaseOrderId: openOrderIds }) : []
+        ]);
+        
+        if (!cancelled) {
+          setPendingApproval(pending);
+          setMatchExceptions(exceptions);
+          setOrderInvoices(invoices);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSnackbar({
+            open: true,
+            message: `Error loading approvals and match exceptions: ${err.message}`,
+            severity: 'error'
+          });
+        }
+      }
+    };
+    
+    fetchWorkQueues();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [queryAllExpenses, expensesRevision, openPurchaseOrders]);
+  
+  // Watch the expense being edited for changes made by other users
+  useEffect(() => {
+    if (!dialogOpen || dialogMode !== 'edit' || !selectedExpense) return undefined;
+    
+    const expenseId = selectedExpense.id;
+    beginEditing('Expenses', expenseId);
+    
+    return () => {
+      endEditing('Expenses', expenseId);
+    };
+  }, [dialogOpen, dialogMode, selectedExpense, beginEditing, endEditing]);
+  
+  // Remote change to the expense open in the edit dialog
+  const editConflict = dialogOpen && dialogMode === 'edit' && selectedExpense ?
+    getConflict('Expenses', selectedExpense.id) : null;
+  
+  // Replace the form with the latest copy of the expense
+  const handleLoadLatestExpense = () => {
+    const latest = editConflict?.server || (data.Expenses || []).find(e => String(e.id) === String(selectedExpense.id));
+    if (latest) {
+      setSelectedExpense(latest);
+      setExpenseForm({
+        ...latest,
+        invoiceDate: latest.invoiceDate || '',
+        paymentDate: latest.paymentDate || ''
+      });
+    }
+    resolveConflict('Expenses', selectedExpense.id);
+  };
+  
+  // Keep the form as is, but save against the latest version so the next save goes through
+  const handleKeepMyExpense = () => {
+    const serverVersion = editConflict?.server?.version;
+    if (serverVersion !== undefined) {
+      setExpenseForm(prev => ({ ...prev, version: serverVersion }));
+    }
+    resolveConflict('Expenses', selectedExpense.id);
+  };
+  
   // Handle tab change
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
   };
   
+  // Handle column sort
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection(field === 'date' || field === 'amount' ? 'desc' : 'asc');
+    }
+  };
+  
   // Open dialog for adding a new expense
   const handleAddExpense = () => {
     setDialogMode('add');
@@ -228,6 +560,11 @@ const ExpenseManagement = () => {
     }
   };
   
+  // Invoice line inputs keyed by PO line, from an expense's saved invoice lines
+  const getInvoiceLineEntries = (expense) => Object.fromEntries(
+    (expense.invoiceLines || []).map(line => [line.poLineId, { quantity: line.quantity, unitPrice: line.unitPrice }])
+  );
+  
   // Open dialog to edit an expense
   const handleEditExpense = (expense) => {
     setSelectedExpense(expense);
@@ -235,8 +572,16 @@ const ExpenseManagement = () => {
       ...expense,
       // Convert empty strings to actual empty values
       invoiceDate: expense.invoiceDate || '',
-      paymentDate: expense.paymentDate || ''
+      paymentDate: expense.paymentDate || '',
+      purchaseOrderId: expense.purchaseOrderId || '',
+      taxCode: expense.taxCode || '',
+      gstAmount: expense.gstAmount ?? '',
+      // The form works in the currency the expense was invoiced in
+      amount: currencyHelper.isForeign(expense) ? expense.originalAmount : expense.amount,
+      currency: expense.currency || BASE_CURRENCY
     });
+    setInvoiceLineEntries(getInvoiceLineEntries(expense));
+    setAllocationLines(expense.allocations || []);
     setDialogMode('edit');
     setDialogOpen(true);
   };
@@ -248,8 +593,16 @@ const ExpenseManagement = () => {
       ...expense,
       // Convert empty strings to actual empty values
       invoiceDate: expense.invoiceDate || '',
-      paymentDate: expense.paymentDate || ''
+      paymentDate: expense.paymentDate || '',
+      purchaseOrderId: expense.purchaseOrderId || '',
+      taxCode: expense.taxCode || '',
+      gstAmount: expense.gstAmount ?? '',
+      // The form works in the currency the expense was invoiced in
+      amount: currencyHelper.isForeign(expense) ? expense.originalAmount : expense.amount,
+      currency: expense.currency || BASE_CURRENCY
     });
+    setInvoiceLineEntries(getInvoiceLineEntries(expense));
+    setAllocationLines(expense.allocations || []);
     setDialogMode('view');
     setDialogOpen(true);
   };
@@ -273,11 +626,48 @@ const ExpenseManagement = () => {
     setSelectedExpense(null);
   };
   
+  // Base-currency amount of the expense being edited; null when there is no rate for its currency and date.
+  // A saved expense being viewed shows the rate it was converted at.
+  const isForeignForm = expenseForm.currency && expenseForm.currency !== BASE_CURRENCY;
+  const savedConversion = dialogMode === 'view' && currencyHelper.isForeign(selectedExpense) ? selectedExpense : null;
+  const formRate = savedConversion ?
+    { rate: savedConversion.exchangeRate, date: savedConversion.rateDate } :
+    currencyHelper.findRate(data.ExchangeRates || [], expenseForm.currency, expenseForm.date);
+  const baseAmount = savedConversion ? savedConversion.amount :
+    currencyHelper.toBase(expenseForm.amount, expenseForm.currency, expenseForm.date, data.ExchangeRates || []);
+  
+  // Tax components of the expense being edited, and a warning if the tax code does not suit the supplier
+  const taxAmounts = gstHelper.calculate({
+    ...expenseForm,
+    amount: baseAmount ?? expenseForm.amount,
+    gstAmount: expenseForm.gstAmount === '' ? null : expenseForm.gstAmount
+  });
+  const taxWarning = gstHelper.getSupplierWarning(
+    expenseForm.taxCode,
+    suppliers.find(s => s.id === expenseForm.supplier)
+  );
+  
   // Handle form field changes
   const handleFormChange = (e) => {
     const { name, value } = e.target;
     setExpenseForm(prev => ({ ...prev, [name]: value }));
     
+    // GST is worked out again from a new amount or tax code until it is typed in
+    if (name === 'amount' || name === 'taxCode') {
+      setExpenseForm(prev => ({ ...prev, gstAmount: '' }));
+    }
+    
+    // New expenses start with the tax code and currency that suit the supplier
+    if (name === 'supplier' && dialogMode === 'add') {
+      const supplier = suppliers.find(s => s.id === value);
+      setExpenseForm(prev => ({
+        ...prev,
+        taxCode: gstHelper.getDefaultTaxCode(supplier),
+        gstAmount: '',
+        currency: supplier?.currency || BASE_CURRENCY
+      }));
+    }
+    
     // Special handling for payment type
     if (name === 'paymentType') {
       // If Credit Card, set status to 'Paid'
@@ -290,23 +680,103 @@ const ExpenseManagement = () => {
         }));
       }
     }
+    
+    // Invoice lines belong to the order they were entered against
+    if (name === 'purchaseOrderId') {
+      setInvoiceLineEntries({});
+    }
+    
+    // Matching an invoice to a purchase order takes the order's supplier and coding
+    if (name === 'purchaseOrderId' && value) {
+      const order = openPurchaseOrders.find(o => o.id === value);
+      if (order) {
+        setExpenseForm(prev => ({
+          ...prev,
+          purchaseOrderId: value,
+          supplier: order.supplier,
+          paymentCenter: order.paymentCenter,
+          program: order.program || prev.program
+        }));
+      }
+    }
   };
   
-  // Handle expense save (add/edit)
-  const handleSaveExpense = () => {
+  // Quantity or unit price invoiced against a PO line; the amount follows the lines
+  const handleInvoiceLineChange = (lineId, field, value) => {
+    const entries = {
+      ...invoiceLineEntries,
+      [lineId]: { ...invoiceLineEntries[lineId], [field]: value }
+    };
+    setInvoiceLineEntries(entries);
+    
+    const lines = invoiceMatcher.buildInvoiceLines(selectedOrder, entries);
+    if (lines.length > 0) {
+      const total = lines.reduce((sum, line) => sum + line.amount, 0);
+      setExpenseForm(prev => ({ ...prev, amount: total.toFixed(2), gstAmount: '' }));
+    }
+  };
+  
+  // Splitting starts from the expense's own coding and one more line, half each
+  const handleToggleSplit = (e) => {
+    setAllocationLines(e.target.checked ? [
+      allocationHelper.createLine({
+        paymentCenter: expenseForm.paymentCenter,
+        program: expenseForm.program,
+        percentage: '50'
+      }),
+      allocationHelper.createLine({ percentage: '50' })
+    ] : []);
+  };
+  
+  // The expense's own payment center and program follow the largest allocation line
+  const handleAllocationChange = (lines) => {
+    setAllocationLines(lines);
+    const primary = allocationHelper.getPrimary(allocationHelper.resolve(lines, expenseForm.amount));
+    if (primary?.paymentCenter) {
+      setExpenseForm(prev => ({ ...prev, paymentCenter: primary.paymentCenter, program: primary.program || '' }));
+    }
+  };
+  
+  // Check an action against the segregation rules. Returns true when it can go ahead;
+  // otherwise admins are asked for an override reason and perform is retried with it.
+  const passesSegregation = (action, record, perform) => {
+    const check = checkSegregation(action, record);
+    if (check.allowed) return true;
+    
+    if (check.canOverride) {
+      setSegregationOverride({ violations: check.violations, perform });
+    } else {
+      setSnackbar({
+        open: true,
+        message: check.violations.map(violation => violation.message).join(' '),
+        severity: 'error'
+      });
+    }
+    return false;
+  };
+  
+  // Handle expense save (add/edit); override is { reason } when an admin overrides a segregation rule
+  const handleSaveExpense = async (override = null) => {
     // Prevent duplicate submissions
     if (submitting) {
       console.log('Submission already in progress, preventing duplicate');
       return;
     }
     
+    // A split expense takes its own coding from the largest allocation line
+    const allocations = allocationHelper.resolve(allocationLines, expenseForm.amount);
+    const primaryAllocation = allocationHelper.getPrimary(allocations);
+    const coding = primaryAllocation ?
+      { paymentCenter: primaryAllocation.paymentCenter, program: primaryAllocation.program || '' } :
+      { paymentCenter: expenseForm.paymentCenter, program: expenseForm.program };
+    
     // Validate required fields - make program optional
     if (
       !expenseForm.description || 
       !expenseForm.amount || 
       !expenseForm.supplier || 
       !expenseForm.paymentType || 
-      !expenseForm.paymentCenter
+      !coding.paymentCenter
       // Program is not required
     ) {
       setSnackbar({
@@ -317,6 +787,43 @@ const ExpenseManagement = () => {
       return;
     }
     
+    if (baseAmount === null) {
+      setSnackbar({
+        open: true,
+        message: `There is no ${expenseForm.currency} exchange rate on or before ${expenseForm.date}. Add one in Settings first.`,
+        severity: 'error'
+      });
+      return;
+    }
+    
+    const allocationError = allocationHelper.validate(allocations, expenseForm.amount);
+    if (allocationError) {
+      setSnackbar({
+        open: true,
+        message: allocationError,
+        severity: 'error'
+      });
+      return;
+    }
+    
+    // The expense date (and the original date when editing) must fall in a period that accepts changes
+    const periodCheck = checkPeriod('Expenses', expenseForm, dialogMode === 'edit' ? selectedExpense : null);
+    if (!periodCheck.allowed) {
+      setSnackbar({
+        open: true,
+        message: periodCheck.message,
+        severity: 'error'
+      });
+      return;
+    }
+    
+    // Marking an existing expense paid is checked against the segregation rules
+    if (dialogMode === 'edit' && !override &&
+        expenseForm.status === 'Paid' && selectedExpense.status !== 'Paid' &&
+        !passesSegregation('pay-expense', selectedExpense, (granted) => handleSaveExpense(granted))) {
+      return;
+    }
+    
     try {
       // Start submission - set loading state
       setSubmitting(true);
@@ -324,14 +831,27 @@ const ExpenseManagement = () => {
       // Format data
       const formattedExpense = {
         ...expenseForm,
+        ...coding,
+        // Entered in the expense's currency; the base-currency amount is worked out on save
         amount: parseFloat(expenseForm.amount),
+        originalAmount: parseFloat(expenseForm.amount),
+        currency: expenseForm.currency || BASE_CURRENCY,
+        allocations: allocationHelper.toRecord(allocations),
+        taxCode: expenseForm.taxCode || null,
+        // Left empty, the full GST is worked out from the amount
+        gstAmount: expenseForm.gstAmount === '' ? null : parseFloat(expenseForm.gstAmount),
+        // Only PO payments are matched to a purchase order
+        purchaseOrderId: expenseForm.paymentType === PO_PAYMENT_TYPE ? expenseForm.purchaseOrderId || null : null,
+        invoiceLines: expenseForm.paymentType === PO_PAYMENT_TYPE && selectedOrder ?
+          invoiceMatcher.buildInvoiceLines(selectedOrder, invoiceLineEntries) :
+          [],
         createdBy: currentUser?.username || 'anonymous',
         createdAt: new Date().toISOString()
       };
       
       // Save to data context
       if (dialogMode === 'add') {
-        const result = addEntity('Expenses', formattedExpense);
+        const result = await addEntity('Expenses', formattedExpense);
         
         if (result) {
           setSnackbar({
@@ -350,7 +870,8 @@ const ExpenseManagement = () => {
           });
         }
       } else {
-        const success = updateEntity('Expenses', selectedExpense.id, formattedExpense);
+        // Wait for the result so a version conflict keeps the dialog open
+        const success = await updateEntity('Expenses', selectedExpense.id, formattedExpense, { override });
         
         if (success) {
           setSnackbar({
@@ -389,11 +910,18 @@ const ExpenseManagement = () => {
   };
   
   // Confirm delete action
-  const handleConfirmDelete = () => {
+  const handleConfirmDelete = async () => {
     if (selectedExpense) {
-      const success = deleteEntity('Expenses', selectedExpense.id);
+      const periodCheck = checkPeriod('Expenses', selectedExpense);
+      const success = periodCheck.allowed && await deleteEntity('Expenses', selectedExpense.id);
       
-      if (success) {
+      if (!periodCheck.allowed) {
+        setSnackbar({
+          open: true,
+          message: periodCheck.message,
+          severity: 'error'
+        });
+      } else if (success) {
         setSnackbar({
           open: true,
           message: 'Expense deleted successfully',
@@ -417,8 +945,48 @@ const ExpenseManagement = () => {
     setSnackbar({ ...snackbar, open: false });
   };
   
-  // Handle status change
-  const handleStatusChange = (expense, newStatus) => {
+  // Handle status change; override is { reason } when an admin overrides a segregation rule
+  const handleStatusChange = async (expense, newStatus, override = null) => {
+    const periodCheck = checkPeriod('Expenses', expense);
+    if (!periodCheck.allowed) {
+      setSnackbar({
+        open: true,
+        message: periodCheck.message,
+        severity: 'error'
+      });
+      handleCloseMenu();
+      return;
+    }
+    
+    // Expenses over an approval threshold stay Committed until every step is approved
+    if (newStatus !== 'Committed' && !approvalWorkflow.isCleared(expense)) {
+      setSnackbar({
+        open: true,
+        message: `This expense needs approval before it can be marked ${newStatus} (${approvalWorkflow.getProgressLabel(expense).toLowerCase()}).`,
+        severity: 'error'
+      });
+      handleCloseMenu();
+      return;
+    }
+    
+    // Invoices that do not match their purchase order are held until resolved
+    if (newStatus === 'Paid' && expense.matchStatus === 'Exception') {
+      setSnackbar({
+        open: true,
+        message: 'This invoice does not match its purchase order. The match exception must be resolved before it can be paid.',
+        severity: 'error'
+      });
+      handleCloseMenu();
+      return;
+    }
+    
+    // The person who created an expense cannot also mark it paid
+    if (newStatus === 'Paid' && !override &&
+        !passesSegregation('pay-expense', expense, (granted) => handleStatusChange(expense, newStatus, granted))) {
+      handleCloseMenu();
+      return;
+    }
+    
     // Create updated expense object
     const updatedExpense = { ...expense, status: newStatus };
     
@@ -430,7 +998,7 @@ const ExpenseManagement = () => {
     }
     
     // Save changes
-    const success = updateEntity('Expenses', expense.id, updatedExpense);
+    const success = await updateEntity('Expenses', expense.id, updatedExpense, { override });
     
     if (success) {
       setSnackbar({
@@ -450,31 +1018,117 @@ const ExpenseManagement = () => {
     handleCloseMenu();
   };
   
-  // Save to GitHub
-  const handleSaveToGitHub = async () => {
+  // Open the dialog to resolve a match exception
+  const handleOpenMatchException = (expense) => {
+    setMatchExpense(expense);
+    setMatchResolution('');
+  };
+  
+  // Accept a mismatched invoice with a note so it can be paid
+  const handleResolveMatch = async () => {
+    if (!matchResolution.trim()) {
+      setSnackbar({
+        open: true,
+        message: 'Please explain why the invoice can be paid as it is',
+        severity: 'error'
+      });
+      return;
+    }
+    
+    setResolving(true);
+    const success = await resolveMatchException(matchExpense.id, matchResolution);
+    setResolving(false);
+    
+    setSnackbar({
+      open: true,
+      message: success ? 'Match exception resolved' : 'Error resolving match exception',
+      severity: success ? 'success' : 'error'
+    });
+    if (success) setMatchExpense(null);
+  };
+  
+  // Match an exception invoice again, e.g. after more goods were received
+  const handleRecheckMatch = async (expense) => {
+    const matched = await recheckInvoiceMatches(expense.purchaseOrderId);
+    setSnackbar({
+      open: true,
+      message: matched > 0 ? `${matched} ${matched === 1 ? 'invoice now matches' : 'invoices now match'}` : 'Invoice still does not match',
+      severity: matched > 0 ? 'success' : 'warning'
+    });
+  };
+  
+  // Purchase order number for an expense
+  const getPurchaseOrderNumber = (id) => (data.PurchaseOrders || []).find(order => order.id === id)?.poNumber || '';
+  
+  // Open the approval dialog for an expense
+  const handleOpenApproval = (expense) => {
+    setApprovalExpense(expense);
+    setRejectionReason('');
+  };
+  
+  // Approve or reject the current step of the expense in the approval dialog
+  const handleApprovalDecision = async (decision, override = null) => {
+    if (decision === 'reject' && !rejectionReason.trim()) {
+      setSnackbar({
+        open: true,
+        message: 'Please enter a reason for rejecting this expense',
+        severity: 'error'
+      });
+      return;
+    }
+    
+    // The person who created an expense cannot approve it
+    if (decision === 'approve' && !override &&
+        !passesSegregation('approve-expense', approvalExpense, (granted) => handleApprovalDecision(decision, granted))) {
+      return;
+    }
+    
+    setApproving(true);
+    const success = decision === 'approve' ?
+      await approveExpense(approvalExpense.id, override) :
+      await rejectExpense(approvalExpense.id, rejectionReason);
+    setApproving(false);
+    
+    setSnackbar({
+      open: true,
+      message: success ?
+        `Expense ${decision === 'approve' ? 'approved' : 'rejected'}` :
+        `Error ${decision === 'approve' ? 'approving' : 'rejecting'} expense`,
+      severity: success ? 'success' : 'error'
+    });
+    
+    if (success) {
+      setApprovalExpense(null);
+    }
+  };
+  
+  // Save pending changes to the database
+  const handleSaveToDatabase = async () => {
     try {
       setSnackbar({
         open: true,
-        message: 'Saving data to GitHub...',
+        message: 'Saving changes to the database...',
         severity: 'info'
       });
       
-      const success = await saveData();
+      const result = await saveData();
       
-      if (success) {
-        setSnackbar({
-          open: true,
-          message: 'Data saved to GitHub successfully',
-          severity: 'success'
-        });
-      } else {
-        throw new Error('Failed to save to GitHub');
+      // User cancelled the save
+      if (!result) {
+        setSnackbar({ ...snackbar, open: false });
+        return;
       }
+      
+      setSnackbar({
+        open: true,
+        message: result.message,
+        severity: result.success ? 'success' : 'error'
+      });
     } catch (err) {
-      console.error('GitHub save error:', err);
+      console.error('Database save error:', err);
       setSnackbar({
         open: true,
-        message: `GitHub save failed: ${err.message}`,
+        message: `Database save failed: ${err.message}`,
         severity: 'error'
       });
     }
@@ -520,46 +1174,6 @@ const ExpenseManagement = () => {
     setPage(0);
   };
   
-  // Filter expenses based on filters and search
-  const filteredExpenses = useMemo(() => {
-    return expenses.filter(expense => {
-      // Search filter
-      const searchMatch = searchTerm === '' || 
-        expense.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        expense.notes?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        suppliers.find(s => s.id === expense.supplier)?.name?.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      // Payment center filter
-      const centerMatch = filterPaymentCenter === 'All' || 
-        expense.paymentCenter === filterPaymentCenter;
-      
-      // Program filter - handle empty program values correctly
-      const programMatch = filterProgram === 'All' || 
-        (expense.program && expense.program === filterProgram);
-      
-      // Payment type filter
-      const typeMatch = filterPaymentType === 'All' || 
-        expense.paymentType === filterPaymentType;
-      
-      // Tab filter
-      let tabMatch = true;
-      if (tabValue === 1) { // Committed
-        tabMatch = expense.status === 'Committed';
-      } else if (tabValue === 2) { // Invoiced
-        tabMatch = expense.status === 'Invoiced';
-      } else if (tabValue === 3) { // Paid
-        tabMatch = expense.status === 'Paid';
-      }
-      
-      return searchMatch && centerMatch && programMatch && typeMatch && tabMatch;
-    });
-  }, [expenses, searchTerm, filterPaymentCenter, filterProgram, filterPaymentType, tabValue, suppliers]);
-  
-  // Get paginated data
-  const paginatedExpenses = useMemo(() => {
-    return filteredExpenses.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
-  }, [filteredExpenses, page, rowsPerPage]);
-  
   // Get supplier name by ID
   const getSupplierName = (id) => {
     const supplier = suppliers.find(s => s.id === id);
@@ -590,6 +1204,47 @@ const ExpenseManagement = () => {
     return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount);
   };
   
+  // Approval steps with who acted and when
+  const renderApprovalSteps = (expense) => (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Step</TableCell>
+          <TableCell>Rule</TableCell>
+          <TableCell>Approver Level</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell>By</TableCell>
+          <TableCell>When</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {(expense.approvalSteps || []).map(step => (
+          <TableRow key={step.level}>
+            <TableCell>{step.level}</TableCell>
+            <TableCell>{step.ruleName}</TableCell>
+            <TableCell>{step.requiredRole === 'admin' ? 'Administrator' : 'Manager'}</TableCell>
+            <TableCell>
+              <Chip
+                label={step.status}
+                size="small"
+                color={step.status === 'approved' ? 'success' : step.status === 'rejected' ? 'error' : 'default'}
+              />
+            </TableCell>
+            <TableCell>{step.approver || ''}</TableCell>
+            <TableCell>
+              {step.actedAt ? new Date(step.actedAt).toLocaleString('en-AU') : ''}
+              {step.reason && (
+                <Typography variant="caption" display="block" color="error">
+                  {step.reason}
+                </Typography>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+  
   // Loading state
   if (loading) {
     return (
@@ -626,11 +1281,11 @@ const ExpenseManagement = () => {
             </Button>
           </Tooltip>
           
-          <Tooltip title="Save to GitHub">
+          <Tooltip title="Save to Database">
             <Button
               variant="outlined"
               startIcon={<CloudUploadIcon />}
-              onClick={handleSaveToGitHub}
+              onClick={handleSaveToDatabase}
               sx={{ mr: 1 }}
             >
               Save
@@ -652,7 +1307,7 @@ const ExpenseManagement = () => {
       {/* Filters */}
       <Paper sx={{ p: 2, mb: 3 }}>
         <Grid container spacing={2} alignItems="center">
-          <Grid item xs={12} md={4}>
+          <Grid item xs={12} md={3}>
             <TextField
               fullWidth
               label="Search Expenses"
@@ -670,7 +1325,36 @@ const ExpenseManagement = () => {
             />
           </Grid>
           
-          <Grid item xs={12} md={8}>
+          <Grid item xs={12} md={3}>
+            <Grid container spacing={1} alignItems="center">
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="From Date"
+                  type="date"
+                  variant="outlined"
+                  size="small"
+                  value={filterDateRange.start}
+                  onChange={(e) => setFilterDateRange(prev => ({ ...prev, start: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="To Date"
+                  type="date"
+                  variant="outlined"
+                  size="small"
+                  value={filterDateRange.end}
+                  onChange={(e) => setFilterDateRange(prev => ({ ...prev, end: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+            </Grid>
+          </Grid>
+          
+          <Grid item xs={12} md={6}>
             <Grid container spacing={2}>
               <Grid item xs={4}>
                 <FormControl fullWidth size="small">
@@ -727,9 +1411,111 @@ const ExpenseManagement = () => {
               </Grid>
             </Grid>
           </Grid>
+          
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={filterMissingInvoice}
+                  onChange={(e) => setFilterMissingInvoice(e.target.checked)}
+                />
+              }
+              label="Missing invoice only (invoiced or paid with no invoice attached)"
+            />
+          </Grid>
         </Grid>
       </Paper>
       
+      {/* Awaiting my approval */}
+      {awaitingApproval.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Awaiting My Approval ({awaitingApproval.length})
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Payment Center</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Progress</TableCell>
+                  <TableCell>Created By</TableCell>
+                  <TableCell align="center">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {awaitingApproval.map(expense => (
+                  <TableRow key={expense.id}>
+                    <TableCell>{expense.description}</TableCell>
+                    <TableCell>{expense.date}</TableCell>
+                    <TableCell>{getPaymentCenterName(expense.paymentCenter)}</TableCell>
+                    <TableCell align="right">{formatCurrency(expense.amount)}</TableCell>
+                    <TableCell>{approvalWorkflow.getProgressLabel(expense)}</TableCell>
+                    <TableCell>{expense.createdBy || ''}</TableCell>
+                    <TableCell align="center">
+                      <Button size="small" startIcon={<ApprovalIcon />} onClick={() => handleOpenApproval(expense)}>
+                        Review
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+      
+      {/* Invoices that failed three-way matching */}
+      {matchExceptions.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Invoice Match Exceptions ({matchExceptions.length})
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Purchase Order</TableCell>
+                  <TableCell>Supplier</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Exceptions</TableCell>
+                  <TableCell align="center">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {matchExceptions.map(expense => (
+                  <TableRow key={expense.id}>
+                    <TableCell>{expense.description}</TableCell>
+                    <TableCell>{getPurchaseOrderNumber(expense.purchaseOrderId)}</TableCell>
+                    <TableCell>{getSupplierName(expense.supplier)}</TableCell>
+                    <TableCell align="right">{formatCurrency(expense.amount)}</TableCell>
+                    <TableCell>
+                      {(expense.matchExceptions || []).map((exception, index) => (
+                        <Typography key={index} variant="body2">{exception.message}</Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => handleRecheckMatch(expense)}>
+                        Re-check
+                      </Button>
+                      {hasPermission('approve') && (
+                        <Button size="small" startIcon={<ApprovalIcon />} onClick={() => handleOpenMatchException(expense)}>
+                          Resolve
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+      
       {/* Tabs */}
       <Paper sx={{ mb: 3 }}>
         <Tabs
@@ -740,7 +1526,11 @@ const ExpenseManagement = () => {
         >
           <Tab 
             label={
-              <Badge badgeContent={filteredExpenses.length} color="primary">
+              <Badge 
+                badgeContent={Object.values(statusCounts).reduce((sum, count) => sum + count, 0)} 
+                color="primary"
+                max={9999}
+              >
                 All Expenses
               </Badge>
             } 
@@ -748,8 +1538,9 @@ const ExpenseManagement = () => {
           <Tab 
             label={
               <Badge 
-                badgeContent={filteredExpenses.filter(e => e.status === 'Committed').length} 
+                badgeContent={statusCounts.Committed || 0} 
                 color="default"
+                max={9999}
               >
                 Committed
               </Badge>
@@ -758,8 +1549,9 @@ const ExpenseManagement = () => {
           <Tab 
             label={
               <Badge 
-                badgeContent={filteredExpenses.filter(e => e.status === 'Invoiced').length} 
+                badgeContent={statusCounts.Invoiced || 0} 
                 color="warning"
+                max={9999}
               >
                 Invoiced
               </Badge>
@@ -768,8 +1560,9 @@ const ExpenseManagement = () => {
           <Tab 
             label={
               <Badge 
-                badgeContent={filteredExpenses.filter(e => e.status === 'Paid').length} 
+                badgeContent={statusCounts.Paid || 0} 
                 color="success"
+                max={9999}
               >
                 Paid
               </Badge>
@@ -779,37 +1572,112 @@ const ExpenseManagement = () => {
         
         {/* Tab Panels */}
         <TabPanel value={tabValue} index={tabValue}>
-          {paginatedExpenses.length > 0 ? (
+          {queryLoading && pageExpenses.length === 0 ? (
+            <Box sx={{ p: 4, display: 'flex', justifyContent: 'center' }}>
+              <CircularProgress />
+            </Box>
+          ) : pageExpenses.length > 0 ? (
             <TableContainer>
               <Table>
                 <TableHead>
                   <TableRow>
-                    <TableCell>Description</TableCell>
+                    <TableCell>
+                      <TableSortLabel
+                        active={sortField === 'description'}
+                        direction={sortField === 'description' ? sortDirection : 'asc'}
+                        onClick={() => handleSort('description')}
+                      >
+                        Description
+                      </TableSortLabel>
+                    </TableCell>
                     <TableCell>Supplier</TableCell>
-                    <TableCell>Date</TableCell>
+                    <TableCell>
+                      <TableSortLabel
+                        active={sortField === 'date'}
+                        direction={sortField === 'date' ? sortDirection : 'asc'}
+                        onClick={() => handleSort('date')}
+                      >
+                        Date
+                      </TableSortLabel>
+                    </TableCell>
                     <TableCell>Payment Center</TableCell>
                     <TableCell>Program</TableCell>
-                    <TableCell align="right">Amount</TableCell>
-                    <TableCell align="center">Status</TableCell>
+                    <TableCell align="right">
+                      <TableSortLabel
+                        active={sortField === 'amount'}
+                        direction={sortField === 'amount' ? sortDirection : 'asc'}
+                        onClick={() => handleSort('amount')}
+                      >
+                        Amount
+                      </TableSortLabel>
+                    </TableCell>
+                    <TableCell align="center">
+                      <TableSortLabel
+                        active={sortField === 'status'}
+                        direction={sortField === 'status' ? sortDirection : 'asc'}
+                        onClick={() => handleSort('status')}
+                      >
+                        Status
+                      </TableSortLabel>
+                    </TableCell>
                     <TableCell align="center">Actions</TableCell>
                   </TableRow>
                 </TableHead>
                 
                 <TableBody>
-                  {paginatedExpenses.map((expense) => (
+                  {pageExpenses.map((expense) => (
                     <TableRow key={expense.id}>
                       <TableCell>{expense.description}</TableCell>
                       <TableCell>{getSupplierName(expense.supplier)}</TableCell>
                       <TableCell>{expense.date}</TableCell>
-                      <TableCell>{getPaymentCenterName(expense.paymentCenter)}</TableCell>
+                      <TableCell>
+                        {getPaymentCenterName(expense.paymentCenter)}
+                        {allocationHelper.isSplit(expense) && (
+                          <Chip label={`Split ${expense.allocations.length}`} size="small" variant="outlined" sx={{ ml: 0.5 }} />
+                        )}
+                      </TableCell>
                       <TableCell>{getProgramName(expense.program)}</TableCell>
-                      <TableCell align="right">{formatCurrency(expense.amount)}</TableCell>
+                      <TableCell align="right">
+                        {formatCurrency(expense.amount)}
+                        {currencyHelper.isForeign(expense) && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {currencyHelper.formatOriginal(expense)}
+                          </Typography>
+                        )}
+                      </TableCell>
                       <TableCell align="center">
                         <Chip
                           label={expense.status}
                           size="small"
                           color={statusColors[expense.status] || 'default'}
                         />
+                        {APPROVAL_STATUSES[expense.approvalStatus] && expense.approvalStatus !== 'not-required' && (
+                          <Chip
+                            label={approvalWorkflow.getProgressLabel(expense)}
+                            size="small"
+                            variant="outlined"
+                            color={APPROVAL_STATUSES[expense.approvalStatus].color}
+                            sx={{ ml: 0.5 }}
+                          />
+                        )}
+                        {MATCH_STATUSES[expense.matchStatus] && (
+                          <Chip
+                            label={MATCH_STATUSES[expense.matchStatus].label}
+                            size="small"
+                            variant="outlined"
+                            color={MATCH_STATUSES[expense.matchStatus].color}
+                            sx={{ ml: 0.5 }}
+                          />
+                        )}
+                        {attachmentHelper.isMissingInvoice(expense) && (
+                          <Chip
+                            label="No invoice"
+                            size="small"
+                            variant="outlined"
+                            color="warning"
+                            sx={{ ml: 0.5 }}
+                          />
+                        )}
                       </TableCell>
                       <TableCell align="center">
                         <Tooltip title="Actions">
@@ -829,7 +1697,7 @@ const ExpenseManagement = () => {
               <TablePagination
                 rowsPerPageOptions={[5, 10, 25]}
                 component="div"
-                count={filteredExpenses.length}
+                count={totalCount}
                 rowsPerPage={rowsPerPage}
                 page={page}
                 onPageChange={handleChangePage}
@@ -883,6 +1751,18 @@ const ExpenseManagement = () => {
           <ListItemText>View Details</ListItemText>
         </MenuItem>
         
+        {menuExpense && approvalWorkflow.canAct(menuExpense, approver).allowed && (
+          <MenuItem onClick={() => {
+            handleOpenApproval(menuExpense);
+            handleCloseMenu();
+          }}>
+            <ListItemIcon>
+              <ApprovalIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Approve / Reject</ListItemText>
+          </MenuItem>
+        )}
+        
         {hasPermission('write') && (
           <>
             <MenuItem onClick={() => {
@@ -944,6 +1824,28 @@ const ExpenseManagement = () => {
         </DialogTitle>
         
         <DialogContent dividers>
+          <RecordConflictAlert
+            conflict={editConflict}
+            entityLabel="expense"
+            localValues={expenseForm}
+            fields={[
+              { field: 'description', label: 'Description' },
+              { field: 'amount', label: 'Amount', format: formatCurrency },
+              { field: 'date', label: 'Date' },
+              { field: 'supplier', label: 'Supplier', format: getSupplierName },
+              { field: 'paymentCenter', label: 'Payment Center', format: getPaymentCenterName },
+              { field: 'program', label: 'Program', format: getProgramName },
+              { field: 'paymentType', label: 'Payment Type', format: getPaymentTypeName },
+              { field: 'status', label: 'Status' },
+              { field: 'invoiceDate', label: 'Invoice Date' },
+              { field: 'paymentDate', label: 'Payment Date' },
+              { field: 'notes', label: 'Notes' }
+            ]}
+            onLoadLatest={handleLoadLatestExpense}
+            onKeepMine={handleKeepMyExpense}
+            onClose={handleCloseDialog}
+          />
+          
           <Grid container spacing={2}>
             <Grid item xs={12} md={6}>
               <TextField
@@ -993,22 +1895,113 @@ const ExpenseManagement = () => {
             </Grid>
             
             <Grid item xs={12} md={6}>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <FormControl margin="normal" sx={{ minWidth: 100 }}>
+                  <InputLabel>Currency</InputLabel>
+                  <Select
+                    name="currency"
+                    value={expenseForm.currency || BASE_CURRENCY}
+                    onChange={handleFormChange}
+                    label="Currency"
+                    disabled={dialogMode === 'view'}
+                  >
+                    {CURRENCIES.map((currency) => (
+                      <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  fullWidth
+                  label="Amount"
+                  name="amount"
+                  type="number"
+                  value={expenseForm.amount}
+                  onChange={handleFormChange}
+                  margin="normal"
+                  required
+                  disabled={dialogMode === 'view'}
+                  InputProps={{
+                    startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                  }}
+                  error={isForeignForm && baseAmount === null}
+                  helperText={!isForeignForm ? 'Including GST' :
+                    baseAmount === null ?
+                      `No ${expenseForm.currency} rate on or before this date` :
+                      `${formatCurrency(baseAmount)} ${BASE_CURRENCY} at ${formRate.rate} (rate of ${formRate.date})`}
+                />
+              </Box>
+            </Grid>
+            
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Tax Code</InputLabel>
+                <Select
+                  name="taxCode"
+                  value={expenseForm.taxCode || ''}
+                  onChange={handleFormChange}
+                  label="Tax Code"
+                  disabled={dialogMode === 'view'}
+                >
+                  {TAX_CODES.map((taxCode) => (
+                    <MenuItem key={taxCode.code} value={taxCode.code}>
+                      {taxCode.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            
+            <Grid item xs={6} md={3}>
               <TextField
                 fullWidth
-                label="Amount"
-                name="amount"
+                label="GST"
+                name="gstAmount"
                 type="number"
-                value={expenseForm.amount}
+                value={expenseForm.gstAmount !== '' ? expenseForm.gstAmount : (taxAmounts.gstAmount ?? '')}
                 onChange={handleFormChange}
                 margin="normal"
-                required
-                disabled={dialogMode === 'view'}
+                disabled={dialogMode === 'view' || expenseForm.taxCode !== 'GST'}
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">$</InputAdornment>,
+                }}
+              />
+            </Grid>
+            
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                label="Ex-GST"
+                value={taxAmounts.amountExGst ?? ''}
+                margin="normal"
+                disabled
                 InputProps={{
                   startAdornment: <InputAdornment position="start">$</InputAdornment>,
                 }}
               />
             </Grid>
             
+            <Grid item xs={12} md={6}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={Boolean(expenseForm.isCapital)}
+                    onChange={(e) => setExpenseForm(prev => ({ ...prev, isCapital: e.target.checked }))}
+                    disabled={dialogMode === 'view'}
+                  />
+                }
+                label="Capital purchase (BAS G10)"
+                sx={{ mt: 2 }}
+              />
+            </Grid>
+            
+            {(taxWarning || taxAmounts.withholdingAmount > 0) && (
+              <Grid item xs={12} md={6}>
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {taxWarning || `Withhold ${formatCurrency(taxAmounts.withholdingAmount)} from the payment (no ABN quoted)`}
+                </Alert>
+              </Grid>
+            )}
+            
             <Grid item xs={12} md={6}>
               <FormControl fullWidth margin="normal" required>
                 <InputLabel>Payment Type</InputLabel>
@@ -1036,7 +2029,7 @@ const ExpenseManagement = () => {
                   value={expenseForm.paymentCenter}
                   onChange={handleFormChange}
                   label="Payment Center"
-                  disabled={dialogMode === 'view'}
+                  disabled={dialogMode === 'view' || allocationLines.length > 0}
                 >
                   {paymentCenters.map((center) => (
                     <MenuItem key={center.id} value={center.id}>
@@ -1055,7 +2048,7 @@ const ExpenseManagement = () => {
                   value={expenseForm.program}
                   onChange={handleFormChange}
                   label="Program"
-                  disabled={dialogMode === 'view'}
+                  disabled={dialogMode === 'view' || allocationLines.length > 0}
                 >
                   {programs.map((program) => (
                     <MenuItem key={program.id} value={program.id}>
@@ -1066,6 +2059,118 @@ const ExpenseManagement = () => {
               </FormControl>
             </Grid>
             
+            {/* Allocation across several payment centers and programs */}
+            {(dialogMode !== 'view' || allocationLines.length > 0) && (
+              <Grid item xs={12}>
+                {dialogMode !== 'view' && (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        size="small"
+                        checked={allocationLines.length > 0}
+                        onChange={handleToggleSplit}
+                      />
+                    }
+                    label="Split across payment centers / programs"
+                  />
+                )}
+                {allocationLines.length > 0 && (
+                  <>
+                    <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                      The payment center and program above follow the largest line.
+                    </Typography>
+                    <AllocationEditor
+                      lines={allocationLines}
+                      total={expenseForm.amount}
+                      paymentCenters={paymentCenters}
+                      programs={programs}
+                      onChange={handleAllocationChange}
+                      disabled={dialogMode === 'view'}
+                    />
+                  </>
+                )}
+              </Grid>
+            )}
+            
+            {expenseForm.paymentType === PO_PAYMENT_TYPE && (
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth margin="normal">
+                  <InputLabel>Purchase Order</InputLabel>
+                  <Select
+                    name="purchaseOrderId"
+                    value={expenseForm.purchaseOrderId || ''}
+                    onChange={handleFormChange}
+                    label="Purchase Order"
+                    disabled={dialogMode === 'view'}
+                  >
+                    <MenuItem value="">Not matched</MenuItem>
+                    {(data.PurchaseOrders || [])
+                      .filter(order => order.id === expenseForm.purchaseOrderId || (
+                        order.status === 'Approved' &&
+                        (!expenseForm.supplier || String(order.supplier) === String(expenseForm.supplier))
+                      ))
+                      .map(order => (
+                        <MenuItem key={order.id} value={order.id}>
+                          {order.poNumber} - {formatCurrency(purchaseOrderHelper.getRemainingCommitment(order, orderInvoices))} remaining
+                        </MenuItem>
+                      ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
+            
+            {/* Invoice lines against the purchase order, for three-way matching */}
+            {expenseForm.paymentType === PO_PAYMENT_TYPE && selectedOrder && (
+              <Grid item xs={12}>
+                <Typography variant="subtitle2" sx={{ mt: 1 }}>
+                  Invoice Lines (optional: leave blank to match on the invoice total)
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>PO Line</TableCell>
+                      <TableCell align="right">Ordered</TableCell>
+                      <TableCell align="right">Received</TableCell>
+                      <TableCell align="right">PO Price</TableCell>
+                      <TableCell width={120}>Qty Invoiced</TableCell>
+                      <TableCell width={140}>Invoice Price</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(selectedOrder.lines || []).map(line => (
+                      <TableRow key={line.id}>
+                        <TableCell>{line.description}</TableCell>
+                        <TableCell align="right">{line.quantity}</TableCell>
+                        <TableCell align="right">
+                          {purchaseOrderHelper.getReceivedByLine(selectedOrder)[line.id]?.quantity || 0}
+                        </TableCell>
+                        <TableCell align="right">{formatCurrency(line.unitPrice)}</TableCell>
+                        <TableCell>
+                          <TextField
+                            size="small"
+                            type="number"
+                            value={invoiceLineEntries[line.id]?.quantity ?? ''}
+                            onChange={(e) => handleInvoiceLineChange(line.id, 'quantity', e.target.value)}
+                            disabled={dialogMode === 'view'}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <TextField
+                            size="small"
+                            type="number"
+                            placeholder={String(line.unitPrice)}
+                            value={invoiceLineEntries[line.id]?.unitPrice ?? ''}
+                            onChange={(e) => handleInvoiceLineChange(line.id, 'unitPrice', e.target.value)}
+                            disabled={dialogMode === 'view'}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Grid>
+            )}
+            
             <Grid item xs={12} md={6}>
               <FormControl fullWidth margin="normal" required>
                 <InputLabel>Status</InputLabel>
@@ -1132,6 +2237,45 @@ const ExpenseManagement = () => {
                 disabled={dialogMode === 'view'}
               />
             </Grid>
+            
+            {/* Three-way match result */}
+            {dialogMode === 'view' && MATCH_STATUSES[selectedExpense?.matchStatus] && (
+              <Grid item xs={12}>
+                <Typography variant="subtitle1" sx={{ mt: 1 }}>
+                  Match: {MATCH_STATUSES[selectedExpense.matchStatus].label}
+                </Typography>
+                {(selectedExpense.matchExceptions || []).map((exception, index) => (
+                  <Typography key={index} variant="body2" color="text.secondary">{exception.message}</Typography>
+                ))}
+                {selectedExpense.matchStatus === 'Resolved' && (
+                  <Typography variant="body2">
+                    Resolved by {selectedExpense.matchResolvedBy}: {selectedExpense.matchResolution}
+                  </Typography>
+                )}
+              </Grid>
+            )}
+            
+            {/* Approval history */}
+            {dialogMode === 'view' && (selectedExpense?.approvalSteps || []).length > 0 && (
+              <Grid item xs={12}>
+                <Typography variant="subtitle1" sx={{ mt: 1 }}>
+                  Approval: {approvalWorkflow.getProgressLabel(selectedExpense)}
+                </Typography>
+                {renderApprovalSteps(selectedExpense)}
+              </Grid>
+            )}
+            
+            {/* Attached documents; a new expense gets them once it is saved */}
+            {dialogMode !== 'add' && selectedExpense && (
+              <Grid item xs={12}>
+                <Divider sx={{ my: 1 }} />
+                <AttachmentsPanel
+                  entityType="Expenses"
+                  entityId={selectedExpense.id}
+                  defaultCategory="Invoice"
+                />
+              </Grid>
+            )}
           </Grid>
         </DialogContent>
         
@@ -1142,7 +2286,7 @@ const ExpenseManagement = () => {
           
           {dialogMode !== 'view' && hasPermission('write') && (
             <Button 
-              onClick={handleSaveExpense} 
+              onClick={() => handleSaveExpense()} 
               variant="contained" 
               color="primary"
               disabled={submitting}
@@ -1154,6 +2298,135 @@ const ExpenseManagement = () => {
         </DialogActions>
       </Dialog>
       
+      {/* Approval Dialog */}
+      <Dialog
+        open={Boolean(approvalExpense)}
+        onClose={() => setApprovalExpense(null)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>Review Expense</DialogTitle>
+        {approvalExpense && (
+          <DialogContent dividers>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              <Grid item xs={12} md={6}>
+                <Typography variant="body2" color="text.secondary">Description</Typography>
+                <Typography>{approvalExpense.description}</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="body2" color="text.secondary">Amount</Typography>
+                <Typography>{formatCurrency(approvalExpense.amount)}</Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="body2" color="text.secondary">Date</Typography>
+                <Typography>{approvalExpense.date}</Typography>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Typography variant="body2" color="text.secondary">Supplier</Typography>
+                <Typography>{getSupplierName(approvalExpense.supplier)}</Typography>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Typography variant="body2" color="text.secondary">Payment Center / Program</Typography>
+                <Typography>
+                  {getPaymentCenterName(approvalExpense.paymentCenter)} / {getProgramName(approvalExpense.program)}
+                </Typography>
+              </Grid>
+            </Grid>
+            
+            {renderApprovalSteps(approvalExpense)}
+            
+            <TextField
+              fullWidth
+              label="Reason (required to reject)"
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+              margin="normal"
+              multiline
+              rows={2}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setApprovalExpense(null)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => handleApprovalDecision('reject')}
+            color="error"
+            variant="outlined"
+            disabled={approving}
+          >
+            Reject
+          </Button>
+          <Button
+            onClick={() => handleApprovalDecision('approve')}
+            color="success"
+            variant="contained"
+            disabled={approving}
+            startIcon={<ApprovalIcon />}
+          >
+            Approve
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
+      {/* Resolve Match Exception Dialog */}
+      <Dialog
+        open={Boolean(matchExpense)}
+        onClose={() => setMatchExpense(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Resolve Match Exception</DialogTitle>
+        {matchExpense && (
+          <DialogContent dividers>
+            <Typography gutterBottom>
+              {matchExpense.description} ({formatCurrency(matchExpense.amount)}) against {getPurchaseOrderNumber(matchExpense.purchaseOrderId)}
+            </Typography>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {(matchExpense.matchExceptions || []).map((exception, index) => (
+                <div key={index}>{exception.message}</div>
+              ))}
+            </Alert>
+            <TextField
+              fullWidth
+              label="Resolution (recorded in the audit log)"
+              value={matchResolution}
+              onChange={(e) => setMatchResolution(e.target.value)}
+              margin="normal"
+              multiline
+              rows={2}
+              required
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setMatchExpense(null)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleResolveMatch}
+            color="success"
+            variant="contained"
+            disabled={resolving || !matchResolution.trim()}
+          >
+            Accept Invoice
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
+      {/* Admin override of a segregation-of-duties rule */}
+      <SegregationOverrideDialog
+        open={Boolean(segregationOverride)}
+        violations={segregationOverride?.violations}
+        onClose={() => setSegregationOverride(null)}
+        onConfirm={(override) => {
+          const { perform } = segregationOverride;
+          setSegregationOverride(null);
+          perform(override);
+        }}
+      />
+      
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={confirmDeleteOpen}
@@ -0,0 +1,286 @@
+// src/pages/GeneralLedger.js - Running balances per account from posted journals
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Chip,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  Switch,
+  Alert,
+  CircularProgress,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { format } from 'date-fns';
+import { useData, useCollections } from '../contexts/DataContext';
+import generalLedger from '../utils/GeneralLedger';
+import fiscalCalendar from '../utils/FiscalCalendar';
+
+const GeneralLedger = () => {
+  const { data, loading, error } = useData();
+
+  // The ledger is built from every journal
+  const collectionsLoaded = useCollections(['JournalEntries']);
+
+  const startMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
+
+  // Filter state
+  const [filterAccount, setFilterAccount] = useState('All');
+  const [dateFrom, setDateFrom] = useState(format(fiscalCalendar.getCurrentYearStart(startMonth), 'yyyy-MM-dd'));
+  const [dateTo, setDateTo] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [includeEmpty, setIncludeEmpty] = useState(false);
+
+  // Default to the current financial year to date
+  useEffect(() => {
+    setDateFrom(format(fiscalCalendar.getCurrentYearStart(startMonth), 'yyyy-MM-dd'));
+  }, [startMonth]);
+
+  const accounts = useMemo(() => data.ChartOfAccounts || [], [data.ChartOfAccounts]);
+
+  const ledger = useMemo(() =>
+    generalLedger.buildLedger(data.JournalEntries || [], accounts, {
+      dateFrom,
+      dateTo,
+      accountId: filterAccount,
+      includeEmpty
+    }),
+  [data.JournalEntries, accounts, dateFrom, dateTo, filterAccount, includeEmpty]);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+  };
+
+  // Balances are shown with the side they sit on, e.g. "$1,200.00 DR"
+  const formatBalance = (balance, normalBalance) => {
+    if (Math.abs(balance) < 0.005) return formatCurrency(0);
+    const side = (balance >= 0) === (normalBalance === 'debit') ? 'DR' : 'CR';
+    return `${formatCurrency(Math.abs(balance))} ${side}`;
+  };
+
+  // Format date
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(`${dateString}T00:00:00`);
+    return isNaN(date.getTime()) ? dateString : format(date, 'dd/MM/yyyy');
+  };
+
+  // Get payment center name by ID
+  const getPaymentCenterName = (id) => {
+    if (!id) return '';
+    const center = (data.PaymentCenters || []).find(c => String(c.id) === String(id));
+    return center ? center.name : 'Unknown';
+  };
+
+  // Loading state
+  if (loading || !collectionsLoaded) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">General Ledger</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Built from approved journal entries
+        </Typography>
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Account</InputLabel>
+              <Select
+                value={filterAccount}
+                label="Account"
+                onChange={(e) => setFilterAccount(e.target.value)}
+              >
+                <MenuItem value="All">All Accounts</MenuItem>
+                {[...accounts]
+                  .sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }))
+                  .map(account => (
+                    <MenuItem key={account.id} value={account.id}>
+                      {account.code} - {account.name}
+                    </MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              label="From"
+              type="date"
+              size="small"
+              value={dateFrom}
+              onChange={(e) => setDateFrom(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              label="To"
+              type="date"
+              size="small"
+              value={dateTo}
+              onChange={(e) => setDateTo(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={includeEmpty}
+                  onChange={(e) => setIncludeEmpty(e.target.checked)}
+                  size="small"
+                />
+              }
+              label="Show empty"
+            />
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {accounts.length === 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          No chart of accounts has been set up yet. Add accounts under Chart of Accounts first.
+        </Alert>
+      )}
+
+      {ledger.unassigned.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          {ledger.unassigned.length} approved journal {ledger.unassigned.length === 1 ? 'line has' : 'lines have'} no
+          account and {ledger.unassigned.length === 1 ? 'is' : 'are'} not included below
+          ({ledger.unassigned.map(posting => posting.reference).filter((ref, i, refs) => refs.indexOf(ref) === i).join(', ')}).
+        </Alert>
+      )}
+
+      {accounts.length > 0 && ledger.accounts.length === 0 && (
+        <Paper sx={{ p: 3, textAlign: 'center' }}>
+          <Typography variant="body1" color="text.secondary">
+            No approved journal lines in this date range.
+          </Typography>
+        </Paper>
+      )}
+
+      {/* One ledger per account */}
+      {ledger.accounts.map(accountLedger => (
+        <Paper key={accountLedger.account.id} sx={{ mb: 3 }}>
+          <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="h6">
+                {accountLedger.account.code} - {accountLedger.account.name}
+              </Typography>
+              <Chip label={accountLedger.account.type} size="small" variant="outlined" sx={{ textTransform: 'capitalize' }} />
+              {accountLedger.account.active === false && <Chip label="Inactive" size="small" />}
+            </Box>
+            <Typography variant="subtitle1">
+              Closing: {formatBalance(accountLedger.closingBalance, accountLedger.normalBalance)}
+            </Typography>
+          </Box>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Reference</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Payment Center</TableCell>
+                  <TableCell align="right">Debit</TableCell>
+                  <TableCell align="right">Credit</TableCell>
+                  <TableCell align="right">Balance</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell colSpan={6} sx={{ fontStyle: 'italic' }}>
+                    Opening balance
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontStyle: 'italic' }}>
+                    {formatBalance(accountLedger.openingBalance, accountLedger.normalBalance)}
+                  </TableCell>
+                </TableRow>
+
+                {accountLedger.periods.map(period => (
+                  <React.Fragment key={period.key}>
+                    {period.postings.map(posting => (
+                      <TableRow key={posting.id}>
+                        <TableCell>{formatDate(posting.date)}</TableCell>
+                        <TableCell>{posting.reference}</TableCell>
+                        <TableCell>{posting.description}</TableCell>
+                        <TableCell>{getPaymentCenterName(posting.paymentCenter)}</TableCell>
+                        <TableCell align="right">{posting.debit ? formatCurrency(posting.debit) : ''}</TableCell>
+                        <TableCell align="right">{posting.credit ? formatCurrency(posting.credit) : ''}</TableCell>
+                        <TableCell align="right">
+                          {formatBalance(posting.balance, accountLedger.normalBalance)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+
+                    {/* Period subtotal */}
+                    <TableRow sx={{ bgcolor: 'action.hover' }}>
+                      <TableCell colSpan={4} sx={{ fontWeight: 'bold' }}>
+                        {period.label} total
+                      </TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(period.debit)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(period.credit)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                        {formatBalance(period.closingBalance, accountLedger.normalBalance)}
+                      </TableCell>
+                    </TableRow>
+                  </React.Fragment>
+                ))}
+
+                <TableRow>
+                  <TableCell colSpan={4} sx={{ fontWeight: 'bold' }}>
+                    Total for range
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(accountLedger.debit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(accountLedger.credit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                    {formatBalance(accountLedger.closingBalance, accountLedger.normalBalance)}
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      ))}
+    </Box>
+  );
+};
+
+export default GeneralLedger;
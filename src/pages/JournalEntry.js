@@ -1,5 +1,5 @@
 // src/pages/JournalEntry.js - Updated with double-entry accounting
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   Box, 
   Paper, 
@@ -36,9 +36,11 @@ import {
   TableRow,
   TableCell,
   TablePagination,
+  TableSortLabel,
   FormControlLabel,
   Radio,
-  RadioGroup
+  RadioGroup,
+  Checkbox
 } from '@mui/material';
 import { 
   Add as AddIcon,
@@ -61,12 +63,19 @@ import {
   Cancel as RejectIcon,
   SwapHoriz as TransferIcon,
   AddCircle as AddLineIcon,
-  RemoveCircle as RemoveLineIcon
+  RemoveCircle as RemoveLineIcon,
+  Undo as ReverseIcon,
+  Bookmarks as TemplateIcon,
+  BookmarkAdd as SaveTemplateIcon
 } from '@mui/icons-material';
 import { v4 as uuidv4 } from 'uuid';
 import { useData } from '../contexts/DataContext';
 import { useAuth } from '../contexts/AuthContext';
 import dataValidator from '../utils/DataValidator';
+import journalHelper from '../utils/JournalHelper';
+import RecordConflictAlert from '../components/RecordConflictAlert';
+import SegregationOverrideDialog from '../components/SegregationOverrideDialog';
+import AttachmentsPanel from '../components/AttachmentsPanel';
 import { format } from 'date-fns';
 
 // Journal entry status colors
@@ -77,14 +86,38 @@ const statusColors = {
   'Cancelled': 'default'
 };
 
+// How long journals must stay unchanged before the table is refetched
+const REFETCH_DELAY_MS = 500;
+
 const JournalEntry = () => {
-  const { data, loading, error, addEntity, updateEntity, deleteEntity, saveData, exportToExcel, exportToPdf, exportToCsv } = useData();
+  const { 
+    data, 
+    loading, 
+    error, 
+    addEntity, 
+    updateEntity, 
+    deleteEntity, 
+    saveData, 
+    exportToExcel, 
+    exportToPdf, 
+    exportToCsv, 
+    queryJournals,
+    queryAllJournals,
+    fetchEntity,
+    beginEditing,
+    endEditing,
+    getConflict,
+    resolveConflict,
+    checkPeriod,
+    checkSegregation
+  } = useData();
   const { currentUser, hasPermission, isAdmin } = useAuth();
   
   // State
-  const [journals, setJournals] = useState([]);
   const [programs, setPrograms] = useState([]);
   const [paymentCenters, setPaymentCenters] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [templates, setTemplates] = useState([]);
   
   const [selectedJournal, setSelectedJournal] = useState(null);
   const [dialogOpen, setDialogOpen] = useState(false);
@@ -93,13 +126,32 @@ const JournalEntry = () => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [menuJournal, setMenuJournal] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [segregationOverride, setSegregationOverride] = useState(null); // { violations }
   
   // Table state
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [sortField, setSortField] = useState('date');
+  const [sortDirection, setSortDirection] = useState('desc');
+  
+  // Server query results for the current page
+  const [pageJournals, setPageJournals] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [queryLoading, setQueryLoading] = useState(false);
+  
+  // Journals reversing those on the page, and the number of journals (for new references)
+  const [reversals, setReversals] = useState([]);
+  const [journalCount, setJournalCount] = useState(0);
+  
+  // Journals known to the page: the current page, their reversals, and any written or
+  // fetched since it opened (local copies win). Reversal checks look them up here.
+  const journals = useMemo(() => Array.from(
+    new Map([...pageJournals, ...reversals, ...(data.JournalEntries || [])].map(journal => [journal.id, journal])).values()
+  ), [pageJournals, reversals, data.JournalEntries]);
   
   // Filter state
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [filterDateRange, setFilterDateRange] = useState({ start: '', end: '' });
   const [filterStatus, setFilterStatus] = useState('All');
   
@@ -126,45 +178,15 @@ const JournalEntry = () => {
   // Form validation
   const [validationErrors, setValidationErrors] = useState([]);
   
+  // Journal templates
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  const [templateForm, setTemplateForm] = useState({ name: '', description: '', includeAmounts: true, lines: [], sourceJournalId: null });
+  const [templateErrors, setTemplateErrors] = useState([]);
+  
   // Load data from context
   useEffect(() => {
     if (data) {
-      // Set journal entries - prevent duplicates
-      if (data.JournalEntries) {
-        // Use a Map to ensure unique entries by ID
-        const uniqueJournals = Array.from(
-          new Map(data.JournalEntries.map(journal => [journal.id, journal])).values()
-        );
-        
-        // Ensure each journal has its lines loaded
-        uniqueJournals.forEach(journal => {
-          if (!journal.lines && data.JournalLines) {
-            // Find lines for this journal
-            const journalLines = data.JournalLines.filter(line => line.journalId === journal.id);
-            if (journalLines.length > 0) {
-              // Remove duplicates from journal lines based on lineNumber and journalId
-              const uniqueLines = Array.from(
-                new Map(journalLines.map(line => [`${line.journalId}-${line.lineNumber}`, line])).values()
-              );
-              
-              // Sort by line number
-              const sortedLines = uniqueLines.sort((a, b) => a.lineNumber - b.lineNumber);
-              
-              // Attach lines to journal
-              journal.lines = sortedLines.map(line => ({
-                id: line.id,
-                type: line.type,
-                program: line.program,
-                paymentCenter: line.paymentCenter,
-                amount: line.amount
-              }));
-            }
-          }
-        });
-        
-        setJournals(uniqueJournals);
-      }
-      
       // Set programs
       if (data.Programs) {
         setPrograms(data.Programs);
@@ -174,37 +196,234 @@ const JournalEntry = () => {
       if (data.PaymentCenters) {
         setPaymentCenters(data.PaymentCenters);
       }
+      
+      // Set journal templates, ordered by name
+      if (data.JournalTemplates) {
+        setTemplates([...data.JournalTemplates].sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      }
+      
+      // Set chart of accounts, ordered by code
+      if (data.ChartOfAccounts) {
+        setAccounts([...data.ChartOfAccounts].sort((a, b) => 
+          String(a.code).localeCompare(String(b.code), undefined, { numeric: true })
+        ));
+      }
     }
   }, [data]);
-  // Reset form when adding new journal
+  
+  // Debounce search input before querying the server
   useEffect(() => {
-    if (dialogMode === 'add') {
-      const referenceNum = `JE-${format(new Date(), 'yyyyMMdd')}-${String(journals.length + 1).padStart(3, '0')}`;
-      
-      setJournalForm({
-        id: uuidv4(),
-        date: format(new Date(), 'yyyy-MM-dd'),
-        description: '',
-        reference: referenceNum,
-        status: 'Pending',
-        notes: '',
-        createdBy: currentUser?.username || 'anonymous',
-        createdAt: new Date().toISOString()
-      });
-      
-      // Initialize with two empty lines (one debit, one credit)
-      setJournalLines([
-        { id: uuidv4(), type: 'debit', program: '', paymentCenter: '', amount: '' },
-        { id: uuidv4(), type: 'credit', program: '', paymentCenter: '', amount: '' }
-      ]);
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+  
+  // Go back to the first page whenever the filters or sort order change
+  useEffect(() => {
+    setPage(0);
+  }, [debouncedSearch, filterDateRange, filterStatus, sortField, sortDirection]);
+  
+  // Count of settled changes to journals. Local writes and Realtime changes arrive
+  // in bursts, so the page is refetched once they stop rather than on every change.
+  const [journalsRevision, setJournalsRevision] = useState(0);
+  const seenJournalsRef = useRef(data.JournalEntries);
+  
+  useEffect(() => {
+    if (seenJournalsRef.current === data.JournalEntries) return undefined;
+    
+    const timer = setTimeout(() => {
+      seenJournalsRef.current = data.JournalEntries;
+      setJournalsRevision(revision => revision + 1);
+    }, REFETCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [data.JournalEntries]);
+  
+  // Fetch the current page from the server when the filters, sort or page change,
+  // or after journals have changed
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchJournals = async () => {
+      try {
+        setQueryLoading(true);
+        
+        const result = await queryJournals({
+          dateFrom: filterDateRange.start,
+          dateTo: filterDateRange.end,
+          status: filterStatus,
+          search: debouncedSearch,
+          sortField,
+          sortDirection,
+          page,
+          pageSize: rowsPerPage
+        });
+        
+        if (!cancelled) {
+          setPageJournals(result.rows);
+          setTotalCount(result.total);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSnackbar({
+            open: true,
+            message: `Error loading journal entries: ${err.message}`,
+            severity: 'error'
+          });
+        }
+      } finally {
+        if (!cancelled) {
+          setQueryLoading(false);
+        }
+      }
+    };
+    
+    fetchJournals();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    queryJournals,
+    journalsRevision,
+    debouncedSearch,
+    filterDateRange,
+    filterStatus,
+    sortField,
+    sortDirection,
+    page,
+    rowsPerPage
+  ]);
+  
+  // Fetch the reversals of the journals on the page, and the journal count, whenever the page changes
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchReversals = async () => {
+      try {
+        const [reversing, counted] = await Promise.all([
+          pageJournals.length > 0 ? queryAllJournals({ reversalOf: pageJournals.map(journal => journal.id) }) : [],
+          queryJournals({ pageSize: 1 })
+        ]);
+        
+        if (!cancelled) {
+          setReversals(reversing);
+          setJournalCount(counted.total);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSnackbar({
+            open: true,
+            message: `Error loading journal reversals: ${err.message}`,
+            severity: 'error'
+          });
+        }
+      }
+    };
+    
+    fetchReversals();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [queryJournals, queryAllJournals, pageJournals]);
+  
+  // A reversal opened from the page may reverse a journal on another page: fetch it for its reference
+  useEffect(() => {
+    const originalId = journalForm.reversalOf;
+    if (!dialogOpen || !originalId || journals.some(journal => String(journal.id) === String(originalId))) return;
+    
+    fetchEntity('JournalEntries', originalId).catch(err => {
+      console.warn('Could not load the reversed journal:', err);
+    });
+  }, [dialogOpen, journalForm.reversalOf, journals, fetchEntity]);
+  
+  // Handle column sort
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection(field === 'date' || field === 'totalAmount' ? 'desc' : 'asc');
+    }
+  };
+  
+  // Next journal reference for today
+  const getNextReference = () => {
+    return `JE-${format(new Date(), 'yyyyMMdd')}-${String(journalCount + 1).padStart(3, '0')}`;
+  };
+  
+  // Reset the form for a new journal
+  const resetNewJournal = () => {
+    setJournalForm({
+      id: uuidv4(),
+      date: format(new Date(), 'yyyy-MM-dd'),
+      description: '',
+      reference: getNextReference(),
+      status: 'Pending',
+      notes: '',
+      createdBy: currentUser?.username || 'anonymous',
+      createdAt: new Date().toISOString()
+    });
+    
+    // Initialize with two empty lines (one debit, one credit)
+    setJournalLines([
+      { id: uuidv4(), type: 'debit', account: '', program: '', paymentCenter: '', amount: '' },
+      { id: uuidv4(), type: 'credit', account: '', program: '', paymentCenter: '', amount: '' }
+    ]);
+  };
+  
+  // Watch the journal being edited or approved for changes made by other users
+  const watchingJournal = dialogOpen && (dialogMode === 'edit' || dialogMode === 'approve') && selectedJournal;
+  
+  useEffect(() => {
+    if (!watchingJournal) return undefined;
+    
+    const journalId = selectedJournal.id;
+    beginEditing('JournalEntries', journalId);
+    
+    return () => {
+      endEditing('JournalEntries', journalId);
+    };
+  }, [watchingJournal, selectedJournal, beginEditing, endEditing]);
+  
+  // Remote change to the journal open in the dialog
+  const editConflict = watchingJournal ? getConflict('JournalEntries', selectedJournal.id) : null;
+  
+  // Replace the form and lines with the latest copy of the journal
+  const handleLoadLatestJournal = () => {
+    const latest = editConflict?.server || (data.JournalEntries || []).find(j => String(j.id) === String(selectedJournal.id));
+    if (latest) {
+      setSelectedJournal(latest);
+      setJournalForm({ ...latest });
+      setJournalLines(latest.lines || []);
+      setValidationErrors([]);
+    }
+    resolveConflict('JournalEntries', selectedJournal.id);
+  };
+  
+  // Keep the user's changes, but save against the latest version so the next save goes through
+  const handleKeepMyJournal = () => {
+    const serverVersion = editConflict?.server?.version;
+    if (serverVersion !== undefined) {
+      setJournalForm(prev => ({ ...prev, version: serverVersion }));
+      setSelectedJournal(prev => ({ ...prev, version: serverVersion }));
     }
-  }, [dialogMode, journals.length, currentUser]);
+    resolveConflict('JournalEntries', selectedJournal.id);
+  };
+  
+  // Short description of journal lines for the conflict comparison
+  const formatLinesSummary = (lines) => {
+    if (!lines || lines.length === 0) return 'No lines';
+    const debits = lines
+      .filter(line => line.type === 'debit')
+      .reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
+    return `${lines.length} lines, ${formatCurrency(debits)} debits`;
+  };
   
   // Handle add journal line
   const handleAddLine = (type) => {
     setJournalLines([
       ...journalLines,
-      { id: uuidv4(), type, program: '', paymentCenter: '', amount: '' }
+      { id: uuidv4(), type, account: '', program: '', paymentCenter: '', amount: '' }
     ]);
   };
   
@@ -242,11 +461,132 @@ const JournalEntry = () => {
       return;
     }
     
+    resetNewJournal();
+    setDialogMode('add');
+    setSelectedJournal(null);
+    setDialogOpen(true);
+  };
+  
+  // Open the add dialog pre-filled with the opposite of an approved journal
+  const handleReverseJournal = (journal) => {
+    if (!hasPermission('write')) {
+      setSnackbar({
+        open: true,
+        message: 'You do not have permission to create journal entries',
+        severity: 'error'
+      });
+      return;
+    }
+    
+    if (journal.status !== 'Approved') {
+      setSnackbar({
+        open: true,
+        message: 'Only approved journal entries can be reversed',
+        severity: 'warning'
+      });
+      return;
+    }
+    
+    const existingReversal = journalHelper.findReversal(journals, journal.id);
+    if (existingReversal) {
+      setSnackbar({
+        open: true,
+        message: `Journal entry ${journal.reference} is already reversed by ${existingReversal.reference}`,
+        severity: 'warning'
+      });
+      return;
+    }
+    
+    const reversal = journalHelper.buildReversal(journal, {
+      reference: getNextReference(),
+      date: format(new Date(), 'yyyy-MM-dd'),
+      createdBy: currentUser?.username || 'anonymous'
+    });
+    
+    setJournalForm(reversal.form);
+    setJournalLines(reversal.lines);
+    setValidationErrors([]);
     setDialogMode('add');
     setSelectedJournal(null);
     setDialogOpen(true);
   };
   
+  // Replace the lines in the add dialog with a template's lines
+  const handleApplyTemplate = (templateId) => {
+    const template = templates.find(t => String(t.id) === String(templateId));
+    
+    if (!template) {
+      setJournalForm(prev => {
+        const { templateId: removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+    
+    setJournalLines(journalHelper.fromTemplate(template));
+    setJournalForm(prev => ({
+      ...prev,
+      templateId: template.id,
+      description: prev.description || template.description || template.name
+    }));
+    setValidationErrors([]);
+  };
+  
+  // Open the save-as-template dialog for a set of lines
+  const handleOpenSaveTemplate = (lines, sourceJournal = null) => {
+    setTemplateForm({
+      name: sourceJournal ? sourceJournal.description || '' : journalForm.description || '',
+      description: sourceJournal ? sourceJournal.description || '' : journalForm.description || '',
+      includeAmounts: true,
+      lines,
+      sourceJournalId: sourceJournal ? sourceJournal.id : null
+    });
+    setTemplateErrors([]);
+    setSaveTemplateOpen(true);
+  };
+  
+  // Save a new journal template
+  const handleSaveTemplate = async () => {
+    const template = {
+      id: uuidv4(),
+      name: templateForm.name.trim(),
+      description: templateForm.description.trim(),
+      lines: journalHelper.toTemplateLines(templateForm.lines, templateForm.includeAmounts),
+      sourceJournalId: templateForm.sourceJournalId,
+      createdBy: currentUser?.username || 'anonymous',
+      createdAt: new Date().toISOString()
+    };
+    
+    const errors = journalHelper.validateTemplate(template, templates);
+    if (errors.length > 0) {
+      setTemplateErrors(errors);
+      return;
+    }
+    
+    const result = await addEntity('JournalTemplates', template);
+    
+    setSnackbar({
+      open: true,
+      message: result ? `Template "${template.name}" saved` : 'Error saving journal template',
+      severity: result ? 'success' : 'error'
+    });
+    
+    if (result) {
+      setSaveTemplateOpen(false);
+    }
+  };
+  
+  // Delete a journal template (journals already created from it are unaffected)
+  const handleDeleteTemplate = async (template) => {
+    const success = await deleteEntity('JournalTemplates', template.id);
+    
+    setSnackbar({
+      open: true,
+      message: success ? `Template "${template.name}" deleted` : 'Error deleting journal template',
+      severity: success ? 'success' : 'error'
+    });
+  };
+  
   // Open dialog to edit a journal
   const handleEditJournal = (journal) => {
     if (journal.status !== 'Pending') {
@@ -272,6 +612,7 @@ const JournalEntry = () => {
         lines.push({
           id: uuidv4(),
           type: 'credit',
+          account: '',
           program: journal.fromProgram || '',
           paymentCenter: journal.fromPaymentCenter,
           amount: journal.amount
@@ -281,14 +622,15 @@ const JournalEntry = () => {
         lines.push({
           id: uuidv4(),
           type: 'debit',
+          account: '',
           program: journal.toProgram || '',
           paymentCenter: journal.toPaymentCenter,
           amount: journal.amount
         });
       }
       setJournalLines(lines.length > 0 ? lines : [
-        { id: uuidv4(), type: 'debit', program: '', paymentCenter: '', amount: '' },
-        { id: uuidv4(), type: 'credit', program: '', paymentCenter: '', amount: '' }
+        { id: uuidv4(), type: 'debit', account: '', program: '', paymentCenter: '', amount: '' },
+        { id: uuidv4(), type: 'credit', account: '', program: '', paymentCenter: '', amount: '' }
       ]);
     }
     
@@ -311,6 +653,7 @@ const JournalEntry = () => {
         lines.push({
           id: uuidv4(),
           type: 'credit',
+          account: '',
           program: journal.fromProgram || '',
           paymentCenter: journal.fromPaymentCenter,
           amount: journal.amount
@@ -320,6 +663,7 @@ const JournalEntry = () => {
         lines.push({
           id: uuidv4(),
           type: 'debit',
+          account: '',
           program: journal.toProgram || '',
           paymentCenter: journal.toPaymentCenter,
           amount: journal.amount
@@ -406,40 +750,40 @@ const JournalEntry = () => {
       errors.push('Reference is required');
     }
     
-    // Validate journal lines
-    const debitLines = journalLines.filter(line => line.type === 'debit');
-    const creditLines = journalLines.filter(line => line.type === 'credit');
-    
-    if (debitLines.length === 0) {
-      errors.push('At least one debit line is required');
-    }
-    if (creditLines.length === 0) {
-      errors.push('At least one credit line is required');
-    }
+    // Debit and credit lines with amounts that balance
+    errors.push(...journalHelper.validateLines(journalLines));
     
     // Check if all lines have required data
     journalLines.forEach((line, index) => {
+      if (!line.account) {
+        errors.push(`Line ${index + 1}: Account is required`);
+      } else if (!accounts.some(account => String(account.id) === String(line.account))) {
+        errors.push(`Line ${index + 1}: Account no longer exists`);
+      }
       if (!line.paymentCenter) {
         errors.push(`Line ${index + 1}: Payment center is required`);
       }
-      if (!line.amount || parseFloat(line.amount) <= 0) {
-        errors.push(`Line ${index + 1}: Valid amount is required`);
-      }
     });
     
-    // Check if debits and credits balance
-    const totalDebits = debitLines.reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
-    const totalCredits = creditLines.reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
+    // A journal can only be reversed once
+    if (dialogMode === 'add' && journalForm.reversalOf) {
+      const existingReversal = journalHelper.findReversal(journals, journalForm.reversalOf);
+      if (existingReversal && existingReversal.id !== journalForm.id) {
+        errors.push(`This journal is already reversed by ${existingReversal.reference}`);
+      }
+    }
     
-    if (Math.abs(totalDebits - totalCredits) > 0.01) {
-      errors.push(`Debits (${totalDebits.toFixed(2)}) and credits (${totalCredits.toFixed(2)}) must balance`);
+    // The journal date (and the original date when editing) must fall in a period that accepts changes
+    const periodCheck = checkPeriod('JournalEntries', journalForm, dialogMode === 'edit' ? selectedJournal : null);
+    if (!periodCheck.allowed) {
+      errors.push(periodCheck.message);
     }
     
     return errors;
   };
   
   // Handle journal save (add/edit)
-  const handleSaveJournal = () => {
+  const handleSaveJournal = async () => {
     // Validate the journal entry
     const errors = validateJournalEntry();
     
@@ -477,7 +821,7 @@ const JournalEntry = () => {
       
       // Save to data context
       if (dialogMode === 'add') {
-        const result = addEntity('JournalEntries', formattedJournal);
+        const result = await addEntity('JournalEntries', formattedJournal);
         
         if (result) {
           setSnackbar({
@@ -493,7 +837,8 @@ const JournalEntry = () => {
           });
         }
       } else {
-        const success = updateEntity('JournalEntries', selectedJournal.id, formattedJournal);
+        // Wait for the result so a version conflict keeps the dialog open
+        const success = await updateEntity('JournalEntries', selectedJournal.id, formattedJournal);
         
         if (success) {
           setSnackbar({
@@ -507,6 +852,7 @@ const JournalEntry = () => {
             message: 'Error updating journal entry',
             severity: 'error'
           });
+          return;
         }
       }
       
@@ -522,8 +868,39 @@ const JournalEntry = () => {
     }
   };
   
-  // Handle journal approve
-  const handleApproveJournal = () => {
+  // Handle journal approve; override is { reason } when an admin overrides a segregation rule
+  const handleApproveJournal = async (override = null) => {
+    // Only journals whose lines all post to an account can reach the General Ledger
+    const linesWithoutAccount = (selectedJournal.lines || journalLines)
+      .map((line, index) => (line.account ? null : index + 1))
+      .filter(Boolean);
+    if (linesWithoutAccount.length > 0) {
+      setValidationErrors([
+        `Line ${linesWithoutAccount.join(', ')}: Account is required before approval. Edit the journal to add accounts.`
+      ]);
+      return;
+    }
+    
+    const periodCheck = checkPeriod('JournalEntries', selectedJournal);
+    if (!periodCheck.allowed) {
+      setValidationErrors([periodCheck.message]);
+      return;
+    }
+    
+    // The creator (or, if the rule is on, someone responsible for a line's payment center) cannot approve
+    const segregationCheck = checkSegregation('approve-journal', {
+      ...selectedJournal,
+      lines: selectedJournal.lines || journalLines
+    });
+    if (!segregationCheck.allowed && !override) {
+      if (segregationCheck.canOverride) {
+        setSegregationOverride({ violations: segregationCheck.violations });
+      } else {
+        setValidationErrors(segregationCheck.violations.map(violation => violation.message));
+      }
+      return;
+    }
+    
     try {
       // Update journal status
       const updatedJournal = {
@@ -533,7 +910,7 @@ const JournalEntry = () => {
         approvedAt: new Date().toISOString()
       };
       
-      const success = updateEntity('JournalEntries', selectedJournal.id, updatedJournal);
+      const success = await updateEntity('JournalEntries', selectedJournal.id, updatedJournal, { override });
       
       if (success) {
         setSnackbar({
@@ -547,6 +924,7 @@ const JournalEntry = () => {
           message: 'Error approving journal entry',
           severity: 'error'
         });
+        return;
       }
       
       setDialogOpen(false);
@@ -561,13 +939,19 @@ const JournalEntry = () => {
   };
   
   // Handle journal reject
-  const handleRejectJournal = () => {
+  const handleRejectJournal = async () => {
     // Check if reason is provided
     if (!journalForm.reason) {
       setValidationErrors(['Reason for rejection is required']);
       return;
     }
     
+    const periodCheck = checkPeriod('JournalEntries', selectedJournal);
+    if (!periodCheck.allowed) {
+      setValidationErrors([periodCheck.message]);
+      return;
+    }
+    
     try {
       // Update journal status
       const updatedJournal = {
@@ -578,7 +962,7 @@ const JournalEntry = () => {
         reason: journalForm.reason
       };
       
-      const success = updateEntity('JournalEntries', selectedJournal.id, updatedJournal);
+      const success = await updateEntity('JournalEntries', selectedJournal.id, updatedJournal);
       
       if (success) {
         setSnackbar({
@@ -592,6 +976,7 @@ const JournalEntry = () => {
           message: 'Error rejecting journal entry',
           severity: 'error'
         });
+        return;
       }
       
       setDialogOpen(false);
@@ -622,11 +1007,18 @@ const JournalEntry = () => {
   };
   
   // Confirm delete action
-  const handleConfirmDelete = () => {
+  const handleConfirmDelete = async () => {
     if (selectedJournal) {
-      const success = deleteEntity('JournalEntries', selectedJournal.id);
+      const periodCheck = checkPeriod('JournalEntries', selectedJournal);
+      const success = periodCheck.allowed && await deleteEntity('JournalEntries', selectedJournal.id);
       
-      if (success) {
+      if (!periodCheck.allowed) {
+        setSnackbar({
+          open: true,
+          message: periodCheck.message,
+          severity: 'error'
+        });
+      } else if (success) {
         setSnackbar({
           open: true,
           message: 'Journal entry deleted successfully',
@@ -650,31 +1042,33 @@ const JournalEntry = () => {
     setSnackbar({ ...snackbar, open: false });
   };
   
-  // Save to GitHub
-  const handleSaveToGitHub = async () => {
+  // Save pending changes to the database
+  const handleSaveToDatabase = async () => {
     try {
       setSnackbar({
         open: true,
-        message: 'Saving data to GitHub...',
+        message: 'Saving changes to the database...',
         severity: 'info'
       });
       
-      const success = await saveData();
+      const result = await saveData();
       
-      if (success) {
-        setSnackbar({
-          open: true,
-          message: 'Data saved to GitHub successfully',
-          severity: 'success'
-        });
-      } else {
-        throw new Error('Failed to save to GitHub');
+      // User cancelled the save
+      if (!result) {
+        setSnackbar({ ...snackbar, open: false });
+        return;
       }
+      
+      setSnackbar({
+        open: true,
+        message: result.message,
+        severity: result.success ? 'success' : 'error'
+      });
     } catch (err) {
-      console.error('GitHub save error:', err);
+      console.error('Database save error:', err);
       setSnackbar({
         open: true,
-        message: `GitHub save failed: ${err.message}`,
+        message: `Database save failed: ${err.message}`,
         severity: 'error'
       });
     }
@@ -711,7 +1105,7 @@ const JournalEntry = () => {
   };
   
   // Export to PDF
-  const handleExportToPdf = () => {
+  const handleExportToPdf = async () => {
     try {
       setSnackbar({
         open: true,
@@ -721,7 +1115,7 @@ const JournalEntry = () => {
       
       // Call exportToPdf with the appropriate type
       const success = exportToPdf('journalEntries', {
-        journals: filteredJournals,
+        journals: await queryAllJournals(),
         programs,
         paymentCenters,
         filename: 'KIOSC_JournalEntries_Report.pdf'
@@ -747,7 +1141,7 @@ const JournalEntry = () => {
   };
   
   // Export to CSV
-  const handleExportToCsv = () => {
+  const handleExportToCsv = async () => {
     try {
       setSnackbar({
         open: true,
@@ -756,6 +1150,7 @@ const JournalEntry = () => {
       });
       
       const success = exportToCsv('journalEntries', {
+        journals: await queryAllJournals(),
         programs,
         paymentCenters,
         filename: 'KIOSC_JournalEntries.csv'
@@ -797,6 +1192,25 @@ const JournalEntry = () => {
     return program ? program.name : 'Unknown';
   };
   
+  // Get account code and name by ID
+  const getAccountLabel = (id) => {
+    if (!id) return 'Not Specified';
+    const account = accounts.find(a => String(a.id) === String(id));
+    return account ? `${account.code} - ${account.name}` : 'Unknown';
+  };
+  
+  // Get journal reference by ID
+  const getJournalReference = (id) => {
+    const journal = journals.find(j => String(j.id) === String(id));
+    return journal ? journal.reference : id;
+  };
+  
+  // Get template name by ID
+  const getTemplateName = (id) => {
+    const template = templates.find(t => String(t.id) === String(id));
+    return template ? template.name : 'Deleted template';
+  };
+  
   // Get payment center name by ID
   const getPaymentCenterName = (id) => {
     if (!id) return 'Not Specified';
@@ -804,52 +1218,6 @@ const JournalEntry = () => {
     return center ? center.name : 'Unknown';
   };
   
-  // Filter journals based on filters and search
-  const filteredJournals = useMemo(() => {
-    if (!journals) return [];
-    
-    return journals.filter(journal => {
-      // Skip dummy journal
-      if (journal.id === 'dummy-journal') return false;
-      
-      // Search filter
-      const searchMatch = searchTerm === '' || 
-        journal.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        journal.reference?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        journal.notes?.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      // Date range filter
-      let dateMatch = true;
-      if (filterDateRange.start && filterDateRange.end) {
-        const journalDate = new Date(journal.date);
-        const startDate = new Date(filterDateRange.start);
-        const endDate = new Date(filterDateRange.end);
-        
-        dateMatch = journalDate >= startDate && journalDate <= endDate;
-      } else if (filterDateRange.start) {
-        const journalDate = new Date(journal.date);
-        const startDate = new Date(filterDateRange.start);
-        
-        dateMatch = journalDate >= startDate;
-      } else if (filterDateRange.end) {
-        const journalDate = new Date(journal.date);
-        const endDate = new Date(filterDateRange.end);
-        
-        dateMatch = journalDate <= endDate;
-      }
-      
-      // Status filter
-      const statusMatch = filterStatus === 'All' || journal.status === filterStatus;
-      
-      return searchMatch && dateMatch && statusMatch;
-    });
-  }, [journals, searchTerm, filterDateRange, filterStatus]);
-  
-  // Get paginated data
-  const paginatedJournals = useMemo(() => {
-    return filteredJournals.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
-  }, [filteredJournals, page, rowsPerPage]);
-  
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount);
@@ -934,11 +1302,22 @@ const JournalEntry = () => {
             </Button>
           </Tooltip>
           
-          <Tooltip title="Save to GitHub">
+          <Tooltip title="Journal Templates">
+            <Button
+              variant="outlined"
+              startIcon={<TemplateIcon />}
+              onClick={() => setTemplatesOpen(true)}
+              sx={{ mr: 1 }}
+            >
+              Templates
+            </Button>
+          </Tooltip>
+          
+          <Tooltip title="Save to Database">
             <Button
               variant="outlined"
               startIcon={<CloudUploadIcon />}
-              onClick={handleSaveToGitHub}
+              onClick={handleSaveToDatabase}
               sx={{ mr: 1 }}
             >
               Save
@@ -1028,23 +1407,59 @@ const JournalEntry = () => {
       
       {/* Journal Entries Table */}
       <Paper sx={{ mb: 3 }}>
-        {paginatedJournals.length > 0 ? (
+        {queryLoading && pageJournals.length === 0 ? (
+          <Box sx={{ p: 4, display: 'flex', justifyContent: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : pageJournals.length > 0 ? (
           <TableContainer>
             <Table>
               <TableHead>
                 <TableRow>
-                  <TableCell>Reference</TableCell>
-                  <TableCell>Date</TableCell>
+                  <TableCell>
+                    <TableSortLabel
+                      active={sortField === 'reference'}
+                      direction={sortField === 'reference' ? sortDirection : 'asc'}
+                      onClick={() => handleSort('reference')}
+                    >
+                      Reference
+                    </TableSortLabel>
+                  </TableCell>
+                  <TableCell>
+                    <TableSortLabel
+                      active={sortField === 'date'}
+                      direction={sortField === 'date' ? sortDirection : 'asc'}
+                      onClick={() => handleSort('date')}
+                    >
+                      Date
+                    </TableSortLabel>
+                  </TableCell>
                   <TableCell>Description</TableCell>
                   <TableCell>Lines</TableCell>
-                  <TableCell align="right">Amount</TableCell>
-                  <TableCell align="center">Status</TableCell>
+                  <TableCell align="right">
+                    <TableSortLabel
+                      active={sortField === 'totalAmount'}
+                      direction={sortField === 'totalAmount' ? sortDirection : 'asc'}
+                      onClick={() => handleSort('totalAmount')}
+                    >
+                      Amount
+                    </TableSortLabel>
+                  </TableCell>
+                  <TableCell align="center">
+                    <TableSortLabel
+                      active={sortField === 'status'}
+                      direction={sortField === 'status' ? sortDirection : 'asc'}
+                      onClick={() => handleSort('status')}
+                    >
+                      Status
+                    </TableSortLabel>
+                  </TableCell>
                   <TableCell align="center">Actions</TableCell>
                 </TableRow>
               </TableHead>
               
               <TableBody>
-                {paginatedJournals.map((journal) => (
+                {pageJournals.map((journal) => (
                   <TableRow key={journal.id}>
                     <TableCell>
                       <Box 
@@ -1057,6 +1472,12 @@ const JournalEntry = () => {
                       >
                         <JournalIcon fontSize="small" color="primary" sx={{ mr: 1 }} />
                         {journal.reference}
+                        {journal.reversalOf && (
+                          <Chip label="Reversal" size="small" variant="outlined" sx={{ ml: 1 }} />
+                        )}
+                        {journal.status === 'Approved' && journalHelper.findReversal(journals, journal.id) && (
+                          <Chip label="Reversed" size="small" variant="outlined" color="secondary" sx={{ ml: 1 }} />
+                        )}
                       </Box>
                     </TableCell>
                     <TableCell>{formatDate(journal.date)}</TableCell>
@@ -1101,7 +1522,7 @@ const JournalEntry = () => {
             <TablePagination
               rowsPerPageOptions={[5, 10, 25]}
               component="div"
-              count={filteredJournals.length}
+              count={totalCount}
               rowsPerPage={rowsPerPage}
               page={page}
               onPageChange={handleChangePage}
@@ -1152,6 +1573,30 @@ const JournalEntry = () => {
           <ListItemText>View Details</ListItemText>
         </MenuItem>
         
+        {hasPermission('write') && menuJournal?.status === 'Approved' && !journalHelper.findReversal(journals, menuJournal.id) && (
+          <MenuItem onClick={() => {
+            handleReverseJournal(menuJournal);
+            handleCloseMenu();
+          }}>
+            <ListItemIcon>
+              <ReverseIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Reverse Entry</ListItemText>
+          </MenuItem>
+        )}
+        
+        {hasPermission('write') && menuJournal?.lines && (
+          <MenuItem onClick={() => {
+            handleOpenSaveTemplate(menuJournal.lines, menuJournal);
+            handleCloseMenu();
+          }}>
+            <ListItemIcon>
+              <SaveTemplateIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>Save as Template</ListItemText>
+          </MenuItem>
+        )}
+        
         {hasPermission('write') && menuJournal?.status === 'Pending' && (
           <>
             <MenuItem onClick={() => {
@@ -1199,13 +1644,32 @@ const JournalEntry = () => {
         fullWidth
       >
         <DialogTitle>
-          {dialogMode === 'add' ? 'Create New Journal Entry' : 
+          {dialogMode === 'add' && journalForm.reversalOf ? 'Reverse Journal Entry' :
+           dialogMode === 'add' ? 'Create New Journal Entry' : 
            dialogMode === 'edit' ? 'Edit Journal Entry' : 
            dialogMode === 'approve' ? 'Approve/Reject Journal Entry' : 
            'Journal Entry Details'}
         </DialogTitle>
         
         <DialogContent dividers>
+          {/* Changed by another user */}
+          <RecordConflictAlert
+            conflict={editConflict}
+            entityLabel="journal entry"
+            localValues={{ ...journalForm, lines: journalLines }}
+            fields={[
+              { field: 'reference', label: 'Reference' },
+              { field: 'date', label: 'Date' },
+              { field: 'description', label: 'Description' },
+              { field: 'status', label: 'Status' },
+              { field: 'notes', label: 'Notes' },
+              { field: 'lines', label: 'Lines', format: formatLinesSummary }
+            ]}
+            onLoadLatest={handleLoadLatestJournal}
+            onKeepMine={handleKeepMyJournal}
+            onClose={handleCloseDialog}
+          />
+          
           {/* Validation Errors */}
           {validationErrors.length > 0 && (
             <Alert 
@@ -1289,6 +1753,51 @@ const JournalEntry = () => {
           ) : (
             /* Regular Form for Add/Edit/View */
             <Grid container spacing={2}>
+              {/* Links to the journal this reverses, its reversal, or the template it came from */}
+              {journalForm.reversalOf && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Reverses journal entry {getJournalReference(journalForm.reversalOf)}. Debits and credits are swapped from the original.
+                  </Alert>
+                </Grid>
+              )}
+              
+              {dialogMode === 'view' && journalHelper.findReversal(journals, journalForm.id) && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Reversed by journal entry {journalHelper.findReversal(journals, journalForm.id).reference} ({journalHelper.findReversal(journals, journalForm.id).status}).
+                  </Alert>
+                </Grid>
+              )}
+              
+              {dialogMode === 'view' && journalForm.templateId && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Created from template "{getTemplateName(journalForm.templateId)}".
+                  </Alert>
+                </Grid>
+              )}
+              
+              {dialogMode === 'add' && !journalForm.reversalOf && templates.length > 0 && (
+                <Grid item xs={12}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Start from Template</InputLabel>
+                    <Select
+                      value={journalForm.templateId || ''}
+                      label="Start from Template"
+                      onChange={(e) => handleApplyTemplate(e.target.value)}
+                    >
+                      <MenuItem value="">None</MenuItem>
+                      {templates.map(template => (
+                        <MenuItem key={template.id} value={template.id}>
+                          {template.name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              )}
+              
               <Grid item xs={12} md={6}>
                 <TextField
                   fullWidth
@@ -1342,18 +1851,27 @@ const JournalEntry = () => {
                 </Divider>
               </Grid>
               
+              {dialogMode !== 'view' && dialogMode !== 'approve' && accounts.length === 0 && (
+                <Grid item xs={12}>
+                  <Alert severity="info">
+                    Every journal line posts to an account. Set up the Chart of Accounts before entering journals.
+                  </Alert>
+                </Grid>
+              )}
+              
               {/* Journal Lines Table */}
               <Grid item xs={12}>
                 <TableContainer component={Paper} variant="outlined">
                   <Table size="small">
                     <TableHead>
                       <TableRow>
-                        <TableCell width="15%">Type</TableCell>
-                        <TableCell width="25%">Program (Optional)</TableCell>
-                        <TableCell width="25%">Payment Center</TableCell>
-                        <TableCell width="20%" align="right">Amount</TableCell>
+                        <TableCell width="10%">Type</TableCell>
+                        <TableCell width="25%">Account</TableCell>
+                        <TableCell width="20%">Program (Optional)</TableCell>
+                        <TableCell width="20%">Payment Center</TableCell>
+                        <TableCell width="15%" align="right">Amount</TableCell>
                         {dialogMode !== 'view' && (
-                          <TableCell width="15%" align="center">Actions</TableCell>
+                          <TableCell width="10%" align="center">Actions</TableCell>
                         )}
                       </TableRow>
                     </TableHead>
@@ -1367,6 +1885,27 @@ const JournalEntry = () => {
                               color={line.type === 'debit' ? 'primary' : 'secondary'}
                             />
                           </TableCell>
+                          <TableCell>
+                            <FormControl fullWidth size="small" required>
+                              <Select
+                                value={line.account || ''}
+                                onChange={(e) => handleLineChange(line.id, 'account', e.target.value)}
+                                disabled={dialogMode === 'view'}
+                                displayEmpty
+                                error={validationErrors.some(error => error.includes(`Line ${index + 1}: Account`))}
+                                renderValue={(value) => value ? getAccountLabel(value) : 'Select Account'}
+                              >
+                                <MenuItem value="">Select Account</MenuItem>
+                                {accounts
+                                  .filter(account => account.active !== false || String(account.id) === String(line.account))
+                                  .map((account) => (
+                                    <MenuItem key={account.id} value={String(account.id)}>
+                                      {account.code} - {account.name}
+                                    </MenuItem>
+                                  ))}
+                              </Select>
+                            </FormControl>
+                          </TableCell>
                           <TableCell>
                             <FormControl fullWidth size="small">
                               <Select
@@ -1433,7 +1972,7 @@ const JournalEntry = () => {
                       
                       {/* Totals Row */}
                       <TableRow>
-                        <TableCell colSpan={3} align="right" sx={{ fontWeight: 'bold' }}>
+                        <TableCell colSpan={4} align="right" sx={{ fontWeight: 'bold' }}>
                           Totals:
                         </TableCell>
                         <TableCell align="right">
@@ -1516,6 +2055,14 @@ const JournalEntry = () => {
                   </Alert>
                 </Grid>
               )}
+              
+              {/* Supporting documents */}
+              {dialogMode === 'view' && journalForm.id && (
+                <Grid item xs={12}>
+                  <Divider sx={{ my: 1 }} />
+                  <AttachmentsPanel entityType="JournalEntries" entityId={journalForm.id} />
+                </Grid>
+              )}
             </Grid>
           )}
         </DialogContent>
@@ -1537,7 +2084,7 @@ const JournalEntry = () => {
               </Button>
               
               <Button 
-                onClick={handleApproveJournal} 
+                onClick={() => handleApproveJournal()} 
                 variant="contained" 
                 color="success"
                 startIcon={<ApproveIcon />}
@@ -1547,6 +2094,15 @@ const JournalEntry = () => {
             </>
           )}
           
+          {(dialogMode === 'add' || dialogMode === 'edit') && hasPermission('write') && (
+            <Button 
+              onClick={() => handleOpenSaveTemplate(journalLines, dialogMode === 'edit' ? selectedJournal : null)}
+              startIcon={<SaveTemplateIcon />}
+            >
+              Save as Template
+            </Button>
+          )}
+          
           {(dialogMode === 'add' || dialogMode === 'edit') && hasPermission('write') && (
             <Button 
               onClick={handleSaveJournal} 
@@ -1560,6 +2116,135 @@ const JournalEntry = () => {
         </DialogActions>
       </Dialog>
       
+      {/* Journal Templates Dialog */}
+      <Dialog
+        open={templatesOpen}
+        onClose={() => setTemplatesOpen(false)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>Journal Templates</DialogTitle>
+        <DialogContent dividers>
+          {templates.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No templates yet. Use "Save as Template" on a journal entry, or in the journal dialog, to create one.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Lines</TableCell>
+                    <TableCell align="right">Debits</TableCell>
+                    <TableCell>Saved From</TableCell>
+                    <TableCell align="center">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {templates.map(template => {
+                    const lines = template.lines || [];
+                    const debits = lines
+                      .filter(line => line.type === 'debit')
+                      .reduce((sum, line) => sum + parseFloat(line.amount || 0), 0);
+                    
+                    return (
+                      <TableRow key={template.id}>
+                        <TableCell>{template.name}</TableCell>
+                        <TableCell>{template.description}</TableCell>
+                        <TableCell>
+                          {lines.filter(l => l.type === 'debit').length} DR / {lines.filter(l => l.type === 'credit').length} CR
+                        </TableCell>
+                        <TableCell align="right">{debits ? formatCurrency(debits) : 'No amounts'}</TableCell>
+                        <TableCell>{template.sourceJournalId ? getJournalReference(template.sourceJournalId) : ''}</TableCell>
+                        <TableCell align="center">
+                          {hasPermission('write') && (
+                            <Tooltip title="Delete Template">
+                              <IconButton size="small" onClick={() => handleDeleteTemplate(template)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTemplatesOpen(false)}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
+      {/* Save as Template Dialog */}
+      <Dialog
+        open={saveTemplateOpen}
+        onClose={() => setSaveTemplateOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Save as Template</DialogTitle>
+        <DialogContent>
+          {templateErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {templateErrors.map(error => (
+                <div key={error}>{error}</div>
+              ))}
+            </Alert>
+          )}
+          
+          <TextField
+            fullWidth
+            label="Template Name"
+            value={templateForm.name}
+            onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+            margin="normal"
+            required
+          />
+          
+          <TextField
+            fullWidth
+            label="Description"
+            value={templateForm.description}
+            onChange={(e) => setTemplateForm({ ...templateForm, description: e.target.value })}
+            margin="normal"
+          />
+          
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={templateForm.includeAmounts}
+                onChange={(e) => setTemplateForm({ ...templateForm, includeAmounts: e.target.checked })}
+              />
+            }
+            label="Include line amounts"
+          />
+          
+          <Typography variant="body2" color="text.secondary">
+            {templateForm.lines.length} lines
+            {templateForm.sourceJournalId ? ` from journal entry ${getJournalReference(templateForm.sourceJournalId)}` : ''}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveTemplateOpen(false)}>
+            Cancel
+          </Button>
+          <Button 
+            onClick={handleSaveTemplate} 
+            variant="contained"
+            startIcon={<SaveTemplateIcon />}
+          >
+            Save Template
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={confirmDeleteOpen}
@@ -1588,6 +2273,17 @@ const JournalEntry = () => {
         </DialogActions>
       </Dialog>
       
+      {/* Admin override of a segregation-of-duties rule */}
+      <SegregationOverrideDialog
+        open={Boolean(segregationOverride)}
+        violations={segregationOverride?.violations}
+        onClose={() => setSegregationOverride(null)}
+        onConfirm={(override) => {
+          setSegregationOverride(null);
+          handleApproveJournal(override);
+        }}
+      />
+      
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
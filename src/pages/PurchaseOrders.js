@@ -0,0 +1,1122 @@
+// src/pages/PurchaseOrders.js - Purchase orders with partial receipts and matched invoices
+import React, { useState, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Grid,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Snackbar,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Search as SearchIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Close as CloseIcon,
+  SaveAlt as SaveIcon,
+  Visibility as ViewIcon,
+  CheckCircle as ApproveIcon,
+  LocalShipping as ReceiveIcon,
+  Receipt as InvoiceIcon,
+  Lock as CloseOrderIcon,
+  Block as CancelIcon
+} from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
+import { format } from 'date-fns';
+import { useData, useCollections } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import purchaseOrderHelper, { PO_STATUSES } from '../utils/PurchaseOrderHelper';
+import { MATCH_STATUSES } from '../utils/InvoiceMatcher';
+
+const emptyLine = () => ({
+  id: uuidv4(),
+  description: '',
+  quantity: 1,
+  unitPrice: '',
+  paymentCenter: '',
+  program: '',
+  account: ''
+});
+
+// Confirmation text for order actions
+const confirmActions = {
+  close: {
+    title: 'Close Purchase Order',
+    message: 'Closing releases any remaining commitment. No more receipts can be recorded against it.',
+    button: 'Close Order'
+  },
+  cancel: {
+    title: 'Cancel Purchase Order',
+    message: 'The order will no longer commit any budget.',
+    button: 'Cancel Order'
+  },
+  delete: {
+    title: 'Delete Purchase Order',
+    message: 'Are you sure you want to delete this draft purchase order? This action cannot be undone.',
+    button: 'Delete'
+  }
+};
+
+const PurchaseOrders = () => {
+  const navigate = useNavigate();
+  const { data, loading, error, addEntity, updateEntity, deleteEntity, recheckInvoiceMatches } = useData();
+  const { currentUser, hasPermission } = useAuth();
+
+  // Invoices recorded against each order
+  const collectionsLoaded = useCollections(['Expenses']);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [dialogMode, setDialogMode] = useState(null); // 'add', 'edit'
+  const [orderForm, setOrderForm] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [viewOrder, setViewOrder] = useState(null);
+  const [approveOrder, setApproveOrder] = useState(null);
+  const [approvedAmount, setApprovedAmount] = useState('');
+  const [receiveOrder, setReceiveOrder] = useState(null);
+  const [receiptForm, setReceiptForm] = useState({ date: '', notes: '', quantities: {} });
+  const [confirmAction, setConfirmAction] = useState(null); // { type, order }
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Filter state
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterStatus, setFilterStatus] = useState('Open');
+  const [filterPaymentCenter, setFilterPaymentCenter] = useState('All');
+
+  const orders = useMemo(() => data.PurchaseOrders || [], [data.PurchaseOrders]);
+  const expenses = useMemo(() => data.Expenses || [], [data.Expenses]);
+  const suppliers = useMemo(() => data.Suppliers || [], [data.Suppliers]);
+  const paymentCenters = data.PaymentCenters || [];
+  const programs = data.Programs || [];
+  const accounts = (data.ChartOfAccounts || []).filter(account => account.active !== false);
+
+  const getSupplierName = useCallback(
+    (id) => suppliers.find(s => String(s.id) === String(id))?.name || 'Unknown',
+    [suppliers]
+  );
+  const getPaymentCenterName = (id) => paymentCenters.find(c => String(c.id) === String(id))?.name || 'Unknown';
+  const getProgramName = (id) => (id ? programs.find(p => String(p.id) === String(id))?.name || 'Unknown' : 'Not Assigned');
+  const getStatusInfo = (status) => PO_STATUSES.find(s => s.value === status) || PO_STATUSES[0];
+
+  // Figures for every order, computed once per change
+  const summaries = useMemo(() => {
+    const result = {};
+    orders.forEach(order => {
+      result[order.id] = purchaseOrderHelper.getSummary(order, expenses);
+    });
+    return result;
+  }, [orders, expenses]);
+
+  const filteredOrders = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+
+    return orders
+      .filter(order => {
+        if (filterStatus === 'Open') return order.status === 'Draft' || order.status === 'Approved';
+        return filterStatus === 'All' || order.status === filterStatus;
+      })
+      .filter(order => filterPaymentCenter === 'All' || String(order.paymentCenter) === String(filterPaymentCenter))
+      .filter(order => !term ||
+        (order.poNumber || '').toLowerCase().includes(term) ||
+        (order.description || '').toLowerCase().includes(term) ||
+        getSupplierName(order.supplier).toLowerCase().includes(term))
+      .sort((a, b) => String(b.poNumber).localeCompare(String(a.poNumber)));
+  }, [orders, searchTerm, filterStatus, filterPaymentCenter, getSupplierName]);
+
+  const openCommitment = filteredOrders.reduce((sum, order) => sum + (summaries[order.id]?.remaining || 0), 0);
+
+  // Keep open dialogs in step with the latest copy of the order
+  const latest = (order) => (order ? orders.find(o => o.id === order.id) || order : null);
+  const viewRecord = latest(viewOrder);
+  const receiveRecord = latest(receiveOrder);
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+  };
+
+  // Format date
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return format(new Date(`${String(dateString).slice(0, 10)}T00:00:00`), 'dd/MM/yyyy');
+  };
+
+  const showResult = (success, successMessage, errorMessage) => {
+    setSnackbar({
+      open: true,
+      message: success ? successMessage : errorMessage,
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  // Open dialog for a new order
+  const handleAddOrder = () => {
+    setOrderForm({
+      id: uuidv4(),
+      poNumber: purchaseOrderHelper.getNextNumber(orders),
+      date: format(new Date(), 'yyyy-MM-dd'),
+      supplier: '',
+      description: '',
+      paymentCenter: filterPaymentCenter !== 'All' ? filterPaymentCenter : '',
+      program: '',
+      notes: '',
+      lines: [emptyLine()]
+    });
+    setValidationErrors([]);
+    setDialogMode('add');
+    setDialogOpen(true);
+  };
+
+  // Open dialog to edit a draft order
+  const handleEditOrder = (order) => {
+    setOrderForm({
+      ...order,
+      program: order.program || '',
+      notes: order.notes || '',
+      description: order.description || '',
+      lines: (order.lines || []).map(line => ({
+        ...line,
+        paymentCenter: line.paymentCenter || '',
+        program: line.program || '',
+        account: line.account || ''
+      }))
+    });
+    setValidationErrors([]);
+    setDialogMode('edit');
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setDialogMode(null);
+    setOrderForm(null);
+    setValidationErrors([]);
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setOrderForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleLineChange = (lineId, field, value) => {
+    setOrderForm(prev => ({
+      ...prev,
+      lines: prev.lines.map(line => (line.id === lineId ? { ...line, [field]: value } : line))
+    }));
+  };
+
+  const handleAddLine = () => {
+    setOrderForm(prev => ({ ...prev, lines: [...prev.lines, emptyLine()] }));
+  };
+
+  const handleRemoveLine = (lineId) => {
+    setOrderForm(prev => ({ ...prev, lines: prev.lines.filter(line => line.id !== lineId) }));
+  };
+
+  // Save order (add/edit)
+  const handleSaveOrder = async () => {
+    const lines = orderForm.lines.map(line => ({
+      id: line.id,
+      description: line.description.trim(),
+      quantity: parseFloat(line.quantity) || 0,
+      unitPrice: parseFloat(line.unitPrice) || 0,
+      amount: purchaseOrderHelper.getLineAmount(line),
+      paymentCenter: line.paymentCenter || null,
+      program: line.program || null,
+      account: line.account || null
+    }));
+
+    const order = {
+      ...orderForm,
+      poNumber: orderForm.poNumber.trim(),
+      description: orderForm.description.trim(),
+      program: orderForm.program || null,
+      lines
+    };
+
+    const errors = purchaseOrderHelper.validatePurchaseOrder(order, orders);
+    if (errors.length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    setSaving(true);
+    const success = dialogMode === 'add' ?
+      Boolean(await addEntity('PurchaseOrders', {
+        ...order,
+        status: 'Draft',
+        receipts: [],
+        createdBy: currentUser?.username || 'anonymous',
+        createdAt: new Date().toISOString()
+      })) :
+      await updateEntity('PurchaseOrders', order.id, { ...order, updatedAt: new Date().toISOString() });
+    setSaving(false);
+
+    showResult(
+      success,
+      `Purchase order ${order.poNumber} ${dialogMode === 'add' ? 'created' : 'updated'}`,
+      `Error ${dialogMode === 'add' ? 'creating' : 'updating'} purchase order`
+    );
+
+    if (success) {
+      handleCloseDialog();
+    }
+  };
+
+  // Approve a draft order, fixing the amount it commits
+  const handleOpenApprove = (order) => {
+    setApproveOrder(order);
+    setApprovedAmount(String(purchaseOrderHelper.getLinesTotal(order.lines)));
+  };
+
+  const handleConfirmApprove = async () => {
+    const amount = parseFloat(approvedAmount);
+    if (!(amount > 0)) {
+      showResult(false, '', 'Approved amount must be greater than zero');
+      return;
+    }
+
+    setSaving(true);
+    const success = await updateEntity('PurchaseOrders', approveOrder.id, {
+      status: 'Approved',
+      approvedAmount: amount,
+      approvedBy: currentUser?.username || 'anonymous',
+      approvedAt: new Date().toISOString()
+    });
+    setSaving(false);
+
+    showResult(success, `Purchase order ${approveOrder.poNumber} approved`, 'Error approving purchase order');
+    if (success) setApproveOrder(null);
+  };
+
+  // Record goods received against one or more lines
+  const handleOpenReceive = (order) => {
+    setReceiveOrder(order);
+    setReceiptForm({ date: format(new Date(), 'yyyy-MM-dd'), notes: '', quantities: {} });
+    setValidationErrors([]);
+  };
+
+  const handleConfirmReceive = async () => {
+    const errors = purchaseOrderHelper.validateReceipt(receiveRecord, receiptForm.quantities);
+    if (!receiptForm.date) errors.push('Receipt date is required');
+    if (errors.length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    const receipts = purchaseOrderHelper.buildReceipts(receiveRecord, receiptForm.quantities, {
+      date: receiptForm.date,
+      receivedBy: currentUser?.username || 'anonymous',
+      notes: receiptForm.notes.trim()
+    });
+
+    const updated = {
+      receipts: [...(receiveRecord.receipts || []), ...receipts],
+      updatedAt: new Date().toISOString()
+    };
+
+    setSaving(true);
+    const success = await updateEntity('PurchaseOrders', receiveRecord.id, updated);
+
+    // Invoices held for goods not yet received may match now
+    const matched = success ? await recheckInvoiceMatches(receiveRecord.id, { ...receiveRecord, ...updated }) : 0;
+    setSaving(false);
+
+    showResult(
+      success,
+      `Receipt recorded against ${receiveRecord.poNumber}${matched > 0 ? `; ${matched} held ${matched === 1 ? 'invoice now matches' : 'invoices now match'}` : ''}`,
+      'Error recording receipt'
+    );
+    if (success) {
+      setReceiveOrder(null);
+      setValidationErrors([]);
+    }
+  };
+
+  // Close, cancel or delete after confirmation
+  const handleConfirmAction = async () => {
+    const { type, order } = confirmAction;
+    let success;
+
+    if (type === 'delete') {
+      success = await deleteEntity('PurchaseOrders', order.id);
+    } else {
+      success = await updateEntity('PurchaseOrders', order.id, {
+        status: type === 'close' ? 'Closed' : 'Cancelled',
+        closedBy: currentUser?.username || 'anonymous',
+        closedAt: new Date().toISOString()
+      });
+    }
+
+    const verb = type === 'close' ? 'closed' : type === 'cancel' ? 'cancelled' : 'deleted';
+    showResult(success, `Purchase order ${order.poNumber} ${verb}`, `Error updating purchase order ${order.poNumber}`);
+    setConfirmAction(null);
+  };
+
+  // Start an invoice (expense) matched to the order
+  const handleRecordInvoice = (order) => {
+    navigate(`/expenses?action=new&purchaseOrder=${encodeURIComponent(order.id)}`);
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  // Loading state
+  if (loading || !collectionsLoaded) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  const canWrite = hasPermission('write');
+  const canApprove = hasPermission('approve');
+  const formTotal = orderForm ? purchaseOrderHelper.getLinesTotal(orderForm.lines) : 0;
+  const viewSummary = viewRecord ? purchaseOrderHelper.getSummary(viewRecord, expenses) : null;
+  const viewReceived = viewRecord ? purchaseOrderHelper.getReceivedByLine(viewRecord) : {};
+  const receiveReceived = receiveRecord ? purchaseOrderHelper.getReceivedByLine(receiveRecord) : {};
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Purchase Orders</Typography>
+
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleAddOrder}
+          disabled={!canWrite}
+        >
+          New Purchase Order
+        </Button>
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              label="Search Purchase Orders"
+              size="small"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                )
+              }}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={filterStatus} label="Status" onChange={(e) => setFilterStatus(e.target.value)}>
+                <MenuItem value="Open">Open</MenuItem>
+                <MenuItem value="All">All Statuses</MenuItem>
+                {PO_STATUSES.map(status => (
+                  <MenuItem key={status.value} value={status.value}>{status.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Payment Center</InputLabel>
+              <Select
+                value={filterPaymentCenter}
+                label="Payment Center"
+                onChange={(e) => setFilterPaymentCenter(e.target.value)}
+              >
+                <MenuItem value="All">All Centers</MenuItem>
+                {paymentCenters.map(center => (
+                  <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Typography variant="body2" color="text.secondary">
+              Open commitment: <strong>{formatCurrency(openCommitment)}</strong>
+            </Typography>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper>
+        {filteredOrders.length === 0 ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <Typography variant="h6" color="text.secondary">
+              No purchase orders found.
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Try changing the filters or create a new purchase order.
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>PO Number</TableCell>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Supplier</TableCell>
+                  <TableCell>Payment Center</TableCell>
+                  <TableCell align="right">Approved</TableCell>
+                  <TableCell align="right">Received</TableCell>
+                  <TableCell align="right">Invoiced</TableCell>
+                  <TableCell align="right">Remaining</TableCell>
+                  <TableCell align="center">Status</TableCell>
+                  <TableCell align="center">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {filteredOrders.map(order => {
+                  const summary = summaries[order.id];
+                  const statusInfo = getStatusInfo(order.status);
+                  const isDraft = order.status === 'Draft';
+                  const isApproved = order.status === 'Approved';
+
+                  return (
+                    <TableRow key={order.id}>
+                      <TableCell>{order.poNumber}</TableCell>
+                      <TableCell>{formatDate(order.date)}</TableCell>
+                      <TableCell>{getSupplierName(order.supplier)}</TableCell>
+                      <TableCell>{getPaymentCenterName(order.paymentCenter)}</TableCell>
+                      <TableCell align="right">
+                        {isDraft ? `${formatCurrency(summary.ordered)} (draft)` : formatCurrency(summary.approved)}
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(summary.received)}</TableCell>
+                      <TableCell align="right">{formatCurrency(summary.invoiced)}</TableCell>
+                      <TableCell align="right">{formatCurrency(summary.remaining)}</TableCell>
+                      <TableCell align="center">
+                        <Chip label={statusInfo.label} size="small" color={statusInfo.color} />
+                        {isApproved && summary.receiptStatus !== 'Not received' && (
+                          <Chip label={summary.receiptStatus} size="small" variant="outlined" sx={{ ml: 0.5 }} />
+                        )}
+                      </TableCell>
+                      <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="View">
+                          <IconButton size="small" onClick={() => setViewOrder(order)}>
+                            <ViewIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        {canWrite && isDraft && (
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => handleEditOrder(order)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canApprove && isDraft && (
+                          <Tooltip title="Approve">
+                            <IconButton size="small" color="success" onClick={() => handleOpenApprove(order)}>
+                              <ApproveIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canWrite && isApproved && (
+                          <>
+                            <Tooltip title="Receive goods">
+                              <IconButton size="small" onClick={() => handleOpenReceive(order)}>
+                                <ReceiveIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Record invoice">
+                              <IconButton size="small" onClick={() => handleRecordInvoice(order)}>
+                                <InvoiceIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Close order">
+                              <IconButton size="small" onClick={() => setConfirmAction({ type: 'close', order })}>
+                                <CloseOrderIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </>
+                        )}
+                        {canWrite && (isDraft || (isApproved && summary.invoiced === 0)) && (
+                          <Tooltip title="Cancel order">
+                            <IconButton size="small" onClick={() => setConfirmAction({ type: 'cancel', order })}>
+                              <CancelIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canWrite && isDraft && (
+                          <Tooltip title="Delete">
+                            <IconButton size="small" onClick={() => setConfirmAction({ type: 'delete', order })}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Add/Edit Purchase Order Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="lg" fullWidth>
+        <DialogTitle>{dialogMode === 'add' ? 'New Purchase Order' : `Edit ${orderForm?.poNumber || ''}`}</DialogTitle>
+        {orderForm && (
+          <DialogContent dividers>
+            {validationErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {validationErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  label="PO Number"
+                  name="poNumber"
+                  value={orderForm.poNumber}
+                  onChange={handleFormChange}
+                  margin="normal"
+                  required
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  label="Date"
+                  name="date"
+                  type="date"
+                  value={orderForm.date}
+                  onChange={handleFormChange}
+                  margin="normal"
+                  required
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth margin="normal" required>
+                  <InputLabel>Supplier</InputLabel>
+                  <Select name="supplier" value={orderForm.supplier} label="Supplier" onChange={handleFormChange}>
+                    {suppliers.map(supplier => (
+                      <MenuItem key={supplier.id} value={supplier.id}>{supplier.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Description"
+                  name="description"
+                  value={orderForm.description}
+                  onChange={handleFormChange}
+                  margin="normal"
+                />
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <FormControl fullWidth margin="normal" required>
+                  <InputLabel>Payment Center</InputLabel>
+                  <Select
+                    name="paymentCenter"
+                    value={orderForm.paymentCenter}
+                    label="Payment Center"
+                    onChange={handleFormChange}
+                  >
+                    {paymentCenters.map(center => (
+                      <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <FormControl fullWidth margin="normal">
+                  <InputLabel>Program</InputLabel>
+                  <Select name="program" value={orderForm.program} label="Program" onChange={handleFormChange}>
+                    <MenuItem value="">Not Assigned</MenuItem>
+                    {programs.map(program => (
+                      <MenuItem key={program.id} value={program.id}>{program.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            </Grid>
+
+            {/* Lines */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+              <Typography variant="subtitle1">Lines</Typography>
+              <Button size="small" startIcon={<AddIcon />} onClick={handleAddLine}>
+                Add Line
+              </Button>
+            </Box>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Description</TableCell>
+                    <TableCell width={90}>Quantity</TableCell>
+                    <TableCell width={130}>Unit Price</TableCell>
+                    <TableCell align="right" width={110}>Amount</TableCell>
+                    <TableCell width={150}>Payment Center</TableCell>
+                    <TableCell width={150}>Program</TableCell>
+                    <TableCell width={150}>Account</TableCell>
+                    <TableCell width={50} />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {orderForm.lines.map(line => (
+                    <TableRow key={line.id}>
+                      <TableCell>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          value={line.description}
+                          onChange={(e) => handleLineChange(line.id, 'description', e.target.value)}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          type="number"
+                          value={line.quantity}
+                          onChange={(e) => handleLineChange(line.id, 'quantity', e.target.value)}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          type="number"
+                          value={line.unitPrice}
+                          onChange={(e) => handleLineChange(line.id, 'unitPrice', e.target.value)}
+                          InputProps={{
+                            startAdornment: <InputAdornment position="start">$</InputAdornment>
+                          }}
+                        />
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(purchaseOrderHelper.getLineAmount(line))}</TableCell>
+                      <TableCell>
+                        <Select
+                          fullWidth
+                          size="small"
+                          displayEmpty
+                          value={line.paymentCenter}
+                          onChange={(e) => handleLineChange(line.id, 'paymentCenter', e.target.value)}
+                        >
+                          <MenuItem value="">As order</MenuItem>
+                          {paymentCenters.map(center => (
+                            <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          fullWidth
+                          size="small"
+                          displayEmpty
+                          value={line.program}
+                          onChange={(e) => handleLineChange(line.id, 'program', e.target.value)}
+                        >
+                          <MenuItem value="">As order</MenuItem>
+                          {programs.map(program => (
+                            <MenuItem key={program.id} value={program.id}>{program.name}</MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        <Select
+                          fullWidth
+                          size="small"
+                          displayEmpty
+                          value={line.account}
+                          onChange={(e) => handleLineChange(line.id, 'account', e.target.value)}
+                        >
+                          <MenuItem value="">None</MenuItem>
+                          {accounts.map(account => (
+                            <MenuItem key={account.id} value={account.id}>{account.code} {account.name}</MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRemoveLine(line.id)}
+                          disabled={orderForm.lines.length === 1}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  <TableRow>
+                    <TableCell colSpan={3}><strong>Total</strong></TableCell>
+                    <TableCell align="right"><strong>{formatCurrency(formTotal)}</strong></TableCell>
+                    <TableCell colSpan={4} />
+                  </TableRow>
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <TextField
+              fullWidth
+              label="Notes"
+              name="notes"
+              value={orderForm.notes}
+              onChange={handleFormChange}
+              margin="normal"
+              multiline
+              rows={2}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={handleCloseDialog} startIcon={<CloseIcon />}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSaveOrder}
+            variant="contained"
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={24} /> : <SaveIcon />}
+          >
+            {dialogMode === 'add' ? 'Create Purchase Order' : 'Save Changes'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* View Purchase Order Dialog */}
+      <Dialog open={Boolean(viewRecord)} onClose={() => setViewOrder(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {viewRecord?.poNumber} {viewRecord && (
+            <Chip
+              label={getStatusInfo(viewRecord.status).label}
+              size="small"
+              color={getStatusInfo(viewRecord.status).color}
+              sx={{ ml: 1 }}
+            />
+          )}
+        </DialogTitle>
+        {viewRecord && (
+          <DialogContent dividers>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              <Grid item xs={12} md={4}>
+                <Typography variant="body2" color="text.secondary">Supplier</Typography>
+                <Typography>{getSupplierName(viewRecord.supplier)}</Typography>
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Typography variant="body2" color="text.secondary">Payment Center / Program</Typography>
+                <Typography>
+                  {getPaymentCenterName(viewRecord.paymentCenter)} / {getProgramName(viewRecord.program)}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Typography variant="body2" color="text.secondary">Date</Typography>
+                <Typography>{formatDate(viewRecord.date)}</Typography>
+              </Grid>
+              {viewRecord.description && (
+                <Grid item xs={12}>
+                  <Typography variant="body2" color="text.secondary">Description</Typography>
+                  <Typography>{viewRecord.description}</Typography>
+                </Grid>
+              )}
+              {viewRecord.approvedBy && (
+                <Grid item xs={12}>
+                  <Typography variant="body2" color="text.secondary">
+                    Approved by {viewRecord.approvedBy} on {new Date(viewRecord.approvedAt).toLocaleString('en-AU')}
+                  </Typography>
+                </Grid>
+              )}
+            </Grid>
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              {[
+                ['Ordered', viewSummary.ordered],
+                ['Approved', viewSummary.approved],
+                ['Received', viewSummary.received],
+                ['Invoiced', viewSummary.invoiced],
+                ['Remaining Commitment', viewSummary.remaining]
+              ].map(([label, value]) => (
+                <Grid item xs={6} md key={label}>
+                  <Typography variant="body2" color="text.secondary">{label}</Typography>
+                  <Typography variant="h6">{formatCurrency(value)}</Typography>
+                </Grid>
+              ))}
+            </Grid>
+
+            <Typography variant="subtitle1">Lines</Typography>
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Description</TableCell>
+                  <TableCell align="right">Ordered</TableCell>
+                  <TableCell align="right">Received</TableCell>
+                  <TableCell align="right">Unit Price</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Coding</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(viewRecord.lines || []).map(line => (
+                  <TableRow key={line.id}>
+                    <TableCell>{line.description}</TableCell>
+                    <TableCell align="right">{line.quantity}</TableCell>
+                    <TableCell align="right">{viewReceived[line.id]?.quantity || 0}</TableCell>
+                    <TableCell align="right">{formatCurrency(line.unitPrice)}</TableCell>
+                    <TableCell align="right">{formatCurrency(purchaseOrderHelper.getLineAmount(line))}</TableCell>
+                    <TableCell>
+                      {getPaymentCenterName(line.paymentCenter || viewRecord.paymentCenter)} / {getProgramName(line.program || viewRecord.program)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Typography variant="subtitle1">Receipts</Typography>
+            {(viewRecord.receipts || []).length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Nothing received yet.
+              </Typography>
+            ) : (
+              <Table size="small" sx={{ mb: 2 }}>
+                <TableBody>
+                  {viewRecord.receipts.map(receipt => (
+                    <TableRow key={receipt.id}>
+                      <TableCell>{formatDate(receipt.date)}</TableCell>
+                      <TableCell>
+                        {(viewRecord.lines || []).find(line => line.id === receipt.lineId)?.description || 'Unknown line'}
+                      </TableCell>
+                      <TableCell align="right">{receipt.quantity}</TableCell>
+                      <TableCell align="right">{formatCurrency(receipt.amount)}</TableCell>
+                      <TableCell>{receipt.receivedBy}</TableCell>
+                      <TableCell>{receipt.notes}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            <Typography variant="subtitle1">Invoices</Typography>
+            {purchaseOrderHelper.getInvoices(viewRecord, expenses).length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No invoices matched yet.
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableBody>
+                  {purchaseOrderHelper.getInvoices(viewRecord, expenses).map(expense => (
+                    <TableRow key={expense.id}>
+                      <TableCell>{formatDate(expense.date)}</TableCell>
+                      <TableCell>{expense.description}</TableCell>
+                      <TableCell>{expense.status}</TableCell>
+                      <TableCell>
+                        {MATCH_STATUSES[expense.matchStatus] && (
+                          <Chip
+                            label={MATCH_STATUSES[expense.matchStatus].label}
+                            size="small"
+                            variant="outlined"
+                            color={MATCH_STATUSES[expense.matchStatus].color}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(expense.amount)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </DialogContent>
+        )}
+        <DialogActions>
+          {viewRecord?.status === 'Approved' && canWrite && (
+            <>
+              <Button startIcon={<ReceiveIcon />} onClick={() => handleOpenReceive(viewRecord)}>
+                Receive Goods
+              </Button>
+              <Button startIcon={<InvoiceIcon />} onClick={() => handleRecordInvoice(viewRecord)}>
+                Record Invoice
+              </Button>
+            </>
+          )}
+          <Button onClick={() => setViewOrder(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Approve Dialog */}
+      <Dialog open={Boolean(approveOrder)} onClose={() => setApproveOrder(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Approve {approveOrder?.poNumber}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            The approved amount is committed against the budget until it is invoiced or the order is closed.
+          </Typography>
+          <TextField
+            fullWidth
+            label="Approved Amount"
+            type="number"
+            value={approvedAmount}
+            onChange={(e) => setApprovedAmount(e.target.value)}
+            margin="normal"
+            InputProps={{
+              startAdornment: <InputAdornment position="start">$</InputAdornment>
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setApproveOrder(null)}>Cancel</Button>
+          <Button onClick={handleConfirmApprove} variant="contained" color="success" disabled={saving}>
+            Approve
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Receive Goods Dialog */}
+      <Dialog open={Boolean(receiveRecord)} onClose={() => setReceiveOrder(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Receive Goods for {receiveRecord?.poNumber}</DialogTitle>
+        {receiveRecord && (
+          <DialogContent dividers>
+            {validationErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {validationErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Line</TableCell>
+                  <TableCell align="right">Ordered</TableCell>
+                  <TableCell align="right">Received</TableCell>
+                  <TableCell align="right">Outstanding</TableCell>
+                  <TableCell width={140}>Receive Now</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(receiveRecord.lines || []).map(line => {
+                  const received = receiveReceived[line.id]?.quantity || 0;
+                  const outstanding = Math.max(0, (parseFloat(line.quantity) || 0) - received);
+
+                  return (
+                    <TableRow key={line.id}>
+                      <TableCell>{line.description}</TableCell>
+                      <TableCell align="right">{line.quantity}</TableCell>
+                      <TableCell align="right">{received}</TableCell>
+                      <TableCell align="right">{outstanding}</TableCell>
+                      <TableCell>
+                        <TextField
+                          size="small"
+                          type="number"
+                          value={receiptForm.quantities[line.id] ?? ''}
+                          disabled={outstanding === 0}
+                          onChange={(e) => setReceiptForm(prev => ({
+                            ...prev,
+                            quantities: { ...prev.quantities, [line.id]: e.target.value }
+                          }))}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Receipt Date"
+                  type="date"
+                  value={receiptForm.date}
+                  onChange={(e) => setReceiptForm(prev => ({ ...prev, date: e.target.value }))}
+                  margin="normal"
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  label="Notes (e.g. delivery docket)"
+                  value={receiptForm.notes}
+                  onChange={(e) => setReceiptForm(prev => ({ ...prev, notes: e.target.value }))}
+                  margin="normal"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setReceiveOrder(null)}>Cancel</Button>
+          <Button onClick={handleConfirmReceive} variant="contained" disabled={saving} startIcon={<ReceiveIcon />}>
+            Record Receipt
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Close / Cancel / Delete Confirmation */}
+      <Dialog open={Boolean(confirmAction)} onClose={() => setConfirmAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{confirmAction && confirmActions[confirmAction.type].title}</DialogTitle>
+        <DialogContent>
+          <Typography>
+            {confirmAction && `${confirmAction.order.poNumber}: ${confirmActions[confirmAction.type].message}`}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmAction(null)}>Back</Button>
+          <Button
+            onClick={handleConfirmAction}
+            variant="contained"
+            color={confirmAction?.type === 'close' ? 'primary' : 'error'}
+          >
+            {confirmAction && confirmActions[confirmAction.type].button}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default PurchaseOrders;
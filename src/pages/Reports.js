@@ -0,0 +1,325 @@
+// src/pages/Reports.js - Trial balance and period-end reports from approved journals, program budgets and the GST summary
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Grid,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Snackbar,
+  Tab,
+  Tabs,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  PictureAsPdf as PdfIcon,
+  Description as CsvIcon,
+  CheckCircle as BalancedIcon,
+  Error as ErrorIcon
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useData, useCollections } from '../contexts/DataContext';
+import financialReports from '../utils/FinancialReports';
+import fiscalCalendar from '../utils/FiscalCalendar';
+import GstSummaryReport from '../components/GstSummaryReport';
+import ProgramBudgetReport from '../components/ProgramBudgetReport';
+
+// Report tabs
+const REPORTS = [
+  { key: 'trialBalance', label: 'Trial Balance' },
+  { key: 'paymentCenter', label: 'By Payment Center', dimensionLabel: 'Payment Center' },
+  { key: 'program', label: 'By Program', dimensionLabel: 'Program' }
+];
+
+const Reports = () => {
+  const { data, loading, error, exportToPdf, exportToCsv } = useData();
+
+  // Trial balance and debit/credit totals are built from every journal
+  const collectionsLoaded = useCollections(['JournalEntries']);
+
+  const startMonth = fiscalCalendar.getStartMonth(data.OrganisationSettings || []);
+
+  const [tabValue, setTabValue] = useState(0);
+  const [dateFrom, setDateFrom] = useState(format(fiscalCalendar.getCurrentYearStart(startMonth), 'yyyy-MM-dd'));
+  const [dateTo, setDateTo] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Ranges open on the current financial year, once the organisation settings have loaded
+  useEffect(() => {
+    setDateFrom(format(fiscalCalendar.getCurrentYearStart(startMonth), 'yyyy-MM-dd'));
+  }, [startMonth]);
+
+  const activeReport = REPORTS[tabValue];
+
+  const trialBalance = useMemo(() =>
+    financialReports.buildTrialBalance(data.JournalEntries || [], data.ChartOfAccounts || [], { dateFrom, dateTo }),
+  [data.JournalEntries, data.ChartOfAccounts, dateFrom, dateTo]);
+
+  const paymentCenterTotals = useMemo(() =>
+    financialReports.buildDebitCreditTotals(data.JournalEntries || [], 'paymentCenter', data.PaymentCenters || [], { dateFrom, dateTo }),
+  [data.JournalEntries, data.PaymentCenters, dateFrom, dateTo]);
+
+  const programTotals = useMemo(() =>
+    financialReports.buildDebitCreditTotals(data.JournalEntries || [], 'program', data.Programs || [], { dateFrom, dateTo }),
+  [data.JournalEntries, data.Programs, dateFrom, dateTo]);
+
+  const currentReport = {
+    trialBalance,
+    paymentCenter: paymentCenterTotals,
+    program: programTotals
+  }[activeReport.key];
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+  };
+
+  // File name suffix for the selected range
+  const rangeSuffix = `${dateFrom || 'start'}_to_${dateTo || 'today'}`;
+
+  // Export the report on the current tab
+  const handleExport = (target) => {
+    const isTrialBalance = activeReport.key === 'trialBalance';
+    const type = isTrialBalance ? 'trialBalance' : 'debitCreditTotals';
+    const baseName = isTrialBalance ? 'KIOSC_TrialBalance' : `KIOSC_DebitsCredits_By${activeReport.dimensionLabel.replace(/\s/g, '')}`;
+    const options = {
+      report: currentReport,
+      dimensionLabel: activeReport.dimensionLabel,
+      dateFrom,
+      dateTo,
+      filename: `${baseName}_${rangeSuffix}.${target}`
+    };
+
+    const success = target === 'pdf' ? exportToPdf(type, options) : exportToCsv(type, options);
+
+    setSnackbar({
+      open: true,
+      message: success ? `${activeReport.label} exported to ${target.toUpperCase()}` : `${target.toUpperCase()} export failed`,
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  // Loading state
+  if (loading || !collectionsLoaded) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  const { proof } = currentReport;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Reports</Typography>
+
+        <Box>
+          <Tooltip title="Export to CSV">
+            <Button
+              variant="outlined"
+              startIcon={<CsvIcon />}
+              onClick={() => handleExport('csv')}
+              sx={{ mr: 1 }}
+            >
+              CSV
+            </Button>
+          </Tooltip>
+
+          <Tooltip title="Export to PDF">
+            <Button
+              variant="outlined"
+              startIcon={<PdfIcon />}
+              onClick={() => handleExport('pdf')}
+            >
+              PDF
+            </Button>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {/* Date range */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              label="From"
+              type="date"
+              size="small"
+              value={dateFrom}
+              onChange={(e) => setDateFrom(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              label="To"
+              type="date"
+              size="small"
+              value={dateTo}
+              onChange={(e) => setDateTo(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Typography variant="body2" color="text.secondary">
+              Only approved journal entries are included ({currentReport.journalCount} in this range).
+            </Typography>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {/* Proof that debits equal credits */}
+      <Alert
+        severity={proof.balanced ? 'success' : 'error'}
+        icon={proof.balanced ? <BalancedIcon /> : <ErrorIcon />}
+        sx={{ mb: 3 }}
+      >
+        {proof.balanced ?
+          `Balanced: total debits ${formatCurrency(proof.debit)} equal total credits ${formatCurrency(proof.credit)}.` :
+          `Not balanced: debits ${formatCurrency(proof.debit)} and credits ${formatCurrency(proof.credit)} differ by ${formatCurrency(proof.difference)}.`}
+      </Alert>
+
+      <Paper>
+        <Tabs
+          value={tabValue}
+          onChange={(e, newValue) => setTabValue(newValue)}
+          variant="scrollable"
+          scrollButtons="auto"
+        >
+          {REPORTS.map(report => (
+            <Tab key={report.key} label={report.label} />
+          ))}
+        </Tabs>
+
+        {currentReport.rows.length === 0 ? (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <Typography variant="body1" color="text.secondary">
+              No approved journal entries in this date range.
+            </Typography>
+          </Box>
+        ) : activeReport.key === 'trialBalance' ? (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Account</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell align="right">Total Debits</TableCell>
+                  <TableCell align="right">Total Credits</TableCell>
+                  <TableCell align="right">Debit</TableCell>
+                  <TableCell align="right">Credit</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {trialBalance.rows.map(row => (
+                  <TableRow key={row.accountId || 'unassigned'}>
+                    <TableCell>{row.code}</TableCell>
+                    <TableCell sx={{ fontStyle: row.accountId ? 'normal' : 'italic' }}>{row.name}</TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{row.type}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.totalDebit)}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.totalCredit)}</TableCell>
+                    <TableCell align="right">{row.debit ? formatCurrency(row.debit) : ''}</TableCell>
+                    <TableCell align="right">{row.credit ? formatCurrency(row.credit) : ''}</TableCell>
+                  </TableRow>
+                ))}
+                <TableRow sx={{ bgcolor: 'action.hover' }}>
+                  <TableCell colSpan={3} sx={{ fontWeight: 'bold' }}>Totals</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(trialBalance.totals.totalDebit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(trialBalance.totals.totalCredit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(trialBalance.totals.debit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(trialBalance.totals.credit)}</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{activeReport.dimensionLabel}</TableCell>
+                  <TableCell align="right">Lines</TableCell>
+                  <TableCell align="right">Debits</TableCell>
+                  <TableCell align="right">Credits</TableCell>
+                  <TableCell align="right">Net (DR - CR)</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {currentReport.rows.map(row => (
+                  <TableRow key={row.id || 'none'}>
+                    <TableCell sx={{ fontStyle: row.id ? 'normal' : 'italic' }}>{row.name}</TableCell>
+                    <TableCell align="right">{row.lines}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.debit)}</TableCell>
+                    <TableCell align="right">{formatCurrency(row.credit)}</TableCell>
+                    <TableCell align="right" sx={{ color: row.net < 0 ? 'error.main' : 'inherit' }}>
+                      {formatCurrency(row.net)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                <TableRow sx={{ bgcolor: 'action.hover' }}>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Totals</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{currentReport.totals.lines}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(currentReport.totals.debit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(currentReport.totals.credit)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(currentReport.totals.net)}</TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Budget vs actual by program */}
+      <ProgramBudgetReport
+        onExported={(success, message) => setSnackbar({ open: true, message, severity: success ? 'success' : 'error' })}
+      />
+
+      {/* GST on expenses, by quarter */}
+      <GstSummaryReport
+        onExported={(success, message) => setSnackbar({ open: true, message, severity: success ? 'success' : 'error' })}
+      />
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Reports;
@@ -0,0 +1,874 @@
+// src/pages/Schedules.js - Recurring expenses and journals created automatically each period
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  IconButton,
+  Grid,
+  Chip,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  Alert,
+  CircularProgress,
+  Tooltip,
+  Snackbar,
+  TableContainer,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Close as CloseIcon,
+  SaveAlt as SaveIcon,
+  Visibility as PreviewIcon,
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  Sync as GenerateIcon
+} from '@mui/icons-material';
+import { v4 as uuidv4 } from 'uuid';
+import { format } from 'date-fns';
+import { useData, useCollections } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import scheduleEngine, { FREQUENCIES } from '../utils/ScheduleEngine';
+
+const emptySchedule = {
+  id: '',
+  name: '',
+  type: 'expense',
+  frequency: 'monthly',
+  dayOfMonth: 1,
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: '',
+  status: 'active',
+  template: {
+    description: '',
+    supplier: '',
+    amount: '',
+    paymentType: '',
+    paymentCenter: '',
+    program: '',
+    notes: '',
+    templateId: ''
+  }
+};
+
+const Schedules = () => {
+  const {
+    data,
+    loading,
+    error,
+    addEntity,
+    updateEntity,
+    deleteEntity,
+    checkPeriod,
+    generateScheduledItems
+  } = useData();
+  const { currentUser, hasPermission } = useAuth();
+
+  // Expenses and journals already created by each schedule
+  const collectionsLoaded = useCollections(['Expenses', 'JournalEntries']);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [dialogMode, setDialogMode] = useState(null); // 'add', 'edit'
+  const [selectedSchedule, setSelectedSchedule] = useState(null);
+  const [previewSchedule, setPreviewSchedule] = useState(null);
+  const [confirmDeleteOpen, setConfirmDeleteOpen] = useState(false);
+  const [scheduleForm, setScheduleForm] = useState(emptySchedule);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [generating, setGenerating] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Filter state
+  const [filterType, setFilterType] = useState('All');
+  const [filterStatus, setFilterStatus] = useState('All');
+
+  const schedules = useMemo(() => data.Schedules || [], [data.Schedules]);
+  const templates = useMemo(() => data.JournalTemplates || [], [data.JournalTemplates]);
+
+  // Instances created by each schedule
+  const instanceCounts = useMemo(() => {
+    const counts = {};
+    [...(data.Expenses || []), ...(data.JournalEntries || [])].forEach(record => {
+      if (record.scheduleId) {
+        counts[record.scheduleId] = (counts[record.scheduleId] || 0) + 1;
+      }
+    });
+    return counts;
+  }, [data.Expenses, data.JournalEntries]);
+
+  const filteredSchedules = useMemo(() => schedules
+    .filter(schedule => filterType === 'All' || schedule.type === filterType)
+    .filter(schedule => filterStatus === 'All' || schedule.status === filterStatus)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+  [schedules, filterType, filterStatus]);
+
+  // Keep the preview in step with the latest copy of the schedule
+  const previewRecord = previewSchedule ?
+    schedules.find(schedule => schedule.id === previewSchedule.id) || previewSchedule :
+    null;
+
+  // Journal template by ID
+  const getTemplate = (id) => templates.find(template => String(template.id) === String(id));
+
+  // Format currency
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+  };
+
+  // Format date
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return format(new Date(`${String(dateString).slice(0, 10)}T00:00:00`), 'dd/MM/yyyy');
+  };
+
+  // Amount each instance will carry
+  const getScheduleAmount = (schedule) => {
+    if (schedule.type === 'expense') {
+      return parseFloat(schedule.template?.amount) || 0;
+    }
+    const template = getTemplate(schedule.template?.templateId);
+    return (template?.lines || [])
+      .filter(line => line.type === 'debit')
+      .reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  };
+
+  const getFrequencyLabel = (value) => (FREQUENCIES.find(f => f.value === value) || {}).label || value;
+
+  // Open dialog for a new schedule
+  const handleAddSchedule = () => {
+    setScheduleForm({ ...emptySchedule, id: uuidv4(), template: { ...emptySchedule.template } });
+    setSelectedSchedule(null);
+    setValidationErrors([]);
+    setDialogMode('add');
+    setDialogOpen(true);
+  };
+
+  // Open dialog to edit a schedule
+  const handleEditSchedule = (schedule) => {
+    setScheduleForm({
+      ...emptySchedule,
+      ...schedule,
+      endDate: schedule.endDate || '',
+      template: { ...emptySchedule.template, ...(schedule.template || {}) }
+    });
+    setSelectedSchedule(schedule);
+    setValidationErrors([]);
+    setDialogMode('edit');
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setDialogMode(null);
+    setSelectedSchedule(null);
+    setValidationErrors([]);
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setScheduleForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleTemplateChange = (e) => {
+    const { name, value } = e.target;
+    setScheduleForm(prev => ({ ...prev, template: { ...prev.template, [name]: value } }));
+  };
+
+  // Template fields stored for each type
+  const buildTemplate = (form) => {
+    const { template } = form;
+
+    if (form.type === 'expense') {
+      return {
+        description: template.description.trim(),
+        supplier: template.supplier,
+        amount: parseFloat(template.amount) || 0,
+        paymentType: template.paymentType,
+        paymentCenter: template.paymentCenter,
+        program: template.program,
+        notes: template.notes
+      };
+    }
+
+    return {
+      templateId: template.templateId,
+      description: template.description.trim(),
+      notes: template.notes
+    };
+  };
+
+  // Save schedule (add/edit)
+  const handleSaveSchedule = async () => {
+    const schedule = {
+      ...scheduleForm,
+      name: scheduleForm.name.trim(),
+      dayOfMonth: parseInt(scheduleForm.dayOfMonth, 10),
+      endDate: scheduleForm.endDate || null,
+      template: buildTemplate(scheduleForm)
+    };
+
+    const errors = scheduleEngine.validateSchedule(schedule, templates);
+    if (errors.length > 0) {
+      setValidationErrors(errors);
+      return;
+    }
+
+    let success;
+    if (dialogMode === 'add') {
+      success = await addEntity('Schedules', {
+        ...schedule,
+        skippedDates: [],
+        generatedThrough: null,
+        createdBy: currentUser?.username || 'anonymous',
+        createdAt: new Date().toISOString()
+      });
+    } else {
+      // Changing the recurrence does not recreate occurrences already handled
+      success = await updateEntity('Schedules', selectedSchedule.id, {
+        name: schedule.name,
+        frequency: schedule.frequency,
+        dayOfMonth: schedule.dayOfMonth,
+        startDate: schedule.startDate,
+        endDate: schedule.endDate,
+        template: schedule.template
+      });
+    }
+
+    setSnackbar({
+      open: true,
+      message: success ?
+        `Schedule ${dialogMode === 'add' ? 'created' : 'updated'} successfully` :
+        `Error ${dialogMode === 'add' ? 'creating' : 'updating'} schedule`,
+      severity: success ? 'success' : 'error'
+    });
+
+    if (success) {
+      handleCloseDialog();
+    }
+  };
+
+  // Pause or resume a schedule
+  const handleToggleStatus = async (schedule) => {
+    const status = schedule.status === 'active' ? 'paused' : 'active';
+    const success = await updateEntity('Schedules', schedule.id, { status });
+
+    setSnackbar({
+      open: true,
+      message: success ?
+        `Schedule ${status === 'paused' ? 'paused' : 'resumed'}` :
+        'Error updating schedule',
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  // Skip one occurrence, or bring a skipped one back
+  const handleToggleSkip = async (schedule, date) => {
+    const skippedDates = schedule.skippedDates || [];
+    const skipped = skippedDates.includes(date);
+    const success = await updateEntity('Schedules', schedule.id, {
+      skippedDates: skipped ? skippedDates.filter(d => d !== date) : [...skippedDates, date].sort()
+    });
+
+    setSnackbar({
+      open: true,
+      message: success ?
+        `${formatDate(date)} ${skipped ? 'will be created' : 'skipped'}` :
+        'Error updating schedule',
+      severity: success ? 'success' : 'error'
+    });
+  };
+
+  // Create anything due now rather than waiting for the next load
+  const handleGenerateDue = async () => {
+    setGenerating(true);
+    try {
+      const summary = await generateScheduledItems();
+      setSnackbar({
+        open: true,
+        message: summary.created > 0 ?
+          `Created ${summary.created} scheduled item${summary.created === 1 ? '' : 's'}` +
+            (summary.waiting > 0 ? `; ${summary.waiting} waiting on a locked period or missing template` : '') :
+          (summary.waiting > 0 ? `${summary.waiting} scheduled items are waiting on a locked period or missing template` : 'Nothing is due'),
+        severity: summary.waiting > 0 ? 'warning' : 'success'
+      });
+    } catch (err) {
+      console.error('Error generating scheduled items:', err);
+      setSnackbar({
+        open: true,
+        message: `Error: ${err.message}`,
+        severity: 'error'
+      });
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Delete a schedule; items it already created are kept
+  const handleDeleteSchedule = (schedule) => {
+    setSelectedSchedule(schedule);
+    setConfirmDeleteOpen(true);
+  };
+
+  const handleConfirmDelete = async () => {
+    if (selectedSchedule) {
+      const success = await deleteEntity('Schedules', selectedSchedule.id);
+
+      setSnackbar({
+        open: true,
+        message: success ? 'Schedule deleted successfully' : 'Error deleting schedule',
+        severity: success ? 'success' : 'error'
+      });
+    }
+
+    setConfirmDeleteOpen(false);
+    setSelectedSchedule(null);
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  // Loading state
+  if (loading || !collectionsLoaded) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  const canWrite = hasPermission('write');
+
+  // Recent instances created by the schedule in the preview
+  const previewInstances = previewRecord ?
+    [...(data.Expenses || []), ...(data.JournalEntries || [])]
+      .filter(record => record.scheduleId === previewRecord.id)
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, 5) :
+    [];
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Schedules</Typography>
+
+        <Box>
+          <Tooltip title="Create everything due up to today">
+            <span>
+              <Button
+                variant="outlined"
+                startIcon={generating ? <CircularProgress size={18} /> : <GenerateIcon />}
+                onClick={handleGenerateDue}
+                disabled={!canWrite || generating}
+                sx={{ mr: 1 }}
+              >
+                Generate Due
+              </Button>
+            </span>
+          </Tooltip>
+
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleAddSchedule}
+            disabled={!canWrite}
+          >
+            New Schedule
+          </Button>
+        </Box>
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Type</InputLabel>
+              <Select value={filterType} label="Type" onChange={(e) => setFilterType(e.target.value)}>
+                <MenuItem value="All">All Types</MenuItem>
+                <MenuItem value="expense">Expenses</MenuItem>
+                <MenuItem value="journal">Journals</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={filterStatus} label="Status" onChange={(e) => setFilterStatus(e.target.value)}>
+                <MenuItem value="All">All Statuses</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="paused">Paused</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Typography variant="body2" color="text.secondary">
+              Due expenses are created as Committed and due journals as Pending each time the app loads.
+            </Typography>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper>
+        {filteredSchedules.length === 0 ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <Typography variant="h6" color="text.secondary">
+              No schedules found.
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Create a schedule for rent, subscriptions or regular recharges.
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Recurrence</TableCell>
+                  <TableCell>Ends</TableCell>
+                  <TableCell>Next</TableCell>
+                  <TableCell align="right">Created</TableCell>
+                  <TableCell align="center">Status</TableCell>
+                  <TableCell align="center">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {filteredSchedules.map(schedule => {
+                  const nextDate = scheduleEngine.getNextDate(schedule);
+
+                  return (
+                    <TableRow key={schedule.id}>
+                      <TableCell>{schedule.name}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={schedule.type === 'expense' ? 'Expense' : 'Journal'}
+                          size="small"
+                          color={schedule.type === 'expense' ? 'primary' : 'secondary'}
+                          variant="outlined"
+                        />
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(getScheduleAmount(schedule))}</TableCell>
+                      <TableCell>
+                        {getFrequencyLabel(schedule.frequency)} on day {schedule.dayOfMonth}
+                      </TableCell>
+                      <TableCell>{schedule.endDate ? formatDate(schedule.endDate) : 'No end date'}</TableCell>
+                      <TableCell>
+                        {schedule.status === 'paused' ? 'Paused' : (nextDate ? formatDate(nextDate) : 'Ended')}
+                      </TableCell>
+                      <TableCell align="right">{instanceCounts[schedule.id] || 0}</TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          label={schedule.status === 'active' ? 'Active' : 'Paused'}
+                          size="small"
+                          color={schedule.status === 'active' ? 'success' : 'default'}
+                        />
+                      </TableCell>
+                      <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Preview upcoming">
+                          <IconButton size="small" onClick={() => setPreviewSchedule(schedule)}>
+                            <PreviewIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        {canWrite && (
+                          <>
+                            <Tooltip title={schedule.status === 'active' ? 'Pause' : 'Resume'}>
+                              <IconButton size="small" onClick={() => handleToggleStatus(schedule)}>
+                                {schedule.status === 'active' ? <PauseIcon fontSize="small" /> : <ResumeIcon fontSize="small" />}
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Edit">
+                              <IconButton size="small" onClick={() => handleEditSchedule(schedule)}>
+                                <EditIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Delete">
+                              <IconButton size="small" onClick={() => handleDeleteSchedule(schedule)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Add/Edit Schedule Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {dialogMode === 'add' ? 'New Schedule' : 'Edit Schedule'}
+        </DialogTitle>
+
+        <DialogContent dividers>
+          {validationErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {validationErrors.map(validationError => (
+                <div key={validationError}>{validationError}</div>
+              ))}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                label="Name"
+                name="name"
+                value={scheduleForm.name}
+                onChange={handleFormChange}
+                margin="normal"
+                required
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Type</InputLabel>
+                <Select
+                  name="type"
+                  value={scheduleForm.type}
+                  label="Type"
+                  onChange={handleFormChange}
+                  disabled={dialogMode === 'edit'}
+                >
+                  <MenuItem value="expense">Expense</MenuItem>
+                  <MenuItem value="journal">Journal</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={6} md={3}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Frequency</InputLabel>
+                <Select name="frequency" value={scheduleForm.frequency} label="Frequency" onChange={handleFormChange}>
+                  {FREQUENCIES.map(frequency => (
+                    <MenuItem key={frequency.value} value={frequency.value}>{frequency.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                label="Day of Month"
+                name="dayOfMonth"
+                type="number"
+                value={scheduleForm.dayOfMonth}
+                onChange={handleFormChange}
+                margin="normal"
+                inputProps={{ min: 1, max: 31 }}
+                helperText="Later days fall on the month's last day"
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                label="Start Date"
+                name="startDate"
+                type="date"
+                value={scheduleForm.startDate}
+                onChange={handleFormChange}
+                margin="normal"
+                InputLabelProps={{ shrink: true }}
+                required
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                label="End Date"
+                name="endDate"
+                type="date"
+                value={scheduleForm.endDate}
+                onChange={handleFormChange}
+                margin="normal"
+                InputLabelProps={{ shrink: true }}
+                helperText="Optional"
+              />
+            </Grid>
+
+            {scheduleForm.type === 'expense' ? (
+              <>
+                <Grid item xs={12} md={8}>
+                  <TextField
+                    fullWidth
+                    label="Expense Description"
+                    name="description"
+                    value={scheduleForm.template.description}
+                    onChange={handleTemplateChange}
+                    margin="normal"
+                    required
+                  />
+                </Grid>
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    label="Amount"
+                    name="amount"
+                    type="number"
+                    value={scheduleForm.template.amount}
+                    onChange={handleTemplateChange}
+                    margin="normal"
+                    required
+                    inputProps={{ min: 0, step: 0.01 }}
+                  />
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth margin="normal" required>
+                    <InputLabel>Supplier</InputLabel>
+                    <Select name="supplier" value={scheduleForm.template.supplier} label="Supplier" onChange={handleTemplateChange}>
+                      {(data.Suppliers || []).map(supplier => (
+                        <MenuItem key={supplier.id} value={supplier.id}>{supplier.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth margin="normal" required>
+                    <InputLabel>Payment Type</InputLabel>
+                    <Select name="paymentType" value={scheduleForm.template.paymentType} label="Payment Type" onChange={handleTemplateChange}>
+                      {(data.PaymentTypes || []).map(paymentType => (
+                        <MenuItem key={paymentType.id} value={paymentType.id}>{paymentType.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth margin="normal" required>
+                    <InputLabel>Payment Center</InputLabel>
+                    <Select name="paymentCenter" value={scheduleForm.template.paymentCenter} label="Payment Center" onChange={handleTemplateChange}>
+                      {(data.PaymentCenters || []).map(center => (
+                        <MenuItem key={center.id} value={center.id}>{center.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth margin="normal">
+                    <InputLabel>Program</InputLabel>
+                    <Select name="program" value={scheduleForm.template.program} label="Program" onChange={handleTemplateChange}>
+                      <MenuItem value="">None</MenuItem>
+                      {(data.Programs || []).map(program => (
+                        <MenuItem key={program.id} value={program.id}>{program.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              </>
+            ) : (
+              <>
+                <Grid item xs={12}>
+                  {templates.length === 0 ? (
+                    <Alert severity="info" sx={{ mt: 2 }}>
+                      Journal schedules use a journal template. Save one from the Journal Entries page first.
+                    </Alert>
+                  ) : (
+                    <FormControl fullWidth margin="normal" required>
+                      <InputLabel>Journal Template</InputLabel>
+                      <Select name="templateId" value={scheduleForm.template.templateId} label="Journal Template" onChange={handleTemplateChange}>
+                        {templates.map(template => (
+                          <MenuItem key={template.id} value={template.id}>{template.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  )}
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    label="Journal Description"
+                    name="description"
+                    value={scheduleForm.template.description}
+                    onChange={handleTemplateChange}
+                    margin="normal"
+                    helperText="Defaults to the template description"
+                  />
+                </Grid>
+              </>
+            )}
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Notes"
+                name="notes"
+                value={scheduleForm.template.notes}
+                onChange={handleTemplateChange}
+                margin="normal"
+                multiline
+                rows={2}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+
+        <DialogActions>
+          <Button onClick={handleCloseDialog} startIcon={<CloseIcon />}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveSchedule} variant="contained" startIcon={<SaveIcon />}>
+            {dialogMode === 'add' ? 'Create Schedule' : 'Save Changes'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Preview Dialog */}
+      <Dialog open={Boolean(previewRecord)} onClose={() => setPreviewSchedule(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{previewRecord?.name}</DialogTitle>
+        <DialogContent dividers>
+          {previewRecord && (
+            <>
+              {previewRecord.status === 'paused' && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  This schedule is paused. Nothing is created until it is resumed.
+                </Alert>
+              )}
+
+              <Typography variant="subtitle1" gutterBottom>
+                Upcoming
+              </Typography>
+              {scheduleEngine.getUpcoming(previewRecord, 6).length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  The schedule has ended.
+                </Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell align="right">Amount</TableCell>
+                      <TableCell>Status</TableCell>
+                      {canWrite && <TableCell align="right">Action</TableCell>}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {scheduleEngine.getUpcoming(previewRecord, 6).map(occurrence => {
+                      const collection = previewRecord.type === 'expense' ? 'Expenses' : 'JournalEntries';
+                      const periodCheck = checkPeriod(collection, { date: occurrence.date });
+
+                      return (
+                        <TableRow key={occurrence.date}>
+                          <TableCell sx={{ textDecoration: occurrence.skipped ? 'line-through' : 'none' }}>
+                            {formatDate(occurrence.date)}
+                          </TableCell>
+                          <TableCell align="right">{formatCurrency(getScheduleAmount(previewRecord))}</TableCell>
+                          <TableCell>
+                            {occurrence.skipped ? (
+                              <Chip label="Skipped" size="small" />
+                            ) : !periodCheck.allowed ? (
+                              <Tooltip title={periodCheck.message}>
+                                <Chip label="Period locked" size="small" color="warning" />
+                              </Tooltip>
+                            ) : (
+                              <Chip label="Will be created" size="small" color="success" variant="outlined" />
+                            )}
+                          </TableCell>
+                          {canWrite && (
+                            <TableCell align="right">
+                              <Button
+                                size="small"
+                                onClick={() => handleToggleSkip(previewRecord, occurrence.date)}
+                                disabled={!periodCheck.allowed}
+                              >
+                                {occurrence.skipped ? 'Unskip' : 'Skip'}
+                              </Button>
+                            </TableCell>
+                          )}
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              )}
+
+              <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+                Recently Created
+              </Typography>
+              {previewInstances.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  Nothing has been created by this schedule yet.
+                </Typography>
+              ) : (
+                <Table size="small">
+                  <TableBody>
+                    {previewInstances.map(instance => (
+                      <TableRow key={instance.id}>
+                        <TableCell>{formatDate(instance.date)}</TableCell>
+                        <TableCell>{instance.reference || instance.description}</TableCell>
+                        <TableCell>{instance.status}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreviewSchedule(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={confirmDeleteOpen} onClose={() => setConfirmDeleteOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Confirm Delete</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Delete the schedule "{selectedSchedule?.name}"? Expenses and journals it already created are kept.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDeleteOpen(false)}>Cancel</Button>
+          <Button onClick={handleConfirmDelete} color="error" variant="contained" startIcon={<DeleteIcon />}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Schedules;
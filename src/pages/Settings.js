@@ -40,11 +40,20 @@ import {
   Notifications as NotificationsIcon,
   Storage as StorageIcon,
   Security as SecurityIcon,
-  CloudUpload as CloudUploadIcon
+  CloudUpload as CloudUploadIcon,
+  EventBusy as PeriodsIcon,
+  HowToReg as ApprovalIcon,
+  CurrencyExchange as CurrencyIcon
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { useData } from '../contexts/DataContext';
 import githubService from '../services/GitHubService';
+import AccountingPeriodsSettings from '../components/AccountingPeriodsSettings';
+import FiscalYearSettings from '../components/FiscalYearSettings';
+import ApprovalRulesSettings from '../components/ApprovalRulesSettings';
+import SegregationRulesSettings from '../components/SegregationRulesSettings';
+import MatchToleranceSettings from '../components/MatchToleranceSettings';
+import ExchangeRatesSettings from '../components/ExchangeRatesSettings';
 
 // TabPanel component
 function TabPanel(props) {
@@ -382,6 +391,9 @@ const Settings = () => {
           <Tab icon={<PaletteIcon />} iconPosition="start" label="Appearance" />
           <Tab icon={<StorageIcon />} iconPosition="start" label="Data" />
           <Tab icon={<CloudUploadIcon />} iconPosition="start" label="GitHub" />
+          <Tab icon={<PeriodsIcon />} iconPosition="start" label="Periods" />
+          <Tab icon={<ApprovalIcon />} iconPosition="start" label="Approvals" />
+          <Tab icon={<CurrencyIcon />} iconPosition="start" label="Currencies" />
         </Tabs>
         
         {/* Profile Tab */}
@@ -788,6 +800,33 @@ const Settings = () => {
             </Grid>
           </Box>
         </TabPanel>
+        
+        {/* Accounting Periods Tab */}
+        <TabPanel value={tabValue} index={5}>
+          <Box sx={{ p: 2 }}>
+            <FiscalYearSettings />
+            <Divider sx={{ my: 3 }} />
+            <AccountingPeriodsSettings />
+          </Box>
+        </TabPanel>
+        
+        {/* Expense Approval Rules Tab */}
+        <TabPanel value={tabValue} index={6}>
+          <Box sx={{ p: 2 }}>
+            <ApprovalRulesSettings />
+            <Divider sx={{ my: 3 }} />
+            <SegregationRulesSettings />
+            <Divider sx={{ my: 3 }} />
+            <MatchToleranceSettings />
+          </Box>
+        </TabPanel>
+        
+        {/* Exchange Rates Tab */}
+        <TabPanel value={tabValue} index={7}>
+          <Box sx={{ p: 2 }}>
+            <ExchangeRatesSettings />
+          </Box>
+        </TabPanel>
       </Paper>
       
       {/* Snackbar for notifications */}
@@ -36,7 +36,9 @@ import {
   Card,
   CardContent,
   Tab,
-  Tabs
+  Tabs,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import { 
   Add as AddIcon,
@@ -67,6 +69,9 @@ import { useData } from '../contexts/DataContext';
 import { useAuth } from '../contexts/AuthContext';
 import pdfExporter from '../utils/PdfExporter';
 import dataValidator from '../utils/DataValidator';
+import AttachmentsPanel from '../components/AttachmentsPanel';
+import gstHelper from '../utils/GstHelper';
+import { BASE_CURRENCY, CURRENCIES } from '../utils/CurrencyHelper';
 
 // Supplier status colors
 const statusColors = {
@@ -98,11 +103,12 @@ function TabPanel(props) {
 }
 
 const SupplierManagement = () => {
-  const { data, loading, error, addEntity, updateEntity, deleteEntity, saveData, exportToExcel, exportToPdf, exportToCsv } = useData();
+  const { data, loading, error, addEntity, updateEntity, deleteEntity, saveData, exportToExcel, exportToPdf, exportToCsv, queryAllExpenses } = useData();
   const { currentUser, hasPermission } = useAuth();
   
   // State
   const [suppliers, setSuppliers] = useState([]);
+  // Transaction history of the suppliers on the page and the one open in the dialog
   const [expenses, setExpenses] = useState([]);
   const [categories, setCategories] = useState([
     { id: 1, name: 'Service Provider' },
@@ -143,6 +149,8 @@ const SupplierManagement = () => {
     phone: '',
     address: '',
     abn: '',
+    gstRegistered: true,
+    currency: BASE_CURRENCY,
     paymentTerms: '30',
     notes: '',
     createdAt: new Date().toISOString().split('T')[0]
@@ -164,15 +172,6 @@ const SupplierManagement = () => {
         console.log("Suppliers loaded (unique):", uniqueSuppliers.length);
         setSuppliers(uniqueSuppliers);
       }
-      
-      // Set expenses for transaction history
-      if (data.Expenses) {
-        // Deduplicate expenses as well
-        const uniqueExpenses = Array.from(
-          new Map(data.Expenses.map(expense => [expense.id, expense])).values()
-        );
-        setExpenses(uniqueExpenses);
-      }
     }
   }, [data]);
   
@@ -190,6 +189,8 @@ const SupplierManagement = () => {
         phone: '',
         address: '',
         abn: '',
+        gstRegistered: true,
+        currency: BASE_CURRENCY,
         paymentTerms: '30',
         notes: '',
         createdAt: new Date().toISOString().split('T')[0]
@@ -422,31 +423,33 @@ const SupplierManagement = () => {
     setSnackbar({ ...snackbar, open: false });
   };
   
-  // Save to GitHub
-  const handleSaveToGitHub = async () => {
+  // Save pending changes to the database
+  const handleSaveToDatabase = async () => {
     try {
       setSnackbar({
         open: true,
-        message: 'Saving data to GitHub...',
+        message: 'Saving changes to the database...',
         severity: 'info'
       });
       
-      const success = await saveData();
+      const result = await saveData();
       
-      if (success) {
-        setSnackbar({
-          open: true,
-          message: 'Data saved to GitHub successfully',
-          severity: 'success'
-        });
-      } else {
-        throw new Error('Failed to save to GitHub');
+      // User cancelled the save
+      if (!result) {
+        setSnackbar({ ...snackbar, open: false });
+        return;
       }
+      
+      setSnackbar({
+        open: true,
+        message: result.message,
+        severity: result.success ? 'success' : 'error'
+      });
     } catch (err) {
-      console.error('GitHub save error:', err);
+      console.error('Database save error:', err);
       setSnackbar({
         open: true,
-        message: `GitHub save failed: ${err.message}`,
+        message: `Database save failed: ${err.message}`,
         severity: 'error'
       });
     }
@@ -664,6 +667,41 @@ const SupplierManagement = () => {
     return filteredSuppliers.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
   }, [filteredSuppliers, page, rowsPerPage]);
   
+  // Fetch the transactions of the suppliers shown, again whenever expenses change
+  const historySupplierKey = useMemo(() => [
+    ...new Set([...paginatedSuppliers.map(supplier => supplier.id), selectedSupplier?.id].filter(Boolean))
+  ].join(','), [paginatedSuppliers, selectedSupplier]);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchTransactions = async () => {
+      try {
+        const historySupplierIds = historySupplierKey ? historySupplierKey.split(',') : [];
+        const transactions = historySupplierIds.length > 0 ?
+          await queryAllExpenses({ supplier: historySupplierIds }) :
+          [];
+        if (!cancelled) {
+          setExpenses(transactions);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setSnackbar({
+            open: true,
+            message: `Error loading supplier transactions: ${err.message}`,
+            severity: 'error'
+          });
+        }
+      }
+    };
+    
+    fetchTransactions();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [queryAllExpenses, historySupplierKey, data.Expenses]);
+  
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
@@ -727,11 +765,11 @@ const SupplierManagement = () => {
             </Button>
           </Tooltip>
           
-          <Tooltip title="Save to GitHub">
+          <Tooltip title="Save to Database">
             <Button
               variant="outlined"
               startIcon={<CloudUploadIcon />}
-              onClick={handleSaveToGitHub}
+              onClick={handleSaveToDatabase}
               sx={{ mr: 1 }}
             >
               Save
@@ -887,6 +925,9 @@ const SupplierManagement = () => {
                         >
                           <BusinessIcon fontSize="small" color="primary" sx={{ mr: 1 }} />
                           {supplier.name}
+                          {!gstHelper.isRegistered(supplier) && (
+                            <Chip label="No GST" size="small" color="warning" variant="outlined" sx={{ ml: 1 }} />
+                          )}
                         </Box>
                       </TableCell>
                       <TableCell>{getCategoryName(supplier.category)}</TableCell>
@@ -1216,6 +1257,37 @@ const SupplierManagement = () => {
               />
             </Grid>
             
+            <Grid item xs={12} md={6}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={gstHelper.isRegistered(supplierForm)}
+                    onChange={(e) => setSupplierForm(prev => ({ ...prev, gstRegistered: e.target.checked }))}
+                    disabled={dialogMode === 'view'}
+                  />
+                }
+                label="Registered for GST"
+                sx={{ mt: 2 }}
+              />
+            </Grid>
+            
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Invoice Currency</InputLabel>
+                <Select
+                  name="currency"
+                  value={supplierForm.currency || BASE_CURRENCY}
+                  onChange={handleFormChange}
+                  label="Invoice Currency"
+                  disabled={dialogMode === 'view'}
+                >
+                  {CURRENCIES.map((currency) => (
+                    <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            
             <Grid item xs={12}>
               <TextField
                 fullWidth
@@ -1320,6 +1392,17 @@ const SupplierManagement = () => {
                     <Alert severity="info">No transaction history available for this supplier.</Alert>
                   )}
                 </Grid>
+                
+                <Grid item xs={12}>
+                  <Divider sx={{ my: 2 }}>
+                    <Chip label="Documents" />
+                  </Divider>
+                  <AttachmentsPanel
+                    entityType="Suppliers"
+                    entityId={selectedSupplier.id}
+                    defaultCategory="Contract"
+                  />
+                </Grid>
               </>
             )}
           </Grid>
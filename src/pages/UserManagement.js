@@ -73,6 +73,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { useData } from '../contexts/DataContext';
 import { useAuth } from '../contexts/AuthContext';
 import dataValidator from '../utils/DataValidator';
+import dutySegregation from '../utils/DutySegregation';
 
 // Tab Panel component
 function TabPanel(props) {
@@ -150,6 +151,7 @@ const UserManagement = () => {
     approveUser, 
     resetPassword, 
     updateUserRole,
+    refreshUserPaymentCenters,
     register 
   } = useAuth();
   
@@ -300,7 +302,7 @@ const UserManagement = () => {
   // Open dialog to manage permissions
   const handleManagePermissions = (user) => {
     setSelectedUser(user);
-    setUserForm({ ...user });
+    setUserForm({ ...user, paymentCenters: dutySegregation.getUserPaymentCenters(user) });
     setDialogMode('permissions');
     setDialogOpen(true);
   };
@@ -634,6 +636,16 @@ const UserManagement = () => {
           selectedUser.status
         );
         
+        // Payment centers the user is responsible for, used by segregation-of-duties rules
+        if (result.success) {
+          const paymentCenters = userForm.paymentCenters || [];
+          const centersSaved = await updateEntity('Users', selectedUser.id, { paymentCenters });
+          if (!centersSaved) {
+            throw new Error('Payment center update failed');
+          }
+          refreshUserPaymentCenters(selectedUser.id, paymentCenters);
+        }
+        
         if (result.success) {
           setSnackbar({
             open: true,
@@ -659,6 +671,7 @@ const UserManagement = () => {
       const success = updateEntity('Users', selectedUser.id, {
         ...selectedUser,
         permissions: userForm.permissions,
+        paymentCenters: userForm.paymentCenters || [],
         modifiedBy: currentUser?.username || 'anonymous',
         modifiedAt: new Date().toISOString()
       });
@@ -843,31 +856,33 @@ const UserManagement = () => {
     setSnackbar({ ...snackbar, open: false });
   };
   
-  // Save to GitHub
-  const handleSaveToGitHub = async () => {
+  // Save pending changes to the database
+  const handleSaveToDatabase = async () => {
     try {
       setSnackbar({
         open: true,
-        message: 'Saving data to GitHub...',
+        message: 'Saving changes to the database...',
         severity: 'info'
       });
       
-      const success = await saveData();
+      const result = await saveData();
       
-      if (success) {
-        setSnackbar({
-          open: true,
-          message: 'Data saved to GitHub successfully',
-          severity: 'success'
-        });
-      } else {
-        throw new Error('Failed to save to GitHub');
+      // User cancelled the save
+      if (!result) {
+        setSnackbar({ ...snackbar, open: false });
+        return;
       }
+      
+      setSnackbar({
+        open: true,
+        message: result.message,
+        severity: result.success ? 'success' : 'error'
+      });
     } catch (err) {
-      console.error('GitHub save error:', err);
+      console.error('Database save error:', err);
       setSnackbar({
         open: true,
-        message: `GitHub save failed: ${err.message}`,
+        message: `Database save failed: ${err.message}`,
         severity: 'error'
       });
     }
@@ -1024,11 +1039,11 @@ const UserManagement = () => {
         <Typography variant="h4">User Management</Typography>
         
         <Box>
-          <Tooltip title="Save to GitHub">
+          <Tooltip title="Save to Database">
             <Button
               variant="outlined"
               startIcon={<CloudUploadIcon />}
-              onClick={handleSaveToGitHub}
+              onClick={handleSaveToDatabase}
               sx={{ mr: 1 }}
             >
               Save
@@ -1669,6 +1684,31 @@ const UserManagement = () => {
               />
             ))}
           </FormGroup>
+          
+          <Divider sx={{ my: 2 }} />
+          
+          <FormControl fullWidth>
+            <InputLabel>Responsible for Payment Centers</InputLabel>
+            <Select
+              multiple
+              value={userForm.paymentCenters || []}
+              onChange={(e) => setUserForm(prev => ({ ...prev, paymentCenters: e.target.value }))}
+              label="Responsible for Payment Centers"
+              renderValue={(selected) => selected
+                .map(id => (data.PaymentCenters || []).find(center => String(center.id) === String(id))?.name || id)
+                .join(', ')}
+            >
+              {(data.PaymentCenters || []).map(center => (
+                <MenuItem key={center.id} value={String(center.id)}>
+                  <Checkbox checked={(userForm.paymentCenters || []).includes(String(center.id))} />
+                  <ListItemText primary={center.name} />
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography variant="caption" color="text.secondary">
+            Used by the segregation-of-duties rule that stops people approving entries for their own payment centers.
+          </Typography>
         </DialogContent>
         
         <DialogActions>
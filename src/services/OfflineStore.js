@@ -0,0 +1,166 @@
+// src/services/OfflineStore.js - IndexedDB cache of collections and queue of offline writes
+
+const DB_NAME = 'kiosc-finance-offline';
+const DB_VERSION = 1;
+const COLLECTIONS_STORE = 'collections';
+const QUEUE_STORE = 'queue';
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class OfflineStore {
+  constructor() {
+    this.dbPromise = null;
+    // Used when IndexedDB is unavailable, so writes survive until the page is closed
+    this.memoryQueue = [];
+    this.memorySeq = 0;
+  }
+
+  // IndexedDB is missing in some browsers' private modes and in tests
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  // Open (and create on first use) the database
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) {
+            db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'name' });
+          }
+          if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+            db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.warn('Offline cache unavailable:', error);
+        this.dbPromise = null;
+        return null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Run a callback against an object store inside a transaction
+  async withStore(storeName, mode, callback) {
+    const db = await this.open();
+    if (!db) return null;
+
+    const transaction = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    const result = await callback(transaction.objectStore(storeName));
+    await completed;
+
+    return result;
+  }
+
+  // Cache the records of one collection
+  async saveCollection(name, records) {
+    try {
+      await this.withStore(COLLECTIONS_STORE, 'readwrite', store =>
+        promisify(store.put({ name, records, cachedAt: new Date().toISOString() }))
+      );
+    } catch (error) {
+      console.warn(`Could not cache ${name}:`, error);
+    }
+  }
+
+  // Load every cached collection as { [name]: records }
+  async loadCollections() {
+    try {
+      const entries = await this.withStore(COLLECTIONS_STORE, 'readonly', store =>
+        promisify(store.getAll())
+      );
+
+      const collections = {};
+      (entries || []).forEach(entry => {
+        collections[entry.name] = entry.records;
+      });
+      return collections;
+    } catch (error) {
+      console.warn('Could not read offline cache:', error);
+      return {};
+    }
+  }
+
+  // Add a write to the end of the queue
+  async enqueue(operation) {
+    const db = await this.open();
+    if (!db) {
+      this.memorySeq += 1;
+      this.memoryQueue.push({ ...operation, seq: this.memorySeq, queuedAt: new Date().toISOString() });
+      return this.memorySeq;
+    }
+
+    return this.withStore(QUEUE_STORE, 'readwrite', store =>
+      promisify(store.add({ ...operation, queuedAt: new Date().toISOString() }))
+    );
+  }
+
+  // All queued writes, oldest first
+  async getQueue() {
+    const db = await this.open();
+    if (!db) return [...this.memoryQueue];
+
+    const operations = await this.withStore(QUEUE_STORE, 'readonly', store =>
+      promisify(store.getAll())
+    );
+    return (operations || []).sort((a, b) => a.seq - b.seq);
+  }
+
+  // Remove a write once it has been replayed (or abandoned)
+  async dequeue(seq) {
+    const db = await this.open();
+    if (!db) {
+      this.memoryQueue = this.memoryQueue.filter(operation => operation.seq !== seq);
+      return undefined;
+    }
+
+    return this.withStore(QUEUE_STORE, 'readwrite', store =>
+      promisify(store.delete(seq))
+    );
+  }
+
+  // Number of queued writes
+  async countQueue() {
+    const db = await this.open();
+    if (!db) return this.memoryQueue.length;
+
+    const count = await this.withStore(QUEUE_STORE, 'readonly', store =>
+      promisify(store.count())
+    );
+    return count || 0;
+  }
+}
+
+// Errors from fetch when the network or Supabase cannot be reached
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+
+  const message = String(error.message || error);
+  return /Failed to fetch|NetworkError|Network request failed|Load failed|ERR_INTERNET_DISCONNECTED|fetch failed/i.test(message);
+};
+
+const offlineStore = new OfflineStore();
+export default offlineStore;
@@ -0,0 +1,59 @@
+import offlineStore, { isNetworkError } from './OfflineStore';
+
+// jsdom has no IndexedDB, so these run against the in-memory fallback
+describe('write queue', () => {
+  beforeEach(async () => {
+    for (const operation of await offlineStore.getQueue()) {
+      await offlineStore.dequeue(operation.seq);
+    }
+  });
+
+  test('keeps writes in the order they were queued', async () => {
+    const first = await offlineStore.enqueue({ collection: 'Suppliers', action: 'insert', recordId: 'S1' });
+    const second = await offlineStore.enqueue({ collection: 'Suppliers', action: 'update', recordId: 'S1', expectedVersion: 1 });
+
+    expect(second).toBeGreaterThan(first);
+    expect(await offlineStore.countQueue()).toBe(2);
+
+    const queue = await offlineStore.getQueue();
+    expect(queue.map(operation => [operation.seq, operation.action])).toEqual([[first, 'insert'], [second, 'update']]);
+    expect(queue[1]).toEqual(expect.objectContaining({ expectedVersion: 1, queuedAt: expect.any(String) }));
+  });
+
+  test('removes a write once it is dequeued', async () => {
+    const first = await offlineStore.enqueue({ collection: 'Suppliers', action: 'insert', recordId: 'S1' });
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'delete', recordId: 'S2' });
+
+    await offlineStore.dequeue(first);
+
+    expect((await offlineStore.getQueue()).map(operation => operation.recordId)).toEqual(['S2']);
+    expect(await offlineStore.countQueue()).toBe(1);
+  });
+
+  test('hands out a copy of the queue', async () => {
+    await offlineStore.enqueue({ collection: 'Suppliers', action: 'insert', recordId: 'S1' });
+    (await offlineStore.getQueue()).pop();
+
+    expect(await offlineStore.countQueue()).toBe(1);
+  });
+});
+
+describe('cache', () => {
+  test('has nothing cached without IndexedDB', async () => {
+    await offlineStore.saveCollection('Suppliers', [{ id: 'S1' }]);
+    expect(await offlineStore.loadCollections()).toEqual({});
+  });
+});
+
+describe('network errors', () => {
+  test('recognises failed fetches', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+    expect(isNetworkError('TypeError: Load failed')).toBe(true);
+  });
+
+  test('leaves other errors to the caller', () => {
+    expect(isNetworkError(new Error('duplicate key value violates unique constraint'))).toBe(false);
+    expect(isNetworkError(null)).toBe(false);
+  });
+});
@@ -1,6 +1,21 @@
 // src/services/SupabaseService.js - With setupDatabase implementation
 import { createClient } from '@supabase/supabase-js';
 import supabase from '../lib/supabase';
+import tableMapperRegistry from './TableMapperRegistry';
+import fiscalCalendar from '../utils/FiscalCalendar';
+
+// Thrown when an update's expected version no longer matches the row in the database.
+// `current` holds the server's copy of the record (null if it has been deleted).
+export class VersionConflictError extends Error {
+  constructor(table, id, expectedVersion, current) {
+    super(`${table} ${id} was changed by someone else (expected version ${expectedVersion})`);
+    this.name = 'VersionConflictError';
+    this.table = table;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.current = current;
+  }
+}
 
 class SupabaseService {
   constructor() {
@@ -9,53 +24,24 @@ class SupabaseService {
     }
   }
   
-  // Field mapping helper function for Expenses
-  mapExpenseFields(expense) {
-    // Map the field names from application to database structure
-    return {
-      id: expense.id,
-      date: expense.date,
-      description: expense.description || '',
-      supplier: expense.supplierId || expense.supplier, // Accept either format
-      amount: parseFloat(expense.amount || 0),
-      paymentType: parseInt(expense.paymentTypeId || expense.paymentType || 1),
-      paymentCenter: parseInt(expense.paymentCenterId || expense.paymentCenter || 1),
-      program: expense.programId ? parseInt(expense.programId) : 
-               expense.program ? parseInt(expense.program) : null,
-      status: expense.statusId || expense.status || 'Committed',
-      notes: expense.notes || '',
-      invoiceDate: expense.invoiceDate || null,
-      paymentDate: expense.paymentDate || null,
-      createdBy: expense.createdBy || 'system',
-      createdAt: expense.createdAt || new Date().toISOString()
-    };
+  // Register a custom mapper for a table (see TableMapperRegistry for the mapper shape)
+  registerMapper(table, mapper) {
+    tableMapperRegistry.register(table, mapper);
   }
   
-  // Reverse mapping to convert database field names to application field names
-  mapExpenseToApp(dbExpense) {
-    if (!dbExpense) return null;
-    
-    return {
-      id: dbExpense.id,
-      date: dbExpense.date,
-      description: dbExpense.description,
-      supplierId: dbExpense.supplier,
-      supplier: dbExpense.supplier, // Keep both formats for compatibility
-      amount: dbExpense.amount,
-      paymentTypeId: dbExpense.paymentType,
-      paymentType: dbExpense.paymentType, // Keep both formats
-      paymentCenterId: dbExpense.paymentCenter,
-      paymentCenter: dbExpense.paymentCenter, // Keep both formats
-      programId: dbExpense.program,
-      program: dbExpense.program, // Keep both formats
-      statusId: dbExpense.status,
-      status: dbExpense.status, // Keep both formats
-      notes: dbExpense.notes,
-      invoiceDate: dbExpense.invoiceDate,
-      paymentDate: dbExpense.paymentDate,
-      createdBy: dbExpense.createdBy,
-      createdAt: dbExpense.createdAt
-    };
+  // Map an application record to database structure
+  toDb(table, record, options) {
+    return tableMapperRegistry.toDb(table, record, options);
+  }
+  
+  // Map a database row back to application structure
+  toApp(table, row) {
+    return tableMapperRegistry.toApp(table, row);
+  }
+  
+  // Map an application field name to its database column
+  toDbColumn(table, field) {
+    return tableMapperRegistry.toDbColumn(table, field);
   }
 
   // Export all data from Supabase for Excel export
@@ -106,6 +92,20 @@ class SupabaseService {
     }
   }
   
+  // Check whether Supabase can be reached (used to detect the end of an outage)
+  async ping() {
+    try {
+      const { error } = await supabase
+        .from('ExpenseStatus')
+        .select('id')
+        .limit(1);
+
+      return !error;
+    } catch {
+      return false;
+    }
+  }
+
   async getAll(table) {
     try {
       const { data, error } = await supabase
@@ -114,12 +114,8 @@ class SupabaseService {
       
       if (error) throw error;
       
-      // Special handling for Expenses - map database fields to application fields
-      if (table === 'Expenses' && data) {
-        return data.map(expense => this.mapExpenseToApp(expense));
-      }
-      
-      return data || [];
+      // Map database fields to application fields
+      return (data || []).map(row => this.toApp(table, row));
     } catch (error) {
       console.error(`Error fetching ${table}:`, error);
       throw error;
@@ -136,44 +132,43 @@ class SupabaseService {
       
       if (error) throw error;
       
-      // Special handling for Expenses - map database fields to application fields
-      if (table === 'Expenses' && data) {
-        return this.mapExpenseToApp(data);
-      }
-      
-      return data;
+      // Map database fields to application fields
+      return this.toApp(table, data);
     } catch (error) {
       console.error(`Error fetching ${table} by ID:`, error);
       throw error;
     }
   }
 
+  // Whether a record with this ID is stored
+  async exists(table, id) {
+    try {
+      const { error, count } = await supabase
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .eq('id', id);
+      
+      if (error) throw error;
+      return count > 0;
+    } catch (error) {
+      console.error(`Error checking ${table} for ID ${id}:`, error);
+      throw error;
+    }
+  }
+
   async insert(table, record) {
     try {
-      // Special handling for Expenses table
-      if (table === 'Expenses') {
-        const mappedRecord = this.mapExpenseFields(record);
-        console.log('Mapped expense record for insert:', mappedRecord);
-        
-        const { data, error } = await supabase
-          .from(table)
-          .insert(mappedRecord)
-          .select();
-        
-        if (error) throw error;
-        
-        // Map the returned data back to application format
-        return this.mapExpenseToApp(data[0]);
-      }
+      const mappedRecord = this.toDb(table, record);
       
-      // Original code for other tables
       const { data, error } = await supabase
         .from(table)
-        .insert(record)
+        .insert(mappedRecord)
         .select();
       
       if (error) throw error;
-      return data[0];
+      
+      // Map the returned data back to application format
+      return this.toApp(table, data[0]);
     } catch (error) {
       console.error(`Error inserting into ${table}:`, error);
       
@@ -187,41 +182,65 @@ class SupabaseService {
     }
   }
 
-  async update(table, id, updates) {
+  // Update a row by ID. For versioned tables pass expectedVersion (the version the
+  // user started from): the update only applies if it still matches, and the version
+  // is incremented. Otherwise a VersionConflictError carrying the server copy is thrown.
+  async update(table, id, updates, { expectedVersion = null } = {}) {
     try {
-      // Special handling for Expenses table
-      if (table === 'Expenses') {
-        const mappedUpdates = this.mapExpenseFields(updates);
-        console.log('Mapped expense record for update:', mappedUpdates);
-        
-        const { data, error } = await supabase
-          .from(table)
-          .update(mappedUpdates)
-          .eq('id', id)
-          .select();
-        
-        if (error) throw error;
-        
-        // Map the returned data back to application format
-        return this.mapExpenseToApp(data[0]);
+      // Only send the fields being changed - no insert defaults
+      const mappedUpdates = this.toDb(table, updates, { partial: true });
+      
+      const version = parseInt(expectedVersion, 10);
+      const checkVersion = tableMapperRegistry.isVersioned(table) && !isNaN(version);
+      
+      // The version is only ever moved forward by a checked update
+      delete mappedUpdates.version;
+      if (checkVersion) {
+        mappedUpdates.version = version + 1;
       }
       
-      // Original code for other tables
-      const { data, error } = await supabase
+      console.log(`[SupabaseService] Updating ${table} with ID ${id}:`, mappedUpdates);
+      
+      let query = supabase
         .from(table)
-        .update(updates)
-        .eq('id', id)
-        .select();
+        .update(mappedUpdates)
+        .eq('id', id);
+      
+      if (checkVersion) {
+        query = query.eq('version', version);
+      }
+      
+      const { data, error } = await query.select();
       
       if (error) throw error;
-      return data[0];
+      
+      // No row matched: someone else updated (or deleted) it first
+      if (checkVersion && (!data || data.length === 0)) {
+        const { data: currentRows, error: currentError } = await supabase
+          .from(table)
+          .select('*')
+          .eq('id', id);
+        
+        if (currentError) throw currentError;
+        
+        const current = currentRows && currentRows.length > 0 ? this.toApp(table, currentRows[0]) : null;
+        throw new VersionConflictError(table, id, version, current);
+      }
+      
+      // Map the returned data back to application format
+      return this.toApp(table, data[0]);
     } catch (error) {
-      console.error(`Error updating ${table}:`, error);
+      if (error instanceof VersionConflictError) {
+        console.warn(`[SupabaseService] ${error.message}`);
+        throw error;
+      }
+      
+      console.error(`[SupabaseService] Error updating ${table}:`, error);
       
       // Enhanced error logging for debugging
       if (error.code) {
-        console.error(`Error code: ${error.code}, Message: ${error.message}`);
-        if (error.details) console.error('Error details:', error.details);
+        console.error(`[SupabaseService] Error code: ${error.code}, Message: ${error.message}`);
+        if (error.details) console.error('[SupabaseService] Error details:', error.details);
       }
       
       throw error;
@@ -243,27 +262,479 @@ class SupabaseService {
     }
   }
 
+  // Upsert a batch of records in a single request. With ignoreDuplicates, rows whose
+  // id is already on the server are left as they are instead of being overwritten.
+  async upsertMany(table, records, { ignoreDuplicates = false } = {}) {
+    try {
+      if (!records || records.length === 0) return [];
+
+      const mappedRecords = records.map(record => this.toDb(table, record));
+
+      const { data, error } = await supabase
+        .from(table)
+        .upsert(mappedRecords, { onConflict: 'id', ignoreDuplicates })
+        .select();
+
+      if (error) throw error;
+
+      // Map the returned data back to application format
+      return (data || []).map(row => this.toApp(table, row));
+    } catch (error) {
+      console.error(`Error upserting batch into ${table}:`, error);
+
+      // Enhanced error logging for debugging
+      if (error.code) {
+        console.error(`Error code: ${error.code}, Message: ${error.message}`);
+        if (error.details) console.error('Error details:', error.details);
+      }
+
+      throw error;
+    }
+  }
+
+  // Delete a batch of records by ID in a single request
+  async deleteMany(table, ids) {
+    try {
+      if (!ids || ids.length === 0) return true;
+
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .in('id', ids);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`Error deleting batch from ${table}:`, error);
+      throw error;
+    }
+  }
+
+  // Upload a file to a storage bucket; fails rather than overwrite an existing path
+  async uploadFile(bucket, path, file, contentType) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .upload(path, file, { contentType, upsert: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`Error uploading ${path} to ${bucket}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove files from a storage bucket in a single request
+  async removeFiles(bucket, paths) {
+    try {
+      if (!paths || paths.length === 0) return true;
+
+      const { error } = await supabase.storage
+        .from(bucket)
+        .remove(paths);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`Error removing files from ${bucket}:`, error);
+      throw error;
+    }
+  }
+
+  // Short-lived URL for a file in a private bucket
+  async createSignedUrl(bucket, path, expiresIn = 300) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(path, expiresIn);
+
+      if (error) throw error;
+      return data.signedUrl;
+    } catch (error) {
+      console.error(`Error creating signed URL for ${path}:`, error);
+      throw error;
+    }
+  }
+
   async query(table, field, value) {
     try {
       const { data, error } = await supabase
         .from(table)
         .select('*')
-        .eq(field, value);
+        .eq(this.toDbColumn(table, field), value);
       
       if (error) throw error;
       
-      // Special handling for Expenses - map database fields to application fields
-      if (table === 'Expenses' && data) {
-        return data.map(expense => this.mapExpenseToApp(expense));
-      }
-      
-      return data || [];
+      // Map database fields to application fields
+      return (data || []).map(row => this.toApp(table, row));
     } catch (error) {
       console.error(`Error querying ${table}:`, error);
       throw error;
     }
   }
   
+  // Apply filters and free-text search to a query builder.
+  // filters: { field: value } for equality, an array for IN, or { gte, lte, gt, lt, neq, ilike, in } objects.
+  // search: { term, fields: [...], ids: { field: [values] } } - matches any field or listed ID.
+  applyFilters(query, table, filters = {}, search = null) {
+    let filtered = query;
+
+    Object.entries(filters).forEach(([field, condition]) => {
+      if (condition === undefined || condition === null || condition === '' || condition === 'All') return;
+
+      const column = this.toDbColumn(table, field);
+
+      if (Array.isArray(condition)) {
+        filtered = filtered.in(column, condition);
+      } else if (typeof condition === 'object') {
+        Object.entries(condition).forEach(([operator, value]) => {
+          if (value === undefined || value === null || value === '') return;
+          filtered = filtered[operator](column, value);
+        });
+      } else {
+        filtered = filtered.eq(column, condition);
+      }
+    });
+
+    if (search && search.term && search.term.trim()) {
+      // Strip characters that have meaning in PostgREST filter strings
+      const term = search.term.trim().replace(/[,()%*\\]/g, ' ');
+      const clauses = (search.fields || []).map(field => `${this.toDbColumn(table, field)}.ilike.*${term}*`);
+
+      Object.entries(search.ids || {}).forEach(([field, ids]) => {
+        if (ids && ids.length > 0) {
+          clauses.push(`${this.toDbColumn(table, field)}.in.(${ids.map(id => `"${id}"`).join(',')})`);
+        }
+      });
+
+      if (clauses.length > 0) {
+        filtered = filtered.or(clauses.join(','));
+      }
+    }
+
+    return filtered;
+  }
+
+  // Filtered, sorted and range-paginated query.
+  // Returns { rows, total } where total is the number of matching rows across all pages.
+  async queryPage(table, { filters = {}, search = null, sort = null, page = 0, pageSize = 25 } = {}) {
+    try {
+      let query = supabase
+        .from(table)
+        .select('*', { count: 'exact' });
+
+      query = this.applyFilters(query, table, filters, search);
+
+      if (sort && sort.field) {
+        query = query.order(this.toDbColumn(table, sort.field), { ascending: sort.direction === 'asc' });
+      }
+
+      const from = page * pageSize;
+      const { data, error, count } = await query.range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      return {
+        rows: (data || []).map(row => this.toApp(table, row)),
+        total: count || 0
+      };
+    } catch (error) {
+      console.error(`Error querying page of ${table}:`, error);
+      throw error;
+    }
+  }
+
+  // Count matching rows for each value of a field (e.g. expenses per status)
+  async countBy(table, field, values, { filters = {}, search = null } = {}) {
+    try {
+      const counts = {};
+
+      for (const value of values) {
+        let query = supabase
+          .from(table)
+          .select('id', { count: 'exact', head: true });
+
+        query = this.applyFilters(query, table, { ...filters, [field]: value }, search);
+
+        const { error, count } = await query;
+        if (error) throw error;
+
+        counts[value] = count || 0;
+      }
+
+      return counts;
+    } catch (error) {
+      console.error(`Error counting ${table} by ${field}:`, error);
+      throw error;
+    }
+  }
+
+  // Server-side expense query used by the expense table
+  async queryExpenses({
+    dateFrom,
+    dateTo,
+    paymentCenter,
+    program,
+    paymentType,
+    status,
+    approvalStatus,
+    matchStatus,
+    purchaseOrderId,
+    supplier,
+    search,
+    supplierIds = [],
+    missingInvoice = false,
+    sortField = 'date',
+    sortDirection = 'desc',
+    page = 0,
+    pageSize = 25,
+    includeStatusCounts = false
+  } = {}) {
+    const filters = {
+      date: { gte: dateFrom, lte: dateTo },
+      paymentCenter,
+      program,
+      paymentType,
+      // Work queues (approvals, match exceptions), purchase order balances and supplier histories
+      approvalStatus,
+      matchStatus,
+      purchaseOrderId,
+      supplier,
+      hasInvoice: missingInvoice ? false : undefined
+    };
+
+    // Invoices are only expected once an expense is invoiced or paid
+    const statuses = missingInvoice ? ['Invoiced', 'Paid'] : ['Committed', 'Invoiced', 'Paid'];
+    const noMatches = Boolean(status) && !statuses.includes(status);
+
+    const searchOptions = search ? {
+      term: search,
+      fields: ['description', 'notes'],
+      ids: { supplier: supplierIds }
+    } : null;
+
+    const result = noMatches ? { rows: [], total: 0 } : await this.queryPage('Expenses', {
+      filters: { ...filters, status: status || (missingInvoice ? statuses : undefined) },
+      search: searchOptions,
+      sort: { field: sortField, direction: sortDirection },
+      page,
+      pageSize
+    });
+
+    // Counts per status ignore the status filter so every tab shows its own total
+    if (includeStatusCounts) {
+      result.statusCounts = {
+        Committed: 0,
+        ...await this.countBy('Expenses', 'status', statuses, { filters, search: searchOptions })
+      };
+    }
+
+    return result;
+  }
+
+  // Server-side journal query used by the journal table; lines are attached to each journal
+  async queryJournals({
+    dateFrom,
+    dateTo,
+    status,
+    paymentCenter,
+    program,
+    reversalOf,
+    search,
+    sortField = 'date',
+    sortDirection = 'desc',
+    page = 0,
+    pageSize = 25
+  } = {}) {
+    const filters = {
+      id: { neq: 'dummy-journal' },
+      date: { gte: dateFrom, lte: dateTo },
+      status,
+      reversalOf
+    };
+
+    // Payment center and program live on the lines, so resolve matching journals first
+    if ((paymentCenter && paymentCenter !== 'All') || (program && program !== 'All')) {
+      let lineQuery = supabase.from('JournalLines').select('journalId');
+      lineQuery = this.applyFilters(lineQuery, 'JournalLines', { paymentCenter, program });
+
+      const { data: lineData, error: lineError } = await lineQuery;
+      if (lineError) throw lineError;
+
+      const journalIds = [...new Set((lineData || []).map(line => line.journalId))];
+      if (journalIds.length === 0) {
+        return { rows: [], total: 0 };
+      }
+      filters.id = { neq: 'dummy-journal', in: journalIds };
+    }
+
+    const result = await this.queryPage('JournalEntries', {
+      filters,
+      search: search ? { term: search, fields: ['description', 'reference', 'notes'] } : null,
+      sort: { field: sortField, direction: sortDirection },
+      page,
+      pageSize
+    });
+
+    if (result.rows.length === 0) return result;
+
+    // Attach lines for the journals on this page
+    const { data: lineRows, error } = await supabase
+      .from('JournalLines')
+      .select('*')
+      .in('journalId', result.rows.map(journal => journal.id));
+
+    if (error) throw error;
+
+    const lines = (lineRows || []).map(line => this.toApp('JournalLines', line));
+
+    result.rows = result.rows.map(journal => {
+      // Remove duplicate lines based on lineNumber and journalId
+      const journalLines = Array.from(
+        new Map(
+          lines
+            .filter(line => line.journalId === journal.id)
+            .map(line => [`${line.journalId}-${line.lineNumber}`, line])
+        ).values()
+      ).sort((a, b) => a.lineNumber - b.lineNumber);
+
+      return {
+        ...journal,
+        lines: journalLines.map(line => ({
+          id: line.id,
+          type: line.type,
+          account: line.account,
+          program: line.program,
+          paymentCenter: line.paymentCenter,
+          amount: line.amount
+        }))
+      };
+    });
+
+    return result;
+  }
+
+  // Create or update a journal header and all of its lines in one transaction
+  // (save_journal_entry RPC). The server numbers the lines, sets totalAmount and
+  // rejects unbalanced entries. Resolves to { journal, lines } in app format.
+  async saveJournal(journal, lines, { expectedVersion = null, isNew = false } = {}) {
+    try {
+      // Header fields only; updates send just what changed so the rest is kept
+      const header = this.toDb('JournalEntries', journal, { partial: !isNew });
+      delete header.version;
+      header.id = journal.id;
+
+      const mappedLines = lines.map(line => this.toDb('JournalLines', {
+        type: line.type,
+        account: line.account,
+        program: line.program || '',
+        paymentCenter: line.paymentCenter,
+        amount: line.amount,
+        createdAt: line.createdAt || new Date().toISOString()
+      }, { partial: true }));
+
+      const version = parseInt(expectedVersion, 10);
+
+      const { data, error } = await supabase.rpc('save_journal_entry', {
+        p_journal: header,
+        p_lines: mappedLines,
+        p_expected_version: isNaN(version) ? null : version
+      });
+
+      if (error) {
+        // Stale version: report the server copy like update() does
+        if (error.code === '40001') {
+          const current = await this.getJournalWithLines(journal.id);
+          throw new VersionConflictError('JournalEntries', journal.id, version, current);
+        }
+        throw error;
+      }
+
+      return {
+        journal: this.toApp('JournalEntries', data.journal),
+        lines: (data.lines || []).map(line => this.toApp('JournalLines', line))
+      };
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        console.warn(`[SupabaseService] ${error.message}`);
+        throw error;
+      }
+
+      console.error('Error saving journal entry:', error);
+      throw error;
+    }
+  }
+
+  // Delete a journal header and its lines in one transaction (delete_journal_entry RPC)
+  async deleteJournal(id) {
+    try {
+      const { error } = await supabase.rpc('delete_journal_entry', { p_journal_id: id });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting journal entry:', error);
+      throw error;
+    }
+  }
+
+  // Fetch a journal with its lines attached, or null if it no longer exists
+  async getJournalWithLines(id) {
+    const { data, error } = await supabase
+      .from('JournalEntries')
+      .select('*')
+      .eq('id', id);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const lines = await this.query('JournalLines', 'journalId', id);
+    const journal = this.toApp('JournalEntries', data[0]);
+
+    return {
+      ...journal,
+      lines: lines
+        .sort((a, b) => a.lineNumber - b.lineNumber)
+        .map(line => ({
+          id: line.id,
+          type: line.type,
+          account: line.account,
+          program: line.program,
+          paymentCenter: line.paymentCenter,
+          amount: line.amount
+        }))
+    };
+  }
+
+  // Subscribe to inserts, updates and deletes on a table via Supabase Realtime.
+  // onChange receives { table, eventType, new, old } with rows already mapped to app records.
+  // Returns a function that removes the subscription.
+  subscribeToTable(table, onChange) {
+    const channel = supabase
+      .channel(`realtime-${table}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+        const hasNew = payload.new && Object.keys(payload.new).length > 0;
+        const hasOld = payload.old && Object.keys(payload.old).length > 0;
+
+        onChange({
+          table,
+          eventType: payload.eventType,
+          new: hasNew ? this.toApp(table, payload.new) : null,
+          old: hasOld ? this.toApp(table, payload.old) : null
+        });
+      })
+      .subscribe((status) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn(`Realtime subscription for ${table} failed: ${status}`);
+        }
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+
   async setupDatabase() {
     console.log('Setting up database...');
     try {
@@ -558,8 +1029,10 @@ class SupabaseService {
 
   async createPaymentCenterBudgetsTable() {
     try {
-      // Create default budgets for the current year
-      const currentYear = new Date().getFullYear().toString();
+      // Create default budgets for the current financial year
+      const { data: settings } = await supabase.from('OrganisationSettings').select('*');
+      const startMonth = fiscalCalendar.getStartMonth(settings || []);
+      const currentYear = fiscalCalendar.getFiscalYear(new Date(), startMonth).toString();
       const defaultBudgets = [
         {
           id: `budget-1-${currentYear}`,
@@ -786,91 +1259,6 @@ class SupabaseService {
     }
   }
   
-  async update(table, id, updates) {
-    try {
-      console.log(`[SupabaseService] Updating ${table} with ID ${id}:`, updates);
-      
-      // Special handling for Expenses table
-      if (table === 'Expenses') {
-        const mappedUpdates = this.mapExpenseFields(updates);
-        console.log('[SupabaseService] Mapped expense record for update:', mappedUpdates);
-        
-        const { data, error } = await supabase
-          .from(table)
-          .update(mappedUpdates)
-          .eq('id', id)
-          .select();
-        
-        if (error) {
-          console.error(`[SupabaseService] Error updating ${table}:`, error);
-          throw error;
-        }
-        
-        console.log(`[SupabaseService] Successfully updated ${table}, returned data:`, data);
-        
-        // Map the returned data back to application format
-        return this.mapExpenseToApp(data[0]);
-      }
-      
-      // Handle PaymentCenterBudgets specially for debugging
-      if (table === 'PaymentCenterBudgets') {
-        console.log(`[SupabaseService] PaymentCenterBudgets update with ID ${id}:`, updates);
-        
-        // Ensure budget is stored as string
-        const finalUpdates = { 
-          ...updates,
-          budget: updates.budget.toString()
-        };
-        
-        console.log('[SupabaseService] Final updates after formatting:', finalUpdates);
-        
-        // Log the exact Supabase call we're making
-        console.log(`[SupabaseService] Calling supabase.from('${table}').update(...).eq('id', '${id}').select()`);
-        
-        const { data, error } = await supabase
-          .from(table)
-          .update(finalUpdates)
-          .eq('id', id)
-          .select();
-        
-        if (error) {
-          console.error(`[SupabaseService] Error updating ${table}:`, error);
-          console.error(`[SupabaseService] Error code: ${error.code}, Message: ${error.message}`);
-          if (error.details) console.error('[SupabaseService] Error details:', error.details);
-          throw error;
-        }
-        
-        console.log(`[SupabaseService] Successfully updated ${table}, returned data:`, data);
-        return data[0];
-      }
-      
-      // Original code for other tables
-      const { data, error } = await supabase
-        .from(table)
-        .update(updates)
-        .eq('id', id)
-        .select();
-      
-      if (error) {
-        console.error(`[SupabaseService] Error updating ${table}:`, error);
-        throw error;
-      }
-      
-      console.log(`[SupabaseService] Successfully updated ${table}, returned data:`, data);
-      return data[0];
-    } catch (error) {
-      console.error(`[SupabaseService] Exception in update ${table}:`, error);
-      
-      // Enhanced error logging for debugging
-      if (error.code) {
-        console.error(`[SupabaseService] Error code: ${error.code}, Message: ${error.message}`);
-        if (error.details) console.error('[SupabaseService] Error details:', error.details);
-      }
-      
-      throw error;
-    }
-  }
-
   async markDatabaseAsSetup() {
     localStorage.setItem('kiosc_database_setup', 'true');
     return true;
@@ -0,0 +1,184 @@
+import supabaseService, { VersionConflictError } from './SupabaseService';
+import supabase from '../lib/supabase';
+
+jest.mock('../lib/supabase', () => ({
+  __esModule: true,
+  default: {
+    channel: jest.fn(),
+    removeChannel: jest.fn(),
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+// Fake realtime channel that captures the postgres_changes handler
+const mockChannel = {
+  handler: null,
+  on: jest.fn(),
+  subscribe: jest.fn()
+};
+
+describe('realtime subscriptions', () => {
+  beforeEach(() => {
+    mockChannel.handler = null;
+    mockChannel.on.mockImplementation((type, filter, handler) => {
+      mockChannel.handler = handler;
+      return mockChannel;
+    });
+    mockChannel.subscribe.mockReturnValue(mockChannel);
+    supabase.channel.mockReturnValue(mockChannel);
+  });
+
+  test('maps rows and unsubscribes', () => {
+    const onChange = jest.fn();
+    const unsubscribe = supabaseService.subscribeToTable('Expenses', onChange);
+
+    expect(supabase.channel).toHaveBeenCalledWith('realtime-Expenses');
+    expect(mockChannel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'Expenses' },
+      expect.any(Function)
+    );
+
+    mockChannel.handler({
+      eventType: 'UPDATE',
+      new: { id: 'E1', amount: '125.50', paymentCenter: '3', status: 'Invoiced' },
+      old: { id: 'E1' }
+    });
+
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
+      table: 'Expenses',
+      eventType: 'UPDATE',
+      new: expect.objectContaining({ amount: 125.5, paymentCenter: 3, paymentCenterId: 3 })
+    }));
+
+    unsubscribe();
+    expect(supabase.removeChannel).toHaveBeenCalledWith(mockChannel);
+  });
+});
+
+describe('optimistic concurrency', () => {
+  // Chainable query builder resolving to the given results in order
+  const mockQuery = (...results) => {
+    const builder = {
+      calls: [],
+      update: jest.fn(values => { builder.calls.push(['update', values]); return builder; }),
+      select: jest.fn(() => builder),
+      eq: jest.fn((field, value) => { builder.calls.push(['eq', field, value]); return builder; }),
+      then: (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  test('increments the version when it matches', async () => {
+    const builder = mockQuery({ data: [{ id: 'E1', amount: 50, version: 4 }], error: null });
+    supabase.from.mockReturnValue(builder);
+
+    const updated = await supabaseService.update('Expenses', 'E1', { amount: 50, version: 3 }, { expectedVersion: 3 });
+
+    expect(builder.calls).toContainEqual(['update', expect.objectContaining({ amount: 50, version: 4 })]);
+    expect(builder.calls).toContainEqual(['eq', 'version', 3]);
+    expect(updated.version).toBe(4);
+  });
+
+  test('throws a conflict carrying the server copy when the version is stale', async () => {
+    const builder = mockQuery(
+      { data: [], error: null },
+      { data: [{ id: 'E1', amount: '75', version: 5 }], error: null }
+    );
+    supabase.from.mockReturnValue(builder);
+
+    const update = supabaseService.update('Expenses', 'E1', { amount: 50 }, { expectedVersion: 3 });
+
+    await expect(update).rejects.toBeInstanceOf(VersionConflictError);
+    await expect(update).rejects.toMatchObject({
+      expectedVersion: 3,
+      current: expect.objectContaining({ amount: 75, version: 5 })
+    });
+  });
+});
+
+describe('atomic journal saves', () => {
+  const lines = [
+    { id: 'tmp-1', type: 'debit', account: 'ACC-5100', program: 'PROG1', paymentCenter: '2', amount: '100' },
+    { id: 'tmp-2', type: 'credit', account: 'ACC-1100', program: '', paymentCenter: '3', amount: '100' }
+  ];
+
+  test('sends the header and lines in one RPC call', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: {
+        journal: { id: 'J1', totalAmount: '100', version: 2 },
+        lines: [
+          { id: 'J1-L1', journalId: 'J1', lineNumber: 1, type: 'debit', account: 'ACC-5100', paymentCenter: 2, amount: '100' },
+          { id: 'J1-L2', journalId: 'J1', lineNumber: 2, type: 'credit', account: 'ACC-1100', paymentCenter: 3, amount: '100' }
+        ]
+      },
+      error: null
+    });
+
+    const result = await supabaseService.saveJournal(
+      { id: 'J1', description: 'Transfer', version: 1, lines },
+      lines,
+      { expectedVersion: 1 }
+    );
+
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    const [name, params] = supabase.rpc.mock.calls[0];
+    expect(name).toBe('save_journal_entry');
+    expect(params.p_expected_version).toBe(1);
+    expect(params.p_journal).toEqual({ id: 'J1', description: 'Transfer' });
+    expect(params.p_lines).toHaveLength(2);
+    expect(params.p_lines[0]).toEqual(expect.objectContaining({ type: 'debit', account: 'ACC-5100', paymentCenter: 2, amount: 100 }));
+    expect(params.p_lines[1].account).toBe('ACC-1100');
+    expect(result.journal).toEqual(expect.objectContaining({ totalAmount: 100, version: 2 }));
+    expect(result.lines.map(line => line.id)).toEqual(['J1-L1', 'J1-L2']);
+  });
+
+  test('passes through server validation errors', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: { code: '23514', message: 'Journal entry is not balanced: debits 100 and credits 90' }
+    });
+
+    await expect(supabaseService.saveJournal({ id: 'J1' }, lines, { isNew: true }))
+      .rejects.toMatchObject({ code: '23514' });
+  });
+});
+
+describe('expense queries', () => {
+  // Chainable query builder recording the filters applied, resolving to one page
+  const mockPage = (rows) => {
+    const builder = {
+      calls: [],
+      then: (resolve, reject) => Promise.resolve({ data: rows, error: null, count: rows.length }).then(resolve, reject)
+    };
+    ['select', 'eq', 'in', 'gte', 'lte', 'order', 'range'].forEach(method => {
+      builder[method] = jest.fn((...args) => { builder.calls.push([method, ...args]); return builder; });
+    });
+    return builder;
+  };
+
+  test('filters work queues on the server', async () => {
+    const builder = mockPage([{ id: 'E1', amount: '10', approvalStatus: 'pending' }]);
+    supabase.from.mockReturnValue(builder);
+
+    const result = await supabaseService.queryExpenses({
+      approvalStatus: 'pending',
+      matchStatus: 'Exception',
+      purchaseOrderId: ['PO1', 'PO2'],
+      supplier: 'All',
+      sortDirection: 'asc',
+      pageSize: 500
+    });
+
+    expect(builder.calls).toEqual(expect.arrayContaining([
+      ['eq', 'approvalStatus', 'pending'],
+      ['eq', 'matchStatus', 'Exception'],
+      ['in', 'purchaseOrderId', ['PO1', 'PO2']],
+      ['order', 'date', { ascending: true }],
+      ['range', 0, 499]
+    ]));
+    expect(builder.calls.map(call => call[1])).not.toContain('supplier');
+    expect(result).toEqual({ rows: [expect.objectContaining({ id: 'E1', amount: 10 })], total: 1 });
+  });
+});
@@ -0,0 +1,560 @@
+// src/services/TableMapperRegistry.js - Per-table field mapping between the app and Supabase
+
+// Check for "no value" the same way the original mappers did
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Type coercion applied in each direction
+const TYPE_COERCERS = {
+  number: {
+    toDb: (value) => (isEmpty(value) || isNaN(parseFloat(value)) ? null : parseFloat(value)),
+    toApp: (value) => (isEmpty(value) || isNaN(parseFloat(value)) ? value : parseFloat(value))
+  },
+  integer: {
+    toDb: (value) => (isEmpty(value) || isNaN(parseInt(value, 10)) ? null : parseInt(value, 10)),
+    toApp: (value) => (isEmpty(value) || isNaN(parseInt(value, 10)) ? value : parseInt(value, 10))
+  },
+  // Reference IDs: numeric IDs become integers, anything else (e.g. 'PROG1') stays a string
+  id: {
+    toDb: (value) => {
+      if (isEmpty(value)) return null;
+      return /^\d+$/.test(String(value)) ? parseInt(value, 10) : String(value);
+    },
+    toApp: (value) => {
+      if (isEmpty(value)) return value;
+      return /^\d+$/.test(String(value)) ? parseInt(value, 10) : value;
+    }
+  },
+  // Calendar dates stored as yyyy-MM-dd
+  date: {
+    toDb: (value) => {
+      if (isEmpty(value)) return null;
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+    },
+    toApp: (value) => value
+  },
+  timestamp: {
+    toDb: (value) => {
+      if (isEmpty(value)) return null;
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? value : date.toISOString();
+    },
+    toApp: (value) => value
+  },
+  string: {
+    toDb: (value) => (value === undefined || value === null ? value : String(value)),
+    toApp: (value) => (value === undefined || value === null ? value : String(value))
+  },
+  boolean: {
+    toDb: (value) => (value === undefined || value === null ? value : value === true || value === 'true'),
+    toApp: (value) => (value === undefined || value === null ? value : value === true || value === 'true')
+  },
+  // Comma-separated lists (e.g. user permissions)
+  csv: {
+    toDb: (value) => (Array.isArray(value) ? value.join(',') : value),
+    toApp: (value) => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value)
+  }
+};
+
+// Common timestamp columns for tables created with snake_case SQL
+const SNAKE_CASE_TIMESTAMPS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+/**
+ * A mapper describes how one table's rows differ from the app's records:
+ *   columns  - app field -> database column, where the names differ
+ *   aliases  - canonical field -> alternative app field names (e.g. supplier <- supplierId)
+ *   types    - field -> a key of TYPE_COERCERS
+ *   defaults - field -> value (or function) applied on insert when the field is empty
+ *   fields   - optional whitelist of database fields to send
+ *   exclude  - app-only fields that are never sent
+ *   versioned - rows carry an integer `version` used for optimistic concurrency
+ */
+class TableMapperRegistry {
+  constructor() {
+    this.mappers = {};
+  }
+
+  // Register or replace the mapper for a table
+  register(table, mapper) {
+    const registered = {
+      columns: {},
+      aliases: {},
+      types: {},
+      defaults: {},
+      fields: null,
+      exclude: [],
+      versioned: false,
+      ...mapper
+    };
+
+    // Versioned rows start at version 1 and always send their version
+    if (registered.versioned) {
+      registered.types = { ...registered.types, version: 'integer' };
+      registered.defaults = { ...registered.defaults, version: 1 };
+      if (registered.fields && !registered.fields.includes('version')) {
+        registered.fields = [...registered.fields, 'version'];
+      }
+    }
+
+    this.mappers[table] = registered;
+  }
+
+  // Whether a table uses row versions for optimistic concurrency
+  isVersioned(table) {
+    return Boolean(this.get(table).versioned);
+  }
+
+  // Get the mapper for a table (an empty mapper passes records through unchanged)
+  get(table) {
+    return this.mappers[table] || {
+      columns: {},
+      aliases: {},
+      types: {},
+      defaults: {},
+      fields: null,
+      exclude: [],
+      versioned: false
+    };
+  }
+
+  // Database column name for an app field (for filters and ordering)
+  toDbColumn(table, field) {
+    const mapper = this.get(table);
+    const canonical = Object.keys(mapper.aliases).find(name => mapper.aliases[name].includes(field)) || field;
+    return mapper.columns[canonical] || canonical;
+  }
+
+  // Map an app record to a database row. With partial, only fields present
+  // on the record are sent and no defaults are applied (used for updates).
+  toDb(table, record, { partial = false } = {}) {
+    if (!record) return record;
+
+    const mapper = this.get(table);
+    const source = { ...record };
+
+    // Resolve aliases to their canonical field, preferring the alias as the old mappers did
+    Object.entries(mapper.aliases).forEach(([field, alternatives]) => {
+      const candidates = [...alternatives, field];
+      const present = candidates.filter(name => name in source);
+      if (present.length === 0) return;
+
+      const winner = candidates.find(name => !isEmpty(source[name]));
+      const value = winner !== undefined ? source[winner] : source[present[0]];
+      alternatives.forEach(name => delete source[name]);
+      source[field] = value;
+    });
+
+    // Drop app-only fields
+    mapper.exclude.forEach(field => delete source[field]);
+
+    // Apply whitelist
+    let row = source;
+    if (mapper.fields) {
+      row = {};
+      mapper.fields.forEach(field => {
+        if (field in source) row[field] = source[field];
+      });
+    }
+
+    // Apply defaults for new records
+    if (!partial) {
+      Object.entries(mapper.defaults).forEach(([field, defaultValue]) => {
+        if (isEmpty(row[field])) {
+          row[field] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+        }
+      });
+    }
+
+    // Coerce types
+    Object.entries(mapper.types).forEach(([field, type]) => {
+      if (field in row && TYPE_COERCERS[type]) {
+        row[field] = TYPE_COERCERS[type].toDb(row[field]);
+      }
+    });
+
+    // Rename to database columns
+    Object.entries(mapper.columns).forEach(([field, column]) => {
+      if (field in row) {
+        row[column] = row[field];
+        delete row[field];
+      }
+    });
+
+    return row;
+  }
+
+  // Map a database row to an app record
+  toApp(table, row) {
+    if (!row) return null;
+
+    const mapper = this.get(table);
+    const record = { ...row };
+
+    // Rename database columns to app fields
+    Object.entries(mapper.columns).forEach(([field, column]) => {
+      if (column in record) {
+        record[field] = record[column];
+        delete record[column];
+      }
+    });
+
+    // Coerce types
+    Object.entries(mapper.types).forEach(([field, type]) => {
+      if (field in record && TYPE_COERCERS[type]) {
+        record[field] = TYPE_COERCERS[type].toApp(record[field]);
+      }
+    });
+
+    // Keep alias fields populated for components that read either format
+    Object.entries(mapper.aliases).forEach(([field, alternatives]) => {
+      if (field in record) {
+        alternatives.forEach(name => {
+          record[name] = record[field];
+        });
+      }
+    });
+
+    return record;
+  }
+}
+
+const tableMapperRegistry = new TableMapperRegistry();
+
+// Default mappers for the application's tables
+tableMapperRegistry.register('Expenses', {
+  versioned: true,
+  aliases: {
+    supplier: ['supplierId'],
+    paymentType: ['paymentTypeId'],
+    paymentCenter: ['paymentCenterId'],
+    program: ['programId'],
+    status: ['statusId']
+  },
+  fields: [
+    'id',
+    'date',
+    'description',
+    'supplier',
+    'amount',
+    'paymentType',
+    'paymentCenter',
+    'program',
+    'status',
+    'notes',
+    'invoiceDate',
+    'paymentDate',
+    'createdBy',
+    'createdAt',
+    'scheduleId',
+    'approvalStatus',
+    'approvalSteps',
+    'rejectionReason',
+    'purchaseOrderId',
+    'invoiceLines',
+    'matchStatus',
+    'matchExceptions',
+    'matchResolvedBy',
+    'matchResolvedAt',
+    'matchResolution',
+    'allocations',
+    'taxCode',
+    'amountExGst',
+    'gstAmount',
+    'withholdingAmount',
+    'isCapital',
+    'currency',
+    'originalAmount',
+    'exchangeRate',
+    'rateDate'
+  ],
+  types: {
+    date: 'date',
+    amount: 'number',
+    paymentType: 'id',
+    paymentCenter: 'id',
+    program: 'id',
+    invoiceDate: 'date',
+    paymentDate: 'date',
+    purchaseOrderId: 'string',
+    matchResolvedAt: 'timestamp',
+    amountExGst: 'number',
+    gstAmount: 'number',
+    withholdingAmount: 'number',
+    isCapital: 'boolean',
+    originalAmount: 'number',
+    exchangeRate: 'number',
+    rateDate: 'date',
+    // Maintained by a trigger on Attachments, so read but never written
+    hasInvoice: 'boolean',
+    createdAt: 'timestamp'
+  },
+  defaults: {
+    description: '',
+    amount: 0,
+    paymentType: 1,
+    paymentCenter: 1,
+    program: null,
+    status: 'Committed',
+    notes: '',
+    invoiceDate: null,
+    paymentDate: null,
+    createdBy: 'system',
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('Suppliers', {
+  versioned: true,
+  types: {
+    category: 'id',
+    paymentTerms: 'integer',
+    gstRegistered: 'boolean',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  }
+});
+
+tableMapperRegistry.register('JournalEntries', {
+  versioned: true,
+  exclude: ['lines'],
+  types: {
+    date: 'date',
+    totalAmount: 'number',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  }
+});
+
+tableMapperRegistry.register('JournalTemplates', {
+  versioned: true,
+  // lines is a jsonb array of { type, account, program, paymentCenter, amount }
+  types: {
+    sourceJournalId: 'string',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    lines: () => [],
+    sourceJournalId: null,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('JournalLines', {
+  types: {
+    lineNumber: 'integer',
+    account: 'id',
+    paymentCenter: 'id',
+    amount: 'number',
+    createdAt: 'timestamp'
+  }
+});
+
+tableMapperRegistry.register('ChartOfAccounts', {
+  versioned: true,
+  types: {
+    parent: 'id',
+    active: 'boolean',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    parent: null,
+    active: true,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('AccountingPeriods', {
+  versioned: true,
+  types: {
+    startDate: 'date',
+    endDate: 'date',
+    changedAt: 'timestamp',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    status: 'open',
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('Schedules', {
+  versioned: true,
+  // template is jsonb: expense fields, or { templateId, description, notes } for journals
+  types: {
+    dayOfMonth: 'integer',
+    startDate: 'date',
+    endDate: 'date',
+    generatedThrough: 'date',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    frequency: 'monthly',
+    dayOfMonth: 1,
+    status: 'active',
+    endDate: null,
+    generatedThrough: null,
+    skippedDates: () => [],
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('ApprovalRules', {
+  versioned: true,
+  types: {
+    minAmount: 'number',
+    paymentCenter: 'id',
+    active: 'boolean',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    minAmount: 0,
+    paymentCenter: null,
+    active: true,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('SegregationRules', {
+  versioned: true,
+  types: {
+    enabled: 'boolean',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    enabled: true,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('Attachments', {
+  versioned: true,
+  types: {
+    size: 'number',
+    uploadedAt: 'timestamp',
+    createdAt: 'timestamp'
+  },
+  defaults: {
+    category: 'Other',
+    uploadedAt: () => new Date().toISOString(),
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('ExchangeRates', {
+  versioned: true,
+  types: {
+    date: 'date',
+    rate: 'number',
+    createdAt: 'timestamp'
+  },
+  defaults: {
+    source: 'manual',
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('MatchSettings', {
+  versioned: true,
+  types: {
+    tolerancePercent: 'number',
+    toleranceAmount: 'number',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    tolerancePercent: 0,
+    toleranceAmount: 0,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('OrganisationSettings', {
+  versioned: true,
+  types: {
+    fiscalYearStartMonth: 'integer',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    fiscalYearStartMonth: 1,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('PurchaseOrders', {
+  versioned: true,
+  // lines and receipts are jsonb arrays
+  types: {
+    date: 'date',
+    supplier: 'id',
+    paymentCenter: 'id',
+    program: 'id',
+    approvedAmount: 'number',
+    approvedAt: 'timestamp',
+    closedAt: 'timestamp',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    lines: () => [],
+    receipts: () => [],
+    status: 'Draft',
+    approvedAmount: null,
+    createdAt: () => new Date().toISOString()
+  }
+});
+
+tableMapperRegistry.register('PaymentCenterBudgets', {
+  versioned: true,
+  // Budget columns are TEXT in the database
+  types: {
+    paymentCenterId: 'string',
+    programId: 'string',
+    year: 'string',
+    budget: 'string',
+    createdAt: 'timestamp',
+    updatedAt: 'timestamp'
+  },
+  defaults: {
+    budgetVersion: 'Original'
+  }
+});
+
+tableMapperRegistry.register('Users', {
+  versioned: true,
+  columns: {
+    lastLogin: 'last_login',
+    ...SNAKE_CASE_TIMESTAMPS
+  },
+  types: {
+    permissions: 'csv',
+    paymentCenters: 'csv',
+    lastLogin: 'timestamp'
+  }
+});
+
+tableMapperRegistry.register('AuditLog', {
+  types: {
+    timestamp: 'timestamp'
+  }
+});
+
+['Programs', 'PaymentCenters', 'PaymentTypes', 'ExpenseStatus'].forEach(table => {
+  tableMapperRegistry.register(table, {
+    versioned: true,
+    columns: { ...SNAKE_CASE_TIMESTAMPS }
+  });
+});
+
+export { TYPE_COERCERS };
+export default tableMapperRegistry;
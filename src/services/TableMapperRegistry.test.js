@@ -0,0 +1,98 @@
+import tableMapperRegistry from './TableMapperRegistry';
+
+// Every collection the app stores, and whether its rows carry a version
+const TABLES = {
+  Expenses: true,
+  Suppliers: true,
+  JournalEntries: true,
+  JournalTemplates: true,
+  JournalLines: false,
+  ChartOfAccounts: true,
+  AccountingPeriods: true,
+  Schedules: true,
+  ApprovalRules: true,
+  SegregationRules: true,
+  Attachments: true,
+  ExchangeRates: true,
+  MatchSettings: true,
+  OrganisationSettings: true,
+  PurchaseOrders: true,
+  PaymentCenterBudgets: true,
+  Users: true,
+  AuditLog: false,
+  Programs: true,
+  PaymentCenters: true,
+  PaymentTypes: true,
+  ExpenseStatus: true
+};
+
+describe('registered tables', () => {
+  test.each(Object.entries(TABLES))('maps %s to its table and back', (table, versioned) => {
+    expect(tableMapperRegistry.isVersioned(table)).toBe(versioned);
+
+    // Versions are sent as integers; other tables pass them through as given
+    const row = tableMapperRegistry.toDb(table, { id: 'R1', version: '2' }, { partial: true });
+    expect(row).toEqual(expect.objectContaining({ id: 'R1', version: versioned ? 2 : '2' }));
+    expect(tableMapperRegistry.toApp(table, row)).toEqual(expect.objectContaining({ id: 'R1', version: row.version }));
+  });
+
+  test('renames columns and coerces types', () => {
+    const row = tableMapperRegistry.toDb('Users', {
+      id: 'U1',
+      permissions: ['read', 'write'],
+      lastLogin: '2026-10-18T01:00:00Z',
+      createdAt: '2026-10-01T00:00:00Z'
+    }, { partial: true });
+
+    expect(row).toEqual({
+      id: 'U1',
+      permissions: 'read,write',
+      last_login: '2026-10-18T01:00:00.000Z',
+      created_at: '2026-10-01T00:00:00Z'
+    });
+    expect(tableMapperRegistry.toApp('Users', { ...row, paymentCenters: '3, 4' })).toEqual({
+      id: 'U1',
+      permissions: ['read', 'write'],
+      paymentCenters: ['3', '4'],
+      lastLogin: '2026-10-18T01:00:00.000Z',
+      createdAt: '2026-10-01T00:00:00Z'
+    });
+    expect(tableMapperRegistry.toDbColumn('Users', 'lastLogin')).toBe('last_login');
+  });
+
+  test('sends only known expense fields and resolves aliases', () => {
+    const row = tableMapperRegistry.toDb('Expenses', {
+      id: 'E1',
+      amount: '12.50',
+      supplierId: '7',
+      paymentCenterId: 3,
+      date: '2026-10-18',
+      supplierName: 'Acme'
+    });
+
+    expect(row).toEqual(expect.objectContaining({ id: 'E1', amount: 12.5, supplier: '7', paymentCenter: 3, status: 'Committed', version: 1 }));
+    expect(row).not.toHaveProperty('supplierName');
+    expect(row).not.toHaveProperty('supplierId');
+
+    const record = tableMapperRegistry.toApp('Expenses', row);
+    expect(record.supplierId).toBe('7');
+    expect(record.paymentCenterId).toBe(3);
+    expect(tableMapperRegistry.toDbColumn('Expenses', 'supplierId')).toBe('supplier');
+  });
+
+  test('leaves out defaults on partial updates', () => {
+    expect(tableMapperRegistry.toDb('Expenses', { amount: 5 }, { partial: true })).toEqual({ amount: 5 });
+  });
+});
+
+describe('unknown tables', () => {
+  test('pass records through unchanged', () => {
+    const record = { id: 'X1', someField: 'value', createdAt: '2026-10-18' };
+
+    expect(tableMapperRegistry.isVersioned('Unknown')).toBe(false);
+    expect(tableMapperRegistry.toDb('Unknown', record)).toEqual(record);
+    expect(tableMapperRegistry.toApp('Unknown', record)).toEqual(record);
+    expect(tableMapperRegistry.toDbColumn('Unknown', 'someField')).toBe('someField');
+    expect(tableMapperRegistry.toApp('Unknown', null)).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+// src/utils/AllocationHelper.js
+import { v4 as uuidv4 } from 'uuid';
+
+// Allocated amounts within a cent of the total are accepted
+const TOLERANCE = 0.01;
+
+const toNumber = (value) => parseFloat(value) || 0;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Utility for expense allocations: splitting one expense across payment
+ * centers and programs. A line is entered either as a percentage or as an
+ * amount (its basis); the other value follows the expense total.
+ */
+class AllocationHelper {
+  /**
+   * A new allocation line
+   * @param {Object} values - Initial values (paymentCenter, program, percentage...)
+   * @returns {Object} Allocation line
+   */
+  createLine(values = {}) {
+    return {
+      id: uuidv4(),
+      paymentCenter: '',
+      program: '',
+      basis: 'percentage',
+      percentage: '',
+      amount: '',
+      ...values
+    };
+  }
+
+  /**
+   * Whether an expense is split across more than one coding
+   * @param {Object} expense - Expense
+   * @returns {boolean} True if the expense has allocation lines
+   */
+  isSplit(expense) {
+    return (expense?.allocations || []).length > 0;
+  }
+
+  /**
+   * The coding lines an expense's amount is reported against. Expenses that
+   * are not split give a single line for their paymentCenter and program.
+   * @param {Object} expense - Expense
+   * @returns {Array} [{ paymentCenter, program, amount }] with string IDs
+   */
+  getAllocations(expense) {
+    if (!this.isSplit(expense)) {
+      return [{
+        paymentCenter: String(expense.paymentCenter ?? ''),
+        program: String(expense.program ?? ''),
+        amount: toNumber(expense.amount)
+      }];
+    }
+
+    return expense.allocations.map(line => ({
+      paymentCenter: String(line.paymentCenter ?? ''),
+      program: String(line.program ?? ''),
+      amount: toNumber(line.amount)
+    }));
+  }
+
+  /**
+   * Work out each line's amount and percentage from its basis and the total.
+   * Rounding differences on percentage lines go to the last of them.
+   * @param {Array} lines - Allocation lines
+   * @param {number|string} total - Expense amount
+   * @returns {Array} Lines with numeric percentage and amount
+   */
+  resolve(lines = [], total) {
+    const amount = toNumber(total);
+    const resolved = lines.map(line => {
+      if (line.basis === 'amount') {
+        const lineAmount = round(toNumber(line.amount));
+        return { ...line, amount: lineAmount, percentage: amount ? round(lineAmount / amount * 100) : 0 };
+      }
+      const percentage = toNumber(line.percentage);
+      return { ...line, percentage, amount: round(amount * percentage / 100) };
+    });
+
+    // Percentages adding to 100 should allocate exactly the total
+    const percentageLines = resolved.filter(line => line.basis !== 'amount');
+    const percentageTotal = percentageLines.reduce((sum, line) => sum + line.percentage, 0);
+    const amountTotal = resolved.reduce((sum, line) => sum + line.amount, 0);
+    if (percentageLines.length > 0 && Math.abs(percentageTotal - 100) < 0.0001) {
+      const last = percentageLines[percentageLines.length - 1];
+      last.amount = round(last.amount + amount - amountTotal);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Total allocated by the lines
+   * @param {Array} lines - Resolved allocation lines
+   * @returns {number} Allocated amount
+   */
+  getAllocated(lines = []) {
+    return round(lines.reduce((sum, line) => sum + toNumber(line.amount), 0));
+  }
+
+  /**
+   * Check allocation lines against the expense amount
+   * @param {Array} lines - Resolved allocation lines
+   * @param {number|string} total - Expense amount
+   * @returns {string|null} Error message, or null if the lines are valid
+   */
+  validate(lines = [], total) {
+    if (lines.length === 0) return null;
+    if (lines.length < 2) return 'A split needs at least two allocation lines';
+    if (lines.some(line => !line.paymentCenter)) return 'Every allocation line needs a payment center';
+    if (lines.some(line => toNumber(line.amount) <= 0)) return 'Every allocation line needs an amount above zero';
+
+    const codings = lines.map(line => `${line.paymentCenter}|${line.program || ''}`);
+    if (new Set(codings).size !== codings.length) {
+      return 'Each payment center and program can only appear once';
+    }
+
+    const allocated = this.getAllocated(lines);
+    if (round(Math.abs(allocated - toNumber(total))) > TOLERANCE) {
+      return `Allocations add up to ${allocated.toFixed(2)}, not the expense amount of ${toNumber(total).toFixed(2)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * The line with the largest amount, used as the expense's own coding
+   * @param {Array} lines - Resolved allocation lines
+   * @returns {Object|null} Allocation line
+   */
+  getPrimary(lines = []) {
+    return lines.reduce((largest, line) =>
+      (!largest || toNumber(line.amount) > toNumber(largest.amount) ? line : largest), null);
+  }
+
+  /**
+   * Allocation lines as saved on the expense
+   * @param {Array} lines - Resolved allocation lines
+   * @returns {Array} [{ id, paymentCenter, program, basis, percentage, amount }]
+   */
+  toRecord(lines = []) {
+    return lines.map(line => ({
+      id: line.id,
+      paymentCenter: line.paymentCenter,
+      program: line.program || '',
+      basis: line.basis === 'amount' ? 'amount' : 'percentage',
+      percentage: toNumber(line.percentage),
+      amount: round(toNumber(line.amount))
+    }));
+  }
+}
+
+export default new AllocationHelper();
@@ -0,0 +1,76 @@
+import allocationHelper from './AllocationHelper';
+
+const line = (values) => allocationHelper.createLine(values);
+
+describe('resolving lines', () => {
+  test('gives the rounding on percentage lines to the last of them', () => {
+    const resolved = allocationHelper.resolve([
+      line({ paymentCenter: '1', percentage: 33.33 }),
+      line({ paymentCenter: '2', percentage: 33.33 }),
+      line({ paymentCenter: '3', percentage: 33.34 })
+    ], 10);
+
+    expect(resolved.map(l => l.amount)).toEqual([3.33, 3.33, 3.34]);
+    expect(allocationHelper.getAllocated(resolved)).toBe(10);
+  });
+
+  test('allocates exactly the total when percentages add up to 100', () => {
+    [0.01, 99.99, 1234.57, 100000].forEach(total => {
+      const resolved = allocationHelper.resolve([
+        line({ paymentCenter: '1', percentage: 12.5 }),
+        line({ paymentCenter: '2', percentage: 30 }),
+        line({ paymentCenter: '3', percentage: 57.5 })
+      ], total);
+      expect(allocationHelper.getAllocated(resolved)).toBe(total);
+    });
+  });
+
+  test('works out percentages of amount lines without adjusting them', () => {
+    const resolved = allocationHelper.resolve([
+      line({ paymentCenter: '1', basis: 'amount', amount: '30' }),
+      line({ paymentCenter: '2', percentage: 60 })
+    ], 90);
+
+    expect(resolved[0]).toEqual(expect.objectContaining({ amount: 30, percentage: 33.33 }));
+    expect(resolved[1].amount).toBe(54);
+  });
+});
+
+describe('checking lines', () => {
+  const valid = [
+    { paymentCenter: '1', program: '', amount: 60 },
+    { paymentCenter: '2', program: '', amount: 40 }
+  ];
+
+  test('accepts lines adding up to the expense within a cent', () => {
+    expect(allocationHelper.validate(valid, 100)).toBeNull();
+    expect(allocationHelper.validate(valid, 100.01)).toBeNull();
+    expect(allocationHelper.validate(valid, 100.05)).toMatch(/not the expense amount/);
+    expect(allocationHelper.validate([], 100)).toBeNull();
+  });
+
+  test('rejects single, uncoded, empty and repeated lines', () => {
+    expect(allocationHelper.validate(valid.slice(0, 1), 60)).toMatch(/at least two/);
+    expect(allocationHelper.validate([...valid, { paymentCenter: '', amount: 0 }], 100)).toMatch(/payment center/);
+    expect(allocationHelper.validate([valid[0], { paymentCenter: '2', amount: 0 }], 60)).toMatch(/above zero/);
+    expect(allocationHelper.validate([valid[0], { ...valid[0] }], 120)).toMatch(/only appear once/);
+  });
+});
+
+describe('reporting codings', () => {
+  test('reports an unsplit expense against its own coding', () => {
+    expect(allocationHelper.getAllocations({ paymentCenter: 4, program: null, amount: '25.5' }))
+      .toEqual([{ paymentCenter: '4', program: '', amount: 25.5 }]);
+  });
+
+  test('reports a split expense against its lines, largest first as primary', () => {
+    const expense = {
+      paymentCenter: 1,
+      amount: 100,
+      allocations: [{ paymentCenter: 1, program: 'P1', amount: 40 }, { paymentCenter: 2, amount: 60 }]
+    };
+
+    expect(allocationHelper.getAllocations(expense).map(a => a.paymentCenter)).toEqual(['1', '2']);
+    expect(allocationHelper.getPrimary(expense.allocations).paymentCenter).toBe(2);
+  });
+});
@@ -0,0 +1,261 @@
+// src/utils/ApprovalWorkflow.js
+import allocationHelper from './AllocationHelper';
+
+// Approver levels a rule can require, lowest first
+export const APPROVER_ROLES = [
+  { value: 'manager', label: 'Manager (approve permission)' },
+  { value: 'admin', label: 'Administrator' }
+];
+
+// Expense approval states
+export const APPROVAL_STATUSES = {
+  'not-required': { label: 'No approval needed', color: 'default' },
+  pending: { label: 'Awaiting approval', color: 'warning' },
+  approved: { label: 'Approved', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' }
+};
+
+/**
+ * Thrown by DataContext when an expense moves past Committed before it is approved
+ */
+export class ApprovalRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApprovalRequiredError';
+  }
+}
+
+/**
+ * Utility for multi-level expense approval. Rules say which approver level an expense
+ * needs once its amount is over a threshold, optionally for one payment center only;
+ * an expense needs one step per matching rule, approved in order by different people.
+ */
+class ApprovalWorkflow {
+  /**
+   * Active rules that apply to an expense, lowest threshold first. A payment
+   * center rule applies to a split expense allocated to that center.
+   * @param {Object} expense - Expense record
+   * @param {Array} rules - ApprovalRules records
+   * @returns {Array} Matching rules
+   */
+  getMatchingRules(expense, rules = []) {
+    const amount = parseFloat(expense.amount) || 0;
+    const rank = (role) => APPROVER_ROLES.findIndex(r => r.value === role);
+    const centers = [
+      String(expense.paymentCenter ?? ''),
+      ...allocationHelper.getAllocations(expense).map(allocation => allocation.paymentCenter)
+    ];
+
+    return rules
+      .filter(rule => rule.active !== false)
+      .filter(rule => amount > (parseFloat(rule.minAmount) || 0))
+      .filter(rule => !rule.paymentCenter || centers.includes(String(rule.paymentCenter)))
+      .sort((a, b) =>
+        (parseFloat(a.minAmount) || 0) - (parseFloat(b.minAmount) || 0) ||
+        rank(a.requiredRole) - rank(b.requiredRole)
+      );
+  }
+
+  /**
+   * Fresh approval fields for an expense: one pending step per matching rule
+   * @param {Object} expense - Expense record
+   * @param {Array} rules - ApprovalRules records
+   * @returns {Object} { approvalStatus, approvalSteps, rejectionReason }
+   */
+  initialize(expense, rules = []) {
+    const steps = this.getMatchingRules(expense, rules).map((rule, index) => ({
+      level: index + 1,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      requiredRole: rule.requiredRole,
+      status: 'pending',
+      approver: null,
+      actedAt: null,
+      reason: null
+    }));
+
+    return {
+      approvalStatus: steps.length > 0 ? 'pending' : 'not-required',
+      approvalSteps: steps,
+      rejectionReason: null
+    };
+  }
+
+  /**
+   * Whether an edit means the approval has to start again: the amount, payment
+   * center or allocation of a split expense changed, or a rejected expense is
+   * being resubmitted
+   * @param {Object} before - Expense before the edit
+   * @param {Object} after - Expense after the edit
+   * @returns {boolean} True if the steps should be rebuilt
+   */
+  needsReapproval(before, after) {
+    if (!before) return true;
+    if (before.approvalStatus === 'rejected') return true;
+    if ((parseFloat(before.amount) || 0) !== (parseFloat(after.amount) || 0)) return true;
+    if (String(before.paymentCenter || '') !== String(after.paymentCenter || '')) return true;
+
+    // Amount charged to each payment center
+    const charged = (expense) => JSON.stringify(allocationHelper.getAllocations(expense)
+      .map(allocation => [allocation.paymentCenter, allocation.amount])
+      .sort((a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]));
+    return charged(before) !== charged(after);
+  }
+
+  /**
+   * Whether an expense may move past Committed. Expenses from before the workflow
+   * existed have no approval status and are treated as cleared.
+   * @param {Object} expense - Expense record
+   * @returns {boolean} True if approved or no approval is needed
+   */
+  isCleared(expense) {
+    return !expense.approvalStatus ||
+      expense.approvalStatus === 'approved' ||
+      expense.approvalStatus === 'not-required';
+  }
+
+  /**
+   * The first step still waiting for a decision
+   * @param {Object} expense - Expense record
+   * @returns {Object|null} Step
+   */
+  getCurrentStep(expense) {
+    if (expense.approvalStatus !== 'pending') return null;
+    return (expense.approvalSteps || []).find(step => step.status === 'pending') || null;
+  }
+
+  /**
+   * Whether a user can act on the current step of an expense
+   * @param {Object} expense - Expense record
+   * @param {Object} approver - { username, isAdmin, canApprove }
+   * @returns {Object} { allowed, message }
+   */
+  canAct(expense, approver) {
+    const step = this.getCurrentStep(expense);
+    if (!step) {
+      return { allowed: false, message: 'This expense is not awaiting approval.' };
+    }
+
+    if (step.requiredRole === 'admin' ? !approver.isAdmin : !(approver.canApprove || approver.isAdmin)) {
+      const label = (APPROVER_ROLES.find(r => r.value === step.requiredRole) || {}).label || step.requiredRole;
+      return { allowed: false, message: `Step ${step.level} needs approval by: ${label}.` };
+    }
+
+    // Each level is a separate check, so one person cannot approve two of them
+    const alreadyApproved = (expense.approvalSteps || [])
+      .some(s => s.status === 'approved' && s.approver === approver.username);
+    if (alreadyApproved) {
+      return { allowed: false, message: 'You have already approved an earlier step of this expense.' };
+    }
+
+    return { allowed: true, message: '' };
+  }
+
+  /**
+   * Updates that approve the current step
+   * @param {Object} expense - Expense record
+   * @param {Object} approver - { username, isAdmin, canApprove }
+   * @returns {Object} { updates, step } or { error }
+   */
+  approve(expense, approver) {
+    const check = this.canAct(expense, approver);
+    if (!check.allowed) return { error: check.message };
+
+    const current = this.getCurrentStep(expense);
+    const actedAt = new Date().toISOString();
+    const approvalSteps = expense.approvalSteps.map(step => (
+      step.level === current.level ?
+        { ...step, status: 'approved', approver: approver.username, actedAt } :
+        step
+    ));
+
+    return {
+      step: current,
+      updates: {
+        approvalSteps,
+        approvalStatus: approvalSteps.every(step => step.status === 'approved') ? 'approved' : 'pending'
+      }
+    };
+  }
+
+  /**
+   * Updates that reject the current step (and so the expense)
+   * @param {Object} expense - Expense record
+   * @param {Object} approver - { username, isAdmin, canApprove }
+   * @param {string} reason - Why the expense was rejected
+   * @returns {Object} { updates, step } or { error }
+   */
+  reject(expense, approver, reason) {
+    if (!reason || !reason.trim()) return { error: 'A reason is required to reject an expense.' };
+
+    const check = this.canAct(expense, approver);
+    if (!check.allowed) return { error: check.message };
+
+    const current = this.getCurrentStep(expense);
+    const actedAt = new Date().toISOString();
+
+    return {
+      step: current,
+      updates: {
+        approvalSteps: expense.approvalSteps.map(step => (
+          step.level === current.level ?
+            { ...step, status: 'rejected', approver: approver.username, actedAt, reason: reason.trim() } :
+            step
+        )),
+        approvalStatus: 'rejected',
+        rejectionReason: reason.trim()
+      }
+    };
+  }
+
+  /**
+   * Expenses whose current step the user can act on
+   * @param {Array} expenses - Expense records
+   * @param {Object} approver - { username, isAdmin, canApprove }
+   * @returns {Array} Expenses awaiting this user
+   */
+  getAwaiting(expenses = [], approver) {
+    return expenses.filter(expense => this.canAct(expense, approver).allowed);
+  }
+
+  /**
+   * Short progress label, e.g. "Awaiting approval (1 of 2)"
+   * @param {Object} expense - Expense record
+   * @returns {string} Label
+   */
+  getProgressLabel(expense) {
+    const status = APPROVAL_STATUSES[expense.approvalStatus];
+    if (!status) return '';
+    if (expense.approvalStatus !== 'pending') return status.label;
+
+    const steps = expense.approvalSteps || [];
+    const done = steps.filter(step => step.status === 'approved').length;
+    return `${status.label} (${done} of ${steps.length})`;
+  }
+
+  /**
+   * Validate an approval rule before it is saved
+   * @param {Object} rule - Rule to save
+   * @returns {Array} Error messages
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule.name || !rule.name.trim()) {
+      errors.push('Name is required');
+    }
+
+    const minAmount = parseFloat(rule.minAmount);
+    if (isNaN(minAmount) || minAmount < 0) {
+      errors.push('Threshold must be zero or more');
+    }
+
+    if (!APPROVER_ROLES.some(role => role.value === rule.requiredRole)) {
+      errors.push('Approver level is required');
+    }
+
+    return errors;
+  }
+}
+
+export default new ApprovalWorkflow();
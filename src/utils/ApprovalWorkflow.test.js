@@ -0,0 +1,107 @@
+import approvalWorkflow from './ApprovalWorkflow';
+
+const rules = [
+  { id: 'R2', name: 'Large', minAmount: '5000', requiredRole: 'admin' },
+  { id: 'R1', name: 'Standard', minAmount: 1000, requiredRole: 'manager' },
+  { id: 'R3', name: 'Centre 7', minAmount: 0, requiredRole: 'manager', paymentCenter: 7 },
+  { id: 'R4', name: 'Retired', minAmount: 0, requiredRole: 'manager', active: false }
+];
+
+const manager = { username: 'mia', canApprove: true, isAdmin: false };
+const otherManager = { username: 'omar', canApprove: true, isAdmin: false };
+const admin = { username: 'ada', canApprove: true, isAdmin: true };
+
+describe('thresholds', () => {
+  test('needs a step for each rule the amount is over, lowest first', () => {
+    const ids = (expense) => approvalWorkflow.getMatchingRules(expense, rules).map(rule => rule.id);
+
+    expect(ids({ amount: 1000, paymentCenter: 1 })).toEqual([]);
+    expect(ids({ amount: '1000.01', paymentCenter: 1 })).toEqual(['R1']);
+    expect(ids({ amount: 6000, paymentCenter: 1 })).toEqual(['R1', 'R2']);
+  });
+
+  test('applies payment center rules to split expenses charged to the center', () => {
+    const split = { amount: 500, paymentCenter: 1, allocations: [{ paymentCenter: 1, amount: 300 }, { paymentCenter: 7, amount: 200 }] };
+
+    expect(approvalWorkflow.getMatchingRules({ amount: 500, paymentCenter: '7' }, rules).map(rule => rule.id)).toEqual(['R3']);
+    expect(approvalWorkflow.getMatchingRules(split, rules).map(rule => rule.id)).toEqual(['R3']);
+  });
+
+  test('starts with a pending step per rule, or no approval at all', () => {
+    expect(approvalWorkflow.initialize({ amount: 6000, paymentCenter: 1 }, rules)).toEqual({
+      approvalStatus: 'pending',
+      approvalSteps: [
+        expect.objectContaining({ level: 1, ruleId: 'R1', requiredRole: 'manager', status: 'pending' }),
+        expect.objectContaining({ level: 2, ruleId: 'R2', requiredRole: 'admin', status: 'pending' })
+      ],
+      rejectionReason: null
+    });
+    expect(approvalWorkflow.initialize({ amount: 10, paymentCenter: 1 }, rules).approvalStatus).toBe('not-required');
+  });
+});
+
+describe('approving', () => {
+  const expense = { id: 'E1', amount: 6000, paymentCenter: 1, ...approvalWorkflow.initialize({ amount: 6000, paymentCenter: 1 }, rules) };
+
+  test('approves the steps in order', () => {
+    const first = approvalWorkflow.approve(expense, manager);
+    expect(first.step.level).toBe(1);
+    expect(first.updates.approvalStatus).toBe('pending');
+
+    const afterFirst = { ...expense, ...first.updates };
+    expect(approvalWorkflow.getProgressLabel(afterFirst)).toBe('Awaiting approval (1 of 2)');
+    expect(approvalWorkflow.approve(afterFirst, otherManager).error).toMatch(/Step 2 needs approval by: Administrator/);
+
+    const second = approvalWorkflow.approve(afterFirst, admin);
+    expect(second.updates.approvalStatus).toBe('approved');
+    expect(second.updates.approvalSteps.map(step => step.approver)).toEqual(['mia', 'ada']);
+    expect(approvalWorkflow.isCleared({ ...afterFirst, ...second.updates })).toBe(true);
+  });
+
+  test('needs a different approver for each step', () => {
+    const first = approvalWorkflow.approve(expense, admin);
+    const afterFirst = { ...expense, ...first.updates };
+
+    expect(approvalWorkflow.canAct(afterFirst, admin)).toEqual({
+      allowed: false,
+      message: 'You have already approved an earlier step of this expense.'
+    });
+    expect(approvalWorkflow.getAwaiting([afterFirst], admin)).toEqual([]);
+  });
+
+  test('does not clear an expense that is still pending', () => {
+    expect(approvalWorkflow.isCleared(expense)).toBe(false);
+    expect(approvalWorkflow.isCleared({ amount: 10 })).toBe(true);
+  });
+});
+
+describe('rejecting', () => {
+  const expense = { id: 'E1', amount: 6000, paymentCenter: 1, ...approvalWorkflow.initialize({ amount: 6000, paymentCenter: 1 }, rules) };
+
+  test('needs a reason', () => {
+    expect(approvalWorkflow.reject(expense, manager, '  ').error).toMatch(/reason is required/);
+  });
+
+  test('rejects the expense and starts the approval again when it is resubmitted', () => {
+    const approved = { ...expense, ...approvalWorkflow.approve(expense, manager).updates };
+    const rejected = { ...approved, ...approvalWorkflow.reject(approved, admin, ' Over budget ').updates };
+
+    expect(rejected.approvalStatus).toBe('rejected');
+    expect(rejected.rejectionReason).toBe('Over budget');
+    expect(approvalWorkflow.getCurrentStep(rejected)).toBeNull();
+
+    expect(approvalWorkflow.needsReapproval(rejected, rejected)).toBe(true);
+    const resubmitted = approvalWorkflow.initialize(rejected, rules);
+    expect(resubmitted.approvalStatus).toBe('pending');
+    expect(resubmitted.approvalSteps.map(step => [step.status, step.approver])).toEqual([['pending', null], ['pending', null]]);
+    expect(approvalWorkflow.canAct({ ...rejected, ...resubmitted }, manager).allowed).toBe(true);
+  });
+
+  test('starts again when the amount or coding changes', () => {
+    const approved = { ...expense, approvalStatus: 'approved' };
+
+    expect(approvalWorkflow.needsReapproval(approved, { ...approved, description: 'Edited' })).toBe(false);
+    expect(approvalWorkflow.needsReapproval(approved, { ...approved, amount: '6000.5' })).toBe(true);
+    expect(approvalWorkflow.needsReapproval(approved, { ...approved, paymentCenter: 2 })).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+// src/utils/AttachmentHelper.js
+
+// Storage bucket holding every attachment
+export const ATTACHMENT_BUCKET = 'attachments';
+
+// Entities that can hold attachments
+export const ATTACHMENT_ENTITIES = ['Expenses', 'JournalEntries', 'Suppliers'];
+
+// Document kinds; an expense counts as having its invoice once an 'Invoice' is attached
+export const ATTACHMENT_CATEGORIES = ['Invoice', 'Receipt', 'Contract', 'Other'];
+
+// PDFs and images only, up to 10 MB
+const ALLOWED_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_SIZE = 10 * 1024 * 1024;
+
+// Expense statuses at which an invoice is expected
+const INVOICED_STATUSES = ['Invoiced', 'Paid'];
+
+/**
+ * Utility for attachments: validation, hashing, storage paths and lookups
+ */
+class AttachmentHelper {
+  /**
+   * Check a file before it is uploaded
+   * @param {File} file - Selected file
+   * @returns {string|null} Error message, or null if the file can be uploaded
+   */
+  validate(file) {
+    if (!file) return 'No file selected';
+    if (!ALLOWED_TYPES.includes(file.type)) return `${file.name} is not a PDF or image`;
+    if (file.size > MAX_SIZE) return `${file.name} is larger than ${this.formatSize(MAX_SIZE)}`;
+    return null;
+  }
+
+  /**
+   * SHA-256 of a file's contents as hex
+   * @param {Blob} file - File to hash
+   * @returns {Promise<string>} Hash
+   */
+  async hash(file) {
+    const buffer = await file.arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Storage path for an attachment
+   * @param {string} entityType - Collection the entity belongs to
+   * @param {string} entityId - Entity ID
+   * @param {string} id - Attachment ID
+   * @param {string} fileName - Original file name
+   * @returns {string} Path inside the bucket
+   */
+  buildPath(entityType, entityId, id, fileName) {
+    const safeName = String(fileName).replace(/[^a-zA-Z0-9._-]+/g, '_');
+    return `${entityType}/${entityId}/${id}-${safeName}`;
+  }
+
+  /**
+   * Attachments belonging to an entity, newest first
+   * @param {Array} attachments - All attachments
+   * @param {string} entityType - Collection name
+   * @param {string} entityId - Entity ID
+   * @returns {Array} Attachments
+   */
+  getForEntity(attachments = [], entityType, entityId) {
+    return attachments
+      .filter(attachment => attachment.entityType === entityType && String(attachment.entityId) === String(entityId))
+      .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+  }
+
+  /**
+   * Whether an invoiced or paid expense is missing its invoice
+   * @param {Object} expense - Expense
+   * @returns {boolean} True if an invoice is expected but none is attached
+   */
+  isMissingInvoice(expense) {
+    return INVOICED_STATUSES.includes(expense.status) && !expense.hasInvoice;
+  }
+
+  /**
+   * Whether the file can be previewed in the browser
+   * @param {Object} attachment - Attachment
+   * @returns {string|null} 'pdf', 'image' or null
+   */
+  getPreviewType(attachment) {
+    if (attachment.contentType === 'application/pdf') return 'pdf';
+    if (String(attachment.contentType).startsWith('image/')) return 'image';
+    return null;
+  }
+
+  /**
+   * Human-readable file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. '1.2 MB'
+   */
+  formatSize(bytes) {
+    const size = parseFloat(bytes) || 0;
+    if (size >= 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    if (size >= 1024) return `${Math.round(size / 1024)} KB`;
+    return `${size} B`;
+  }
+}
+
+export default new AttachmentHelper();
@@ -0,0 +1,60 @@
+import attachmentHelper from './AttachmentHelper';
+
+const file = (name, type, size = 1024) => ({ name, type, size });
+
+describe('uploads', () => {
+  test('accepts PDFs and images up to 10 MB', () => {
+    expect(attachmentHelper.validate(file('invoice.pdf', 'application/pdf'))).toBeNull();
+    expect(attachmentHelper.validate(file('receipt.jpg', 'image/jpeg', 10 * 1024 * 1024))).toBeNull();
+  });
+
+  test('rejects other file types and larger files', () => {
+    expect(attachmentHelper.validate(file('notes.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')))
+      .toBe('notes.docx is not a PDF or image');
+    expect(attachmentHelper.validate(file('scan.png', 'image/png', 10 * 1024 * 1024 + 1))).toBe('scan.png is larger than 10.0 MB');
+    expect(attachmentHelper.validate(null)).toBe('No file selected');
+  });
+
+  test('stores files under their entity with a safe name', () => {
+    expect(attachmentHelper.buildPath('Expenses', 'E1', 'a1', 'Tax invoice #42 (final).pdf'))
+      .toBe('Expenses/E1/a1-Tax_invoice_42_final_.pdf');
+    expect(attachmentHelper.buildPath('Suppliers', 7, 'a2', 'contract.pdf')).toBe('Suppliers/7/a2-contract.pdf');
+  });
+});
+
+describe('lookups', () => {
+  const attachments = [
+    { id: 'a1', entityType: 'Expenses', entityId: 'E1', uploadedAt: '2026-10-01T09:00:00Z' },
+    { id: 'a2', entityType: 'Expenses', entityId: 'E2', uploadedAt: '2026-10-02T09:00:00Z' },
+    { id: 'a3', entityType: 'Expenses', entityId: 'E1', uploadedAt: '2026-10-03T09:00:00Z' },
+    { id: 'a4', entityType: 'JournalEntries', entityId: 'E1', uploadedAt: '2026-10-04T09:00:00Z' },
+    { id: 'a5', entityType: 'Suppliers', entityId: 3, uploadedAt: '2026-10-05T09:00:00Z' }
+  ];
+
+  test('finds the attachments of one entity, newest first', () => {
+    expect(attachmentHelper.getForEntity(attachments, 'Expenses', 'E1').map(a => a.id)).toEqual(['a3', 'a1']);
+    expect(attachmentHelper.getForEntity(attachments, 'Suppliers', '3').map(a => a.id)).toEqual(['a5']);
+    expect(attachmentHelper.getForEntity(attachments, 'Expenses', 'E9')).toEqual([]);
+  });
+
+  test('expects an invoice once an expense is invoiced or paid', () => {
+    expect(attachmentHelper.isMissingInvoice({ status: 'Invoiced' })).toBe(true);
+    expect(attachmentHelper.isMissingInvoice({ status: 'Paid', hasInvoice: true })).toBe(false);
+    expect(attachmentHelper.isMissingInvoice({ status: 'Committed' })).toBe(false);
+  });
+});
+
+describe('display', () => {
+  test('previews PDFs and images only', () => {
+    expect(attachmentHelper.getPreviewType({ contentType: 'application/pdf' })).toBe('pdf');
+    expect(attachmentHelper.getPreviewType({ contentType: 'image/webp' })).toBe('image');
+    expect(attachmentHelper.getPreviewType({ contentType: 'text/csv' })).toBeNull();
+    expect(attachmentHelper.getPreviewType({})).toBeNull();
+  });
+
+  test('formats sizes', () => {
+    expect(attachmentHelper.formatSize(512)).toBe('512 B');
+    expect(attachmentHelper.formatSize(1536)).toBe('2 KB');
+    expect(attachmentHelper.formatSize(1.25 * 1024 * 1024)).toBe('1.3 MB');
+  });
+});
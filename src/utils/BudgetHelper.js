@@ -0,0 +1,205 @@
+// src/utils/BudgetHelper.js
+import allocationHelper from './AllocationHelper';
+import fiscalCalendar, { DEFAULT_START_MONTH } from './FiscalCalendar';
+
+// Budget versions offered for every year. Other names can be added in the budget form.
+export const BUDGET_VERSIONS = ['Original', 'Revised Q2', 'Forecast'];
+
+// Version of budget rows saved before versions existed
+export const DEFAULT_VERSION = 'Original';
+
+// Budget periods per year; month 0 is the first month of the financial year
+const MONTH_COUNT = 12;
+
+const toNumber = (value) => parseFloat(value) || 0;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Utility for PaymentCenterBudgets: named versions, monthly phasing and
+ * budget vs actual by month. A budget row is one payment center (and
+ * optionally one program) for one financial year and version; its months hold
+ * the phased amounts from the first month of the financial year (see
+ * FiscalCalendar) and budget holds the annual total.
+ */
+class BudgetHelper {
+  /**
+   * Version a budget row belongs to
+   * @param {Object} budget - PaymentCenterBudgets record
+   * @returns {string} Version name
+   */
+  getVersion(budget) {
+    return budget?.budgetVersion || DEFAULT_VERSION;
+  }
+
+  /**
+   * ID of the budget row for a payment center, program, year and version. The
+   * Original payment center row keeps the ID used before versions existed.
+   * @param {string} paymentCenterId - Payment center ID
+   * @param {string} programId - Program ID, or '' for the payment center row
+   * @param {string} year - Budget year
+   * @param {string} version - Version name
+   * @returns {string} Budget ID
+   */
+  getBudgetId(paymentCenterId, programId, year, version = DEFAULT_VERSION) {
+    const programPart = programId ? `-p${programId}` : '';
+    const versionPart = version === DEFAULT_VERSION ? '' :
+      `-${version.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+    return `budget-${paymentCenterId}${programPart}-${year}${versionPart}`;
+  }
+
+  /**
+   * Version names to offer: the standard versions, then any others in use
+   * @param {Array} budgets - PaymentCenterBudgets records
+   * @returns {Array} Version names
+   */
+  getVersions(budgets = []) {
+    const custom = budgets.map(budget => this.getVersion(budget)).filter(version => !BUDGET_VERSIONS.includes(version));
+    return [...BUDGET_VERSIONS, ...new Set(custom)];
+  }
+
+  /**
+   * The most recent version with budgets for a year, in the order versions are
+   * offered (so a Forecast supersedes Revised Q2, which supersedes Original)
+   * @param {Array} budgets - PaymentCenterBudgets records
+   * @param {string} year - Budget year
+   * @returns {string} Version name
+   */
+  getLatestVersion(budgets = [], year) {
+    const inYear = new Set(this.forYear(budgets, year).map(budget => this.getVersion(budget)));
+    return this.getVersions(budgets).filter(version => inYear.has(version)).pop() || DEFAULT_VERSION;
+  }
+
+  /**
+   * Budget rows for a year, optionally limited to one version
+   * @param {Array} budgets - PaymentCenterBudgets records
+   * @param {string} year - Budget year
+   * @param {string} version - Version name (all versions if omitted)
+   * @returns {Array} Budget rows
+   */
+  forYear(budgets = [], year, version) {
+    return budgets.filter(budget =>
+      String(budget.year) === String(year) &&
+      (!version || this.getVersion(budget) === version)
+    );
+  }
+
+  /**
+   * Monthly amounts of an empty budget
+   * @returns {Array} 12 zero amounts
+   */
+  emptyMonths() {
+    return Array(MONTH_COUNT).fill(0);
+  }
+
+  /**
+   * Spread an annual amount evenly over the months. The last month takes the
+   * rounding so the months add up to the amount.
+   * @param {number|string} amount - Annual amount
+   * @returns {Array} 12 monthly amounts
+   */
+  spreadEvenly(amount) {
+    const annual = round(toNumber(amount));
+    const monthly = Math.floor((annual / MONTH_COUNT) * 100) / 100;
+    const months = Array(MONTH_COUNT).fill(monthly);
+    months[months.length - 1] = round(annual - monthly * (months.length - 1));
+    return months;
+  }
+
+  /**
+   * Monthly amounts of a budget row. Rows saved before phasing existed are
+   * spread evenly.
+   * @param {Object} budget - PaymentCenterBudgets record
+   * @returns {Array} 12 monthly amounts
+   */
+  getMonths(budget) {
+    if (Array.isArray(budget?.months) && budget.months.length === MONTH_COUNT) {
+      return budget.months.map(toNumber);
+    }
+    return this.spreadEvenly(budget?.budget);
+  }
+
+  /**
+   * Total of monthly amounts
+   * @param {Array} months - Monthly amounts
+   * @returns {number} Annual total
+   */
+  getAnnual(months = []) {
+    return round(months.reduce((sum, amount) => sum + toNumber(amount), 0));
+  }
+
+  /**
+   * Phased budget by payment center and program for a year and version
+   * @param {Array} budgets - PaymentCenterBudgets records
+   * @param {Object} options - { year, version, startMonth, today }; startMonth is the financial year start (1-12)
+   * @returns {Object} { [paymentCenterId]: { annual, ytd, months, programs: { [programId]: { annual, ytd, months } } } },
+   *   where programs[''] is budget not set against a program
+   */
+  summarize(budgets = [], { year, version, startMonth = DEFAULT_START_MONTH, today = new Date() } = {}) {
+    const elapsed = fiscalCalendar.getElapsedMonths(year, startMonth, today);
+    const centers = {};
+
+    const add = (target, months) => {
+      months.forEach((amount, index) => {
+        target.months[index] = round(target.months[index] + amount);
+      });
+      target.annual = this.getAnnual(target.months);
+      target.ytd = this.getAnnual(target.months.slice(0, elapsed));
+    };
+    const empty = () => ({ annual: 0, ytd: 0, months: this.emptyMonths() });
+
+    this.forYear(budgets, year, version).forEach(budget => {
+      const centerId = String(budget.paymentCenterId);
+      const programId = String(budget.programId || '');
+      const months = this.getMonths(budget);
+
+      if (!centers[centerId]) centers[centerId] = { ...empty(), programs: {} };
+      if (!centers[centerId].programs[programId]) centers[centerId].programs[programId] = empty();
+
+      add(centers[centerId], months);
+      add(centers[centerId].programs[programId], months);
+    });
+
+    return centers;
+  }
+
+  /**
+   * Budget, actual spend and variance for each month of a budget year
+   * @param {Object} summary - Result of summarize
+   * @param {Array} expenses - Expenses (all statuses count as spend)
+   * @param {Object} options - { year, paymentCenterId, startMonth, today }; all payment centers if paymentCenterId is omitted
+   * @returns {Array} [{ month, label, budget, actual, variance, elapsed }]; variance is budget less actual
+   */
+  buildMonthlyVariance(summary = {}, expenses = [], { year, paymentCenterId, startMonth = DEFAULT_START_MONTH, today = new Date() } = {}) {
+    const elapsed = fiscalCalendar.getElapsedMonths(year, startMonth, today);
+    const centerIds = paymentCenterId ? [String(paymentCenterId)] : Object.keys(summary);
+    const rows = fiscalCalendar.getMonthLabels(startMonth).map((label, month) => ({
+      month,
+      label,
+      budget: centerIds.reduce((sum, id) => sum + (summary[id]?.months[month] || 0), 0),
+      actual: 0,
+      elapsed: month < elapsed
+    }));
+
+    expenses.forEach(expense => {
+      const date = String(expense.date || '');
+      if (!/^\d{4}-\d{2}/.test(date) || fiscalCalendar.getFiscalYear(date, startMonth) !== parseInt(year, 10)) return;
+
+      const row = rows[fiscalCalendar.getMonthIndex(date, startMonth)];
+
+      allocationHelper.getAllocations(expense).forEach(allocation => {
+        if (!paymentCenterId || allocation.paymentCenter === String(paymentCenterId)) {
+          row.actual += allocation.amount;
+        }
+      });
+    });
+
+    return rows.map(row => ({
+      ...row,
+      budget: round(row.budget),
+      actual: round(row.actual),
+      variance: round(row.budget - row.actual)
+    }));
+  }
+}
+
+export default new BudgetHelper();
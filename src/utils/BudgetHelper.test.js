@@ -0,0 +1,73 @@
+import budgetHelper, { DEFAULT_VERSION } from './BudgetHelper';
+
+const sum = (months) => Math.round(months.reduce((total, amount) => total + amount, 0) * 100) / 100;
+
+describe('phasing', () => {
+  test('puts the rounding in the last month', () => {
+    const months = budgetHelper.spreadEvenly(100);
+    expect(months.slice(0, 11).every(amount => amount === 8.33)).toBe(true);
+    expect(months[11]).toBe(8.37);
+    expect(sum(months)).toBe(100);
+  });
+
+  test('always adds up to the annual amount', () => {
+    [0, 0.05, 1, 999.99, 12345.67, '5000'].forEach(amount => {
+      const months = budgetHelper.spreadEvenly(amount);
+      expect(months).toHaveLength(12);
+      expect(sum(months)).toBe(parseFloat(amount));
+    });
+  });
+
+  test('spreads rows saved without months', () => {
+    expect(budgetHelper.getMonths({ budget: 1200 })).toEqual(Array(12).fill(100));
+    expect(budgetHelper.getMonths({ budget: 1200, months: [1200, ...Array(11).fill(0)] })[0]).toBe(1200);
+  });
+});
+
+describe('versions', () => {
+  test('keeps the original ID for the Original version', () => {
+    expect(budgetHelper.getBudgetId('3', '', '2027')).toBe('budget-3-2027');
+    expect(budgetHelper.getBudgetId('3', '9', '2027', 'Revised Q2')).toBe('budget-3-p9-2027-revised-q2');
+  });
+
+  test('picks the latest version with budgets for the year', () => {
+    const budgets = [
+      { year: '2027' },
+      { year: '2027', budgetVersion: 'Revised Q2' },
+      { year: '2026', budgetVersion: 'Forecast' }
+    ];
+    expect(budgetHelper.getLatestVersion(budgets, '2027')).toBe('Revised Q2');
+    expect(budgetHelper.getLatestVersion(budgets, '2028')).toBe(DEFAULT_VERSION);
+  });
+});
+
+describe('budget against actual', () => {
+  // July financial year; 18 October 2026 is four months into 2027
+  const options = { year: '2027', startMonth: 7, today: new Date(2026, 9, 18) };
+  const budgets = [
+    { paymentCenterId: 1, year: '2027', months: Array(12).fill(100) },
+    { paymentCenterId: 1, programId: 5, year: '2027', months: Array(12).fill(50) },
+    { paymentCenterId: 1, year: '2027', budgetVersion: 'Forecast', months: Array(12).fill(999) }
+  ];
+
+  test('totals the year to date from the financial year start', () => {
+    const summary = budgetHelper.summarize(budgets, { ...options, version: DEFAULT_VERSION });
+    expect(summary['1'].annual).toBe(1800);
+    expect(summary['1'].ytd).toBe(600);
+    expect(summary['1'].programs['5'].ytd).toBe(200);
+    expect(summary['1'].programs[''].annual).toBe(1200);
+  });
+
+  test('places spend in the month of its financial year', () => {
+    const summary = budgetHelper.summarize(budgets, { ...options, version: DEFAULT_VERSION });
+    const rows = budgetHelper.buildMonthlyVariance(summary, [
+      { date: '2026-07-01', amount: 40, paymentCenter: 1 },
+      { date: '2026-06-30', amount: 500, paymentCenter: 1 },
+      { date: '2027-06-30', amount: 10, allocations: [{ paymentCenter: 1, amount: 6 }, { paymentCenter: 2, amount: 4 }] }
+    ], { ...options, paymentCenterId: 1 });
+
+    expect(rows[0]).toEqual(expect.objectContaining({ label: 'Jul', budget: 150, actual: 40, variance: 110, elapsed: true }));
+    expect(rows[11]).toEqual(expect.objectContaining({ label: 'Jun', actual: 6, elapsed: false }));
+    expect(sum(rows.map(row => row.actual))).toBe(46);
+  });
+});
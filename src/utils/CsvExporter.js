@@ -1,4 +1,5 @@
 // src/utils/CsvExporter.js
+import fiscalCalendar, { DEFAULT_START_MONTH } from './FiscalCalendar';
 
 /**
  * Utility for CSV export functionality
@@ -125,8 +126,9 @@ class CsvExporter {
      * @param {Array} paymentCenters - Array of payment centers for lookup
      * @param {Array} paymentTypes - Array of payment types for lookup
      * @param {string} filename - Optional filename
+     * @param {number} startMonth - Financial year start month (1-12)
      */
-    exportExpensesToCsv(expenses, suppliers, programs, paymentCenters, paymentTypes, filename = 'KIOSC_Expenses.csv') {
+    exportExpensesToCsv(expenses, suppliers, programs, paymentCenters, paymentTypes, filename = 'KIOSC_Expenses.csv', startMonth = DEFAULT_START_MONTH) {
       // Helper functions to get names from IDs
       const getSupplierName = (id) => {
         const supplier = suppliers.find(s => s.id === id);
@@ -154,7 +156,16 @@ class CsvExporter {
         date: 'Date',
         description: 'Description',
         supplier: 'Supplier',
-        amount: 'Amount',
+        amount: 'Amount (AUD)',
+        currency: 'Currency',
+        originalAmount: 'Original Amount',
+        exchangeRate: 'Exchange Rate',
+        rateDate: 'Rate Date',
+        taxCode: 'Tax Code',
+        amountExGst: 'Amount ex GST',
+        gstAmount: 'GST',
+        withholdingAmount: 'Withheld (No ABN)',
+        isCapital: 'Capital Purchase',
         paymentType: 'Payment Type',
         paymentCenter: 'Payment Center',
         program: 'Program',
@@ -163,7 +174,9 @@ class CsvExporter {
         invoiceDate: 'Invoice Date',
         paymentDate: 'Payment Date',
         createdBy: 'Created By',
-        createdAt: 'Created At'
+        createdAt: 'Created At',
+        financialYear: 'Financial Year',
+        financialQuarter: 'Financial Quarter'
       };
       
       // Process data to replace IDs with names
@@ -172,7 +185,8 @@ class CsvExporter {
         supplier: getSupplierName(expense.supplier),
         program: getProgramName(expense.program),
         paymentCenter: getPaymentCenterName(expense.paymentCenter),
-        paymentType: getPaymentTypeName(expense.paymentType)
+        paymentType: getPaymentTypeName(expense.paymentType),
+        ...this.financialPeriodColumns(expense.date, startMonth)
       }));
       
       // Convert to CSV
@@ -187,8 +201,9 @@ class CsvExporter {
    * @param {Array} programs - Array of programs for lookup
    * @param {Array} paymentCenters - Array of payment centers for lookup
    * @param {string} filename - Optional filename
+   * @param {number} startMonth - Financial year start month (1-12)
    */
-exportJournalsToCsv(journals, programs, paymentCenters, filename = 'KIOSC_JournalEntries.csv') {
+exportJournalsToCsv(journals, programs, paymentCenters, filename = 'KIOSC_JournalEntries.csv', startMonth = DEFAULT_START_MONTH) {
     // Get program name by ID
     const getProgramName = (id) => {
       const program = programs.find(p => String(p.id) === String(id));
@@ -220,7 +235,9 @@ exportJournalsToCsv(journals, programs, paymentCenters, filename = 'KIOSC_Journa
       approvedAt: 'Approved At',
       rejectedBy: 'Rejected By',
       rejectedAt: 'Rejected At',
-      reason: 'Rejection Reason'
+      reason: 'Rejection Reason',
+      financialYear: 'Financial Year',
+      financialQuarter: 'Financial Quarter'
     };
     
     // Process data to replace IDs with names
@@ -229,7 +246,8 @@ exportJournalsToCsv(journals, programs, paymentCenters, filename = 'KIOSC_Journa
       fromProgram: getProgramName(journal.fromProgram),
       toProgram: getProgramName(journal.toProgram),
       fromPaymentCenter: getPaymentCenterName(journal.fromPaymentCenter),
-      toPaymentCenter: getPaymentCenterName(journal.toPaymentCenter)
+      toPaymentCenter: getPaymentCenterName(journal.toPaymentCenter),
+      ...this.financialPeriodColumns(journal.date, startMonth)
     }));
     
     // Convert to CSV
@@ -239,6 +257,145 @@ exportJournalsToCsv(journals, programs, paymentCenters, filename = 'KIOSC_Journa
     this.downloadCsv(csvString, filename);
   }
 
+  /**
+   * Financial year and quarter columns for a dated record
+   * @param {string} date - Record date (yyyy-MM-dd)
+   * @param {number} startMonth - Financial year start month (1-12)
+   * @returns {Object} { financialYear, financialQuarter }, empty for an undated record
+   */
+  financialPeriodColumns(date, startMonth = DEFAULT_START_MONTH) {
+    if (!/^\d{4}-\d{2}/.test(String(date || ''))) return { financialYear: '', financialQuarter: '' };
+    return {
+      financialYear: fiscalCalendar.getYearLabel(fiscalCalendar.getFiscalYear(date, startMonth), startMonth),
+      financialQuarter: `Q${fiscalCalendar.getQuarter(date, startMonth)}`
+    };
+  }
+
+  /**
+   * Proof line appended to report CSVs
+   * @param {Object} proof - { debit, credit, difference, balanced }
+   * @returns {string} CSV row
+   */
+  balanceProofRow(proof) {
+    return proof.balanced ?
+      `"Debits equal credits",${proof.debit},${proof.credit}\n` :
+      `"NOT BALANCED - difference ${proof.difference}",${proof.debit},${proof.credit}\n`;
+  }
+
+  /**
+   * Export a trial balance to CSV
+   * @param {Object} report - Trial balance from FinancialReports.buildTrialBalance
+   * @param {string} filename - Optional filename
+   */
+  exportTrialBalanceToCsv(report, filename = 'KIOSC_TrialBalance.csv') {
+    const rows = [
+      ...report.rows.map(row => ({
+        code: row.code,
+        name: row.name,
+        type: row.type,
+        totalDebit: row.totalDebit,
+        totalCredit: row.totalCredit,
+        debit: row.debit,
+        credit: row.credit
+      })),
+      {
+        code: '',
+        name: 'Totals',
+        type: '',
+        ...report.totals
+      }
+    ];
+    
+    const headers = ['Code', 'Account', 'Type', 'Total Debits', 'Total Credits', 'Debit Balance', 'Credit Balance'];
+    const csvString = this.objectsToCsv(rows, headers) + this.balanceProofRow(report.proof);
+    
+    this.downloadCsv(csvString, filename);
+  }
+
+  /**
+   * Export debit/credit totals per payment center or program to CSV
+   * @param {Object} report - Totals from FinancialReports.buildDebitCreditTotals
+   * @param {string} dimensionLabel - Column heading, e.g. 'Payment Center'
+   * @param {string} filename - Optional filename
+   */
+  exportDebitCreditTotalsToCsv(report, dimensionLabel = 'Payment Center', filename = 'KIOSC_DebitCreditTotals.csv') {
+    const rows = [
+      ...report.rows.map(row => ({
+        name: row.name,
+        lines: row.lines,
+        debit: row.debit,
+        credit: row.credit,
+        net: row.net
+      })),
+      {
+        name: 'Totals',
+        ...report.totals
+      }
+    ];
+    
+    const headers = [dimensionLabel, 'Lines', 'Debits', 'Credits', 'Net (DR - CR)'];
+    const csvString = this.objectsToCsv(rows, headers) + this.balanceProofRow(report.proof);
+    
+    this.downloadCsv(csvString, filename);
+  }
+
+  /**
+   * Export a GST summary to CSV: BAS labels, then totals per tax code
+   * @param {Object} summary - Summary from GstHelper.buildSummary
+   * @param {string} filename - Optional filename
+   */
+  exportGstSummaryToCsv(summary, filename = 'KIOSC_GstSummary.csv') {
+    const labelRows = [
+      { label: 'G10', description: 'Capital purchases (GST inclusive)', amount: summary.labels.G10 },
+      { label: 'G11', description: 'Non-capital purchases (GST inclusive)', amount: summary.labels.G11 },
+      { label: 'G14', description: 'Purchases without GST in the price', amount: summary.labels.G14 },
+      { label: '1B', description: 'GST on purchases', amount: summary.labels['1B'] },
+      { label: 'W4', description: 'Amounts withheld where no ABN quoted', amount: summary.labels.W4 }
+    ];
+    
+    const codeRows = [
+      ...summary.byTaxCode.map(row => ({ code: row.code, name: row.label, count: row.count, gross: row.gross, gst: row.gst })),
+      { code: '', name: 'Uncoded', count: summary.uncoded.count, gross: summary.uncoded.gross, gst: 0 }
+    ];
+    
+    const csvString = this.objectsToCsv(labelRows, ['Label', 'Description', 'Amount']) +
+      '\n' +
+      this.objectsToCsv(codeRows, ['Tax Code', 'Description', 'Expenses', 'Gross', 'GST']);
+    
+    this.downloadCsv(csvString, filename);
+  }
+
+  /**
+   * Export the program budget report to CSV, one row per payment center and program
+   * @param {Object} report - Result of FinancialReports.buildProgramBudgetReport
+   * @param {string} filename - Filename for the CSV file
+   */
+  exportProgramBudgetToCsv(report, filename = 'KIOSC_ProgramBudget.csv') {
+    const amounts = (row) => ({
+      budget: row.budget,
+      committed: row.committed,
+      invoiced: row.invoiced,
+      paid: row.paid,
+      transfersIn: row.transfersIn,
+      transfersOut: row.transfersOut,
+      remaining: row.remaining
+    });
+    
+    const rows = [
+      ...report.centers.flatMap(center => [
+        ...center.programs.map(program => ({ paymentCenter: center.name, program: program.name, ...amounts(program) })),
+        { paymentCenter: center.name, program: 'Total', ...amounts(center) }
+      ]),
+      { paymentCenter: 'Totals', program: '', ...amounts(report.totals) }
+    ];
+    
+    const csvString = this.objectsToCsv(rows, [
+      'Payment Center', 'Program', 'Budget', 'Committed', 'Invoiced', 'Paid', 'Transfers In', 'Transfers Out', 'Remaining'
+    ]);
+    
+    this.downloadCsv(csvString, filename);
+  }
+
 }
 
   
@@ -0,0 +1,170 @@
+// src/utils/CurrencyHelper.js
+
+// Currency that budgets and reports are kept in
+export const BASE_CURRENCY = 'AUD';
+
+// Currencies expenses and suppliers can use
+export const CURRENCIES = ['AUD', 'USD', 'NZD', 'GBP', 'EUR'];
+
+const toNumber = (value) => parseFloat(value) || 0;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Thrown by DataContext when a foreign-currency expense has no exchange rate
+ * on or before its date
+ */
+export class ExchangeRateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExchangeRateError';
+  }
+}
+
+/**
+ * Utility for multi-currency expenses. Exchange rates are AUD per one unit of
+ * the foreign currency, effective from their date until the next rate.
+ * An expense's amount is always in the base currency; originalAmount and
+ * currency hold what was invoiced.
+ */
+class CurrencyHelper {
+  /**
+   * Format an amount in a currency
+   * @param {number} amount - Amount
+   * @param {string} currency - ISO currency code
+   * @returns {string} e.g. 'USD 1,200.00'
+   */
+  format(amount, currency = BASE_CURRENCY) {
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: currency || BASE_CURRENCY }).format(amount || 0);
+  }
+
+  /**
+   * Whether an expense was invoiced in a currency other than the base currency
+   * @param {Object} expense - Expense
+   * @returns {boolean} True for foreign-currency expenses
+   */
+  isForeign(expense) {
+    return Boolean(expense?.currency) && expense.currency !== BASE_CURRENCY;
+  }
+
+  /**
+   * The amount as invoiced, with its currency
+   * @param {Object} expense - Expense
+   * @returns {string} Formatted original amount
+   */
+  formatOriginal(expense) {
+    return this.isForeign(expense) ?
+      this.format(expense.originalAmount, expense.currency) :
+      this.format(expense.amount);
+  }
+
+  /**
+   * Rate in effect for a currency on a date: the latest rate dated on or before it
+   * @param {Array} rates - ExchangeRates records
+   * @param {string} currency - Foreign currency
+   * @param {string} date - Transaction date (yyyy-MM-dd)
+   * @returns {Object|null} Rate record, or null if there is none
+   */
+  findRate(rates = [], currency, date) {
+    if (!currency || currency === BASE_CURRENCY) return { currency: BASE_CURRENCY, date, rate: 1 };
+
+    const day = String(date || '').slice(0, 10);
+    return rates
+      .filter(rate => rate.currency === currency && (!day || String(rate.date) <= day) && toNumber(rate.rate) > 0)
+      .reduce((latest, rate) => (!latest || String(rate.date) > String(latest.date) ? rate : latest), null);
+  }
+
+  /**
+   * Base-currency amount of a foreign amount
+   * @param {number|string} amount - Amount in the foreign currency
+   * @param {string} currency - Foreign currency
+   * @param {string} date - Transaction date
+   * @param {Array} rates - ExchangeRates records
+   * @returns {number|null} Amount in the base currency, or null if there is no rate
+   */
+  toBase(amount, currency, date, rates = []) {
+    const rate = this.findRate(rates, currency, date);
+    return rate ? round(toNumber(amount) * toNumber(rate.rate)) : null;
+  }
+
+  /**
+   * Base-currency fields of an expense from its original amount, currency and date
+   * @param {Object} expense - Expense with originalAmount (or amount), currency and date
+   * @param {Array} rates - ExchangeRates records
+   * @returns {Object} { currency, originalAmount, exchangeRate, rateDate, amount }
+   * @throws {ExchangeRateError} If a foreign currency has no rate for the date
+   */
+  convert(expense, rates = []) {
+    const currency = expense.currency || BASE_CURRENCY;
+    const originalAmount = round(toNumber(expense.originalAmount ?? expense.amount));
+
+    if (currency === BASE_CURRENCY) {
+      return { currency, originalAmount, exchangeRate: 1, rateDate: null, amount: originalAmount };
+    }
+
+    const rate = this.findRate(rates, currency, expense.date);
+    if (!rate) {
+      throw new ExchangeRateError(
+        `There is no ${currency} exchange rate on or before ${expense.date}. Add one in Settings before saving this expense.`
+      );
+    }
+
+    return {
+      currency,
+      originalAmount,
+      exchangeRate: toNumber(rate.rate),
+      rateDate: rate.date,
+      amount: round(originalAmount * toNumber(rate.rate))
+    };
+  }
+
+  /**
+   * Allocation lines entered in the original currency, restated in the base
+   * currency. The last line takes any rounding so the lines add up to the total.
+   * @param {Array} allocations - Allocation lines
+   * @param {number} exchangeRate - AUD per unit of the original currency
+   * @param {number} total - Expense amount in the base currency
+   * @returns {Array} Allocation lines
+   */
+  convertAllocations(allocations = [], exchangeRate, total) {
+    if (allocations.length === 0) return allocations;
+
+    const converted = allocations.map(line => ({ ...line, amount: round(toNumber(line.amount) * exchangeRate) }));
+    const difference = round(toNumber(total) - converted.reduce((sum, line) => sum + line.amount, 0));
+    const last = converted[converted.length - 1];
+    last.amount = round(last.amount + difference);
+    return converted;
+  }
+
+  /**
+   * Parse exchange rates from CSV text with currency, date and rate columns.
+   * A header row is optional.
+   * @param {string} text - CSV text
+   * @returns {Object} { rates: [{ currency, date, rate }], errors: [string] }
+   */
+  parseRatesCsv(text) {
+    const rates = [];
+    const errors = [];
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+      const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+      if (cells.every(cell => cell === '')) return;
+      if (index === 0 && /currency/i.test(cells[0])) return;
+
+      const [currency, date, rate] = cells;
+      const code = String(currency || '').toUpperCase();
+      if (!CURRENCIES.includes(code) || code === BASE_CURRENCY) {
+        errors.push(`Line ${index + 1}: unknown currency "${currency}"`);
+      } else if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        errors.push(`Line ${index + 1}: date must be yyyy-MM-dd`);
+      } else if (!(parseFloat(rate) > 0)) {
+        errors.push(`Line ${index + 1}: rate must be a positive number`);
+      } else {
+        rates.push({ currency: code, date, rate: parseFloat(rate) });
+      }
+    });
+
+    return { rates, errors };
+  }
+}
+
+export default new CurrencyHelper();
@@ -0,0 +1,79 @@
+import currencyHelper, { ExchangeRateError } from './CurrencyHelper';
+
+const rates = [
+  { currency: 'USD', date: '2026-09-01', rate: 1.5 },
+  { currency: 'USD', date: '2026-10-01', rate: '1.52' },
+  { currency: 'USD', date: '2026-10-10', rate: 0 },
+  { currency: 'NZD', date: '2026-10-05', rate: 0.9 }
+];
+
+describe('exchange rates', () => {
+  test('uses the latest rate dated on or before the expense', () => {
+    expect(currencyHelper.findRate(rates, 'USD', '2026-09-30').rate).toBe(1.5);
+    expect(currencyHelper.findRate(rates, 'USD', '2026-10-01T09:00:00').rate).toBe('1.52');
+    expect(currencyHelper.findRate(rates, 'USD', '2026-10-15').rate).toBe('1.52');
+  });
+
+  test('has no rate before the first one or for another currency', () => {
+    expect(currencyHelper.findRate(rates, 'USD', '2026-08-31')).toBeNull();
+    expect(currencyHelper.findRate(rates, 'GBP', '2026-10-15')).toBeNull();
+    expect(currencyHelper.toBase(100, 'NZD', '2026-10-01', rates)).toBeNull();
+  });
+
+  test('treats the base currency as a rate of one', () => {
+    expect(currencyHelper.findRate([], 'AUD', '2026-10-01').rate).toBe(1);
+    expect(currencyHelper.toBase('12.345', null, '2026-10-01')).toBe(12.35);
+  });
+});
+
+describe('converting expenses', () => {
+  test('restates a foreign amount in the base currency', () => {
+    expect(currencyHelper.convert({ currency: 'USD', originalAmount: '200', date: '2026-10-02' }, rates)).toEqual({
+      currency: 'USD',
+      originalAmount: 200,
+      exchangeRate: 1.52,
+      rateDate: '2026-10-01',
+      amount: 304
+    });
+  });
+
+  test('keeps base-currency amounts as entered', () => {
+    expect(currencyHelper.convert({ amount: 99.999, date: '2026-10-02' })).toEqual({
+      currency: 'AUD',
+      originalAmount: 100,
+      exchangeRate: 1,
+      rateDate: null,
+      amount: 100
+    });
+  });
+
+  test('refuses a foreign expense without a rate', () => {
+    const convert = () => currencyHelper.convert({ currency: 'USD', originalAmount: 10, date: '2026-08-01' }, rates);
+    expect(convert).toThrow(ExchangeRateError);
+    expect(convert).toThrow(/no USD exchange rate on or before 2026-08-01/);
+  });
+
+  test('gives the allocation rounding to the last line', () => {
+    const lines = currencyHelper.convertAllocations([{ amount: 33.33 }, { amount: 33.33 }, { amount: 33.34 }], 1.333, 133.3);
+    expect(lines.map(line => line.amount)).toEqual([44.43, 44.43, 44.44]);
+    expect(currencyHelper.convertAllocations([], 1.5, 10)).toEqual([]);
+  });
+});
+
+describe('importing rates', () => {
+  test('reads rows with an optional header and reports bad ones', () => {
+    const { rates: parsed, errors } = currencyHelper.parseRatesCsv(
+      'Currency,Date,Rate\nusd,2026-10-01,1.52\n"NZD","2026-10-01","0.9"\nAUD,2026-10-01,1\nUSD,1/10/2026,1.5\nUSD,2026-10-02,-1\n\n'
+    );
+
+    expect(parsed).toEqual([
+      { currency: 'USD', date: '2026-10-01', rate: 1.52 },
+      { currency: 'NZD', date: '2026-10-01', rate: 0.9 }
+    ]);
+    expect(errors).toEqual([
+      'Line 4: unknown currency "AUD"',
+      'Line 5: date must be yyyy-MM-dd',
+      'Line 6: rate must be a positive number'
+    ]);
+  });
+});
@@ -155,6 +155,64 @@ class DataValidator {
     };
   }
   
+  /**
+   * Validate a chart of accounts entry
+   * @param {Object} account - The account object to validate
+   * @param {Array} accounts - Existing accounts, used for code uniqueness and the parent chain
+   * @returns {Object} Result with isValid flag and errors array
+   */
+  validateAccount(account, accounts = []) {
+    const errors = [];
+    
+    // Required fields
+    if (!account.code || String(account.code).trim() === '') {
+      errors.push('Account code is required');
+    } else if (accounts.some(other => 
+      other.id !== account.id && 
+      String(other.code).trim().toLowerCase() === String(account.code).trim().toLowerCase()
+    )) {
+      errors.push(`Account code ${account.code} is already in use`);
+    }
+    
+    if (!account.name || account.name.trim() === '') {
+      errors.push('Account name is required');
+    }
+    
+    if (!['asset', 'liability', 'equity', 'income', 'expense'].includes(account.type)) {
+      errors.push('Account type is required');
+    }
+    
+    // Parent must exist, share the type and not create a loop
+    if (account.parent) {
+      const findAccount = (id) => accounts.find(other => String(other.id) === String(id));
+      const parent = findAccount(account.parent);
+      
+      if (!parent) {
+        errors.push('Parent account does not exist');
+      } else {
+        if (parent.type !== account.type) {
+          errors.push('Parent account must be of the same type');
+        }
+        
+        let ancestor = parent;
+        const visited = new Set();
+        while (ancestor && !visited.has(ancestor.id)) {
+          if (String(ancestor.id) === String(account.id)) {
+            errors.push('An account cannot be its own parent or ancestor');
+            break;
+          }
+          visited.add(ancestor.id);
+          ancestor = ancestor.parent ? findAccount(ancestor.parent) : null;
+        }
+      }
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+  
   /**
    * Validate user data
    * @param {Object} user - The user object to validate
@@ -0,0 +1,158 @@
+// src/utils/DutySegregation.js
+import allocationHelper from './AllocationHelper';
+
+// Segregation-of-duties rules. Each one can be switched off in Settings; the
+// payment center rule is off until users have payment centers assigned, and the
+// approver rule is off for teams where one manager both approves and pays.
+export const SEGREGATION_RULES = [
+  {
+    id: 'journal-creator-approver',
+    label: 'Journal creator cannot approve it',
+    actions: ['approve-journal'],
+    defaultEnabled: true
+  },
+  {
+    id: 'expense-creator-approver',
+    label: 'Expense creator cannot approve it',
+    actions: ['approve-expense'],
+    defaultEnabled: true
+  },
+  {
+    id: 'expense-creator-payer',
+    label: 'Expense creator cannot mark it paid',
+    actions: ['pay-expense'],
+    defaultEnabled: true
+  },
+  {
+    id: 'expense-approver-payer',
+    label: 'Expense approver cannot mark it paid',
+    actions: ['pay-expense'],
+    defaultEnabled: false
+  },
+  {
+    id: 'own-payment-center',
+    label: 'No one approves entries for their own payment centers',
+    actions: ['approve-journal', 'approve-expense'],
+    defaultEnabled: false
+  }
+];
+
+// What each checked action does, for messages
+const ACTION_LABELS = {
+  'approve-journal': 'approve this journal entry',
+  'approve-expense': 'approve this expense',
+  'pay-expense': 'mark this expense as paid'
+};
+
+/**
+ * Thrown by DataContext when a write breaks a segregation-of-duties rule
+ */
+export class SegregationError extends Error {
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join(' '));
+    this.name = 'SegregationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Utility for segregation-of-duties checks: who may approve or pay a record
+ * given who created it and which payment centers they are responsible for
+ */
+class DutySegregation {
+  /**
+   * Whether a rule is switched on
+   * @param {string} ruleId - Rule ID
+   * @param {Array} settings - SegregationRules records ({ id, enabled })
+   * @returns {boolean} True if the rule is enforced
+   */
+  isEnabled(ruleId, settings = []) {
+    const setting = settings.find(s => s.id === ruleId);
+    if (setting) return setting.enabled !== false;
+    return (SEGREGATION_RULES.find(rule => rule.id === ruleId) || {}).defaultEnabled === true;
+  }
+
+  /**
+   * The checked action a write amounts to, if any
+   * @param {string} collection - Collection name
+   * @param {Object} existing - Record before the write
+   * @param {Object} updates - Changes being written
+   * @returns {string|null} 'approve-journal', 'pay-expense' or null
+   */
+  getAction(collection, existing, updates) {
+    if (!updates.status || updates.status === existing.status) return null;
+    if (collection === 'JournalEntries' && updates.status === 'Approved') return 'approve-journal';
+    if (collection === 'Expenses' && updates.status === 'Paid') return 'pay-expense';
+    return null;
+  }
+
+  /**
+   * Payment centers a record is charged to, including every center a split
+   * expense is allocated to
+   * @param {Object} record - Expense or journal (with lines)
+   * @returns {Array} Payment center IDs as strings
+   */
+  getPaymentCenters(record) {
+    const centers = record.lines ?
+      record.lines.map(line => line.paymentCenter) :
+      [record.paymentCenter, ...allocationHelper.getAllocations(record).map(allocation => allocation.paymentCenter)];
+    return [...new Set(centers.filter(Boolean).map(String))];
+  }
+
+  /**
+   * Parse a user's payment centers (csv string or array)
+   * @param {Object} user - Current user
+   * @returns {Array} Payment center IDs as strings
+   */
+  getUserPaymentCenters(user) {
+    const value = user?.paymentCenters || [];
+    const centers = typeof value === 'string' ? value.split(',') : value;
+    return centers.map(center => String(center).trim()).filter(Boolean);
+  }
+
+  /**
+   * Rules a user would break by performing an action on a record
+   * @param {string} action - 'approve-journal', 'approve-expense' or 'pay-expense'
+   * @param {Object} record - Expense or journal
+   * @param {Object} user - Current user
+   * @param {Array} settings - SegregationRules records
+   * @returns {Array} [{ ruleId, message }]
+   */
+  check(action, record, user, settings = []) {
+    const username = user?.username;
+    const actionLabel = ACTION_LABELS[action] || action;
+    const violations = [];
+
+    SEGREGATION_RULES
+      .filter(rule => rule.actions.includes(action) && this.isEnabled(rule.id, settings))
+      .forEach(rule => {
+        if (rule.id === 'own-payment-center') {
+          const own = this.getUserPaymentCenters(user);
+          if (this.getPaymentCenters(record).some(center => own.includes(center))) {
+            violations.push({
+              ruleId: rule.id,
+              message: `You cannot ${actionLabel} because it is charged to a payment center you are responsible for.`
+            });
+          }
+        } else if (rule.id === 'expense-approver-payer') {
+          const approved = (record.approvalSteps || [])
+            .some(step => step.status === 'approved' && step.approver === username);
+          if (username && approved) {
+            violations.push({
+              ruleId: rule.id,
+              message: `You cannot ${actionLabel} because you approved it.`
+            });
+          }
+        } else if (username && record.createdBy === username) {
+          violations.push({
+            ruleId: rule.id,
+            message: `You cannot ${actionLabel} because you created it.`
+          });
+        }
+      });
+
+    return violations;
+  }
+}
+
+export default new DutySegregation();
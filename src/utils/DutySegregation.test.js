@@ -0,0 +1,114 @@
+import dutySegregation, { SegregationError } from './DutySegregation';
+
+const creator = { username: 'cara', paymentCenters: '' };
+const approver = { username: 'abe', paymentCenters: '3, 4' };
+const payer = { username: 'pat', paymentCenters: ['5'] };
+
+const expense = {
+  id: 'E1',
+  createdBy: 'cara',
+  paymentCenter: 1,
+  amount: 100,
+  status: 'Invoiced',
+  approvalStatus: 'approved',
+  approvalSteps: [{ level: 1, status: 'approved', approver: 'abe' }]
+};
+const journal = {
+  id: 'J1',
+  createdBy: 'cara',
+  status: 'Pending',
+  lines: [{ paymentCenter: 3 }, { paymentCenter: null }]
+};
+
+const ruleIds = (violations) => violations.map(violation => violation.ruleId);
+
+describe('checked actions', () => {
+  test('checks approving a journal and paying an expense', () => {
+    expect(dutySegregation.getAction('JournalEntries', journal, { status: 'Approved' })).toBe('approve-journal');
+    expect(dutySegregation.getAction('Expenses', expense, { status: 'Paid' })).toBe('pay-expense');
+    expect(dutySegregation.getAction('Expenses', { ...expense, status: 'Paid' }, { status: 'Paid', amount: 90 })).toBeNull();
+    expect(dutySegregation.getAction('Expenses', expense, { description: 'Edited' })).toBeNull();
+  });
+});
+
+describe('creator', () => {
+  test('cannot approve their own journal or expense', () => {
+    expect(dutySegregation.check('approve-journal', journal, creator)).toEqual([{
+      ruleId: 'journal-creator-approver',
+      message: 'You cannot approve this journal entry because you created it.'
+    }]);
+    expect(ruleIds(dutySegregation.check('approve-expense', expense, creator))).toEqual(['expense-creator-approver']);
+    expect(dutySegregation.check('approve-journal', journal, approver)).toEqual([]);
+  });
+
+  test('cannot pay their own expense', () => {
+    expect(ruleIds(dutySegregation.check('pay-expense', expense, creator))).toEqual(['expense-creator-payer']);
+    expect(dutySegregation.check('pay-expense', expense, payer)).toEqual([]);
+  });
+
+  test('can be allowed by switching the rule off', () => {
+    const settings = [{ id: 'expense-creator-payer', enabled: false }];
+    expect(dutySegregation.check('pay-expense', expense, creator, settings)).toEqual([]);
+  });
+});
+
+describe('approver', () => {
+  const settings = [{ id: 'expense-approver-payer', enabled: true }];
+
+  test('can pay an expense they approved unless the rule is on', () => {
+    expect(dutySegregation.isEnabled('expense-approver-payer')).toBe(false);
+    expect(dutySegregation.check('pay-expense', expense, approver)).toEqual([]);
+  });
+
+  test('cannot pay an expense they approved with the rule on', () => {
+    expect(dutySegregation.check('pay-expense', expense, approver, settings)).toEqual([{
+      ruleId: 'expense-approver-payer',
+      message: 'You cannot mark this expense as paid because you approved it.'
+    }]);
+    expect(dutySegregation.check('pay-expense', expense, payer, settings)).toEqual([]);
+  });
+
+  test('only counts steps they approved', () => {
+    const rejected = { ...expense, approvalSteps: [{ level: 1, status: 'rejected', approver: 'abe' }] };
+    expect(dutySegregation.check('pay-expense', rejected, approver, settings)).toEqual([]);
+  });
+});
+
+describe('own payment centers', () => {
+  const settings = [{ id: 'own-payment-center', enabled: true }];
+
+  test('is off until switched on', () => {
+    expect(dutySegregation.check('approve-journal', journal, approver)).toEqual([]);
+  });
+
+  test('stops approval of entries charged to a center the approver is responsible for', () => {
+    expect(dutySegregation.check('approve-journal', journal, approver, settings)).toEqual([{
+      ruleId: 'own-payment-center',
+      message: 'You cannot approve this journal entry because it is charged to a payment center you are responsible for.'
+    }]);
+    expect(dutySegregation.check('approve-journal', journal, payer, settings)).toEqual([]);
+  });
+
+  test('covers every center a split expense is allocated to', () => {
+    const split = { ...expense, allocations: [{ paymentCenter: 1, amount: 60 }, { paymentCenter: 4, amount: 40 }] };
+
+    expect(dutySegregation.getPaymentCenters(split)).toEqual(['1', '4']);
+    expect(ruleIds(dutySegregation.check('approve-expense', split, approver, settings))).toEqual(['own-payment-center']);
+    expect(dutySegregation.check('pay-expense', split, approver, settings)).toEqual([]);
+  });
+});
+
+describe('errors', () => {
+  test('joins the messages of every rule broken', () => {
+    const violations = dutySegregation.check('approve-expense', { ...expense, paymentCenter: 3, createdBy: 'abe' }, approver, [
+      { id: 'own-payment-center', enabled: true }
+    ]);
+    const error = new SegregationError(violations);
+
+    expect(ruleIds(error.violations)).toEqual(['expense-creator-approver', 'own-payment-center']);
+    expect(error.message).toBe(
+      'You cannot approve this expense because you created it. ' +
+      'You cannot approve this expense because it is charged to a payment center you are responsible for.'
+    );
+  });
+});
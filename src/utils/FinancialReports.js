@@ -0,0 +1,260 @@
+// src/utils/FinancialReports.js
+import generalLedger from './GeneralLedger';
+import budgetHelper from './BudgetHelper';
+import allocationHelper from './AllocationHelper';
+import purchaseOrderHelper from './PurchaseOrderHelper';
+import fiscalCalendar, { DEFAULT_START_MONTH } from './FiscalCalendar';
+
+// Amounts closer than this are treated as equal (rounding on cents)
+const BALANCE_TOLERANCE = 0.005;
+
+// Columns of the program budget report
+const PROGRAM_BUDGET_AMOUNTS = ['budget', 'committed', 'invoiced', 'paid', 'transfersIn', 'transfersOut', 'remaining'];
+
+/**
+ * Utility that aggregates posted (Approved) journal entries into period-end reports
+ */
+class FinancialReports {
+  /**
+   * Round to cents so totals compare cleanly
+   * @param {number} amount - Amount to round
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return Math.round((amount || 0) * 100) / 100;
+  }
+
+  /**
+   * Proof that debits equal credits
+   * @param {number} debit - Total debits
+   * @param {number} credit - Total credits
+   * @returns {Object} { debit, credit, difference, balanced }
+   */
+  buildProof(debit, credit) {
+    const difference = this.round(debit - credit);
+    return {
+      debit: this.round(debit),
+      credit: this.round(credit),
+      difference,
+      balanced: Math.abs(difference) < BALANCE_TOLERANCE
+    };
+  }
+
+  /**
+   * Trial balance for a date range: debit and credit movements per account and the
+   * net balance in the debit or credit column. Lines without an account are kept in
+   * an "Unassigned" row so the proof still covers every approved line.
+   * @param {Array} journals - Journal entries with nested lines
+   * @param {Array} accounts - Chart of accounts
+   * @param {Object} options - { dateFrom, dateTo } (yyyy-MM-dd, inclusive)
+   * @returns {Object} { rows, totals, proof, journalCount }
+   */
+  buildTrialBalance(journals = [], accounts = [], { dateFrom, dateTo } = {}) {
+    const postings = generalLedger.getPostings(journals, { dateFrom, dateTo });
+    const byAccount = {};
+
+    postings.forEach(posting => {
+      const key = posting.account ? String(posting.account) : '';
+      if (!byAccount[key]) {
+        byAccount[key] = { debit: 0, credit: 0 };
+      }
+      byAccount[key].debit += posting.debit;
+      byAccount[key].credit += posting.credit;
+    });
+
+    const rows = Object.entries(byAccount).map(([accountId, movement]) => {
+      const account = accounts.find(a => String(a.id) === accountId);
+      const net = this.round(movement.debit - movement.credit);
+
+      return {
+        accountId: accountId || null,
+        code: account ? account.code : '',
+        name: account ? account.name : (accountId ? 'Unknown account' : 'Unassigned'),
+        type: account ? account.type : '',
+        totalDebit: this.round(movement.debit),
+        totalCredit: this.round(movement.credit),
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0
+      };
+    }).sort((a, b) => {
+      // Unassigned and unknown accounts last
+      if (!a.code || !b.code) return a.code ? -1 : (b.code ? 1 : 0);
+      return String(a.code).localeCompare(String(b.code), undefined, { numeric: true });
+    });
+
+    const totals = rows.reduce((sum, row) => ({
+      totalDebit: sum.totalDebit + row.totalDebit,
+      totalCredit: sum.totalCredit + row.totalCredit,
+      debit: sum.debit + row.debit,
+      credit: sum.credit + row.credit
+    }), { totalDebit: 0, totalCredit: 0, debit: 0, credit: 0 });
+
+    return {
+      rows,
+      totals: {
+        totalDebit: this.round(totals.totalDebit),
+        totalCredit: this.round(totals.totalCredit),
+        debit: this.round(totals.debit),
+        credit: this.round(totals.credit)
+      },
+      proof: this.buildProof(totals.totalDebit, totals.totalCredit),
+      journalCount: new Set(postings.map(posting => posting.journalId)).size
+    };
+  }
+
+  /**
+   * Debit and credit totals per payment center or program for a date range
+   * @param {Array} journals - Journal entries with nested lines
+   * @param {string} dimension - 'paymentCenter' or 'program'
+   * @param {Array} lookup - Payment centers or programs, used for names
+   * @param {Object} options - { dateFrom, dateTo } (yyyy-MM-dd, inclusive)
+   * @returns {Object} { rows, totals, proof, journalCount }
+   */
+  buildDebitCreditTotals(journals = [], dimension, lookup = [], { dateFrom, dateTo } = {}) {
+    const postings = generalLedger.getPostings(journals, { dateFrom, dateTo });
+    const byKey = {};
+
+    postings.forEach(posting => {
+      const key = posting[dimension] ? String(posting[dimension]) : '';
+      if (!byKey[key]) {
+        byKey[key] = { debit: 0, credit: 0, lines: 0 };
+      }
+      byKey[key].debit += posting.debit;
+      byKey[key].credit += posting.credit;
+      byKey[key].lines += 1;
+    });
+
+    const rows = Object.entries(byKey).map(([id, movement]) => {
+      const item = lookup.find(entry => String(entry.id) === id);
+
+      return {
+        id: id || null,
+        name: item ? item.name : (id ? 'Unknown' : 'Not Specified'),
+        lines: movement.lines,
+        debit: this.round(movement.debit),
+        credit: this.round(movement.credit),
+        net: this.round(movement.debit - movement.credit)
+      };
+    }).sort((a, b) => {
+      if (!a.id || !b.id) return a.id ? -1 : (b.id ? 1 : 0);
+      return a.name.localeCompare(b.name);
+    });
+
+    const debit = rows.reduce((sum, row) => sum + row.debit, 0);
+    const credit = rows.reduce((sum, row) => sum + row.credit, 0);
+
+    return {
+      rows,
+      totals: {
+        lines: rows.reduce((sum, row) => sum + row.lines, 0),
+        debit: this.round(debit),
+        credit: this.round(credit),
+        net: this.round(debit - credit)
+      },
+      proof: this.buildProof(debit, credit),
+      journalCount: new Set(postings.map(posting => posting.journalId)).size
+    };
+  }
+
+  /**
+   * Budget against spend for each program within each payment center for one
+   * financial year. Committed is expenses not yet invoiced plus what is still open on
+   * the year's purchase orders. Approved journal debits are transfers in and
+   * credits are transfers out. Remaining is the budget plus transfers in, less
+   * transfers out and everything committed, invoiced or paid.
+   * @param {Object} sources - { budgets, expenses, journals, purchaseOrders, paymentCenters, programs }
+   * @param {Object} options - { year, version, startMonth }; startMonth is the financial year start (1-12)
+   * @returns {Object} { centers: [{ id, name, ...amounts, programs: [{ id, name, ...amounts }] }], totals }
+   */
+  buildProgramBudgetReport(sources = {}, { year, version, startMonth = DEFAULT_START_MONTH } = {}) {
+    const {
+      budgets = [],
+      expenses = [],
+      journals = [],
+      purchaseOrders = [],
+      paymentCenters = [],
+      programs = []
+    } = sources;
+    const { dateFrom, dateTo } = fiscalCalendar.getYearRange(year, startMonth);
+    const inYear = (date) => {
+      const day = String(date || '').slice(0, 10);
+      return day >= dateFrom && day <= dateTo;
+    };
+    const empty = () => Object.fromEntries(PROGRAM_BUDGET_AMOUNTS.map(key => [key, 0]));
+    const byCenter = {};
+
+    // Amounts by payment center, then program ('' when no program is coded)
+    const rowFor = (paymentCenter, program) => {
+      const centerId = String(paymentCenter || '');
+      const programId = String(program || '');
+      if (!byCenter[centerId]) byCenter[centerId] = {};
+      if (!byCenter[centerId][programId]) byCenter[centerId][programId] = empty();
+      return byCenter[centerId][programId];
+    };
+
+    const summary = budgetHelper.summarize(budgets, { year, version, startMonth });
+    Object.entries(summary).forEach(([centerId, center]) => {
+      Object.entries(center.programs).forEach(([programId, programBudget]) => {
+        rowFor(centerId, programId).budget += programBudget.annual;
+      });
+    });
+
+    expenses.filter(expense => inYear(expense.date)).forEach(expense => {
+      const column = { Committed: 'committed', Invoiced: 'invoiced', Paid: 'paid' }[expense.status];
+      if (!column) return;
+      allocationHelper.getAllocations(expense).forEach(allocation => {
+        rowFor(allocation.paymentCenter, allocation.program)[column] += allocation.amount;
+      });
+    });
+
+    const orders = purchaseOrders.filter(order => inYear(order.date));
+    purchaseOrderHelper.getCommitmentsByCoding(orders, expenses).forEach(commitment => {
+      rowFor(commitment.paymentCenter, commitment.program).committed += commitment.amount;
+    });
+
+    generalLedger.getPostings(journals, { dateFrom, dateTo }).forEach(posting => {
+      const row = rowFor(posting.paymentCenter, posting.program);
+      row.transfersIn += posting.debit;
+      row.transfersOut += posting.credit;
+    });
+
+    const finish = (row) => {
+      row.remaining = row.budget + row.transfersIn - row.transfersOut - row.committed - row.invoiced - row.paid;
+      PROGRAM_BUDGET_AMOUNTS.forEach(key => {
+        row[key] = this.round(row[key]);
+      });
+      return row;
+    };
+    const addTo = (total, row) => {
+      PROGRAM_BUDGET_AMOUNTS.forEach(key => {
+        total[key] += row[key];
+      });
+    };
+    const nameOf = (lookup, id, fallback) => {
+      const item = lookup.find(entry => String(entry.id) === id);
+      return item ? item.name : (id ? 'Unknown' : fallback);
+    };
+    // Named entries first, then the unassigned one
+    const byName = (a, b) => {
+      if (!a.id || !b.id) return a.id ? -1 : (b.id ? 1 : 0);
+      return a.name.localeCompare(b.name);
+    };
+
+    const totals = empty();
+    const centers = Object.entries(byCenter).map(([centerId, programRows]) => {
+      const center = { id: centerId || null, name: nameOf(paymentCenters, centerId, 'Not Specified'), ...empty() };
+      center.programs = Object.entries(programRows).map(([programId, row]) => {
+        finish(row);
+        addTo(center, row);
+        return { id: programId || null, name: nameOf(programs, programId, 'No program'), ...row };
+      }).sort(byName);
+
+      addTo(totals, center);
+      return finish(center);
+    }).sort(byName);
+
+    return { centers, totals: finish(totals) };
+  }
+}
+
+export default new FinancialReports();
@@ -0,0 +1,128 @@
+import financialReports from './FinancialReports';
+
+const accounts = [
+  { id: 'A1', code: '1100', name: 'Bank', type: 'asset' },
+  { id: 'A5', code: '5100', name: 'Supplies', type: 'expense' }
+];
+
+const line = (type, amount, values = {}) => ({ type, amount, ...values });
+
+const journals = [
+  {
+    id: 'J1',
+    date: '2026-07-10',
+    status: 'Approved',
+    lines: [
+      line('debit', 0.1, { account: 'A5', paymentCenter: 1, program: 'P1' }),
+      line('debit', 0.2, { account: 'A5', paymentCenter: 2 }),
+      line('credit', 0.3, { account: 'A1', paymentCenter: 1 })
+    ]
+  },
+  {
+    id: 'J2',
+    date: '2026-08-01',
+    status: 'Approved',
+    lines: [line('debit', 50, { paymentCenter: 2, program: 'P1' }), line('credit', 50, { account: 'A9' })]
+  },
+  { id: 'J3', date: '2026-08-02', status: 'Pending', lines: [line('debit', 1000, { account: 'A5' })] }
+];
+
+describe('trial balance', () => {
+  const report = financialReports.buildTrialBalance(journals, accounts);
+
+  test('nets each account into the debit or credit column', () => {
+    expect(report.rows.map(row => [row.name, row.debit, row.credit])).toEqual([
+      ['Bank', 0, 0.3],
+      ['Supplies', 0.3, 0],
+      ['Unassigned', 50, 0],
+      ['Unknown account', 0, 50]
+    ]);
+    expect(report.journalCount).toBe(2);
+  });
+
+  test('balances despite floating point cents', () => {
+    expect(report.proof).toEqual({ debit: 50.3, credit: 50.3, difference: 0, balanced: true });
+  });
+
+  test('shows an unbalanced range', () => {
+    const unbalanced = financialReports.buildTrialBalance([
+      {
+        id: 'J9',
+        status: 'Approved',
+        date: '2026-07-01',
+        lines: [line('debit', 10, { account: 'A5' }), line('credit', 9.99, { account: 'A1' })]
+      }
+    ], accounts);
+    expect(unbalanced.proof).toEqual({ debit: 10, credit: 9.99, difference: 0.01, balanced: false });
+  });
+});
+
+describe('debit and credit totals', () => {
+  test('groups lines by payment center in name order', () => {
+    const report = financialReports.buildDebitCreditTotals(journals, 'paymentCenter', [{ id: 1, name: 'Youth' }, { id: 2, name: 'Arts' }], {
+      dateFrom: '2026-07-01',
+      dateTo: '2026-07-31'
+    });
+
+    expect(report.rows).toEqual([
+      { id: '2', name: 'Arts', lines: 1, debit: 0.2, credit: 0, net: 0.2 },
+      { id: '1', name: 'Youth', lines: 2, debit: 0.1, credit: 0.3, net: -0.2 }
+    ]);
+    expect(report.totals).toEqual({ lines: 3, debit: 0.3, credit: 0.3, net: 0 });
+  });
+});
+
+describe('program budget report', () => {
+  const sources = {
+    budgets: [
+      { paymentCenterId: 1, programId: 'P1', year: '2027', budget: 1200 },
+      { paymentCenterId: 1, year: '2027', budget: 600 },
+      { paymentCenterId: 1, programId: 'P1', year: '2027', budgetVersion: 'Forecast', budget: 9999 }
+    ],
+    expenses: [
+      { id: 'E1', date: '2026-07-01', amount: 100, status: 'Paid', paymentCenter: 1, program: 'P1' },
+      { id: 'E2', date: '2027-06-30', amount: 30, status: 'Invoiced', paymentCenter: 1, program: 'P1', purchaseOrderId: 'PO1' },
+      { id: 'E3', date: '2026-06-30', amount: 500, status: 'Paid', paymentCenter: 1, program: 'P1' },
+      { id: 'E4', date: '2026-09-01', amount: 80, status: 'Committed', allocations: [{ paymentCenter: 1, amount: 50 }, { paymentCenter: 2, amount: 30 }] }
+    ],
+    journals: [
+      {
+        id: 'J1',
+        date: '2026-10-01',
+        status: 'Approved',
+        lines: [line('debit', 200, { paymentCenter: 1, program: 'P1' }), line('credit', 200, { paymentCenter: 2 })]
+      }
+    ],
+    purchaseOrders: [
+      { id: 'PO1', date: '2026-08-01', status: 'Approved', approvedAmount: 100, paymentCenter: 1, program: 'P1', lines: [] }
+    ],
+    paymentCenters: [{ id: 1, name: 'Youth' }, { id: 2, name: 'Arts' }],
+    programs: [{ id: 'P1', name: 'Camps' }]
+  };
+
+  const report = financialReports.buildProgramBudgetReport(sources, { year: '2027', version: 'Original', startMonth: 7 });
+  const youth = report.centers.find(center => center.name === 'Youth');
+
+  test('reports spend in the financial year only, against the chosen version', () => {
+    expect(youth.programs[0]).toEqual(expect.objectContaining({
+      id: 'P1',
+      name: 'Camps',
+      budget: 1200,
+      committed: 70,
+      invoiced: 30,
+      paid: 100,
+      transfersIn: 200,
+      transfersOut: 0,
+      remaining: 1200
+    }));
+  });
+
+  test('splits allocated expenses and totals each payment center', () => {
+    expect(youth.programs[1]).toEqual(expect.objectContaining({ id: null, name: 'No program', budget: 600, committed: 50, remaining: 550 }));
+    expect(youth).toEqual(expect.objectContaining({ budget: 1800, committed: 120, remaining: 1750 }));
+
+    const arts = report.centers.find(center => center.name === 'Arts');
+    expect(arts).toEqual(expect.objectContaining({ committed: 30, transfersOut: 200, remaining: -230 }));
+    expect(report.totals.remaining).toBe(1520);
+  });
+});
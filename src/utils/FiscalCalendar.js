@@ -0,0 +1,177 @@
+// src/utils/FiscalCalendar.js
+import { format } from 'date-fns';
+
+// Month the financial year starts in (1 = January) when none has been saved
+export const DEFAULT_START_MONTH = 1;
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Calendar year and month (1-12) of a Date or a yyyy-MM-dd string. Strings are
+// read as written so a date never shifts across a month boundary by time zone.
+const toParts = (date) => {
+  if (typeof date === 'string') {
+    return { year: parseInt(date.slice(0, 4), 10), month: parseInt(date.slice(5, 7), 10) };
+  }
+  const value = date || new Date();
+  return { year: value.getFullYear(), month: value.getMonth() + 1 };
+};
+
+/**
+ * Utility for the organisation's financial year, set by fiscalYearStartMonth in
+ * OrganisationSettings. A financial year is named by the calendar year it ends
+ * in, so with a July start 2027 runs from July 2026 to June 2027. With the
+ * default January start financial years are calendar years.
+ */
+class FiscalCalendar {
+  /**
+   * Start month from the OrganisationSettings records
+   * @param {Array} settings - OrganisationSettings records
+   * @returns {number} 1 (January) to 12 (December)
+   */
+  getStartMonth(settings = []) {
+    const saved = parseInt(settings.find(setting => setting.id === 'default')?.fiscalYearStartMonth, 10);
+    return saved >= 1 && saved <= 12 ? saved : DEFAULT_START_MONTH;
+  }
+
+  /**
+   * Financial year a date falls in
+   * @param {Date|string} date - Date or yyyy-MM-dd
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {number} Financial year
+   */
+  getFiscalYear(date, startMonth = DEFAULT_START_MONTH) {
+    const { year, month } = toParts(date);
+    return startMonth > 1 && month >= startMonth ? year + 1 : year;
+  }
+
+  /**
+   * First day of a financial year
+   * @param {number|string} fiscalYear - Financial year
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {Date} Start date
+   */
+  getYearStart(fiscalYear, startMonth = DEFAULT_START_MONTH) {
+    const year = parseInt(fiscalYear, 10);
+    return new Date(startMonth > 1 ? year - 1 : year, startMonth - 1, 1);
+  }
+
+  /**
+   * First day of the financial year a date falls in
+   * @param {number} startMonth - Start month (1-12)
+   * @param {Date|string} today - Reference date
+   * @returns {Date} Start date
+   */
+  getCurrentYearStart(startMonth = DEFAULT_START_MONTH, today = new Date()) {
+    return this.getYearStart(this.getFiscalYear(today, startMonth), startMonth);
+  }
+
+  /**
+   * Last day of a financial year
+   * @param {number|string} fiscalYear - Financial year
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {Date} End date
+   */
+  getYearEnd(fiscalYear, startMonth = DEFAULT_START_MONTH) {
+    const start = this.getYearStart(fiscalYear, startMonth);
+    return new Date(start.getFullYear() + 1, start.getMonth(), 0);
+  }
+
+  /**
+   * Date range of a financial year, for date filters
+   * @param {number|string} fiscalYear - Financial year
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {Object} { dateFrom, dateTo } as yyyy-MM-dd
+   */
+  getYearRange(fiscalYear, startMonth = DEFAULT_START_MONTH) {
+    return {
+      dateFrom: format(this.getYearStart(fiscalYear, startMonth), 'yyyy-MM-dd'),
+      dateTo: format(this.getYearEnd(fiscalYear, startMonth), 'yyyy-MM-dd')
+    };
+  }
+
+  /**
+   * Display name of a financial year
+   * @param {number|string} fiscalYear - Financial year
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {string} e.g. '2027', or 'FY2026-27' when the year does not start in January
+   */
+  getYearLabel(fiscalYear, startMonth = DEFAULT_START_MONTH) {
+    const year = parseInt(fiscalYear, 10);
+    return startMonth > 1 ? `FY${year - 1}-${String(year).slice(-2)}` : String(year);
+  }
+
+  /**
+   * Financial years to offer in year selectors, around the current one
+   * @param {number} startMonth - Start month (1-12)
+   * @param {Date} today - Reference date
+   * @param {number} before - Years before the current year
+   * @param {number} after - Years after the current year
+   * @returns {Array} [{ value, label }] with value the year as a string
+   */
+  getYearOptions(startMonth = DEFAULT_START_MONTH, today = new Date(), before = 1, after = 1) {
+    const current = this.getFiscalYear(today, startMonth);
+    const options = [];
+    for (let year = current - before; year <= current + after; year++) {
+      options.push({ value: String(year), label: this.getYearLabel(year, startMonth) });
+    }
+    return options;
+  }
+
+  /**
+   * Month names in financial-year order
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {Array} 12 month names, starting with the start month
+   */
+  getMonthLabels(startMonth = DEFAULT_START_MONTH) {
+    return [...MONTH_NAMES.slice(startMonth - 1), ...MONTH_NAMES.slice(0, startMonth - 1)];
+  }
+
+  /**
+   * Position of a date's month within its financial year
+   * @param {Date|string} date - Date or yyyy-MM-dd
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {number} 0 (first month) to 11
+   */
+  getMonthIndex(date, startMonth = DEFAULT_START_MONTH) {
+    return (toParts(date).month - startMonth + 12) % 12;
+  }
+
+  /**
+   * Months of a financial year that have started by a date: all of them for a
+   * past year, none for a future year
+   * @param {number|string} fiscalYear - Financial year
+   * @param {number} startMonth - Start month (1-12)
+   * @param {Date} today - Reference date
+   * @returns {number} 0 to 12
+   */
+  getElapsedMonths(fiscalYear, startMonth = DEFAULT_START_MONTH, today = new Date()) {
+    const year = parseInt(fiscalYear, 10);
+    const current = this.getFiscalYear(today, startMonth);
+    if (year < current) return 12;
+    if (year > current) return 0;
+    return this.getMonthIndex(today, startMonth) + 1;
+  }
+
+  /**
+   * Financial quarter a date falls in
+   * @param {Date|string} date - Date or yyyy-MM-dd
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {number} 1 to 4
+   */
+  getQuarter(date, startMonth = DEFAULT_START_MONTH) {
+    return Math.floor(this.getMonthIndex(date, startMonth) / 3) + 1;
+  }
+
+  /**
+   * First day of the financial quarter a date falls in
+   * @param {Date|string} date - Date or yyyy-MM-dd
+   * @param {number} startMonth - Start month (1-12)
+   * @returns {Date} Start date
+   */
+  getQuarterStart(date, startMonth = DEFAULT_START_MONTH) {
+    const start = this.getCurrentYearStart(startMonth, date);
+    return new Date(start.getFullYear(), start.getMonth() + (this.getQuarter(date, startMonth) - 1) * 3, 1);
+  }
+}
+
+export default new FiscalCalendar();
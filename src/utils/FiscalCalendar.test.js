@@ -0,0 +1,66 @@
+import fiscalCalendar from './FiscalCalendar';
+
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+
+describe('financial years', () => {
+  test('names a July year by the calendar year it ends in', () => {
+    expect(fiscalCalendar.getFiscalYear('2026-06-30', 7)).toBe(2026);
+    expect(fiscalCalendar.getFiscalYear('2026-07-01', 7)).toBe(2027);
+    expect(fiscalCalendar.getFiscalYear(new Date(2026, 6, 1), 7)).toBe(2027);
+    expect(fiscalCalendar.getYearLabel(2027, 7)).toBe('FY2026-27');
+  });
+
+  test('uses calendar years with a January start', () => {
+    expect(fiscalCalendar.getFiscalYear('2026-12-31')).toBe(2026);
+    expect(fiscalCalendar.getFiscalYear('2027-01-01')).toBe(2027);
+    expect(fiscalCalendar.getYearRange(2026)).toEqual({ dateFrom: '2026-01-01', dateTo: '2026-12-31' });
+    expect(fiscalCalendar.getYearLabel(2026)).toBe('2026');
+  });
+
+  test('runs a year from its start month to the day before the next', () => {
+    expect(fiscalCalendar.getYearRange(2027, 7)).toEqual({ dateFrom: '2026-07-01', dateTo: '2027-06-30' });
+    expect(fiscalCalendar.getYearRange(2024, 3)).toEqual({ dateFrom: '2023-03-01', dateTo: '2024-02-29' });
+    expect(day(fiscalCalendar.getCurrentYearStart(7, '2026-06-30'))).toBe('2025-7-1');
+  });
+
+  test('does not shift timestamped strings across a month by time zone', () => {
+    expect(fiscalCalendar.getFiscalYear('2026-06-30T23:30:00Z', 7)).toBe(2026);
+    expect(fiscalCalendar.getMonthIndex('2026-07-01T00:00:00+10:00', 7)).toBe(0);
+  });
+
+  test('falls back to January for a missing or invalid start month', () => {
+    expect(fiscalCalendar.getStartMonth([{ id: 'default', fiscalYearStartMonth: '7' }])).toBe(7);
+    expect(fiscalCalendar.getStartMonth([{ id: 'default', fiscalYearStartMonth: 13 }])).toBe(1);
+    expect(fiscalCalendar.getStartMonth([])).toBe(1);
+  });
+});
+
+describe('months and quarters', () => {
+  test('orders months from the start month', () => {
+    expect(fiscalCalendar.getMonthLabels(7).slice(0, 2)).toEqual(['Jul', 'Aug']);
+    expect(fiscalCalendar.getMonthLabels(7)[11]).toBe('Jun');
+    expect(fiscalCalendar.getMonthIndex('2027-06-15', 7)).toBe(11);
+  });
+
+  test('counts elapsed months across the year boundary', () => {
+    const today = new Date(2027, 0, 10);
+    expect(fiscalCalendar.getElapsedMonths(2027, 7, today)).toBe(7);
+    expect(fiscalCalendar.getElapsedMonths(2026, 7, today)).toBe(12);
+    expect(fiscalCalendar.getElapsedMonths(2028, 7, today)).toBe(0);
+  });
+
+  test('starts quarters at the financial year start', () => {
+    expect(fiscalCalendar.getQuarter('2026-07-01', 7)).toBe(1);
+    expect(fiscalCalendar.getQuarter('2027-01-31', 7)).toBe(3);
+    expect(day(fiscalCalendar.getQuarterStart('2027-02-14', 7))).toBe('2027-1-1');
+    expect(day(fiscalCalendar.getQuarterStart('2026-12-31', 11))).toBe('2026-11-1');
+  });
+
+  test('offers the years around the current one', () => {
+    expect(fiscalCalendar.getYearOptions(7, new Date(2026, 9, 18))).toEqual([
+      { value: '2026', label: 'FY2025-26' },
+      { value: '2027', label: 'FY2026-27' },
+      { value: '2028', label: 'FY2027-28' }
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+// src/utils/GeneralLedger.js
+import { format } from 'date-fns';
+
+// Side on which each account type normally carries its balance
+const NORMAL_BALANCES = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  equity: 'credit',
+  income: 'credit'
+};
+
+/**
+ * Utility that builds General Ledger figures from posted (Approved) journal entries
+ */
+class GeneralLedger {
+  /**
+   * Side on which an account type normally carries its balance
+   * @param {string} type - Account type (asset, liability, equity, income, expense)
+   * @returns {string} 'debit' or 'credit'
+   */
+  getNormalBalance(type) {
+    return NORMAL_BALANCES[type] || 'debit';
+  }
+
+  /**
+   * Flatten posted journals into ledger postings, one per journal line
+   * @param {Array} journals - Journal entries with nested lines
+   * @param {Object} options - { dateFrom, dateTo } (yyyy-MM-dd, inclusive)
+   * @returns {Array} Postings sorted by date and reference
+   */
+  getPostings(journals = [], { dateFrom, dateTo } = {}) {
+    const postings = [];
+
+    journals
+      .filter(journal => journal.status === 'Approved' && journal.id !== 'dummy-journal')
+      .forEach(journal => {
+        const date = String(journal.date || '').slice(0, 10);
+        if (dateFrom && date < dateFrom) return;
+        if (dateTo && date > dateTo) return;
+
+        (journal.lines || []).forEach((line, index) => {
+          const amount = parseFloat(line.amount) || 0;
+
+          postings.push({
+            id: line.id || `${journal.id}-L${index + 1}`,
+            journalId: journal.id,
+            reference: journal.reference,
+            description: journal.description,
+            date,
+            account: line.account || null,
+            paymentCenter: line.paymentCenter,
+            program: line.program,
+            debit: line.type === 'debit' ? amount : 0,
+            credit: line.type === 'credit' ? amount : 0
+          });
+        });
+      });
+
+    return postings.sort((a, b) =>
+      a.date.localeCompare(b.date) || String(a.reference || '').localeCompare(String(b.reference || ''))
+    );
+  }
+
+  /**
+   * Movement of a posting in the account's normal direction
+   * @param {Object} account - Account the posting belongs to
+   * @param {Object} posting - Ledger posting
+   * @returns {number} Positive when the posting increases the account's normal balance
+   */
+  getMovement(account, posting) {
+    return this.getNormalBalance(account.type) === 'debit' ?
+      posting.debit - posting.credit :
+      posting.credit - posting.debit;
+  }
+
+  /**
+   * Period key for a posting date
+   * @param {string} date - yyyy-MM-dd
+   * @returns {string} yyyy-MM
+   */
+  getPeriodKey(date) {
+    return String(date).slice(0, 7);
+  }
+
+  /**
+   * Display label for a period key
+   * @param {string} periodKey - yyyy-MM
+   * @returns {string} e.g. "Jul 2026"
+   */
+  getPeriodLabel(periodKey) {
+    const date = new Date(`${periodKey}-01T00:00:00`);
+    return isNaN(date.getTime()) ? periodKey : format(date, 'MMM yyyy');
+  }
+
+  /**
+   * Build the ledger for each account: opening balance, postings per period with a
+   * running balance, period totals and closing balance. Balances are signed in the
+   * account's normal direction, so a positive balance on a liability is a credit.
+   * @param {Array} journals - Journal entries with nested lines
+   * @param {Array} accounts - Chart of accounts
+   * @param {Object} options - { dateFrom, dateTo, accountId, includeEmpty }
+   * @returns {Object} { accounts: [...], unassigned: [...postings without an account] }
+   */
+  buildLedger(journals = [], accounts = [], { dateFrom, dateTo, accountId, includeEmpty = false } = {}) {
+    const allPostings = this.getPostings(journals, { dateTo });
+    const unassigned = allPostings.filter(posting =>
+      !posting.account && (!dateFrom || posting.date >= dateFrom)
+    );
+
+    const selectedAccounts = accountId && accountId !== 'All' ?
+      accounts.filter(account => String(account.id) === String(accountId)) :
+      accounts;
+
+    const ledgers = [...selectedAccounts]
+      .sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }))
+      .map(account => {
+        const accountPostings = allPostings.filter(posting => String(posting.account) === String(account.id));
+
+        // Everything before the range rolls into the opening balance
+        const openingBalance = accountPostings
+          .filter(posting => dateFrom && posting.date < dateFrom)
+          .reduce((sum, posting) => sum + this.getMovement(account, posting), 0);
+
+        let balance = openingBalance;
+        const periods = [];
+
+        accountPostings
+          .filter(posting => !dateFrom || posting.date >= dateFrom)
+          .forEach(posting => {
+            const key = this.getPeriodKey(posting.date);
+            let period = periods[periods.length - 1];
+
+            if (!period || period.key !== key) {
+              period = {
+                key,
+                label: this.getPeriodLabel(key),
+                openingBalance: balance,
+                postings: [],
+                debit: 0,
+                credit: 0,
+                closingBalance: balance
+              };
+              periods.push(period);
+            }
+
+            balance += this.getMovement(account, posting);
+            period.postings.push({ ...posting, balance });
+            period.debit += posting.debit;
+            period.credit += posting.credit;
+            period.closingBalance = balance;
+          });
+
+        return {
+          account,
+          normalBalance: this.getNormalBalance(account.type),
+          openingBalance,
+          periods,
+          debit: periods.reduce((sum, period) => sum + period.debit, 0),
+          credit: periods.reduce((sum, period) => sum + period.credit, 0),
+          closingBalance: balance
+        };
+      })
+      .filter(ledger =>
+        includeEmpty ||
+        (accountId && accountId !== 'All') ||
+        ledger.periods.length > 0 ||
+        Math.abs(ledger.openingBalance) > 0.005
+      );
+
+    return { accounts: ledgers, unassigned };
+  }
+}
+
+export default new GeneralLedger();
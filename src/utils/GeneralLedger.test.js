@@ -0,0 +1,85 @@
+import generalLedger from './GeneralLedger';
+
+const accounts = [
+  { id: 'A10', code: '1100', name: 'Bank', type: 'asset' },
+  { id: 'A2', code: '200', name: 'Creditors', type: 'liability' },
+  { id: 'A50', code: '5100', name: 'Supplies', type: 'expense' },
+  { id: 'A60', code: '6000', name: 'Unused', type: 'expense' }
+];
+
+// A balanced journal moving an amount from one account to another
+const journal = (id, date, amount, debit, credit, status = 'Approved') => ({
+  id,
+  reference: `JE-${id}`,
+  description: `Journal ${id}`,
+  date,
+  status,
+  lines: [
+    { id: `${id}-1`, type: 'debit', account: debit, amount },
+    { id: `${id}-2`, type: 'credit', account: credit, amount: String(amount) }
+  ]
+});
+
+const journals = [
+  journal('3', '2026-08-02', 40, 'A50', 'A2'),
+  journal('1', '2026-06-30', 100, 'A10', 'A2'),
+  journal('2', '2026-07-15T10:00:00', 25, 'A50', 'A10'),
+  journal('4', '2026-07-20', 999, 'A50', 'A10', 'Pending'),
+  journal('5', '2026-07-21', 10, null, 'A10')
+];
+
+describe('postings', () => {
+  test('posts approved journals only, in date order', () => {
+    const postings = generalLedger.getPostings(journals);
+
+    expect(postings.map(posting => posting.journalId)).toEqual(['1', '1', '2', '2', '5', '5', '3', '3']);
+    expect(postings[2]).toEqual(expect.objectContaining({ date: '2026-07-15', account: 'A50', debit: 25, credit: 0 }));
+    expect(postings[3]).toEqual(expect.objectContaining({ credit: 25, debit: 0 }));
+  });
+
+  test('includes both ends of the date range', () => {
+    const postings = generalLedger.getPostings(journals, { dateFrom: '2026-07-15', dateTo: '2026-08-02' });
+    expect(new Set(postings.map(posting => posting.journalId))).toEqual(new Set(['2', '3', '5']));
+  });
+});
+
+describe('ledger', () => {
+  const ledger = generalLedger.buildLedger(journals, accounts, { dateFrom: '2026-07-01' });
+  const byCode = (code) => ledger.accounts.find(entry => entry.account.code === code);
+
+  test('orders accounts by code and leaves out empty ones', () => {
+    expect(ledger.accounts.map(entry => entry.account.code)).toEqual(['200', '1100', '5100']);
+    expect(generalLedger.buildLedger(journals, accounts, { includeEmpty: true }).accounts).toHaveLength(4);
+    expect(generalLedger.buildLedger(journals, accounts, { accountId: 'A60' }).accounts).toHaveLength(1);
+  });
+
+  test('rolls earlier postings into the opening balance', () => {
+    expect(byCode('1100')).toEqual(expect.objectContaining({
+      normalBalance: 'debit',
+      openingBalance: 100,
+      debit: 0,
+      credit: 35,
+      closingBalance: 65
+    }));
+  });
+
+  test('signs balances in the normal direction of the account', () => {
+    const creditors = byCode('200');
+    expect(creditors.normalBalance).toBe('credit');
+    expect(creditors.openingBalance).toBe(100);
+    expect(creditors.closingBalance).toBe(140);
+  });
+
+  test('groups postings by month with a running balance', () => {
+    const supplies = byCode('5100');
+    expect(supplies.periods.map(period => [period.label, period.openingBalance, period.closingBalance])).toEqual([
+      ['Jul 2026', 0, 25],
+      ['Aug 2026', 25, 65]
+    ]);
+    expect(supplies.periods[1].postings[0].balance).toBe(65);
+  });
+
+  test('lists lines without an account separately', () => {
+    expect(ledger.unassigned.map(posting => posting.id)).toEqual(['5-1']);
+  });
+});
@@ -0,0 +1,237 @@
+// src/utils/GstHelper.js
+import { format, startOfQuarter, endOfQuarter, subQuarters } from 'date-fns';
+
+// Tax codes on expenses. Amounts are entered GST-inclusive (gross).
+//   GST  - taxable purchase; the GST is claimable as a credit (1B)
+//   FRE  - GST-free purchase
+//   INP  - input-taxed purchase; no GST credit
+//   NABN - supplier did not quote an ABN; no GST credit and tax is withheld (W4)
+export const TAX_CODES = [
+  { code: 'GST', label: 'GST 10%', rate: 0.1 },
+  { code: 'FRE', label: 'GST-free', rate: 0 },
+  { code: 'INP', label: 'Input-taxed', rate: 0 },
+  { code: 'NABN', label: 'No ABN withholding', rate: 0 }
+];
+
+// PAYG withholding rate where a supplier does not quote an ABN
+export const NO_ABN_WITHHOLDING_RATE = 0.47;
+
+// Expense statuses that count as purchases for GST
+const PURCHASE_STATUSES = ['Invoiced', 'Paid'];
+
+const toNumber = (value) => parseFloat(value) || 0;
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Utility for GST on expenses: tax components, supplier registration and the
+ * quarterly GST summary (BAS labels G10, G11, G14, 1B and W4)
+ */
+class GstHelper {
+  /**
+   * Tax code definition
+   * @param {string} code - Tax code
+   * @returns {Object|null} { code, label, rate }
+   */
+  getTaxCode(code) {
+    return TAX_CODES.find(taxCode => taxCode.code === code) || null;
+  }
+
+  /**
+   * Most GST a gross amount can include
+   * @param {number|string} gross - GST-inclusive amount
+   * @returns {number} One eleventh of the amount
+   */
+  getMaxGst(gross) {
+    return round(toNumber(gross) / 11);
+  }
+
+  /**
+   * Tax components of an expense from its gross amount and tax code. A GST
+   * amount already on the expense is kept when it is within the maximum, so a
+   * partly GST-free invoice can be entered with the GST shown on it.
+   * @param {Object} expense - Expense with amount, taxCode and optionally gstAmount
+   * @returns {Object} { amountExGst, gstAmount, withholdingAmount }, or {} if the expense has no tax code
+   */
+  calculate(expense) {
+    const taxCode = this.getTaxCode(expense.taxCode);
+    if (!taxCode) return {};
+
+    const gross = round(toNumber(expense.amount));
+    let gstAmount = 0;
+    if (taxCode.rate > 0) {
+      const entered = expense.gstAmount;
+      const maxGst = this.getMaxGst(gross);
+      gstAmount = entered === undefined || entered === null || entered === '' ?
+        maxGst :
+        Math.min(Math.max(round(toNumber(entered)), 0), maxGst);
+    }
+
+    return {
+      amountExGst: round(gross - gstAmount),
+      gstAmount,
+      withholdingAmount: taxCode.code === 'NABN' ? round(gross * NO_ABN_WITHHOLDING_RATE) : 0
+    };
+  }
+
+  /**
+   * Tax components after an edit. A new tax code or GST amount is worked out
+   * afresh; a new amount alone keeps the share of GST the expense already had,
+   * so a partly GST-free invoice stays partly GST-free.
+   * @param {Object} existing - Expense before the edit
+   * @param {Object} changes - Fields being changed
+   * @returns {Object} { amountExGst, gstAmount, withholdingAmount }, or {} if the expense has no tax code
+   */
+  recalculate(existing = {}, changes = {}) {
+    const merged = { ...existing, ...changes };
+    if ('taxCode' in changes || 'gstAmount' in changes) {
+      return this.calculate({ ...merged, gstAmount: 'gstAmount' in changes ? changes.gstAmount : null });
+    }
+
+    const previousGross = toNumber(existing.amount);
+    const hasGst = existing.gstAmount !== undefined && existing.gstAmount !== null && existing.gstAmount !== '';
+    const gstAmount = hasGst && previousGross ?
+      round(toNumber(existing.gstAmount) * toNumber(merged.amount) / previousGross) :
+      null;
+    return this.calculate({ ...merged, gstAmount });
+  }
+
+  /**
+   * Whether a supplier is registered for GST. Suppliers saved before
+   * registration was recorded are treated as registered.
+   * @param {Object} supplier - Supplier
+   * @returns {boolean} True unless the supplier is marked not registered
+   */
+  isRegistered(supplier) {
+    return supplier?.gstRegistered !== false;
+  }
+
+  /**
+   * Tax code to start a new expense with for a supplier
+   * @param {Object} supplier - Supplier
+   * @returns {string} Tax code
+   */
+  getDefaultTaxCode(supplier) {
+    if (!supplier) return 'GST';
+    if (!supplier.abn) return 'NABN';
+    return this.isRegistered(supplier) ? 'GST' : 'FRE';
+  }
+
+  /**
+   * Warning for a tax code that does not suit the supplier
+   * @param {string} code - Tax code
+   * @param {Object} supplier - Supplier
+   * @returns {string|null} Warning, or null
+   */
+  getSupplierWarning(code, supplier) {
+    if (!supplier) return null;
+    if (code === 'GST' && !this.isRegistered(supplier)) {
+      return `${supplier.name} is not registered for GST, so no GST credit can be claimed`;
+    }
+    if (code === 'GST' && !supplier.abn) {
+      return `${supplier.name} has no ABN recorded`;
+    }
+    return null;
+  }
+
+  /**
+   * Recent quarters for the report selector, newest first
+   * @param {number} count - Number of quarters
+   * @param {Date} today - Reference date
+   * @returns {Array} [{ key, label, dateFrom, dateTo }]
+   */
+  getQuarters(count = 8, today = new Date()) {
+    return Array.from({ length: count }, (_, index) => {
+      const start = startOfQuarter(subQuarters(today, index));
+      const end = endOfQuarter(start);
+      return {
+        key: format(start, 'yyyy-MM'),
+        label: `${format(start, 'MMM')}–${format(end, 'MMM yyyy')}`,
+        dateFrom: format(start, 'yyyy-MM-dd'),
+        dateTo: format(end, 'yyyy-MM-dd')
+      };
+    });
+  }
+
+  /**
+   * Date an expense is reported on: the invoice date on an accruals basis,
+   * the payment date on a cash basis
+   * @param {Object} expense - Expense
+   * @param {string} basis - 'accrual' or 'cash'
+   * @returns {string|null} yyyy-MM-dd, or null if it is not reported on this basis
+   */
+  getReportingDate(expense, basis) {
+    if (basis === 'cash') {
+      return expense.status === 'Paid' ? (expense.paymentDate || expense.date) : null;
+    }
+    return PURCHASE_STATUSES.includes(expense.status) ? (expense.invoiceDate || expense.date) : null;
+  }
+
+  /**
+   * GST summary of purchases for a period
+   * @param {Array} expenses - Expenses
+   * @param {Array} suppliers - Suppliers, for registration checks
+   * @param {Object} options - { dateFrom, dateTo, basis }
+   * @returns {Object} { labels: { G10, G11, G14, '1B', W4 }, byTaxCode, uncoded, unregisteredGst, expenseCount }
+   */
+  buildSummary(expenses = [], suppliers = [], { dateFrom, dateTo, basis = 'accrual' } = {}) {
+    const labels = { G10: 0, G11: 0, G14: 0, '1B': 0, W4: 0 };
+    const byTaxCode = TAX_CODES.map(taxCode => ({ ...taxCode, gross: 0, gst: 0, count: 0 }));
+    const uncoded = { gross: 0, count: 0 };
+    const unregisteredGst = [];
+    let expenseCount = 0;
+
+    expenses.forEach(expense => {
+      const date = this.getReportingDate(expense, basis);
+      if (!date || (dateFrom && date < dateFrom) || (dateTo && date > dateTo)) return;
+
+      expenseCount += 1;
+      const gross = toNumber(expense.amount);
+
+      // G10 and G11 are GST-inclusive purchases, capital and non-capital
+      if (expense.isCapital) {
+        labels.G10 += gross;
+      } else {
+        labels.G11 += gross;
+      }
+
+      const row = byTaxCode.find(taxCode => taxCode.code === expense.taxCode);
+      if (!row) {
+        uncoded.gross += gross;
+        uncoded.count += 1;
+        return;
+      }
+
+      const { gstAmount, withholdingAmount } = this.calculate(expense);
+      row.gross += gross;
+      row.count += 1;
+
+      if (expense.taxCode === 'GST') {
+        const supplier = suppliers.find(s => String(s.id) === String(expense.supplier));
+        if (this.isRegistered(supplier)) {
+          row.gst += gstAmount;
+          labels['1B'] += gstAmount;
+        } else {
+          // GST charged by an unregistered supplier is not claimable
+          unregisteredGst.push(expense);
+        }
+      } else {
+        labels.G14 += gross;
+      }
+
+      labels.W4 += withholdingAmount;
+    });
+
+    Object.keys(labels).forEach(label => {
+      labels[label] = round(labels[label]);
+    });
+    byTaxCode.forEach(row => {
+      row.gross = round(row.gross);
+      row.gst = round(row.gst);
+    });
+    uncoded.gross = round(uncoded.gross);
+
+    return { labels, byTaxCode, uncoded, unregisteredGst, expenseCount, basis };
+  }
+}
+
+export default new GstHelper();
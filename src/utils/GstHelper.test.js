@@ -0,0 +1,89 @@
+import gstHelper from './GstHelper';
+
+describe('tax components', () => {
+  test('takes one eleventh of a taxable amount', () => {
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'GST' })).toEqual({ amountExGst: 100, gstAmount: 10, withholdingAmount: 0 });
+    expect(gstHelper.calculate({ amount: '99.99', taxCode: 'GST', gstAmount: '' }).gstAmount).toBe(9.09);
+  });
+
+  test('keeps entered GST between nothing and the maximum', () => {
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'GST', gstAmount: 4.5 }).gstAmount).toBe(4.5);
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'GST', gstAmount: 25 }).gstAmount).toBe(10);
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'GST', gstAmount: -3 }).gstAmount).toBe(0);
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'GST', gstAmount: 0 }).gstAmount).toBe(0);
+  });
+
+  test('claims no GST on other codes', () => {
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'FRE', gstAmount: 10 })).toEqual({ amountExGst: 110, gstAmount: 0, withholdingAmount: 0 });
+    expect(gstHelper.calculate({ amount: 110, taxCode: 'INP' }).gstAmount).toBe(0);
+    expect(gstHelper.calculate({ amount: 110 })).toEqual({});
+  });
+
+  test('keeps the share of GST when only the amount changes', () => {
+    const partlyFree = { amount: 220, taxCode: 'GST', gstAmount: 10 };
+
+    expect(gstHelper.recalculate(partlyFree, { amount: 440 })).toEqual({ amountExGst: 420, gstAmount: 20, withholdingAmount: 0 });
+    expect(gstHelper.recalculate({ ...partlyFree, gstAmount: 0 }, { amount: 440 }).gstAmount).toBe(0);
+    expect(gstHelper.recalculate({ amount: 110, taxCode: 'GST' }, { amount: 220 }).gstAmount).toBe(20);
+  });
+
+  test('works GST out afresh for a new tax code or GST amount', () => {
+    const partlyFree = { amount: 220, taxCode: 'GST', gstAmount: 10 };
+
+    expect(gstHelper.recalculate(partlyFree, { amount: 440, gstAmount: 5 }).gstAmount).toBe(5);
+    expect(gstHelper.recalculate({ ...partlyFree, taxCode: 'FRE' }, { taxCode: 'GST' }).gstAmount).toBe(20);
+    expect(gstHelper.recalculate(partlyFree, { taxCode: 'INP' }).gstAmount).toBe(0);
+  });
+
+  test('withholds tax where no ABN was quoted', () => {
+    expect(gstHelper.calculate({ amount: 1000, taxCode: 'NABN' })).toEqual({ amountExGst: 1000, gstAmount: 0, withholdingAmount: 470 });
+  });
+});
+
+describe('suppliers', () => {
+  test('defaults suppliers without an ABN to NABN', () => {
+    expect(gstHelper.getDefaultTaxCode({ name: 'Sole trader' })).toBe('NABN');
+    expect(gstHelper.getDefaultTaxCode({ abn: '51824753556', gstRegistered: false })).toBe('FRE');
+    expect(gstHelper.getDefaultTaxCode({ abn: '51824753556' })).toBe('GST');
+    expect(gstHelper.getDefaultTaxCode(null)).toBe('GST');
+  });
+
+  test('warns when GST is claimed from a supplier that cannot charge it', () => {
+    expect(gstHelper.getSupplierWarning('GST', { name: 'Acme', abn: '1', gstRegistered: false })).toMatch(/not registered/);
+    expect(gstHelper.getSupplierWarning('GST', { name: 'Acme' })).toMatch(/no ABN/);
+    expect(gstHelper.getSupplierWarning('FRE', { name: 'Acme' })).toBeNull();
+  });
+});
+
+describe('GST summary', () => {
+  const suppliers = [
+    { id: 1, abn: '1' },
+    { id: 2, abn: '2', gstRegistered: false }
+  ];
+  const expenses = [
+    { id: 'a', amount: 110, taxCode: 'GST', supplier: 1, status: 'Invoiced', date: '2026-07-15' },
+    { id: 'b', amount: 2200, taxCode: 'GST', supplier: 1, status: 'Paid', date: '2026-08-01', isCapital: true },
+    { id: 'c', amount: 55, taxCode: 'FRE', supplier: 1, status: 'Paid', date: '2026-09-30' },
+    { id: 'd', amount: 100, taxCode: 'NABN', status: 'Paid', date: '2026-09-01' },
+    { id: 'e', amount: 33, taxCode: 'GST', supplier: 2, status: 'Paid', date: '2026-09-02' },
+    { id: 'f', amount: 20, status: 'Paid', date: '2026-09-03' },
+    { id: 'g', amount: 999, taxCode: 'GST', supplier: 1, status: 'Committed', date: '2026-09-04' },
+    { id: 'h', amount: 999, taxCode: 'GST', supplier: 1, status: 'Paid', date: '2026-10-01' }
+  ];
+
+  test('fills the BAS labels for the quarter', () => {
+    const summary = gstHelper.buildSummary(expenses, suppliers, { dateFrom: '2026-07-01', dateTo: '2026-09-30' });
+
+    expect(summary.labels).toEqual({ G10: 2200, G11: 318, G14: 155, '1B': 210, W4: 47 });
+    expect(summary.expenseCount).toBe(6);
+    expect(summary.uncoded).toEqual({ gross: 20, count: 1 });
+    expect(summary.unregisteredGst.map(expense => expense.id)).toEqual(['e']);
+  });
+
+  test('reports paid expenses on their payment date on a cash basis', () => {
+    const paidLate = [{ amount: 110, taxCode: 'GST', supplier: 1, status: 'Paid', date: '2026-06-20', paymentDate: '2026-07-02' }];
+
+    expect(gstHelper.buildSummary(paidLate, suppliers, { dateFrom: '2026-07-01', dateTo: '2026-09-30', basis: 'cash' }).labels['1B']).toBe(10);
+    expect(gstHelper.buildSummary(paidLate, suppliers, { dateFrom: '2026-07-01', dateTo: '2026-09-30' }).labels['1B']).toBe(0);
+  });
+});
@@ -0,0 +1,241 @@
+// src/utils/InvoiceMatcher.js
+import purchaseOrderHelper from './PurchaseOrderHelper';
+import currencyHelper from './CurrencyHelper';
+
+// Tolerance used until one is saved in Settings: the larger of the two applies
+export const DEFAULT_TOLERANCE = {
+  tolerancePercent: 2,
+  toleranceAmount: 5
+};
+
+// Match outcomes stored on an expense
+export const MATCH_STATUSES = {
+  Matched: { label: 'Matched', color: 'success' },
+  Exception: { label: 'Match exception', color: 'error' },
+  Resolved: { label: 'Match resolved', color: 'info' }
+};
+
+// Expense statuses at which an invoice is matched
+const MATCHED_STATUSES = ['Invoiced', 'Paid'];
+
+// Fields that change what an invoice matches against
+const MATCH_INPUTS = ['amount', 'originalAmount', 'supplier', 'purchaseOrderId', 'invoiceLines'];
+
+// Quantities within this are treated as equal
+const EPSILON = 0.0001;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Comparable form of a match input: no lines and no value are the same thing
+const normalize = (value) => {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Thrown by DataContext when an invoice with an unresolved match exception is paid
+ */
+export class MatchExceptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MatchExceptionError';
+  }
+}
+
+/**
+ * Utility for three-way matching: invoice against PO lines against goods received
+ */
+class InvoiceMatcher {
+  /**
+   * Tolerance from the MatchSettings records
+   * @param {Array} settings - MatchSettings records
+   * @returns {Object} { tolerancePercent, toleranceAmount }
+   */
+  getTolerance(settings = []) {
+    const saved = settings.find(setting => setting.id === 'default');
+    if (!saved) return { ...DEFAULT_TOLERANCE };
+    return {
+      tolerancePercent: toNumber(saved.tolerancePercent),
+      toleranceAmount: toNumber(saved.toleranceAmount)
+    };
+  }
+
+  /**
+   * Largest difference allowed against an expected value
+   * @param {number} expected - Expected value
+   * @param {Object} tolerance - { tolerancePercent, toleranceAmount }
+   * @returns {number} Allowed difference
+   */
+  getAllowance(expected, tolerance) {
+    return Math.max(tolerance.toleranceAmount, Math.abs(expected) * tolerance.tolerancePercent / 100);
+  }
+
+  /**
+   * Whether an expense is an invoice that should be matched
+   * @param {Object} expense - Expense
+   * @returns {boolean} True if matched to a PO and invoiced or paid
+   */
+  isMatchable(expense) {
+    return Boolean(expense.purchaseOrderId) && MATCHED_STATUSES.includes(expense.status);
+  }
+
+  /**
+   * Whether a write means the invoice has to be matched again
+   * @param {Object} existing - Expense before the write
+   * @param {Object} merged - Expense after the write
+   * @returns {boolean} True if the match should be recalculated
+   */
+  needsMatching(existing, merged) {
+    if (!this.isMatchable(merged)) return false;
+    if (!existing || !this.isMatchable(existing) || !existing.matchStatus) return true;
+    return MATCH_INPUTS.some(field => normalize(existing[field]) !== normalize(merged[field]));
+  }
+
+  /**
+   * Match an invoice against its purchase order and the goods received
+   * @param {Object} expense - Invoice (expense) being matched
+   * @param {Object} order - Purchase order it is matched to
+   * @param {Array} expenses - All expenses, for other invoices on the same order
+   * @param {Object} tolerance - { tolerancePercent, toleranceAmount }
+   * @returns {Object} { matchStatus: 'Matched' | 'Exception', matchExceptions: [{ code, lineId, message }] }
+   */
+  match(expense, order, expenses = [], tolerance = DEFAULT_TOLERANCE) {
+    const exceptions = [];
+
+    if (!order) {
+      return {
+        matchStatus: 'Exception',
+        matchExceptions: [{ code: 'order', message: 'The purchase order could not be found' }]
+      };
+    }
+
+    if (order.status !== 'Approved' && order.status !== 'Closed') {
+      exceptions.push({ code: 'order', message: `${order.poNumber} is ${order.status}` });
+    }
+
+    if (String(order.supplier) !== String(expense.supplier)) {
+      exceptions.push({ code: 'supplier', message: `Supplier differs from ${order.poNumber}` });
+    }
+
+    const amount = toNumber(expense.amount);
+    const others = purchaseOrderHelper.getInvoices(order, expenses).filter(other => other.id !== expense.id);
+    const invoicedBefore = others.reduce((sum, other) => sum + toNumber(other.amount), 0);
+    const approved = toNumber(order.approvedAmount);
+
+    if (invoicedBefore + amount - approved > this.getAllowance(approved, tolerance)) {
+      exceptions.push({
+        code: 'approved',
+        message: `Invoiced ${(invoicedBefore + amount).toFixed(2)} exceeds the approved ${approved.toFixed(2)}`
+      });
+    }
+
+    const lines = expense.invoiceLines || [];
+    if (lines.length > 0) {
+      exceptions.push(...this.matchLines(expense, order, others, tolerance));
+    } else {
+      // Without invoice lines the invoice is matched on value received
+      const received = purchaseOrderHelper.getReceivedAmount(order);
+      if (invoicedBefore + amount - received > this.getAllowance(received, tolerance)) {
+        exceptions.push({
+          code: 'received',
+          message: `Invoiced ${(invoicedBefore + amount).toFixed(2)} exceeds goods received of ${received.toFixed(2)}`
+        });
+      }
+    }
+
+    return {
+      matchStatus: exceptions.length > 0 ? 'Exception' : 'Matched',
+      matchExceptions: exceptions
+    };
+  }
+
+  /**
+   * Line-level checks: line total, unit prices and quantities received. Lines are
+   * entered in the invoice's currency; unit prices are converted at the invoice's
+   * exchange rate before they are compared with the order.
+   * @param {Object} expense - Invoice with invoiceLines
+   * @param {Object} order - Purchase order
+   * @param {Array} others - Other invoices on the order
+   * @param {Object} tolerance - { tolerancePercent, toleranceAmount }
+   * @returns {Array} Exceptions
+   */
+  matchLines(expense, order, others, tolerance) {
+    const exceptions = [];
+    const lines = expense.invoiceLines || [];
+    const received = purchaseOrderHelper.getReceivedByLine(order);
+
+    const foreign = currencyHelper.isForeign(expense);
+    const invoiced = toNumber(foreign ? expense.originalAmount : expense.amount);
+    const rate = foreign ? toNumber(expense.exchangeRate) || 1 : 1;
+
+    const linesTotal = lines.reduce((sum, line) => sum + toNumber(line.quantity) * toNumber(line.unitPrice), 0);
+    if (Math.abs(invoiced - linesTotal) > this.getAllowance(linesTotal, tolerance)) {
+      exceptions.push({
+        code: 'total',
+        message: `Invoice amount differs from its lines (${linesTotal.toFixed(2)})`
+      });
+    }
+
+    lines.forEach(line => {
+      const poLine = (order.lines || []).find(candidate => candidate.id === line.poLineId);
+      if (!poLine) {
+        exceptions.push({ code: 'line', lineId: line.poLineId, message: 'Invoice line is not on the purchase order' });
+        return;
+      }
+
+      const label = poLine.description || 'PO line';
+      const price = toNumber(line.unitPrice) * rate;
+      const orderedPrice = toNumber(poLine.unitPrice);
+      if (Math.abs(price - orderedPrice) > this.getAllowance(orderedPrice, tolerance)) {
+        exceptions.push({
+          code: 'price',
+          lineId: poLine.id,
+          message: `${label}: unit price ${price.toFixed(2)} differs from ordered ${orderedPrice.toFixed(2)}`
+        });
+      }
+
+      const invoicedBefore = others
+        .flatMap(other => other.invoiceLines || [])
+        .filter(otherLine => otherLine.poLineId === poLine.id)
+        .reduce((sum, otherLine) => sum + toNumber(otherLine.quantity), 0);
+      const invoicedQuantity = invoicedBefore + toNumber(line.quantity);
+      const receivedQuantity = received[poLine.id]?.quantity || 0;
+      const allowedQuantity = receivedQuantity * (1 + tolerance.tolerancePercent / 100);
+
+      if (invoicedQuantity > allowedQuantity + EPSILON) {
+        exceptions.push({
+          code: 'quantity',
+          lineId: poLine.id,
+          message: `${label}: ${invoicedQuantity} invoiced but ${receivedQuantity} received`
+        });
+      }
+    });
+
+    return exceptions;
+  }
+
+  /**
+   * Invoice lines built from quantities and prices entered against PO lines
+   * @param {Object} order - Purchase order
+   * @param {Object} entries - { [poLineId]: { quantity, unitPrice } }
+   * @returns {Array} [{ poLineId, quantity, unitPrice, amount }]
+   */
+  buildInvoiceLines(order, entries = {}) {
+    return (order?.lines || [])
+      .filter(line => toNumber(entries[line.id]?.quantity) > 0)
+      .map(line => {
+        const quantity = toNumber(entries[line.id].quantity);
+        const unitPrice = entries[line.id].unitPrice === undefined || entries[line.id].unitPrice === '' ?
+          toNumber(line.unitPrice) :
+          toNumber(entries[line.id].unitPrice);
+        return {
+          poLineId: line.id,
+          quantity,
+          unitPrice,
+          amount: Math.round(quantity * unitPrice * 100) / 100
+        };
+      });
+  }
+}
+
+export default new InvoiceMatcher();
@@ -0,0 +1,113 @@
+import invoiceMatcher, { DEFAULT_TOLERANCE } from './InvoiceMatcher';
+
+const order = {
+  id: 'PO1',
+  poNumber: 'PO-000001',
+  status: 'Approved',
+  supplier: 1,
+  approvedAmount: 1000,
+  lines: [
+    { id: 'L1', description: 'Chairs', quantity: 10, unitPrice: 60 },
+    { id: 'L2', description: 'Desks', quantity: 2, unitPrice: 200 }
+  ],
+  receipts: [
+    { id: 'R1', lineId: 'L1', quantity: 10, amount: 600 },
+    { id: 'R2', lineId: 'L2', quantity: 2, amount: 400 }
+  ]
+};
+
+const invoice = (values) => ({ id: 'E1', supplier: 1, purchaseOrderId: 'PO1', status: 'Invoiced', ...values });
+const codes = (result) => result.matchExceptions.map(exception => exception.code);
+
+describe('tolerance', () => {
+  test('allows the larger of the percentage and the amount', () => {
+    expect(invoiceMatcher.getAllowance(1000, DEFAULT_TOLERANCE)).toBe(20);
+    expect(invoiceMatcher.getAllowance(100, DEFAULT_TOLERANCE)).toBe(5);
+  });
+
+  test('reads the saved tolerance, falling back to the default', () => {
+    expect(invoiceMatcher.getTolerance([{ id: 'default', tolerancePercent: '1', toleranceAmount: '0' }]))
+      .toEqual({ tolerancePercent: 1, toleranceAmount: 0 });
+    expect(invoiceMatcher.getTolerance([])).toEqual(DEFAULT_TOLERANCE);
+  });
+});
+
+describe('matching on the invoice total', () => {
+  test('matches within tolerance of the approved amount and goods received', () => {
+    expect(invoiceMatcher.match(invoice({ amount: 1020 }), order)).toEqual({ matchStatus: 'Matched', matchExceptions: [] });
+    expect(codes(invoiceMatcher.match(invoice({ amount: 1020.01 }), order))).toEqual(['approved', 'received']);
+  });
+
+  test('counts other invoices on the order but not this one or cancelled ones', () => {
+    const others = [
+      invoice({ id: 'E0', amount: 900 }),
+      invoice({ id: 'E9', amount: 5000, status: 'Cancelled' }),
+      invoice({ amount: 5000 })
+    ];
+
+    expect(codes(invoiceMatcher.match(invoice({ amount: 100 }), order, others))).toEqual([]);
+    expect(codes(invoiceMatcher.match(invoice({ amount: 150 }), order, others))).toEqual(['approved', 'received']);
+  });
+
+  test('holds invoices for goods not yet received', () => {
+    const halfReceived = { ...order, receipts: [{ id: 'R1', lineId: 'L1', quantity: 5, amount: 300 }] };
+    const result = invoiceMatcher.match(invoice({ amount: 600 }), halfReceived);
+    expect(result.matchExceptions).toEqual([
+      { code: 'received', message: 'Invoiced 600.00 exceeds goods received of 300.00' }
+    ]);
+  });
+
+  test('flags a missing or unapproved order and a different supplier', () => {
+    expect(codes(invoiceMatcher.match(invoice({ amount: 10 }), null))).toEqual(['order']);
+    expect(codes(invoiceMatcher.match(invoice({ amount: 10, supplier: 2 }), { ...order, status: 'Draft' }))).toEqual(['order', 'supplier']);
+  });
+});
+
+describe('matching lines', () => {
+  test('checks unit prices and quantities received within tolerance', () => {
+    const lines = [
+      { poLineId: 'L1', quantity: 10.2, unitPrice: 61 },
+      { poLineId: 'L2', quantity: 2, unitPrice: 206 }
+    ];
+    const result = invoiceMatcher.match(invoice({ amount: 1034.2, invoiceLines: lines }), { ...order, approvedAmount: 1100 });
+
+    expect(codes(result)).toEqual(['price']);
+    expect(result.matchExceptions[0]).toEqual(expect.objectContaining({ lineId: 'L2', message: 'Desks: unit price 206.00 differs from ordered 200.00' }));
+  });
+
+  test('flags lines that are not on the order or over the quantity received', () => {
+    const result = invoiceMatcher.match(invoice({
+      amount: 610,
+      invoiceLines: [{ poLineId: 'L1', quantity: 10.3, unitPrice: 60 }, { poLineId: 'L9', quantity: 1, unitPrice: 0 }]
+    }), order);
+
+    expect(codes(result)).toEqual(['quantity', 'line']);
+  });
+
+  test('compares the lines with the total in the invoice currency', () => {
+    const lines = [{ poLineId: 'L1', quantity: 10, unitPrice: 40 }];
+    const usd = invoice({ currency: 'USD', originalAmount: 400, exchangeRate: 1.5, amount: 600, invoiceLines: lines });
+
+    expect(invoiceMatcher.match(usd, order)).toEqual({ matchStatus: 'Matched', matchExceptions: [] });
+    expect(codes(invoiceMatcher.match({ ...usd, exchangeRate: 1.7, amount: 680 }, order))).toEqual(['price']);
+  });
+});
+
+describe('when to match', () => {
+  test('matches again when the amount, lines or order change', () => {
+    const matched = invoice({ amount: 100, matchStatus: 'Matched', invoiceLines: [] });
+
+    expect(invoiceMatcher.needsMatching(matched, { ...matched, notes: 'Checked' })).toBe(false);
+    expect(invoiceMatcher.needsMatching(matched, { ...matched, invoiceLines: null })).toBe(false);
+    expect(invoiceMatcher.needsMatching(matched, { ...matched, amount: '101' })).toBe(true);
+    expect(invoiceMatcher.needsMatching(matched, { ...matched, status: 'Committed' })).toBe(false);
+    expect(invoiceMatcher.needsMatching(null, matched)).toBe(true);
+  });
+
+  test('builds invoice lines at the ordered price unless one is entered', () => {
+    expect(invoiceMatcher.buildInvoiceLines(order, { L1: { quantity: '3', unitPrice: '' }, L2: { quantity: 1, unitPrice: '199.999' } })).toEqual([
+      { poLineId: 'L1', quantity: 3, unitPrice: 60, amount: 180 },
+      { poLineId: 'L2', quantity: 1, unitPrice: 199.999, amount: 200 }
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+// src/utils/JournalHelper.js
+import { v4 as uuidv4 } from 'uuid';
+
+// Amount in whole cents, so totals are not thrown out by floating point
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+// A line amount that has been filled in
+const hasAmount = (line) => line.amount !== '' && line.amount !== undefined && line.amount !== null;
+
+/**
+ * Utility for checking journal lines, reversing journals and building journals from templates
+ */
+class JournalHelper {
+  /**
+   * Debit and credit totals of journal lines, added up in cents
+   * @param {Array} lines - Journal lines
+   * @returns {Object} { debit, credit, difference, balanced }
+   */
+  getTotals(lines = []) {
+    const total = (type) => lines
+      .filter(line => line.type === type)
+      .reduce((sum, line) => sum + toCents(line.amount), 0);
+    const debit = total('debit');
+    const credit = total('credit');
+
+    return {
+      debit: debit / 100,
+      credit: credit / 100,
+      difference: (debit - credit) / 100,
+      balanced: debit === credit
+    };
+  }
+
+  /**
+   * Check the lines of a journal before it is saved: at least one debit and one
+   * credit, an amount above zero on every line, and debits equal to credits
+   * @param {Array} lines - Journal lines
+   * @returns {Array} Error messages
+   */
+  validateLines(lines = []) {
+    const errors = [];
+
+    if (!lines.some(line => line.type === 'debit')) {
+      errors.push('At least one debit line is required');
+    }
+    if (!lines.some(line => line.type === 'credit')) {
+      errors.push('At least one credit line is required');
+    }
+
+    lines.forEach((line, index) => {
+      if (!hasAmount(line) || !(parseFloat(line.amount) > 0)) {
+        errors.push(`Line ${index + 1}: Valid amount is required`);
+      }
+    });
+
+    const totals = this.getTotals(lines);
+    if (!totals.balanced) {
+      errors.push(`Debits (${totals.debit.toFixed(2)}) and credits (${totals.credit.toFixed(2)}) must balance`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Lines with debits and credits swapped, as new lines
+   * @param {Array} lines - Journal lines to reverse
+   * @returns {Array} Reversed lines
+   */
+  reverseLines(lines = []) {
+    return lines.map(line => ({
+      id: uuidv4(),
+      type: line.type === 'debit' ? 'credit' : 'debit',
+      account: line.account || '',
+      program: line.program || '',
+      paymentCenter: line.paymentCenter || '',
+      amount: line.amount
+    }));
+  }
+
+  /**
+   * Pending journal that reverses an approved one
+   * @param {Object} journal - Source journal (with lines)
+   * @param {Object} options - { id, reference, date, createdBy }
+   * @returns {Object} { form, lines } ready for the journal dialog
+   */
+  buildReversal(journal, { id, reference, date, createdBy } = {}) {
+    return {
+      form: {
+        id: id || uuidv4(),
+        date,
+        description: `Reversal of ${journal.reference}: ${journal.description || ''}`.trim(),
+        reference: reference || `${journal.reference}-REV`,
+        status: 'Pending',
+        notes: `Reverses journal entry ${journal.reference}`,
+        reversalOf: journal.id,
+        createdBy,
+        createdAt: new Date().toISOString()
+      },
+      lines: this.reverseLines(journal.lines || [])
+    };
+  }
+
+  /**
+   * The journal reversing a given journal (rejected reversals are ignored)
+   * @param {Array} journals - All journal entries
+   * @param {string} journalId - Source journal ID
+   * @returns {Object|null} Reversing journal
+   */
+  findReversal(journals = [], journalId) {
+    return journals.find(journal =>
+      journal.reversalOf &&
+      String(journal.reversalOf) === String(journalId) &&
+      journal.status !== 'Rejected'
+    ) || null;
+  }
+
+  /**
+   * Lines to store on a template; amounts are kept only when asked for
+   * @param {Array} lines - Journal lines
+   * @param {boolean} includeAmounts - Keep line amounts
+   * @returns {Array} Template lines
+   */
+  toTemplateLines(lines = [], includeAmounts = true) {
+    return lines.map(line => ({
+      type: line.type,
+      account: line.account || '',
+      program: line.program || '',
+      paymentCenter: line.paymentCenter || '',
+      amount: includeAmounts && hasAmount(line) ? parseFloat(line.amount) : ''
+    }));
+  }
+
+  /**
+   * Journal lines pre-filled from a template
+   * @param {Object} template - Journal template
+   * @returns {Array} New journal lines
+   */
+  fromTemplate(template) {
+    return (template.lines || []).map(line => ({
+      id: uuidv4(),
+      type: line.type,
+      account: line.account || '',
+      program: line.program || '',
+      paymentCenter: line.paymentCenter || '',
+      amount: line.amount === undefined || line.amount === null ? '' : line.amount
+    }));
+  }
+
+  /**
+   * Validate a template before it is saved
+   * @param {Object} template - Template to save
+   * @param {Array} templates - Existing templates
+   * @returns {Array} Error messages
+   */
+  validateTemplate(template, templates = []) {
+    const errors = [];
+    const name = (template.name || '').trim();
+
+    if (!name) {
+      errors.push('Template name is required');
+    } else if (templates.some(t => t.id !== template.id && (t.name || '').trim().toLowerCase() === name.toLowerCase())) {
+      errors.push(`A template named "${name}" already exists`);
+    }
+
+    const lines = template.lines || [];
+    const totals = this.getTotals(lines);
+    if (!lines.some(line => line.type === 'debit') || !lines.some(line => line.type === 'credit')) {
+      errors.push('A template needs at least one debit and one credit line');
+    } else if (lines.every(hasAmount) && !totals.balanced) {
+      // Amounts are optional, but a template with all of them filled in must balance
+      errors.push(`Template debits (${totals.debit.toFixed(2)}) and credits (${totals.credit.toFixed(2)}) must balance`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Short description of where a new journal came from, for the audit log
+   * @param {Object} journal - New journal
+   * @param {Array} journals - All journal entries
+   * @param {Array} templates - Journal templates
+   * @returns {string} e.g. " as a reversal of JE-20260601-001", or ''
+   */
+  describeSource(journal, journals = [], templates = []) {
+    if (journal.reversalOf) {
+      const source = journals.find(j => String(j.id) === String(journal.reversalOf));
+      return ` as a reversal of ${source ? source.reference : journal.reversalOf}`;
+    }
+
+    if (journal.templateId) {
+      const template = templates.find(t => String(t.id) === String(journal.templateId));
+      return ` from template "${template ? template.name : journal.templateId}"`;
+    }
+
+    return '';
+  }
+}
+
+export default new JournalHelper();
@@ -0,0 +1,97 @@
+import journalHelper from './JournalHelper';
+
+const line = (type, amount, account = 'A1') => ({ id: `${type}-${amount}`, type, account, program: '', paymentCenter: '1', amount });
+
+describe('checking lines', () => {
+  test('accepts lines whose debits equal their credits', () => {
+    expect(journalHelper.validateLines([line('debit', 100), line('credit', '60'), line('credit', 40)])).toEqual([]);
+  });
+
+  test('rejects an unbalanced entry', () => {
+    expect(journalHelper.validateLines([line('debit', 100), line('credit', 90)]))
+      .toEqual(['Debits (100.00) and credits (90.00) must balance']);
+    expect(journalHelper.validateLines([line('debit', '100.00'), line('credit', '99.99')]))
+      .toEqual(['Debits (100.00) and credits (99.99) must balance']);
+  });
+
+  test('adds amounts up in cents', () => {
+    const lines = [line('debit', 0.1), line('debit', 0.2), line('credit', 0.3)];
+
+    expect(journalHelper.getTotals(lines)).toEqual({ debit: 0.3, credit: 0.3, difference: 0, balanced: true });
+    expect(journalHelper.validateLines(lines)).toEqual([]);
+    expect(journalHelper.getTotals([line('debit', '33.333'), line('credit', 33.33)]).balanced).toBe(true);
+  });
+
+  test('needs an amount on every line and both sides', () => {
+    expect(journalHelper.validateLines([line('debit', ''), line('credit', 0)])).toEqual([
+      'Line 1: Valid amount is required',
+      'Line 2: Valid amount is required'
+    ]);
+    expect(journalHelper.validateLines([line('debit', 10), line('debit', -10)])).toEqual([
+      'At least one credit line is required',
+      'Line 2: Valid amount is required'
+    ]);
+    expect(journalHelper.validateLines([])).toEqual([
+      'At least one debit line is required',
+      'At least one credit line is required'
+    ]);
+  });
+});
+
+describe('reversals', () => {
+  const journal = {
+    id: 'J1',
+    reference: 'JE-001',
+    description: 'Recharge',
+    lines: [line('debit', 25, 'A1'), line('credit', 25, 'A2')]
+  };
+
+  test('swaps debits and credits on new lines', () => {
+    const { form, lines } = journalHelper.buildReversal(journal, { date: '2026-10-18', createdBy: 'cara' });
+
+    expect(form).toEqual(expect.objectContaining({
+      reference: 'JE-001-REV',
+      description: 'Reversal of JE-001: Recharge',
+      status: 'Pending',
+      reversalOf: 'J1'
+    }));
+    expect(lines.map(l => [l.type, l.account, l.amount])).toEqual([['credit', 'A1', 25], ['debit', 'A2', 25]]);
+    expect(lines.map(l => l.id)).not.toContain(journal.lines[0].id);
+    expect(journalHelper.validateLines(lines)).toEqual([]);
+  });
+
+  test('ignores rejected reversals', () => {
+    const journals = [
+      { id: 'J2', reversalOf: 'J1', status: 'Rejected' },
+      { id: 'J3', reversalOf: 'J1', status: 'Pending' }
+    ];
+
+    expect(journalHelper.findReversal(journals, 'J1').id).toBe('J3');
+    expect(journalHelper.findReversal(journals.slice(0, 1), 'J1')).toBeNull();
+  });
+});
+
+describe('templates', () => {
+  test('keeps empty amounts empty', () => {
+    const lines = [line('debit', '12.5'), line('credit', '')];
+
+    expect(journalHelper.toTemplateLines(lines).map(l => l.amount)).toEqual([12.5, '']);
+    expect(journalHelper.toTemplateLines(lines, false).map(l => l.amount)).toEqual(['', '']);
+    expect(journalHelper.fromTemplate({ lines: [{ type: 'debit', amount: null }] })[0].amount).toBe('');
+  });
+
+  test('needs a unique name, both sides, and balanced amounts when all are filled in', () => {
+    const templates = [{ id: 'T1', name: 'Monthly recharge' }];
+    const lines = [{ type: 'debit', amount: 10 }, { type: 'credit', amount: '' }];
+
+    expect(journalHelper.validateTemplate({ name: 'Rent', lines }, templates)).toEqual([]);
+    expect(journalHelper.validateTemplate({ name: ' monthly RECHARGE ', lines }, templates))
+      .toEqual(['A template named "monthly RECHARGE" already exists']);
+    expect(journalHelper.validateTemplate({ name: '', lines: [lines[0]] })).toEqual([
+      'Template name is required',
+      'A template needs at least one debit and one credit line'
+    ]);
+    expect(journalHelper.validateTemplate({ name: 'Rent', lines: [lines[0], { type: 'credit', amount: 9.99 }] }))
+      .toEqual(['Template debits (10.00) and credits (9.99) must balance']);
+  });
+});
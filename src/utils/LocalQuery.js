@@ -0,0 +1,217 @@
+// src/utils/LocalQuery.js
+
+/**
+ * Utility that answers the expense and journal table queries from locally held
+ * records, matching SupabaseService.queryExpenses / queryJournals. Used when
+ * Supabase cannot be reached.
+ */
+class LocalQuery {
+  /**
+   * Check a record against equality, IN and range filters
+   * @param {Object} record - Record to test
+   * @param {Object} filters - { field: value | [values] | { gte, lte, neq, in } }
+   * @returns {boolean} True if the record passes every filter
+   */
+  matchesFilters(record, filters = {}) {
+    return Object.entries(filters).every(([field, condition]) => {
+      if (condition === undefined || condition === null || condition === '' || condition === 'All') return true;
+
+      const value = record[field];
+
+      if (Array.isArray(condition)) {
+        return condition.map(String).includes(String(value));
+      }
+
+      if (typeof condition === 'object') {
+        return Object.entries(condition).every(([operator, operand]) => {
+          if (operand === undefined || operand === null || operand === '') return true;
+
+          switch (operator) {
+            case 'gte': return value !== undefined && value !== null && String(value) >= String(operand);
+            case 'lte': return value !== undefined && value !== null && String(value).slice(0, String(operand).length) <= String(operand);
+            case 'neq': return String(value) !== String(operand);
+            case 'in': return operand.map(String).includes(String(value));
+            default: return true;
+          }
+        });
+      }
+
+      return String(value) === String(condition);
+    });
+  }
+
+  /**
+   * Check a record against a free-text search
+   * @param {Object} record - Record to test
+   * @param {Object} search - { term, fields: [...], ids: { field: [values] } }
+   * @returns {boolean} True if any field contains the term or any listed ID matches
+   */
+  matchesSearch(record, search) {
+    if (!search || !search.term || !search.term.trim()) return true;
+
+    const term = search.term.trim().toLowerCase();
+    const fieldMatch = (search.fields || []).some(field =>
+      String(record[field] || '').toLowerCase().includes(term)
+    );
+    const idMatch = Object.entries(search.ids || {}).some(([field, ids]) =>
+      (ids || []).map(String).includes(String(record[field]))
+    );
+
+    return fieldMatch || idMatch;
+  }
+
+  /**
+   * Sort records by a field
+   * @param {Array} records - Records to sort
+   * @param {Object} sort - { field, direction }
+   * @returns {Array} Sorted copy
+   */
+  sortRecords(records, sort) {
+    if (!sort || !sort.field) return [...records];
+
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...records].sort((a, b) => {
+      const valueA = a[sort.field];
+      const valueB = b[sort.field];
+      const numberA = parseFloat(valueA);
+      const numberB = parseFloat(valueB);
+
+      if (sort.field === 'amount' || sort.field === 'totalAmount') {
+        return ((numberA || 0) - (numberB || 0)) * direction;
+      }
+      return String(valueA ?? '').localeCompare(String(valueB ?? '')) * direction;
+    });
+  }
+
+  /**
+   * Filter, sort and paginate records
+   * @returns {Object} { rows, total }
+   */
+  queryPage(records = [], { filters = {}, search = null, sort = null, page = 0, pageSize = 25 } = {}) {
+    const matching = records.filter(record =>
+      this.matchesFilters(record, filters) && this.matchesSearch(record, search)
+    );
+    const sorted = this.sortRecords(matching, sort);
+    const from = page * pageSize;
+
+    return {
+      rows: sorted.slice(from, from + pageSize),
+      total: matching.length
+    };
+  }
+
+  /**
+   * Local equivalent of SupabaseService.queryExpenses
+   * @param {Array} expenses - Expense records
+   * @param {Object} options - Same options as the server query
+   * @returns {Object} { rows, total, statusCounts }
+   */
+  queryExpenses(expenses = [], {
+    dateFrom,
+    dateTo,
+    paymentCenter,
+    program,
+    paymentType,
+    status,
+    approvalStatus,
+    matchStatus,
+    purchaseOrderId,
+    supplier,
+    search,
+    supplierIds = [],
+    missingInvoice = false,
+    sortField = 'date',
+    sortDirection = 'desc',
+    page = 0,
+    pageSize = 25,
+    includeStatusCounts = false
+  } = {}) {
+    const filters = {
+      date: { gte: dateFrom, lte: dateTo },
+      paymentCenter,
+      program,
+      paymentType,
+      // Work queues (approvals, match exceptions), purchase order balances and supplier histories
+      approvalStatus,
+      matchStatus,
+      purchaseOrderId,
+      supplier
+    };
+
+    // Invoices are only expected once an expense is invoiced or paid; records
+    // cached before hasInvoice existed count as missing
+    const candidates = missingInvoice ?
+      expenses.filter(expense => !expense.hasInvoice && ['Invoiced', 'Paid'].includes(expense.status)) :
+      expenses;
+
+    const searchOptions = search ? {
+      term: search,
+      fields: ['description', 'notes'],
+      ids: { supplier: supplierIds }
+    } : null;
+
+    const result = this.queryPage(candidates, {
+      filters: { ...filters, status },
+      search: searchOptions,
+      sort: { field: sortField, direction: sortDirection },
+      page,
+      pageSize
+    });
+
+    if (includeStatusCounts) {
+      result.statusCounts = {};
+      ['Committed', 'Invoiced', 'Paid'].forEach(value => {
+        result.statusCounts[value] = candidates.filter(expense =>
+          this.matchesFilters(expense, { ...filters, status: value }) &&
+          this.matchesSearch(expense, searchOptions)
+        ).length;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Local equivalent of SupabaseService.queryJournals (journals carry nested lines)
+   * @param {Array} journals - Journal entries with lines
+   * @param {Object} options - Same options as the server query
+   * @returns {Object} { rows, total }
+   */
+  queryJournals(journals = [], {
+    dateFrom,
+    dateTo,
+    status,
+    paymentCenter,
+    program,
+    reversalOf,
+    search,
+    sortField = 'date',
+    sortDirection = 'desc',
+    page = 0,
+    pageSize = 25
+  } = {}) {
+    // Payment center and program live on the lines
+    const lineFilters = { paymentCenter, program };
+    const candidates = journals.filter(journal =>
+      journal.id !== 'dummy-journal' &&
+      (
+        ((!paymentCenter || paymentCenter === 'All') && (!program || program === 'All')) ||
+        (journal.lines || []).some(line => this.matchesFilters(line, lineFilters))
+      )
+    );
+
+    return this.queryPage(candidates, {
+      filters: {
+        date: { gte: dateFrom, lte: dateTo },
+        status,
+        reversalOf
+      },
+      search: search ? { term: search, fields: ['description', 'reference', 'notes'] } : null,
+      sort: { field: sortField, direction: sortDirection },
+      page,
+      pageSize
+    });
+  }
+}
+
+export default new LocalQuery();
@@ -1,6 +1,8 @@
 // src/utils/PdfExporter.js
 import { jsPDF } from 'jspdf';
 import 'jspdf-autotable';
+import currencyHelper from './CurrencyHelper';
+import fiscalCalendar, { DEFAULT_START_MONTH } from './FiscalCalendar';
 
 /**
  * Utility for PDF export functionality
@@ -269,7 +271,9 @@ class PdfExporter {
       getProgramName(expense.program),
       getPaymentCenterName(expense.paymentCenter),
       expense.status,
-      this.formatCurrency(expense.amount)
+      currencyHelper.isForeign(expense) ?
+        `${this.formatCurrency(expense.amount)}\n(${currencyHelper.formatOriginal(expense)})` :
+        this.formatCurrency(expense.amount)
     ]);
     
     // Calculate summary data
@@ -567,8 +571,315 @@ class PdfExporter {
     return doc;
   }
 
+  /**
+   * Describe a report date range for headings. A range covering a financial
+   * year, or running from the start of one, is named after it.
+   * @param {string} dateFrom - Start date (yyyy-MM-dd), optional
+   * @param {string} dateTo - End date (yyyy-MM-dd), optional
+   * @param {number} startMonth - Financial year start month (1-12)
+   * @returns {string} e.g. "FY2026-27, 01/07/2026 to 30/06/2027"
+   */
+  formatDateRange(dateFrom, dateTo, startMonth = DEFAULT_START_MONTH) {
+    const formatDate = (dateString) => {
+      const date = new Date(`${dateString}T00:00:00`);
+      return isNaN(date.getTime()) ? dateString : date.toLocaleDateString('en-AU', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric'
+      });
+    };
+    
+    if (dateFrom && dateTo) {
+      const range = `${formatDate(dateFrom)} to ${formatDate(dateTo)}`;
+      const fiscalYear = fiscalCalendar.getFiscalYear(dateFrom, startMonth);
+      const yearRange = fiscalCalendar.getYearRange(fiscalYear, startMonth);
+      if (dateFrom !== yearRange.dateFrom || dateTo > yearRange.dateTo) return range;
 
+      const label = fiscalCalendar.getYearLabel(fiscalYear, startMonth);
+      return dateTo === yearRange.dateTo ? `${label}, ${range}` : `${label} to date, ${range}`;
+    }
+    if (dateFrom) return `From ${formatDate(dateFrom)}`;
+    if (dateTo) return `Up to ${formatDate(dateTo)}`;
+    return 'All dates';
+  }
+  
+  /**
+   * Add the debits = credits proof below a report table
+   * @param {jsPDF} doc - PDF document
+   * @param {Object} proof - { debit, credit, difference, balanced }
+   */
+  addBalanceProof(doc, proof) {
+    const y = doc.lastAutoTable.finalY + 12;
+    
+    doc.setFontSize(11);
+    doc.setTextColor(proof.balanced ? 0 : 200, proof.balanced ? 128 : 0, 0);
+    doc.text(
+      proof.balanced ?
+        `Balanced: total debits ${this.formatCurrency(proof.debit)} equal total credits ${this.formatCurrency(proof.credit)}` :
+        `NOT BALANCED: debits ${this.formatCurrency(proof.debit)}, credits ${this.formatCurrency(proof.credit)}, difference ${this.formatCurrency(proof.difference)}`,
+      14,
+      y
+    );
+    doc.setTextColor(0);
+  }
+  
+  /**
+   * Export a trial balance to PDF
+   * @param {Object} report - Trial balance from FinancialReports.buildTrialBalance
+   * @param {Object} options - { dateFrom, dateTo, startMonth, title }
+   * @returns {jsPDF} PDF document
+   */
+  exportTrialBalanceToPdf(report, { dateFrom, dateTo, startMonth, title = 'Trial Balance' } = {}) {
+    const doc = new jsPDF();
+    
+    // Add title
+    doc.setFontSize(20);
+    doc.text(title, 14, 22);
+    
+    // Add period and timestamp
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(`Approved journals, ${this.formatDateRange(dateFrom, dateTo, startMonth)} (${report.journalCount} journals)`, 14, 30);
+    doc.text(`Generated on ${new Date().toLocaleString()}`, 14, 36);
+    doc.setTextColor(0);
+    
+    const tableColumn = ["Code", "Account", "Type", "Total Debits", "Total Credits", "Debit", "Credit"];
+    const tableRows = report.rows.map(row => [
+      row.code || '-',
+      row.name,
+      row.type || '-',
+      this.formatCurrency(row.totalDebit),
+      this.formatCurrency(row.totalCredit),
+      row.debit ? this.formatCurrency(row.debit) : '',
+      row.credit ? this.formatCurrency(row.credit) : ''
+    ]);
+    
+    doc.autoTable({
+      startY: 44,
+      head: [tableColumn],
+      body: tableRows,
+      foot: [[
+        '',
+        'Totals',
+        '',
+        this.formatCurrency(report.totals.totalDebit),
+        this.formatCurrency(report.totals.totalCredit),
+        this.formatCurrency(report.totals.debit),
+        this.formatCurrency(report.totals.credit)
+      ]],
+      headStyles: { fillColor: [41, 128, 185], textColor: 255, fontStyle: 'bold' },
+      footStyles: { fillColor: [220, 220, 220], textColor: 0, fontStyle: 'bold' },
+      alternateRowStyles: { fillColor: [240, 240, 240] },
+      columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' }, 5: { halign: 'right' }, 6: { halign: 'right' } },
+      theme: 'striped',
+      margin: { top: 44, right: 14, bottom: 20, left: 14 },
+      didDrawPage: (data) => {
+        // Add page number at the bottom
+        doc.setFontSize(10);
+        doc.text(
+          `Page ${doc.internal.getNumberOfPages()}`,
+          data.settings.margin.left,
+          doc.internal.pageSize.height - 10
+        );
+      }
+    });
+    
+    this.addBalanceProof(doc, report.proof);
+    
+    return doc;
+  }
+  
+  /**
+   * Export debit/credit totals per payment center or program to PDF
+   * @param {Object} report - Totals from FinancialReports.buildDebitCreditTotals
+   * @param {Object} options - { dimensionLabel, dateFrom, dateTo, startMonth, title }
+   * @returns {jsPDF} PDF document
+   */
+  exportDebitCreditTotalsToPdf(report, { dimensionLabel = 'Payment Center', dateFrom, dateTo, startMonth, title } = {}) {
+    const doc = new jsPDF();
+    
+    // Add title
+    doc.setFontSize(20);
+    doc.text(title || `Debits and Credits by ${dimensionLabel}`, 14, 22);
+    
+    // Add period and timestamp
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(`Approved journals, ${this.formatDateRange(dateFrom, dateTo, startMonth)} (${report.journalCount} journals)`, 14, 30);
+    doc.text(`Generated on ${new Date().toLocaleString()}`, 14, 36);
+    doc.setTextColor(0);
+    
+    const tableColumn = [dimensionLabel, "Lines", "Debits", "Credits", "Net (DR - CR)"];
+    const tableRows = report.rows.map(row => [
+      row.name,
+      row.lines,
+      this.formatCurrency(row.debit),
+      this.formatCurrency(row.credit),
+      this.formatCurrency(row.net)
+    ]);
+    
+    doc.autoTable({
+      startY: 44,
+      head: [tableColumn],
+      body: tableRows,
+      foot: [[
+        'Totals',
+        report.totals.lines,
+        this.formatCurrency(report.totals.debit),
+        this.formatCurrency(report.totals.credit),
+        this.formatCurrency(report.totals.net)
+      ]],
+      headStyles: { fillColor: [41, 128, 185], textColor: 255, fontStyle: 'bold' },
+      footStyles: { fillColor: [220, 220, 220], textColor: 0, fontStyle: 'bold' },
+      alternateRowStyles: { fillColor: [240, 240, 240] },
+      columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' } },
+      theme: 'striped',
+      margin: { top: 44, right: 14, bottom: 20, left: 14 },
+      didDrawPage: (data) => {
+        // Add page number at the bottom
+        doc.setFontSize(10);
+        doc.text(
+          `Page ${doc.internal.getNumberOfPages()}`,
+          data.settings.margin.left,
+          doc.internal.pageSize.height - 10
+        );
+      }
+    });
+    
+    this.addBalanceProof(doc, report.proof);
+    
+    return doc;
+  }
+  
+  /**
+   * Export a GST summary to PDF: BAS labels, then totals per tax code
+   * @param {Object} summary - Summary from GstHelper.buildSummary
+   * @param {Object} options - { dateFrom, dateTo, startMonth, title }
+   * @returns {jsPDF} PDF document
+   */
+  exportGstSummaryToPdf(summary, { dateFrom, dateTo, startMonth, title = 'GST Summary' } = {}) {
+    const doc = new jsPDF();
+    const tableStyles = {
+      headStyles: { fillColor: [41, 128, 185], textColor: 255, fontStyle: 'bold' },
+      footStyles: { fillColor: [220, 220, 220], textColor: 0, fontStyle: 'bold' },
+      alternateRowStyles: { fillColor: [240, 240, 240] },
+      theme: 'striped',
+      margin: { right: 14, bottom: 20, left: 14 }
+    };
+    
+    // Add title
+    doc.setFontSize(20);
+    doc.text(title, 14, 22);
+    
+    // Add period and timestamp
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(
+      `Purchases, ${summary.basis === 'cash' ? 'cash' : 'accruals'} basis, ${this.formatDateRange(dateFrom, dateTo, startMonth)} (${summary.expenseCount} expenses)`,
+      14,
+      30
+    );
+    doc.text(`Generated on ${new Date().toLocaleString()}`, 14, 36);
+    doc.setTextColor(0);
+    
+    doc.autoTable({
+      ...tableStyles,
+      startY: 44,
+      head: [["Label", "Description", "Amount"]],
+      body: [
+        ['G10', 'Capital purchases (GST inclusive)', this.formatCurrency(summary.labels.G10)],
+        ['G11', 'Non-capital purchases (GST inclusive)', this.formatCurrency(summary.labels.G11)],
+        ['G14', 'Purchases without GST in the price', this.formatCurrency(summary.labels.G14)],
+        ['1B', 'GST on purchases', this.formatCurrency(summary.labels['1B'])],
+        ['W4', 'Amounts withheld where no ABN quoted', this.formatCurrency(summary.labels.W4)]
+      ],
+      columnStyles: { 2: { halign: 'right' } }
+    });
+    
+    doc.autoTable({
+      ...tableStyles,
+      startY: doc.lastAutoTable.finalY + 10,
+      head: [["Tax Code", "Description", "Expenses", "Gross", "GST"]],
+      body: [
+        ...summary.byTaxCode.map(row => [
+          row.code,
+          row.label,
+          row.count,
+          this.formatCurrency(row.gross),
+          this.formatCurrency(row.gst)
+        ]),
+        ['-', 'Uncoded', summary.uncoded.count, this.formatCurrency(summary.uncoded.gross), this.formatCurrency(0)]
+      ],
+      columnStyles: { 2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' } }
+    });
+    
+    // Say what still needs attention before lodging
+    const notes = [];
+    if (summary.uncoded.count > 0) {
+      notes.push(`${summary.uncoded.count} expenses have no tax code and are counted at G11 without GST.`);
+    }
+    if (summary.unregisteredGst.length > 0) {
+      notes.push(`${summary.unregisteredGst.length} expenses are coded GST against suppliers not registered for GST; their GST is excluded from 1B.`);
+    }
+    if (notes.length > 0) {
+      doc.setFontSize(10);
+      doc.setTextColor(200, 0, 0);
+      doc.text(notes, 14, doc.lastAutoTable.finalY + 12);
+      doc.setTextColor(0);
+    }
+    
+    return doc;
+  }
 
+  /**
+   * Export the program budget report to PDF
+   * @param {Object} report - Result of FinancialReports.buildProgramBudgetReport
+   * @param {Object} options - { title }
+   * @returns {jsPDF} PDF document
+   */
+  exportProgramBudgetToPdf(report, { title = 'Program Budget Report' } = {}) {
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const amounts = (row) => [
+      this.formatCurrency(row.budget),
+      this.formatCurrency(row.committed),
+      this.formatCurrency(row.invoiced),
+      this.formatCurrency(row.paid),
+      this.formatCurrency(row.transfersIn),
+      this.formatCurrency(row.transfersOut),
+      this.formatCurrency(row.remaining)
+    ];
+    
+    // Add title
+    doc.setFontSize(20);
+    doc.text(title, 14, 22);
+    
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text('Committed includes open purchase orders. Transfers are approved journal debits (in) and credits (out).', 14, 30);
+    doc.text(`Generated on ${new Date().toLocaleString()}`, 14, 36);
+    doc.setTextColor(0);
+    
+    // Payment center rows are shaded, with their programs indented below
+    const body = report.centers.flatMap(center => [
+      [{ content: center.name, styles: { fontStyle: 'bold', fillColor: [230, 230, 230] } },
+        ...amounts(center).map(content => ({ content, styles: { fontStyle: 'bold', fillColor: [230, 230, 230] } }))],
+      ...center.programs.map(program => [`    ${program.name}`, ...amounts(program)])
+    ]);
+    
+    doc.autoTable({
+      startY: 44,
+      head: [["Payment Center / Program", "Budget", "Committed", "Invoiced", "Paid", "Transfers In", "Transfers Out", "Remaining"]],
+      body,
+      foot: [["Totals", ...amounts(report.totals)]],
+      headStyles: { fillColor: [41, 128, 185], textColor: 255, fontStyle: 'bold' },
+      footStyles: { fillColor: [220, 220, 220], textColor: 0, fontStyle: 'bold' },
+      theme: 'grid',
+      columnStyles: Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(index => [index, { halign: 'right' }])),
+      margin: { right: 14, bottom: 20, left: 14 }
+    });
+    
+    return doc;
+  }
 }
 
 export default new PdfExporter();
\ No newline at end of file
@@ -0,0 +1,147 @@
+// src/utils/PeriodComparison.js
+import { format, parseISO, startOfMonth, subMonths, subYears, subDays, differenceInCalendarDays, min } from 'date-fns';
+import fiscalCalendar, { DEFAULT_START_MONTH } from './FiscalCalendar';
+
+// What a period can be compared against
+export const COMPARE_MODES = [
+  { value: 'none', label: 'No Comparison' },
+  { value: 'previous', label: 'Previous Period' },
+  { value: 'lastYear', label: 'Same Period Last Year' }
+];
+
+const toDay = (date) => format(date, 'yyyy-MM-dd');
+
+// A yyyy-MM-dd date entered in a date field, or null if it is blank or incomplete
+const toValidDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(parseISO(value).getTime()) ? value : null);
+
+/**
+ * Utility for dashboard date ranges and period-on-period comparison. A range is
+ * { dateFrom, dateTo } as yyyy-MM-dd, either of which may be null for an open
+ * end. Preset periods run to today; months is their length, used to step back
+ * to the previous period.
+ */
+class PeriodComparison {
+  /**
+   * Date range of a dashboard period
+   * @param {string} period - month, quarter, 3months, 6months, year, custom or all
+   * @param {Object} options - { today, startMonth, custom: { dateFrom, dateTo } }; startMonth is the financial year start
+   * @returns {Object} { dateFrom, dateTo, months }
+   */
+  getRange(period, { today = new Date(), startMonth = DEFAULT_START_MONTH, custom = {} } = {}) {
+    const dateTo = toDay(today);
+
+    switch (period) {
+      case 'month':
+        return { dateFrom: toDay(startOfMonth(today)), dateTo, months: 1 };
+      case 'quarter':
+        return { dateFrom: toDay(fiscalCalendar.getQuarterStart(today, startMonth)), dateTo, months: 3 };
+      case '3months':
+        return { dateFrom: toDay(subMonths(today, 3)), dateTo, months: 3 };
+      case '6months':
+        return { dateFrom: toDay(subMonths(today, 6)), dateTo, months: 6 };
+      case 'year':
+        return { dateFrom: toDay(fiscalCalendar.getCurrentYearStart(startMonth, today)), dateTo, months: 12 };
+      case 'custom':
+        return { dateFrom: toValidDay(custom.dateFrom), dateTo: toValidDay(custom.dateTo), months: null };
+      case 'all':
+      default:
+        return { dateFrom: null, dateTo: null, months: null };
+    }
+  }
+
+  /**
+   * Range a period is compared against. The previous period is the range moved
+   * back by the preset's length in months, so a part-month is compared with the
+   * same elapsed days (1-18 Oct with 1-18 Sep), or by the number of days in a
+   * custom range. It ends no later than the day before the range starts, so the
+   * two never overlap.
+   * @param {Object} range - Result of getRange
+   * @param {string} mode - none, previous or lastYear
+   * @returns {Object|null} { dateFrom, dateTo, months }, or null when not comparing or the range is open-ended
+   */
+  getComparisonRange(range, mode) {
+    if (!range?.dateFrom || !range?.dateTo || range.dateFrom > range.dateTo) return null;
+
+    const from = parseISO(range.dateFrom);
+    const to = parseISO(range.dateTo);
+    const shifted = (shift) => ({ dateFrom: toDay(shift(from)), dateTo: toDay(shift(to)), months: range.months });
+
+    switch (mode) {
+      case 'previous':
+        if (range.months) {
+          const dateTo = min([subMonths(to, range.months), subDays(from, 1)]);
+          return { dateFrom: toDay(subMonths(from, range.months)), dateTo: toDay(dateTo), months: range.months };
+        }
+        return shifted(date => subDays(date, differenceInCalendarDays(to, from) + 1));
+      case 'lastYear':
+        return shifted(date => subYears(date, 1));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Whether a date falls in a range
+   * @param {string} date - Record date (yyyy-MM-dd, optionally with a time)
+   * @param {Object} range - { dateFrom, dateTo }
+   * @returns {boolean} False for undated records
+   */
+  inRange(date, range) {
+    const day = String(date || '').slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return false;
+    return (!range?.dateFrom || day >= range.dateFrom) && (!range?.dateTo || day <= range.dateTo);
+  }
+
+  /**
+   * Records dated within a range
+   * @param {Array} records - Records with a date
+   * @param {Object|null} range - { dateFrom, dateTo }; no records for a null range
+   * @returns {Array} Matching records
+   */
+  filterByDate(records = [], range) {
+    if (!range) return [];
+    return records.filter(record => this.inRange(record.date, range));
+  }
+
+  /**
+   * Change from the comparison value to the current value
+   * @param {number} current - Current value
+   * @param {number} comparison - Comparison value
+   * @returns {Object} { current, comparison, difference, percent }; percent is null when the comparison is zero
+   */
+  getChange(current = 0, comparison = 0) {
+    return {
+      current,
+      comparison,
+      difference: current - comparison,
+      percent: comparison ? ((current - comparison) / Math.abs(comparison)) * 100 : null
+    };
+  }
+
+  /**
+   * Percentage change for display
+   * @param {number} current - Current value
+   * @param {number} comparison - Comparison value
+   * @returns {string} e.g. '+12.5%', '-3.0%', or 'New' when there was nothing to compare against
+   */
+  formatChange(current = 0, comparison = 0) {
+    const { percent } = this.getChange(current, comparison);
+    if (percent === null) return current ? 'New' : '0.0%';
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+  }
+
+  /**
+   * Describe a range for captions
+   * @param {Object} range - { dateFrom, dateTo }
+   * @returns {string} e.g. '1 Jul 2026 to 18 Oct 2026'
+   */
+  describe(range) {
+    const formatDay = (day) => format(parseISO(day), 'd MMM yyyy');
+    if (range?.dateFrom && range?.dateTo) return `${formatDay(range.dateFrom)} to ${formatDay(range.dateTo)}`;
+    if (range?.dateFrom) return `From ${formatDay(range.dateFrom)}`;
+    if (range?.dateTo) return `Up to ${formatDay(range.dateTo)}`;
+    return 'All dates';
+  }
+}
+
+export default new PeriodComparison();
@@ -0,0 +1,81 @@
+import periodComparison from './PeriodComparison';
+
+// 18 October 2026, local time
+const today = new Date(2026, 9, 18);
+
+describe('period ranges', () => {
+  test('runs presets to today', () => {
+    expect(periodComparison.getRange('month', { today })).toEqual({ dateFrom: '2026-10-01', dateTo: '2026-10-18', months: 1 });
+    expect(periodComparison.getRange('6months', { today })).toEqual({ dateFrom: '2026-04-18', dateTo: '2026-10-18', months: 6 });
+  });
+
+  test('starts the quarter and year at the financial year start', () => {
+    expect(periodComparison.getRange('quarter', { today, startMonth: 7 }).dateFrom).toBe('2026-10-01');
+    expect(periodComparison.getRange('year', { today, startMonth: 7 }).dateFrom).toBe('2026-07-01');
+    expect(periodComparison.getRange('year', { today, startMonth: 11 }).dateFrom).toBe('2025-11-01');
+  });
+
+  test('ignores incomplete custom dates', () => {
+    expect(periodComparison.getRange('custom', { today, custom: { dateFrom: '2026-02-3', dateTo: '2026-03-31' } }))
+      .toEqual({ dateFrom: null, dateTo: '2026-03-31', months: null });
+  });
+});
+
+describe('comparison ranges', () => {
+  test('compares a part period with the same elapsed days of the previous one', () => {
+    const month = periodComparison.getRange('month', { today });
+    expect(periodComparison.getComparisonRange(month, 'previous')).toEqual({ dateFrom: '2026-09-01', dateTo: '2026-09-18', months: 1 });
+
+    const quarter = periodComparison.getRange('quarter', { today, startMonth: 7 });
+    expect(periodComparison.getComparisonRange(quarter, 'previous')).toEqual({ dateFrom: '2026-07-01', dateTo: '2026-07-18', months: 3 });
+  });
+
+  test('ends a rolling period the day before the range starts', () => {
+
+    const sixMonths = periodComparison.getRange('6months', { today });
+    expect(periodComparison.getComparisonRange(sixMonths, 'previous')).toEqual({ dateFrom: '2025-10-18', dateTo: '2026-04-17', months: 6 });
+  });
+
+  test('steps a custom range back by its length in days', () => {
+    const range = { dateFrom: '2026-03-01', dateTo: '2026-03-10', months: null };
+    expect(periodComparison.getComparisonRange(range, 'previous')).toEqual({ dateFrom: '2026-02-19', dateTo: '2026-02-28', months: null });
+  });
+
+  test('never overlaps the current range', () => {
+    ['month', 'quarter', '3months', '6months', 'year'].forEach(period => {
+      const range = periodComparison.getRange(period, { today, startMonth: 7 });
+      const previous = periodComparison.getComparisonRange(range, 'previous');
+      expect(previous.dateTo < range.dateFrom).toBe(true);
+    });
+  });
+
+  test('compares with the same dates a year earlier', () => {
+    const range = { dateFrom: '2024-02-01', dateTo: '2024-02-29', months: 1 };
+    expect(periodComparison.getComparisonRange(range, 'lastYear')).toEqual({ dateFrom: '2023-02-01', dateTo: '2023-02-28', months: 1 });
+  });
+
+  test('does not compare open-ended ranges', () => {
+    expect(periodComparison.getComparisonRange({ dateFrom: null, dateTo: null }, 'previous')).toBeNull();
+    expect(periodComparison.getComparisonRange({ dateFrom: '2026-03-10', dateTo: '2026-03-01' }, 'lastYear')).toBeNull();
+  });
+});
+
+describe('filtering and change', () => {
+  test('includes both ends of the range and skips undated records', () => {
+    const records = [
+      { id: 1, date: '2026-09-01' },
+      { id: 2, date: '2026-09-30T23:00:00' },
+      { id: 3, date: '2026-10-01' },
+      { id: 4 }
+    ];
+    expect(periodComparison.filterByDate(records, { dateFrom: '2026-09-01', dateTo: '2026-09-30' }).map(r => r.id)).toEqual([1, 2]);
+    expect(periodComparison.filterByDate(records, null)).toEqual([]);
+  });
+
+  test('formats the change against the comparison', () => {
+    expect(periodComparison.formatChange(120, 100)).toBe('+20.0%');
+    expect(periodComparison.formatChange(90, 100)).toBe('-10.0%');
+    expect(periodComparison.formatChange(50, 0)).toBe('New');
+    expect(periodComparison.formatChange(0, 0)).toBe('0.0%');
+  });
+});
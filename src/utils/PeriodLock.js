@@ -0,0 +1,148 @@
+// src/utils/PeriodLock.js
+import { format, endOfMonth } from 'date-fns';
+
+// Period states, from least to most restrictive
+export const PERIOD_STATUSES = [
+  { value: 'open', label: 'Open', color: 'success' },
+  { value: 'soft-closed', label: 'Soft-closed', color: 'warning' },
+  { value: 'closed', label: 'Closed', color: 'error' }
+];
+
+/**
+ * Thrown by DataContext when a write falls in a period that does not accept it
+ */
+export class PeriodLockedError extends Error {
+  constructor(check) {
+    super(check.message);
+    this.name = 'PeriodLockedError';
+    this.period = check.period;
+    this.status = check.status;
+  }
+}
+
+/**
+ * Utility for accounting period status checks (open / soft-closed / closed)
+ */
+class PeriodLock {
+  /**
+   * Period key for a date
+   * @param {string|Date} date - Transaction date
+   * @returns {string|null} yyyy-MM, or null if the date is invalid
+   */
+  getPeriodKey(date) {
+    if (!date) return null;
+    if (typeof date === 'string' && /^\d{4}-\d{2}/.test(date)) return date.slice(0, 7);
+
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? null : format(parsed, 'yyyy-MM');
+  }
+
+  /**
+   * Display label for a period key
+   * @param {string} periodKey - yyyy-MM
+   * @returns {string} e.g. "Jun 2026"
+   */
+  getPeriodLabel(periodKey) {
+    const date = new Date(`${periodKey}-01T00:00:00`);
+    return isNaN(date.getTime()) ? periodKey : format(date, 'MMM yyyy');
+  }
+
+  /**
+   * First and last day of a period
+   * @param {string} periodKey - yyyy-MM
+   * @returns {Object} { startDate, endDate } as yyyy-MM-dd
+   */
+  getPeriodRange(periodKey) {
+    const start = new Date(`${periodKey}-01T00:00:00`);
+    return {
+      startDate: `${periodKey}-01`,
+      endDate: format(endOfMonth(start), 'yyyy-MM-dd')
+    };
+  }
+
+  /**
+   * The period record covering a date (periods without a record are open)
+   * @param {Array} periods - AccountingPeriods records
+   * @param {string|Date} date - Transaction date
+   * @returns {Object|null} Period record
+   */
+  findPeriod(periods = [], date) {
+    const key = this.getPeriodKey(date);
+    if (!key) return null;
+
+    return periods.find(period => period.period === key) || null;
+  }
+
+  /**
+   * Status of the period covering a date
+   * @param {Array} periods - AccountingPeriods records
+   * @param {string|Date} date - Transaction date
+   * @returns {string} 'open', 'soft-closed' or 'closed'
+   */
+  getStatus(periods = [], date) {
+    const period = this.findPeriod(periods, date);
+    return period && period.status ? period.status : 'open';
+  }
+
+  /**
+   * Check whether a change touching the given dates is allowed. A change that moves a
+   * record between periods must pass both, so callers pass the old and new dates.
+   * @param {Array} periods - AccountingPeriods records
+   * @param {Array} dates - Transaction dates affected by the change
+   * @param {boolean} canApprove - Whether the user holds the approve permission
+   * @returns {Object} { allowed, override, status, period, message }
+   */
+  checkChange(periods = [], dates = [], canApprove = false) {
+    const rank = (status) => PERIOD_STATUSES.findIndex(s => s.value === status);
+    let worst = { status: 'open', period: null };
+
+    dates.forEach(date => {
+      const key = this.getPeriodKey(date);
+      if (!key) return;
+
+      const status = this.getStatus(periods, date);
+      if (rank(status) > rank(worst.status)) {
+        worst = { status, period: key };
+      }
+    });
+
+    const label = worst.period ? this.getPeriodLabel(worst.period) : '';
+
+    if (worst.status === 'closed') {
+      return {
+        allowed: false,
+        override: false,
+        ...worst,
+        message: `The accounting period ${label} is closed. An admin must reopen it in Settings before it can be changed.`
+      };
+    }
+
+    if (worst.status === 'soft-closed') {
+      return {
+        allowed: canApprove,
+        override: canApprove,
+        ...worst,
+        message: canApprove ?
+          `The accounting period ${label} is soft-closed. This change is recorded as an approved override.` :
+          `The accounting period ${label} is soft-closed. Only users with the approve permission can change it.`
+      };
+    }
+
+    return { allowed: true, override: false, ...worst, message: '' };
+  }
+
+  /**
+   * Audit action for a period status change
+   * @param {string} previousStatus - Status before the change (undefined for a new period)
+   * @param {string} status - Status after the change
+   * @returns {string} Audit action
+   */
+  getAuditAction(previousStatus, status) {
+    if (status === 'closed') return 'PERIOD_CLOSE';
+    if (status === 'soft-closed') return 'PERIOD_SOFT_CLOSE';
+    if (previousStatus && previousStatus !== 'open') return 'PERIOD_REOPEN';
+    return 'PERIOD_UPDATE';
+  }
+}
+
+export default new PeriodLock();
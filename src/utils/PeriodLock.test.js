@@ -0,0 +1,68 @@
+import periodLock, { PeriodLockedError } from './PeriodLock';
+
+const periods = [
+  { period: '2026-06', status: 'closed' },
+  { period: '2026-07', status: 'soft-closed' },
+  { period: '2026-08', status: 'open' }
+];
+
+describe('periods', () => {
+  test('keys dates by month, including timestamps and Dates', () => {
+    expect(periodLock.getPeriodKey('2026-06-30T23:59:00')).toBe('2026-06');
+    expect(periodLock.getPeriodKey(new Date(2026, 6, 1))).toBe('2026-07');
+    expect(periodLock.getPeriodKey('not a date')).toBeNull();
+    expect(periodLock.getPeriodKey(null)).toBeNull();
+  });
+
+  test('treats months without a record as open', () => {
+    expect(periodLock.getStatus(periods, '2026-06-15')).toBe('closed');
+    expect(periodLock.getStatus(periods, '2026-09-01')).toBe('open');
+  });
+
+  test('runs a period to the last day of the month', () => {
+    expect(periodLock.getPeriodRange('2028-02')).toEqual({ startDate: '2028-02-01', endDate: '2028-02-29' });
+    expect(periodLock.getPeriodLabel('2026-06')).toBe('Jun 2026');
+  });
+});
+
+describe('checking changes', () => {
+  test('allows changes in open periods', () => {
+    expect(periodLock.checkChange(periods, ['2026-08-01', '2026-09-30', null])).toEqual({
+      allowed: true,
+      override: false,
+      status: 'open',
+      period: null,
+      message: ''
+    });
+  });
+
+  test('lets only approvers change a soft-closed period, as an override', () => {
+    expect(periodLock.checkChange(periods, ['2026-07-31'], false))
+      .toEqual(expect.objectContaining({ allowed: false, override: false, period: '2026-07' }));
+    expect(periodLock.checkChange(periods, ['2026-07-31'], true))
+      .toEqual(expect.objectContaining({ allowed: true, override: true, status: 'soft-closed' }));
+  });
+
+  test('refuses any change touching a closed period, whichever date it is', () => {
+    const check = periodLock.checkChange(periods, ['2026-08-03', '2026-07-01', '2026-06-30'], true);
+
+    expect(check).toEqual(expect.objectContaining({ allowed: false, status: 'closed', period: '2026-06' }));
+    expect(check.message).toMatch(/Jun 2026 is closed/);
+  });
+
+  test('carries the check on the error', () => {
+    const error = new PeriodLockedError(periodLock.checkChange(periods, ['2026-06-01']));
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toEqual(expect.objectContaining({ name: 'PeriodLockedError', period: '2026-06', status: 'closed' }));
+  });
+});
+
+describe('auditing', () => {
+  test('names the status change', () => {
+    expect(periodLock.getAuditAction(undefined, 'closed')).toBe('PERIOD_CLOSE');
+    expect(periodLock.getAuditAction('open', 'soft-closed')).toBe('PERIOD_SOFT_CLOSE');
+    expect(periodLock.getAuditAction('closed', 'open')).toBe('PERIOD_REOPEN');
+    expect(periodLock.getAuditAction(undefined, 'open')).toBe('PERIOD_UPDATE');
+  });
+});
@@ -0,0 +1,269 @@
+// src/utils/PurchaseOrderHelper.js
+import { v4 as uuidv4 } from 'uuid';
+
+// Purchase order states; receipt and invoice progress is derived from the order
+export const PO_STATUSES = [
+  { value: 'Draft', label: 'Draft', color: 'default' },
+  { value: 'Approved', label: 'Approved', color: 'primary' },
+  { value: 'Closed', label: 'Closed', color: 'success' },
+  { value: 'Cancelled', label: 'Cancelled', color: 'error' }
+];
+
+// Amounts within a cent are treated as equal
+const EPSILON = 0.005;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Utility for purchase orders: numbering, receipts, matched invoices and the
+ * commitment still open against the budget
+ */
+class PurchaseOrderHelper {
+  /**
+   * Next number in the PO-000001 series
+   * @param {Array} orders - Existing purchase orders
+   * @returns {string} PO number
+   */
+  getNextNumber(orders = []) {
+    const highest = orders.reduce((max, order) => {
+      const match = /^PO-(\d+)$/.exec(order.poNumber || '');
+      return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return `PO-${String(highest + 1).padStart(6, '0')}`;
+  }
+
+  /**
+   * Line amount from quantity and unit price
+   * @param {Object} line - PO line
+   * @returns {number} Amount
+   */
+  getLineAmount(line) {
+    return Math.round(toNumber(line.quantity) * toNumber(line.unitPrice) * 100) / 100;
+  }
+
+  /**
+   * Total of the order's lines
+   * @param {Array} lines - PO lines
+   * @returns {number} Total
+   */
+  getLinesTotal(lines = []) {
+    return lines.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+  }
+
+  /**
+   * Quantity and amount received so far on each line
+   * @param {Object} order - Purchase order
+   * @returns {Object} { [lineId]: { quantity, amount } }
+   */
+  getReceivedByLine(order) {
+    const received = {};
+    (order.receipts || []).forEach(receipt => {
+      const entry = received[receipt.lineId] || { quantity: 0, amount: 0 };
+      entry.quantity += toNumber(receipt.quantity);
+      entry.amount += toNumber(receipt.amount);
+      received[receipt.lineId] = entry;
+    });
+    return received;
+  }
+
+  /**
+   * Value of goods received so far
+   * @param {Object} order - Purchase order
+   * @returns {number} Amount
+   */
+  getReceivedAmount(order) {
+    return (order.receipts || []).reduce((sum, receipt) => sum + toNumber(receipt.amount), 0);
+  }
+
+  /**
+   * How much of the order has arrived
+   * @param {Object} order - Purchase order
+   * @returns {string} 'Not received', 'Partially received' or 'Received'
+   */
+  getReceiptStatus(order) {
+    const received = this.getReceivedByLine(order);
+    const lines = order.lines || [];
+    const anyReceived = lines.some(line => (received[line.id]?.quantity || 0) > 0);
+    if (!anyReceived) return 'Not received';
+
+    const allReceived = lines.every(line => (received[line.id]?.quantity || 0) >= toNumber(line.quantity) - EPSILON);
+    return allReceived ? 'Received' : 'Partially received';
+  }
+
+  /**
+   * Invoices (expenses) matched against the order
+   * @param {Object} order - Purchase order
+   * @param {Array} expenses - All expenses
+   * @returns {Array} Linked expenses, excluding cancelled ones
+   */
+  getInvoices(order, expenses = []) {
+    return expenses.filter(expense =>
+      expense.purchaseOrderId &&
+      String(expense.purchaseOrderId) === String(order.id) &&
+      expense.status !== 'Cancelled'
+    );
+  }
+
+  /**
+   * Total invoiced against the order
+   * @param {Object} order - Purchase order
+   * @param {Array} expenses - All expenses
+   * @returns {number} Amount
+   */
+  getInvoicedAmount(order, expenses = []) {
+    return this.getInvoices(order, expenses).reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+  }
+
+  /**
+   * Commitment still open: the approved amount less invoices, while the order is approved
+   * @param {Object} order - Purchase order
+   * @param {Array} expenses - All expenses
+   * @returns {number} Remaining commitment
+   */
+  getRemainingCommitment(order, expenses = []) {
+    if (order.status !== 'Approved') return 0;
+    return Math.max(0, toNumber(order.approvedAmount) - this.getInvoicedAmount(order, expenses));
+  }
+
+  /**
+   * Figures shown for an order
+   * @param {Object} order - Purchase order
+   * @param {Array} expenses - All expenses
+   * @returns {Object} { ordered, approved, received, invoiced, remaining, receiptStatus }
+   */
+  getSummary(order, expenses = []) {
+    return {
+      ordered: this.getLinesTotal(order.lines),
+      approved: toNumber(order.approvedAmount),
+      received: this.getReceivedAmount(order),
+      invoiced: this.getInvoicedAmount(order, expenses),
+      remaining: this.getRemainingCommitment(order, expenses),
+      receiptStatus: this.getReceiptStatus(order)
+    };
+  }
+
+  /**
+   * Open commitments split by payment center and program. Each order's remaining
+   * commitment is spread over its lines in proportion to the line amounts; lines
+   * without their own coding use the order's.
+   * @param {Array} orders - Purchase orders
+   * @param {Array} expenses - All expenses
+   * @returns {Array} [{ paymentCenter, program, amount, orderId }]
+   */
+  getCommitmentsByCoding(orders = [], expenses = []) {
+    const commitments = [];
+
+    orders.forEach(order => {
+      const remaining = this.getRemainingCommitment(order, expenses);
+      if (remaining <= 0) return;
+
+      const lines = order.lines || [];
+      const linesTotal = this.getLinesTotal(lines);
+      const shares = linesTotal > 0 ?
+        lines.map(line => ({ line, share: this.getLineAmount(line) / linesTotal })) :
+        [{ line: {}, share: 1 }];
+
+      shares.forEach(({ line, share }) => {
+        if (share <= 0) return;
+        commitments.push({
+          orderId: order.id,
+          paymentCenter: String(line.paymentCenter || order.paymentCenter || ''),
+          program: String(line.program || order.program || ''),
+          amount: remaining * share
+        });
+      });
+    });
+
+    return commitments;
+  }
+
+  /**
+   * Receipt entries for quantities received now
+   * @param {Object} order - Purchase order
+   * @param {Object} quantities - { [lineId]: quantity received }
+   * @param {Object} options - { date, receivedBy, notes }
+   * @returns {Array} New receipt entries
+   */
+  buildReceipts(order, quantities, { date, receivedBy, notes = '' } = {}) {
+    return (order.lines || [])
+      .filter(line => toNumber(quantities[line.id]) > 0)
+      .map(line => {
+        const quantity = toNumber(quantities[line.id]);
+        return {
+          id: uuidv4(),
+          date,
+          lineId: line.id,
+          quantity,
+          amount: Math.round(quantity * toNumber(line.unitPrice) * 100) / 100,
+          receivedBy,
+          notes
+        };
+      });
+  }
+
+  /**
+   * Validate quantities before they are received
+   * @param {Object} order - Purchase order
+   * @param {Object} quantities - { [lineId]: quantity received }
+   * @returns {Array} Error messages
+   */
+  validateReceipt(order, quantities) {
+    const errors = [];
+    const received = this.getReceivedByLine(order);
+
+    if (order.status !== 'Approved') {
+      errors.push('Goods can only be received against an approved purchase order');
+    }
+
+    if (!Object.values(quantities).some(quantity => toNumber(quantity) > 0)) {
+      errors.push('Enter a quantity received for at least one line');
+    }
+
+    (order.lines || []).forEach((line, index) => {
+      const quantity = toNumber(quantities[line.id]);
+      const outstanding = toNumber(line.quantity) - (received[line.id]?.quantity || 0);
+      if (quantity < 0) {
+        errors.push(`Line ${index + 1}: Quantity cannot be negative`);
+      } else if (quantity > outstanding + EPSILON) {
+        errors.push(`Line ${index + 1}: Only ${outstanding} still to be received`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a purchase order before it is saved
+   * @param {Object} order - Order to save (with lines)
+   * @param {Array} orders - Existing purchase orders
+   * @returns {Array} Error messages
+   */
+  validatePurchaseOrder(order, orders = []) {
+    const errors = [];
+
+    if (!order.poNumber) {
+      errors.push('PO number is required');
+    } else if (orders.some(o => o.id !== order.id && o.poNumber === order.poNumber)) {
+      errors.push(`PO number ${order.poNumber} is already used`);
+    }
+
+    if (!order.date) errors.push('Date is required');
+    if (!order.supplier) errors.push('Supplier is required');
+    if (!order.paymentCenter) errors.push('Payment center is required');
+
+    const lines = order.lines || [];
+    if (lines.length === 0) {
+      errors.push('At least one line is required');
+    }
+
+    lines.forEach((line, index) => {
+      if (!line.description) errors.push(`Line ${index + 1}: Description is required`);
+      if (!(toNumber(line.quantity) > 0)) errors.push(`Line ${index + 1}: Quantity must be greater than zero`);
+      if (!(toNumber(line.unitPrice) > 0)) errors.push(`Line ${index + 1}: Unit price must be greater than zero`);
+    });
+
+    return errors;
+  }
+}
+
+export default new PurchaseOrderHelper();
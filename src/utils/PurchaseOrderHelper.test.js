@@ -0,0 +1,105 @@
+import purchaseOrderHelper from './PurchaseOrderHelper';
+
+const order = {
+  id: 'PO1',
+  poNumber: 'PO-000004',
+  date: '2026-08-20',
+  status: 'Approved',
+  supplier: 1,
+  paymentCenter: 2,
+  program: 'P1',
+  approvedAmount: 1000,
+  lines: [
+    { id: 'L1', description: 'Chairs', quantity: 10, unitPrice: 60 },
+    { id: 'L2', description: 'Desks', quantity: 2, unitPrice: 200, paymentCenter: 3 }
+  ],
+  receipts: [
+    { id: 'R1', lineId: 'L1', quantity: 4, amount: 240, date: '2026-09-01' },
+    { id: 'R2', lineId: 'L1', quantity: 6, amount: 360, date: '2026-09-15' }
+  ]
+};
+
+const expenses = [
+  { id: 'E1', purchaseOrderId: 'PO1', amount: 300, status: 'Invoiced' },
+  { id: 'E2', purchaseOrderId: 'PO1', amount: 500, status: 'Cancelled' },
+  { id: 'E3', purchaseOrderId: 'PO2', amount: 700, status: 'Paid' }
+];
+
+describe('numbering', () => {
+  test('continues from the highest PO number', () => {
+    expect(purchaseOrderHelper.getNextNumber([order, { poNumber: 'PO-000002' }, { poNumber: 'Imported 9' }])).toBe('PO-000005');
+    expect(purchaseOrderHelper.getNextNumber([])).toBe('PO-000001');
+  });
+});
+
+describe('receipts and invoices', () => {
+  test('adds up receipts by line', () => {
+    expect(purchaseOrderHelper.getReceivedByLine(order)).toEqual({ L1: { quantity: 10, amount: 600 } });
+    expect(purchaseOrderHelper.getReceiptStatus(order)).toBe('Partially received');
+    expect(purchaseOrderHelper.getReceiptStatus({ ...order, receipts: [] })).toBe('Not received');
+  });
+
+  test('leaves out cancelled invoices and other orders', () => {
+    expect(purchaseOrderHelper.getSummary(order, expenses)).toEqual({
+      ordered: 1000,
+      approved: 1000,
+      received: 600,
+      invoiced: 300,
+      remaining: 700,
+      receiptStatus: 'Partially received'
+    });
+  });
+
+  test('releases the commitment once the order is closed', () => {
+    expect(purchaseOrderHelper.getRemainingCommitment({ ...order, status: 'Closed' }, expenses)).toBe(0);
+    expect(purchaseOrderHelper.getRemainingCommitment({ ...order, approvedAmount: 200 }, expenses)).toBe(0);
+  });
+
+  test('spreads the open commitment over the line codings', () => {
+    const commitments = purchaseOrderHelper.getCommitmentsByCoding([order], expenses);
+
+    expect(commitments).toEqual([
+      { orderId: 'PO1', paymentCenter: '2', program: 'P1', amount: 420 },
+      { orderId: 'PO1', paymentCenter: '3', program: 'P1', amount: 280 }
+    ]);
+  });
+});
+
+describe('receiving goods', () => {
+  test('builds receipt entries for the quantities entered', () => {
+    const receipts = purchaseOrderHelper.buildReceipts(order, { L1: '0', L2: '1.5' }, { date: '2026-10-01', receivedBy: 'sam' });
+
+    expect(receipts).toHaveLength(1);
+    expect(receipts[0]).toEqual(expect.objectContaining({ lineId: 'L2', quantity: 1.5, amount: 300, date: '2026-10-01', receivedBy: 'sam' }));
+    expect(receipts[0].id).toBeTruthy();
+  });
+
+  test('refuses more than is still to be received', () => {
+    expect(purchaseOrderHelper.validateReceipt(order, { L2: 2 })).toEqual([]);
+    expect(purchaseOrderHelper.validateReceipt(order, { L1: 1, L2: -1 })).toEqual([
+      'Line 1: Only 0 still to be received',
+      'Line 2: Quantity cannot be negative'
+    ]);
+    expect(purchaseOrderHelper.validateReceipt({ ...order, status: 'Draft' }, {})).toEqual([
+      'Goods can only be received against an approved purchase order',
+      'Enter a quantity received for at least one line'
+    ]);
+  });
+});
+
+describe('saving orders', () => {
+  test('requires a unique number, coding and complete lines', () => {
+    expect(purchaseOrderHelper.validatePurchaseOrder(order, [order])).toEqual([]);
+    expect(purchaseOrderHelper.validatePurchaseOrder(
+      { id: 'PO9', poNumber: 'PO-000004', lines: [{ description: '', quantity: 0, unitPrice: 5 }] },
+      [order]
+    )).toEqual([
+      'PO number PO-000004 is already used',
+      'Date is required',
+      'Supplier is required',
+      'Payment center is required',
+      'Line 1: Description is required',
+      'Line 1: Quantity must be greater than zero'
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+// src/utils/RealtimeMerger.js
+
+/**
+ * Utility for merging Supabase Realtime change events into local collections
+ */
+class RealtimeMerger {
+  /**
+   * Get the ID of the record a change event refers to
+   * @param {Object} change - Change event ({ eventType, new, old })
+   * @returns {string|null} Record ID as a string
+   */
+  getChangeId(change) {
+    const record = change.eventType === 'DELETE' ? change.old : (change.new || change.old);
+    if (!record || record.id === undefined || record.id === null) {
+      return null;
+    }
+    return String(record.id);
+  }
+
+  /**
+   * Apply an insert, update or delete to a collection without reordering it
+   * @param {Array} records - Current records in the collection
+   * @param {Object} change - Change event ({ eventType, new, old })
+   * @returns {Array} New array with the change applied
+   */
+  applyChange(records = [], change) {
+    const id = this.getChangeId(change);
+    if (!id) {
+      return records;
+    }
+
+    if (change.eventType === 'DELETE') {
+      return records.filter(item => String(item.id) !== id);
+    }
+
+    const index = records.findIndex(item => String(item.id) === id);
+
+    // Insert, or an update for a record we have not loaded yet
+    if (index === -1) {
+      return [...records, change.new];
+    }
+
+    // Update in place, keeping app-only fields (e.g. journal lines) the row does not carry
+    const merged = [...records];
+    merged[index] = { ...records[index], ...change.new };
+    return merged;
+  }
+
+  /**
+   * Rebuild the lines of one journal from the JournalLines collection
+   * @param {Array} journals - Journal entries with nested lines
+   * @param {Array} journalLines - All journal lines
+   * @param {string} journalId - Journal to rebuild
+   * @returns {Array} Journal entries with the journal's lines refreshed
+   */
+  restitchJournalLines(journals = [], journalLines = [], journalId) {
+    if (!journalId) {
+      return journals;
+    }
+
+    const lines = journalLines
+      .filter(line => String(line.journalId) === String(journalId))
+      .sort((a, b) => a.lineNumber - b.lineNumber)
+      .map(line => ({
+        id: line.id,
+        type: line.type,
+        account: line.account,
+        program: line.program,
+        paymentCenter: line.paymentCenter,
+        amount: line.amount
+      }));
+
+    return journals.map(journal =>
+      String(journal.id) === String(journalId) ? { ...journal, lines } : journal
+    );
+  }
+
+  /**
+   * Apply a change event to the full data object, keeping journals and their lines in step
+   * @param {Object} data - All collections
+   * @param {Object} change - Change event ({ table, eventType, new, old })
+   * @returns {Object} New data object
+   */
+  mergeIntoData(data, change) {
+    const { table } = change;
+    if (!data[table]) {
+      return data;
+    }
+
+    const newData = {
+      ...data,
+      [table]: this.applyChange(data[table], change)
+    };
+
+    // A line changed: refresh the lines nested on its journal
+    if (table === 'JournalLines' && newData.JournalEntries) {
+      const id = this.getChangeId(change);
+      const existingLine = data.JournalLines.find(line => String(line.id) === id);
+      const journalId = change.new?.journalId || change.old?.journalId || existingLine?.journalId;
+
+      newData.JournalEntries = this.restitchJournalLines(
+        newData.JournalEntries,
+        newData.JournalLines,
+        journalId
+      );
+    }
+
+    // A journal was inserted from elsewhere: attach any lines that arrived first
+    if (table === 'JournalEntries' && change.eventType === 'INSERT' && newData.JournalLines) {
+      newData.JournalEntries = this.restitchJournalLines(
+        newData.JournalEntries,
+        newData.JournalLines,
+        change.new.id
+      );
+    }
+
+    return newData;
+  }
+
+  /**
+   * Check whether a remote change actually differs from the local copy of a record
+   * @param {Object} localRecord - Record as currently held locally
+   * @param {Object} change - Change event ({ eventType, new, old })
+   * @returns {boolean} True if the remote change alters the record
+   */
+  isDifferent(localRecord, change) {
+    if (change.eventType === 'DELETE') {
+      return true;
+    }
+    if (!localRecord) {
+      return true;
+    }
+
+    // Compare loosely so '12.50' and 12.5, or null and '', are treated as equal
+    const normalize = (value) => {
+      if (value === undefined || value === null || value === '') return '';
+      if (typeof value === 'object') return JSON.stringify(value);
+      if (!isNaN(parseFloat(value)) && isFinite(value)) return String(parseFloat(value));
+      return String(value);
+    };
+
+    return Object.entries(change.new || {}).some(([field, value]) => {
+      if (field === 'lines') return false;
+      return normalize(localRecord[field]) !== normalize(value);
+    });
+  }
+}
+
+export default new RealtimeMerger();
@@ -0,0 +1,100 @@
+import realtimeMerger from './RealtimeMerger';
+
+describe('merging changes', () => {
+  test('merges inserts, updates and deletes in place', () => {
+    const changes = [
+      { table: 'Expenses', eventType: 'INSERT', new: { id: 'E2', amount: 10 }, old: {} },
+      { table: 'Expenses', eventType: 'UPDATE', new: { id: 'E1', amount: 20 }, old: { id: 'E1' } },
+      { table: 'Expenses', eventType: 'DELETE', new: {}, old: { id: 'E3' } }
+    ];
+
+    const data = changes.reduce(
+      (current, change) => realtimeMerger.mergeIntoData(current, change),
+      {
+        Expenses: [
+          { id: 'E1', amount: 5, description: 'Kept' },
+          { id: 'E3', amount: 7 }
+        ]
+      }
+    );
+
+    expect(data.Expenses.map(e => e.id)).toEqual(['E1', 'E2']);
+    expect(data.Expenses[0]).toEqual(expect.objectContaining({ amount: 20, description: 'Kept' }));
+  });
+
+  test('ignores changes without an id and tables that are not loaded', () => {
+    const data = { Expenses: [{ id: 1 }] };
+
+    expect(realtimeMerger.mergeIntoData(data, { table: 'Expenses', eventType: 'DELETE', new: {}, old: {} })).toEqual(data);
+    expect(realtimeMerger.mergeIntoData(data, { table: 'Suppliers', eventType: 'INSERT', new: { id: 2 } })).toBe(data);
+  });
+
+  test('matches numeric and string ids', () => {
+    const records = realtimeMerger.applyChange([{ id: 7, amount: 1 }], { eventType: 'UPDATE', new: { id: '7', amount: 2 } });
+    expect(records).toHaveLength(1);
+    expect(records[0].amount).toBe(2);
+  });
+});
+
+describe('journal lines', () => {
+  test('keeps journal lines in step with line changes', () => {
+    const data = {
+      JournalEntries: [{ id: 'J1', lines: [] }],
+      JournalLines: []
+    };
+
+    const merged = realtimeMerger.mergeIntoData(data, {
+      table: 'JournalLines',
+      eventType: 'INSERT',
+      new: { id: 'J1-L1', journalId: 'J1', lineNumber: 1, type: 'debit', paymentCenter: 2, amount: 50 },
+      old: null
+    });
+
+    expect(merged.JournalEntries[0].lines).toEqual([
+      { id: 'J1-L1', type: 'debit', program: undefined, paymentCenter: 2, amount: 50 }
+    ]);
+  });
+
+  test('removes a deleted line from its journal using the local copy', () => {
+    const data = {
+      JournalEntries: [{ id: 'J1', lines: [{ id: 'J1-L1' }, { id: 'J1-L2' }] }],
+      JournalLines: [
+        { id: 'J1-L1', journalId: 'J1', lineNumber: 1, type: 'debit', amount: 50 },
+        { id: 'J1-L2', journalId: 'J1', lineNumber: 2, type: 'credit', amount: 50 }
+      ]
+    };
+
+    // Deletes carry only the id of the row
+    const merged = realtimeMerger.mergeIntoData(data, { table: 'JournalLines', eventType: 'DELETE', new: {}, old: { id: 'J1-L2' } });
+
+    expect(merged.JournalEntries[0].lines.map(line => line.id)).toEqual(['J1-L1']);
+  });
+
+  test('attaches lines that arrived before their journal, in line order', () => {
+    const data = {
+      JournalEntries: [],
+      JournalLines: [
+        { id: 'J2-L2', journalId: 'J2', lineNumber: 2, type: 'credit', amount: 30 },
+        { id: 'J2-L1', journalId: 'J2', lineNumber: 1, type: 'debit', amount: 30 }
+      ]
+    };
+
+    const merged = realtimeMerger.mergeIntoData(data, { table: 'JournalEntries', eventType: 'INSERT', new: { id: 'J2' }, old: null });
+
+    expect(merged.JournalEntries[0].lines.map(line => line.id)).toEqual(['J2-L1', 'J2-L2']);
+  });
+});
+
+describe('detecting remote edits', () => {
+  test('treats equivalent values as unchanged', () => {
+    const local = { id: 'E1', amount: 12.5, notes: null, lines: [{ id: 'L1' }] };
+
+    expect(realtimeMerger.isDifferent(local, { eventType: 'UPDATE', new: { id: 'E1', amount: '12.50', notes: '', lines: [] } })).toBe(false);
+    expect(realtimeMerger.isDifferent(local, { eventType: 'UPDATE', new: { id: 'E1', amount: '13' } })).toBe(true);
+  });
+
+  test('always reports deletes and records not held locally', () => {
+    expect(realtimeMerger.isDifferent({ id: 'E1' }, { eventType: 'DELETE', old: { id: 'E1' } })).toBe(true);
+    expect(realtimeMerger.isDifferent(null, { eventType: 'INSERT', new: { id: 'E1' } })).toBe(true);
+  });
+});
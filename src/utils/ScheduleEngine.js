@@ -0,0 +1,264 @@
+// src/utils/ScheduleEngine.js
+import { format, addMonths, getDaysInMonth } from 'date-fns';
+import { v4 as uuidv4 } from 'uuid';
+
+// Supported recurrences
+export const FREQUENCIES = [
+  { value: 'monthly', label: 'Monthly', months: 1 },
+  { value: 'quarterly', label: 'Quarterly', months: 3 }
+];
+
+// Upper bound on occurrences walked for one schedule, in case of bad dates
+const MAX_OCCURRENCES = 600;
+
+/**
+ * Utility for recurring expense and journal schedules
+ */
+class ScheduleEngine {
+  /**
+   * Parse a yyyy-MM-dd date as a local date
+   * @param {string} value - Date string
+   * @returns {Date|null} Date, or null if invalid
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(`${String(value).slice(0, 10)}T00:00:00`);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Occurrence in a month, clamping the day to the month's last day (e.g. 31 -> 30 Jun)
+   * @param {Date} monthDate - Any date in the month
+   * @param {number} dayOfMonth - Day of the month (1-31)
+   * @returns {string} yyyy-MM-dd
+   */
+  getOccurrenceInMonth(monthDate, dayOfMonth) {
+    const day = Math.min(Math.max(parseInt(dayOfMonth, 10) || 1, 1), getDaysInMonth(monthDate));
+    return format(new Date(monthDate.getFullYear(), monthDate.getMonth(), day), 'yyyy-MM-dd');
+  }
+
+  /**
+   * All occurrences of a schedule up to a date (inclusive), ignoring skips and status
+   * @param {Object} schedule - Schedule record
+   * @param {string} throughDate - Last date to include (yyyy-MM-dd)
+   * @returns {Array} Occurrence dates (yyyy-MM-dd), oldest first
+   */
+  getOccurrences(schedule, throughDate) {
+    const start = this.parseDate(schedule.startDate);
+    if (!start || !throughDate) return [];
+
+    const step = (FREQUENCIES.find(f => f.value === schedule.frequency) || FREQUENCIES[0]).months;
+    const lastDate = schedule.endDate && schedule.endDate < throughDate ? schedule.endDate : throughDate;
+    const startKey = format(start, 'yyyy-MM-dd');
+    const occurrences = [];
+
+    for (let i = 0; i < MAX_OCCURRENCES; i++) {
+      const occurrence = this.getOccurrenceInMonth(addMonths(start, i * step), schedule.dayOfMonth);
+      if (occurrence > lastDate) break;
+      if (occurrence >= startKey) occurrences.push(occurrence);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Whether an occurrence has already been handled (generated, skipped or passed)
+   * @param {Object} schedule - Schedule record
+   * @param {string} date - Occurrence date
+   * @returns {boolean} True if nothing should be created for it
+   */
+  isHandled(schedule, date) {
+    if (schedule.generatedThrough && date <= schedule.generatedThrough) return true;
+    return (schedule.skippedDates || []).includes(date);
+  }
+
+  /**
+   * Occurrences due for creation up to today
+   * @param {Object} schedule - Schedule record
+   * @param {string} today - Today's date (yyyy-MM-dd)
+   * @returns {Array} Due occurrence dates
+   */
+  getDueOccurrences(schedule, today) {
+    if (schedule.status !== 'active') return [];
+    return this.getOccurrences(schedule, today).filter(date => !this.isHandled(schedule, date));
+  }
+
+  /**
+   * The next occurrences after the ones already generated, with their skip state
+   * @param {Object} schedule - Schedule record
+   * @param {number} count - How many to return
+   * @returns {Array} [{ date, skipped }]
+   */
+  getUpcoming(schedule, count = 6) {
+    const start = this.parseDate(schedule.startDate);
+    if (!start) return [];
+
+    // Walk far enough ahead to find `count` occurrences after generatedThrough
+    const step = (FREQUENCIES.find(f => f.value === schedule.frequency) || FREQUENCIES[0]).months;
+    const from = schedule.generatedThrough ? this.parseDate(schedule.generatedThrough) : start;
+    const horizon = format(addMonths(from > start ? from : start, (count + 1) * step), 'yyyy-MM-dd');
+
+    return this.getOccurrences(schedule, horizon)
+      .filter(date => !schedule.generatedThrough || date > schedule.generatedThrough)
+      .slice(0, count)
+      .map(date => ({ date, skipped: (schedule.skippedDates || []).includes(date) }));
+  }
+
+  /**
+   * Next occurrence that will be created, or null when the schedule has ended
+   * @param {Object} schedule - Schedule record
+   * @returns {string|null} yyyy-MM-dd
+   */
+  getNextDate(schedule) {
+    const next = this.getUpcoming(schedule, 24).find(occurrence => !occurrence.skipped);
+    return next ? next.date : null;
+  }
+
+  /**
+   * Latest occurrence up to which every occurrence is handled, so generatedThrough
+   * never moves past an occurrence that could not be created
+   * @param {Object} schedule - Schedule record
+   * @param {Array} createdDates - Occurrences created in this run
+   * @param {string} today - Today's date (yyyy-MM-dd)
+   * @returns {string|null} New generatedThrough value
+   */
+  getGeneratedThrough(schedule, createdDates, today) {
+    let through = schedule.generatedThrough || null;
+
+    for (const date of this.getOccurrences(schedule, today)) {
+      if (through && date <= through) continue;
+      if (!createdDates.includes(date) && !(schedule.skippedDates || []).includes(date)) break;
+      through = date;
+    }
+
+    return through;
+  }
+
+  /**
+   * ID for a schedule instance; the same on every client so instances are created once
+   * @param {Object} schedule - Schedule record
+   * @param {string} date - Occurrence date
+   * @returns {string} Instance ID
+   */
+  getInstanceId(schedule, date) {
+    return `${schedule.id}-${date}`;
+  }
+
+  /**
+   * Build the expense or journal for an occurrence
+   * @param {Object} schedule - Schedule record
+   * @param {string} date - Occurrence date
+   * @param {Object} options - { templates, username }
+   * @returns {Object|null} { collection, record }, or null if a journal template is missing
+   */
+  buildInstance(schedule, date, { templates = [], username = 'system' } = {}) {
+    const template = schedule.template || {};
+    const base = {
+      id: this.getInstanceId(schedule, date),
+      date,
+      scheduleId: schedule.id,
+      createdBy: username,
+      createdAt: new Date().toISOString()
+    };
+
+    if (schedule.type === 'expense') {
+      return {
+        collection: 'Expenses',
+        record: {
+          ...base,
+          description: template.description || schedule.name,
+          supplier: template.supplier || '',
+          amount: parseFloat(template.amount) || 0,
+          paymentType: template.paymentType || '',
+          paymentCenter: template.paymentCenter || '',
+          program: template.program || '',
+          notes: template.notes || `Created by schedule "${schedule.name}"`,
+          status: 'Committed'
+        }
+      };
+    }
+
+    const journalTemplate = templates.find(t => String(t.id) === String(template.templateId));
+    if (!journalTemplate) return null;
+
+    return {
+      collection: 'JournalEntries',
+      record: {
+        ...base,
+        description: template.description || journalTemplate.description || schedule.name,
+        reference: `SCH-${date.replace(/-/g, '')}-${String(schedule.id).slice(0, 4).toUpperCase()}`,
+        status: 'Pending',
+        notes: template.notes || `Created by schedule "${schedule.name}"`,
+        templateId: journalTemplate.id,
+        lines: (journalTemplate.lines || []).map(line => ({
+          id: uuidv4(),
+          type: line.type,
+          account: line.account || '',
+          program: line.program || '',
+          paymentCenter: line.paymentCenter || '',
+          amount: parseFloat(line.amount) || 0
+        }))
+      }
+    };
+  }
+
+  /**
+   * Validate a schedule before it is saved
+   * @param {Object} schedule - Schedule to save
+   * @param {Array} templates - Journal templates
+   * @returns {Array} Error messages
+   */
+  validateSchedule(schedule, templates = []) {
+    const errors = [];
+    const template = schedule.template || {};
+
+    if (!schedule.name || !schedule.name.trim()) {
+      errors.push('Name is required');
+    }
+
+    if (!FREQUENCIES.some(f => f.value === schedule.frequency)) {
+      errors.push('Frequency must be monthly or quarterly');
+    }
+
+    const day = parseInt(schedule.dayOfMonth, 10);
+    if (isNaN(day) || day < 1 || day > 31) {
+      errors.push('Day of month must be between 1 and 31');
+    }
+
+    if (!this.parseDate(schedule.startDate)) {
+      errors.push('Start date is required');
+    } else if (schedule.endDate && schedule.endDate < schedule.startDate) {
+      errors.push('End date must be after the start date');
+    }
+
+    if (schedule.type === 'expense') {
+      if (!template.description) errors.push('Expense description is required');
+      if (!template.supplier) errors.push('Supplier is required');
+      if (!(parseFloat(template.amount) > 0)) errors.push('Amount must be greater than zero');
+      if (!template.paymentType) errors.push('Payment type is required');
+      if (!template.paymentCenter) errors.push('Payment center is required');
+    } else if (schedule.type === 'journal') {
+      const journalTemplate = templates.find(t => String(t.id) === String(template.templateId));
+      if (!journalTemplate) {
+        errors.push('Journal template is required');
+      } else {
+        const lines = journalTemplate.lines || [];
+        const total = (type) => lines
+          .filter(line => line.type === type)
+          .reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+
+        if (lines.some(line => !(parseFloat(line.amount) > 0))) {
+          errors.push('Every line of the journal template needs an amount');
+        } else if (Math.abs(total('debit') - total('credit')) > 0.01) {
+          errors.push('The journal template debits and credits must balance');
+        }
+      }
+    } else {
+      errors.push('Type must be expense or journal');
+    }
+
+    return errors;
+  }
+}
+
+export default new ScheduleEngine();
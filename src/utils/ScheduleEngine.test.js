@@ -0,0 +1,110 @@
+import scheduleEngine from './ScheduleEngine';
+
+const monthly = {
+  id: 'S1',
+  name: 'Rent',
+  type: 'expense',
+  status: 'active',
+  frequency: 'monthly',
+  dayOfMonth: 31,
+  startDate: '2026-01-15',
+  template: { description: 'Office rent', supplier: 4, amount: '1500', paymentType: 'EFT', paymentCenter: 2 }
+};
+
+describe('occurrences', () => {
+  test('clamps the day to the end of shorter months', () => {
+    expect(scheduleEngine.getOccurrences(monthly, '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(scheduleEngine.getOccurrences({ ...monthly, startDate: '2028-02-01' }, '2028-02-29')).toEqual(['2028-02-29']);
+  });
+
+  test('skips a first occurrence before the start date and stops at the end date', () => {
+    const quarterly = { ...monthly, frequency: 'quarterly', dayOfMonth: 1, endDate: '2026-10-01' };
+    expect(scheduleEngine.getOccurrences(quarterly, '2027-12-31')).toEqual(['2026-04-01', '2026-07-01', '2026-10-01']);
+  });
+
+  test('has no occurrences without a valid start', () => {
+    expect(scheduleEngine.getOccurrences({ ...monthly, startDate: 'soon' }, '2026-12-31')).toEqual([]);
+  });
+});
+
+describe('generating', () => {
+  const schedule = { ...monthly, generatedThrough: '2026-02-28', skippedDates: ['2026-04-30'] };
+
+  test('creates what is due after the last generated and skipped occurrences', () => {
+    expect(scheduleEngine.getDueOccurrences(schedule, '2026-05-31')).toEqual(['2026-03-31', '2026-05-31']);
+    expect(scheduleEngine.getDueOccurrences({ ...schedule, status: 'paused' }, '2026-05-31')).toEqual([]);
+  });
+
+  test('moves generatedThrough past skips but not past an occurrence that waits', () => {
+    expect(scheduleEngine.getGeneratedThrough(schedule, ['2026-03-31', '2026-05-31'], '2026-05-31')).toBe('2026-05-31');
+    expect(scheduleEngine.getGeneratedThrough(schedule, ['2026-03-31'], '2026-05-31')).toBe('2026-04-30');
+    expect(scheduleEngine.getGeneratedThrough(schedule, [], '2026-05-31')).toBe('2026-02-28');
+  });
+
+  test('lists the next occurrences with their skip state', () => {
+    expect(scheduleEngine.getUpcoming(schedule, 3)).toEqual([
+      { date: '2026-03-31', skipped: false },
+      { date: '2026-04-30', skipped: true },
+      { date: '2026-05-31', skipped: false }
+    ]);
+    expect(scheduleEngine.getNextDate({ ...schedule, skippedDates: ['2026-03-31'] })).toBe('2026-04-30');
+  });
+});
+
+describe('instances', () => {
+  test('builds an expense with the same ID on every client', () => {
+    const instance = scheduleEngine.buildInstance(monthly, '2026-03-31', { username: 'sam' });
+
+    expect(instance.collection).toBe('Expenses');
+    expect(instance.record).toEqual(expect.objectContaining({
+      id: 'S1-2026-03-31',
+      date: '2026-03-31',
+      scheduleId: 'S1',
+      description: 'Office rent',
+      amount: 1500,
+      status: 'Committed',
+      createdBy: 'sam'
+    }));
+  });
+
+  test('builds a pending journal from its template', () => {
+    const journal = { ...monthly, id: 'abcdef', type: 'journal', template: { templateId: 'T1' } };
+    const templates = [{
+      id: 'T1',
+      description: 'Depreciation',
+      lines: [{ type: 'debit', account: 'A5', amount: '10' }, { type: 'credit', account: 'A1', amount: 10 }]
+    }];
+    const instance = scheduleEngine.buildInstance(journal, '2026-03-31', { templates });
+
+    expect(instance.collection).toBe('JournalEntries');
+    expect(instance.record).toEqual(expect.objectContaining({ reference: 'SCH-20260331-ABCD', status: 'Pending', description: 'Depreciation' }));
+    expect(instance.record.lines.map(line => [line.type, line.amount])).toEqual([['debit', 10], ['credit', 10]]);
+    expect(scheduleEngine.buildInstance(journal, '2026-03-31', { templates: [] })).toBeNull();
+  });
+});
+
+describe('validation', () => {
+  test('accepts a complete schedule', () => {
+    expect(scheduleEngine.validateSchedule(monthly)).toEqual([]);
+  });
+
+  test('checks dates, the day of the month and the expense template', () => {
+    expect(scheduleEngine.validateSchedule({ ...monthly, dayOfMonth: 32, endDate: '2025-12-31', template: {} })).toEqual([
+      'Day of month must be between 1 and 31',
+      'End date must be after the start date',
+      'Expense description is required',
+      'Supplier is required',
+      'Amount must be greater than zero',
+      'Payment type is required',
+      'Payment center is required'
+    ]);
+  });
+
+  test('requires a balanced journal template', () => {
+    const journal = { ...monthly, type: 'journal', template: { templateId: 'T1' } };
+    const unbalanced = [{ id: 'T1', lines: [{ type: 'debit', amount: 10 }, { type: 'credit', amount: 9 }] }];
+
+    expect(scheduleEngine.validateSchedule(journal, unbalanced)).toEqual(['The journal template debits and credits must balance']);
+    expect(scheduleEngine.validateSchedule(journal, [])).toEqual(['Journal template is required']);
+  });
+});
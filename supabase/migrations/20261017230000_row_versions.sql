@@ -0,0 +1,15 @@
+-- Row versions for optimistic concurrency.
+--
+-- Tables registered as versioned in TableMapperRegistry get version = 1 on
+-- insert, and SupabaseService.update only writes a row whose version still
+-- matches the one being edited.
+
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "Suppliers" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "JournalEntries" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "PaymentCenterBudgets" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "Programs" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "PaymentCenters" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "PaymentTypes" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE "ExpenseStatus" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
@@ -0,0 +1,130 @@
+-- Atomic journal entry writes.
+--
+-- A journal is a "JournalEntries" header plus its "JournalLines" rows. These functions
+-- write both in a single transaction so a failure can never leave a header without
+-- lines, or lines from an older version of the journal.
+
+-- Row version used for optimistic concurrency (see SupabaseService.update)
+ALTER TABLE "JournalEntries" ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+
+-- Create or replace a journal and all of its lines.
+--   p_journal          header fields (camelCase keys matching the table columns)
+--   p_lines            array of lines: { type, program, paymentCenter, amount, ... }
+--   p_expected_version version the caller started editing from (NULL skips the check)
+-- Returns { journal, lines }.
+-- Errors: 23514 (check_violation) when debits and credits do not balance,
+--         40001 (serialization_failure) when the expected version is stale.
+CREATE OR REPLACE FUNCTION save_journal_entry(
+  p_journal jsonb,
+  p_lines jsonb,
+  p_expected_version integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_id text := p_journal->>'id';
+  v_existing "JournalEntries";
+  v_header "JournalEntries";
+  v_debits numeric;
+  v_credits numeric;
+  v_set text;
+  v_lines jsonb;
+BEGIN
+  IF v_id IS NULL OR v_id = '' THEN
+    RAISE EXCEPTION 'Journal entry id is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_lines IS NULL OR jsonb_typeof(p_lines) <> 'array' OR jsonb_array_length(p_lines) < 2 THEN
+    RAISE EXCEPTION 'A journal entry needs at least two lines' USING ERRCODE = '23514';
+  END IF;
+
+  -- Debits must equal credits
+  SELECT
+    COALESCE(SUM(CASE WHEN line->>'type' = 'debit' THEN (line->>'amount')::numeric END), 0),
+    COALESCE(SUM(CASE WHEN line->>'type' = 'credit' THEN (line->>'amount')::numeric END), 0)
+  INTO v_debits, v_credits
+  FROM jsonb_array_elements(p_lines) AS line;
+
+  IF v_debits <= 0 OR round(v_debits, 2) <> round(v_credits, 2) THEN
+    RAISE EXCEPTION 'Journal entry is not balanced: debits % and credits %', v_debits, v_credits
+      USING ERRCODE = '23514';
+  END IF;
+
+  SELECT * INTO v_existing FROM "JournalEntries" WHERE id = v_id FOR UPDATE;
+
+  IF FOUND THEN
+    IF p_expected_version IS NOT NULL AND v_existing.version IS DISTINCT FROM p_expected_version THEN
+      RAISE EXCEPTION 'Journal entry % was changed by someone else (expected version %, found %)',
+        v_id, p_expected_version, v_existing.version
+        USING ERRCODE = '40001';
+    END IF;
+
+    -- Fields not sent keep their current values
+    v_header := jsonb_populate_record(
+      v_existing,
+      p_journal || jsonb_build_object(
+        'totalAmount', v_debits,
+        'version', COALESCE(v_existing.version, 0) + 1
+      )
+    );
+
+    SELECT string_agg(format('%I = ($1).%I', column_name, column_name), ', ')
+    INTO v_set
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'JournalEntries'
+      AND column_name <> 'id';
+
+    EXECUTE format('UPDATE "JournalEntries" SET %s WHERE id = ($1).id', v_set) USING v_header;
+  ELSE
+    v_header := jsonb_populate_record(
+      NULL::"JournalEntries",
+      p_journal || jsonb_build_object('totalAmount', v_debits, 'version', 1)
+    );
+
+    INSERT INTO "JournalEntries" SELECT (v_header).*;
+  END IF;
+
+  -- Replace the lines, numbering them in order
+  DELETE FROM "JournalLines" WHERE "journalId" = v_id;
+
+  INSERT INTO "JournalLines"
+  SELECT *
+  FROM jsonb_populate_recordset(
+    NULL::"JournalLines",
+    (
+      SELECT jsonb_agg(
+        line || jsonb_build_object(
+          'id', v_id || '-L' || ordinality,
+          'journalId', v_id,
+          'lineNumber', ordinality
+        )
+        ORDER BY ordinality
+      )
+      FROM jsonb_array_elements(p_lines) WITH ORDINALITY AS l(line, ordinality)
+    )
+  );
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(jl) ORDER BY jl."lineNumber"), '[]'::jsonb)
+  INTO v_lines
+  FROM "JournalLines" jl
+  WHERE jl."journalId" = v_id;
+
+  SELECT * INTO v_header FROM "JournalEntries" WHERE id = v_id;
+
+  RETURN jsonb_build_object('journal', to_jsonb(v_header), 'lines', v_lines);
+END;
+$$;
+
+-- Delete a journal and its lines together.
+CREATE OR REPLACE FUNCTION delete_journal_entry(p_journal_id text)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM "JournalLines" WHERE "journalId" = p_journal_id;
+  DELETE FROM "JournalEntries" WHERE id = p_journal_id;
+  RETURN FOUND;
+END;
+$$;
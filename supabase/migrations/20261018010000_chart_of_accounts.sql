@@ -0,0 +1,76 @@
+-- Chart of accounts behind journal lines.
+--
+-- Every journal line now posts to an account, so the General Ledger and later
+-- reports can be built per account code.
+
+CREATE TABLE IF NOT EXISTS "ChartOfAccounts" (
+  id text PRIMARY KEY,
+  code text UNIQUE NOT NULL,
+  name text NOT NULL,
+  type text NOT NULL CHECK (type IN ('asset', 'liability', 'equity', 'income', 'expense')),
+  parent text REFERENCES "ChartOfAccounts"(id) ON DELETE RESTRICT,
+  active boolean NOT NULL DEFAULT true,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "ChartOfAccounts" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ChartOfAccounts' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "ChartOfAccounts" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ChartOfAccounts' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "ChartOfAccounts" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ChartOfAccounts' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "ChartOfAccounts" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ChartOfAccounts' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "ChartOfAccounts" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Starter accounts; rename or extend them from the Chart of Accounts screen
+INSERT INTO "ChartOfAccounts" (id, code, name, type, parent) VALUES
+  ('ACC-1000', '1000', 'Assets', 'asset', NULL),
+  ('ACC-1100', '1100', 'Cash at Bank', 'asset', 'ACC-1000'),
+  ('ACC-2000', '2000', 'Liabilities', 'liability', NULL),
+  ('ACC-2100', '2100', 'Accounts Payable', 'liability', 'ACC-2000'),
+  ('ACC-3000', '3000', 'Equity', 'equity', NULL),
+  ('ACC-3100', '3100', 'Retained Surplus', 'equity', 'ACC-3000'),
+  ('ACC-4000', '4000', 'Income', 'income', NULL),
+  ('ACC-4100', '4100', 'Grant Income', 'income', 'ACC-4000'),
+  ('ACC-5000', '5000', 'Expenses', 'expense', NULL),
+  ('ACC-5100', '5100', 'Program Expenses', 'expense', 'ACC-5000'),
+  ('ACC-5200', '5200', 'Operating Expenses', 'expense', 'ACC-5000')
+ON CONFLICT (id) DO NOTHING;
+
+-- Journal lines post to an account. Existing lines predate the chart, so the
+-- requirement is enforced for new and changed rows only (NOT VALID).
+ALTER TABLE "JournalLines" ADD COLUMN IF NOT EXISTS account text REFERENCES "ChartOfAccounts"(id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'journal_lines_account_required'
+  ) THEN
+    ALTER TABLE "JournalLines"
+      ADD CONSTRAINT journal_lines_account_required CHECK (account IS NOT NULL AND account <> '') NOT VALID;
+  END IF;
+END
+$$;
@@ -0,0 +1,43 @@
+-- Accounting periods (one row per month) with open, soft-closed and closed states.
+--
+-- Months without a row are open. Soft-closed months only accept changes from users
+-- with the approve permission; closed months accept none until an admin reopens them.
+-- The checks run in DataContext; this table stores the state and who changed it.
+
+CREATE TABLE IF NOT EXISTS "AccountingPeriods" (
+  id text PRIMARY KEY,
+  period text UNIQUE NOT NULL CHECK (period ~ '^\d{4}-\d{2}$'),
+  "startDate" date NOT NULL,
+  "endDate" date NOT NULL,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'soft-closed', 'closed')),
+  notes text,
+  "changedBy" text,
+  "changedAt" timestamp,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "AccountingPeriods" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'AccountingPeriods' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "AccountingPeriods" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'AccountingPeriods' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "AccountingPeriods" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'AccountingPeriods' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "AccountingPeriods" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+END
+$$;
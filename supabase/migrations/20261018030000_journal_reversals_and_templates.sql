@@ -0,0 +1,53 @@
+-- Reversing journals and journal templates.
+--
+-- A reversal is an ordinary journal with the source lines' debits and credits swapped;
+-- "reversalOf" points back at the journal it reverses. Templates are named line sets
+-- (amounts optional) used to pre-fill new journals; journals created from one keep
+-- "templateId", and a template saved from an existing journal keeps "sourceJournalId".
+
+ALTER TABLE "JournalEntries" ADD COLUMN IF NOT EXISTS "reversalOf" text REFERENCES "JournalEntries"(id) ON DELETE SET NULL;
+ALTER TABLE "JournalEntries" ADD COLUMN IF NOT EXISTS "templateId" text;
+
+CREATE INDEX IF NOT EXISTS journal_entries_reversal_of_idx ON "JournalEntries" ("reversalOf");
+
+CREATE TABLE IF NOT EXISTS "JournalTemplates" (
+  id text PRIMARY KEY,
+  name text UNIQUE NOT NULL,
+  description text,
+  lines jsonb NOT NULL DEFAULT '[]'::jsonb,
+  "sourceJournalId" text REFERENCES "JournalEntries"(id) ON DELETE SET NULL,
+  "createdBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "JournalTemplates" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'JournalTemplates' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "JournalTemplates" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'JournalTemplates' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "JournalTemplates" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'JournalTemplates' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "JournalTemplates" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'JournalTemplates' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "JournalTemplates" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
@@ -0,0 +1,60 @@
+-- Recurring expense and journal schedules.
+--
+-- A schedule holds a template (expense fields, or a journal template plus a
+-- description) and a recurrence: monthly or quarterly on a day of the month, from
+-- "startDate" until the optional "endDate". DataContext creates due instances on
+-- load as Committed expenses or Pending journals, with IDs "<scheduleId>-<date>" so
+-- two clients cannot create the same instance twice. "generatedThrough" is the
+-- last occurrence already handled and "skippedDates" lists occurrences to leave out.
+
+CREATE TABLE IF NOT EXISTS "Schedules" (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  type text NOT NULL CHECK (type IN ('expense', 'journal')),
+  frequency text NOT NULL DEFAULT 'monthly' CHECK (frequency IN ('monthly', 'quarterly')),
+  "dayOfMonth" integer NOT NULL DEFAULT 1 CHECK ("dayOfMonth" BETWEEN 1 AND 31),
+  "startDate" date NOT NULL,
+  "endDate" date,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  template jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "generatedThrough" date,
+  "skippedDates" jsonb NOT NULL DEFAULT '[]'::jsonb,
+  "createdBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "Schedules" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Schedules' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "Schedules" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Schedules' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "Schedules" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Schedules' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "Schedules" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Schedules' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "Schedules" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Generated instances point back at their schedule
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "scheduleId" text REFERENCES "Schedules"(id) ON DELETE SET NULL;
+ALTER TABLE "JournalEntries" ADD COLUMN IF NOT EXISTS "scheduleId" text REFERENCES "Schedules"(id) ON DELETE SET NULL;
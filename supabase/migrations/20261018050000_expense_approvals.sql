@@ -0,0 +1,60 @@
+-- Multi-level expense approval.
+--
+-- Each active rule adds an approval step to expenses over its threshold (optionally
+-- for one payment center only). Steps are approved in order by different people and
+-- are stored on the expense with the approver and time; a rejection needs a reason.
+-- Expenses cannot move past Committed until every step is approved.
+
+CREATE TABLE IF NOT EXISTS "ApprovalRules" (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  "minAmount" numeric NOT NULL DEFAULT 0 CHECK ("minAmount" >= 0),
+  "paymentCenter" text,
+  "requiredRole" text NOT NULL CHECK ("requiredRole" IN ('manager', 'admin')),
+  active boolean NOT NULL DEFAULT true,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "ApprovalRules" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ApprovalRules' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "ApprovalRules" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ApprovalRules' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "ApprovalRules" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ApprovalRules' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "ApprovalRules" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ApprovalRules' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "ApprovalRules" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Starting thresholds; admins can change them in Settings
+INSERT INTO "ApprovalRules" (id, name, "minAmount", "requiredRole") VALUES
+  ('APR-MANAGER', 'Manager approval over $5,000', 5000, 'manager'),
+  ('APR-ADMIN', 'Admin approval over $20,000', 20000, 'admin')
+ON CONFLICT (id) DO NOTHING;
+
+-- Approval state on each expense. Existing expenses have no status and are treated as cleared.
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "approvalStatus" text
+  CHECK ("approvalStatus" IN ('not-required', 'pending', 'approved', 'rejected'));
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "approvalSteps" jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "rejectionReason" text;
@@ -0,0 +1,56 @@
+-- Segregation of duties.
+--
+-- Rules stop people from approving journals and expenses they created, paying
+-- expenses they created, and (when switched on) approving entries charged to the
+-- payment centers they are responsible for. Admins can override a rule with a
+-- reason, which is recorded in the audit log.
+
+CREATE TABLE IF NOT EXISTS "SegregationRules" (
+  id text PRIMARY KEY,
+  enabled boolean NOT NULL DEFAULT true,
+  "updatedBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "SegregationRules" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'SegregationRules' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "SegregationRules" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'SegregationRules' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "SegregationRules" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'SegregationRules' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "SegregationRules" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'SegregationRules' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "SegregationRules" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Rule IDs match SEGREGATION_RULES in src/utils/DutySegregation.js
+INSERT INTO "SegregationRules" (id, enabled) VALUES
+  ('journal-creator-approver', true),
+  ('expense-creator-approver', true),
+  ('expense-creator-payer', true),
+  ('own-payment-center', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Comma-separated payment center IDs each user is responsible for
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "paymentCenters" text;
@@ -0,0 +1,70 @@
+-- Purchase orders.
+--
+-- A purchase order has a number from the PO-000001 series, a supplier, payment
+-- center/program coding and line items. Approving it fixes "approvedAmount", the
+-- amount committed against the budget. Goods are received in one or more partial
+-- receipts (stored on the order) and invoices are expenses linked through
+-- "purchaseOrderId". The remaining commitment is the approved amount less the
+-- invoices matched so far, until the order is closed or cancelled.
+
+CREATE TABLE IF NOT EXISTS "PurchaseOrders" (
+  id text PRIMARY KEY,
+  "poNumber" text NOT NULL UNIQUE,
+  date date NOT NULL,
+  supplier text NOT NULL,
+  description text,
+  "paymentCenter" text NOT NULL,
+  program text,
+  -- jsonb array of { id, description, quantity, unitPrice, amount, paymentCenter, program, account }
+  lines jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- jsonb array of { id, date, lineId, quantity, amount, receivedBy, notes }
+  receipts jsonb NOT NULL DEFAULT '[]'::jsonb,
+  "approvedAmount" numeric CHECK ("approvedAmount" IS NULL OR "approvedAmount" >= 0),
+  status text NOT NULL DEFAULT 'Draft' CHECK (status IN ('Draft', 'Approved', 'Closed', 'Cancelled')),
+  notes text,
+  "createdBy" text,
+  "approvedBy" text,
+  "approvedAt" timestamp,
+  "closedBy" text,
+  "closedAt" timestamp,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS "PurchaseOrders_status_idx" ON "PurchaseOrders" (status);
+CREATE INDEX IF NOT EXISTS "PurchaseOrders_paymentCenter_idx" ON "PurchaseOrders" ("paymentCenter");
+
+ALTER TABLE "PurchaseOrders" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'PurchaseOrders' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "PurchaseOrders" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'PurchaseOrders' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "PurchaseOrders" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'PurchaseOrders' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "PurchaseOrders" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'PurchaseOrders' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "PurchaseOrders" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Invoices (expenses) matched against a purchase order
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "purchaseOrderId" text REFERENCES "PurchaseOrders"(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS "Expenses_purchaseOrderId_idx" ON "Expenses" ("purchaseOrderId");
@@ -0,0 +1,63 @@
+-- Three-way matching of PO invoices.
+--
+-- Expenses matched to a purchase order are checked against the PO lines and the
+-- goods received once they are invoiced. Invoices outside the tolerance are held
+-- as exceptions and cannot be paid until someone with approve permission
+-- resolves them.
+
+CREATE TABLE IF NOT EXISTS "MatchSettings" (
+  id text PRIMARY KEY,
+  "tolerancePercent" numeric(6,2) NOT NULL DEFAULT 0,
+  "toleranceAmount" numeric(12,2) NOT NULL DEFAULT 0,
+  "updatedBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "MatchSettings" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'MatchSettings' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "MatchSettings" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'MatchSettings' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "MatchSettings" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'MatchSettings' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "MatchSettings" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'MatchSettings' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "MatchSettings" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- A single row holds the tolerance; see DEFAULT_TOLERANCE in src/utils/InvoiceMatcher.js
+INSERT INTO "MatchSettings" (id, "tolerancePercent", "toleranceAmount") VALUES
+  ('default', 2, 5)
+ON CONFLICT (id) DO NOTHING;
+
+-- Invoice lines: [{ poLineId, quantity, unitPrice, amount }]
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "invoiceLines" jsonb;
+
+-- Matched | Exception | Resolved; NULL when the expense is not matched to a PO
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "matchStatus" text;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "matchExceptions" jsonb;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "matchResolvedBy" text;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "matchResolvedAt" timestamp;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "matchResolution" text;
+
+CREATE INDEX IF NOT EXISTS "Expenses_matchStatus_idx" ON "Expenses" ("matchStatus");
@@ -0,0 +1,145 @@
+-- Attachments on expenses, journals and suppliers.
+--
+-- Files live in the private "attachments" storage bucket under
+-- <entityType>/<entityId>/<attachmentId>-<fileName>. Each file has a metadata
+-- row recording who uploaded it, its size and SHA-256 hash, and the entity it
+-- belongs to. The app removes an entity's files before deleting the entity; the
+-- delete is refused while attachment rows remain, so files are never orphaned.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('attachments', 'attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Attachments authenticated select'
+  ) THEN
+    CREATE POLICY "Attachments authenticated select" ON storage.objects FOR SELECT TO authenticated
+      USING (bucket_id = 'attachments');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Attachments authenticated insert'
+  ) THEN
+    CREATE POLICY "Attachments authenticated insert" ON storage.objects FOR INSERT TO authenticated
+      WITH CHECK (bucket_id = 'attachments');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Attachments authenticated delete'
+  ) THEN
+    CREATE POLICY "Attachments authenticated delete" ON storage.objects FOR DELETE TO authenticated
+      USING (bucket_id = 'attachments');
+  END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS "Attachments" (
+  id text PRIMARY KEY,
+  "entityType" text NOT NULL CHECK ("entityType" IN ('Expenses', 'JournalEntries', 'Suppliers')),
+  "entityId" text NOT NULL,
+  category text NOT NULL DEFAULT 'Other',
+  "fileName" text NOT NULL,
+  "contentType" text NOT NULL,
+  size bigint NOT NULL,
+  hash text NOT NULL,
+  "storagePath" text NOT NULL UNIQUE,
+  "uploadedBy" text,
+  "uploadedAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS "Attachments_entity_idx" ON "Attachments" ("entityType", "entityId");
+
+ALTER TABLE "Attachments" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Attachments' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "Attachments" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Attachments' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "Attachments" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Attachments' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "Attachments" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'Attachments' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "Attachments" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- Whether an expense has an invoice attached, kept up to date from Attachments so
+-- the expense list can filter on missing invoices server-side
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "hasInvoice" boolean NOT NULL DEFAULT false;
+
+CREATE OR REPLACE FUNCTION refresh_expense_has_invoice() RETURNS trigger AS $$
+DECLARE
+  target text;
+BEGIN
+  target := COALESCE(NEW."entityId", OLD."entityId");
+
+  IF COALESCE(NEW."entityType", OLD."entityType") = 'Expenses' THEN
+    UPDATE "Expenses"
+    SET "hasInvoice" = EXISTS (
+      SELECT 1 FROM "Attachments"
+      WHERE "entityType" = 'Expenses' AND "entityId" = target AND category = 'Invoice'
+    )
+    WHERE id::text = target;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Attachments_has_invoice" ON "Attachments";
+CREATE TRIGGER "Attachments_has_invoice"
+  AFTER INSERT OR UPDATE OR DELETE ON "Attachments"
+  FOR EACH ROW EXECUTE FUNCTION refresh_expense_has_invoice();
+
+UPDATE "Expenses" e
+SET "hasInvoice" = EXISTS (
+  SELECT 1 FROM "Attachments" a
+  WHERE a."entityType" = 'Expenses' AND a."entityId" = e.id::text AND a.category = 'Invoice'
+);
+
+-- Refuse to delete an entity that still has attachments
+CREATE OR REPLACE FUNCTION prevent_attachment_orphans() RETURNS trigger AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM "Attachments" WHERE "entityType" = TG_TABLE_NAME AND "entityId" = OLD.id::text
+  ) THEN
+    RAISE EXCEPTION '% % still has attachments; remove them first', TG_TABLE_NAME, OLD.id;
+  END IF;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Expenses_attachment_orphans" ON "Expenses";
+CREATE TRIGGER "Expenses_attachment_orphans"
+  BEFORE DELETE ON "Expenses"
+  FOR EACH ROW EXECUTE FUNCTION prevent_attachment_orphans();
+
+DROP TRIGGER IF EXISTS "JournalEntries_attachment_orphans" ON "JournalEntries";
+CREATE TRIGGER "JournalEntries_attachment_orphans"
+  BEFORE DELETE ON "JournalEntries"
+  FOR EACH ROW EXECUTE FUNCTION prevent_attachment_orphans();
+
+DROP TRIGGER IF EXISTS "Suppliers_attachment_orphans" ON "Suppliers";
+CREATE TRIGGER "Suppliers_attachment_orphans"
+  BEFORE DELETE ON "Suppliers"
+  FOR EACH ROW EXECUTE FUNCTION prevent_attachment_orphans();
@@ -0,0 +1,37 @@
+-- Expense allocations.
+--
+-- An expense can be split across several payment centers and programs, e.g. a
+-- shared excursion between GDC and VCES. The lines must add up to the expense
+-- amount. paymentCenter and program keep the largest line so filters and older
+-- reports still see a single coding.
+
+-- Allocation lines: [{ id, paymentCenter, program, basis, percentage, amount }];
+-- empty when the expense is coded to its paymentCenter and program alone
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "allocations" jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE OR REPLACE FUNCTION check_expense_allocations() RETURNS trigger AS $$
+DECLARE
+  allocated numeric;
+BEGIN
+  IF jsonb_array_length(COALESCE(NEW.allocations, '[]'::jsonb)) = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COALESCE(SUM((line->>'amount')::numeric), 0)
+  INTO allocated
+  FROM jsonb_array_elements(NEW.allocations) AS line;
+
+  IF ABS(allocated - COALESCE(NEW.amount, 0)) > 0.01 THEN
+    RAISE EXCEPTION 'Allocations for expense % add up to %, not the expense amount %',
+      NEW.id, allocated, NEW.amount
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Expenses_check_allocations" ON "Expenses";
+CREATE TRIGGER "Expenses_check_allocations"
+  BEFORE INSERT OR UPDATE OF amount, allocations ON "Expenses"
+  FOR EACH ROW EXECUTE FUNCTION check_expense_allocations();
@@ -0,0 +1,21 @@
+-- GST on expenses.
+--
+-- Expense amounts stay GST-inclusive (gross). Each expense carries a tax code
+-- and the ex-GST, GST and withheld amounts worked out from it (see
+-- src/utils/GstHelper.js). Expenses saved before tax codes existed keep a NULL
+-- tax code and are listed as uncoded in the GST summary.
+
+-- GST | FRE (GST-free) | INP (input-taxed) | NABN (no ABN withholding)
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "taxCode" text
+  CHECK ("taxCode" IS NULL OR "taxCode" IN ('GST', 'FRE', 'INP', 'NABN'));
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "amountExGst" numeric(12,2);
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "gstAmount" numeric(12,2);
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "withholdingAmount" numeric(12,2);
+
+-- Capital purchases are reported at G10, everything else at G11
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "isCapital" boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS "Expenses_taxCode_idx" ON "Expenses" ("taxCode");
+
+-- Suppliers not registered for GST cannot charge it; existing suppliers are assumed registered
+ALTER TABLE "Suppliers" ADD COLUMN IF NOT EXISTS "gstRegistered" boolean NOT NULL DEFAULT true;
@@ -0,0 +1,60 @@
+-- Multi-currency expenses.
+--
+-- An expense's amount is always in the base currency (AUD), so budgets and
+-- reports keep adding up amounts. Expenses invoiced in another currency also
+-- keep the original amount, the currency and the rate used, taken from
+-- ExchangeRates at the expense date (see src/utils/CurrencyHelper.js).
+
+CREATE TABLE IF NOT EXISTS "ExchangeRates" (
+  id text PRIMARY KEY,
+  currency text NOT NULL,
+  date date NOT NULL,
+  -- AUD per one unit of the currency, effective from date until the next rate
+  rate numeric(18,8) NOT NULL CHECK (rate > 0),
+  source text NOT NULL DEFAULT 'manual',
+  "createdBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (currency, date)
+);
+
+ALTER TABLE "ExchangeRates" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ExchangeRates' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "ExchangeRates" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ExchangeRates' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "ExchangeRates" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ExchangeRates' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "ExchangeRates" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'ExchangeRates' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "ExchangeRates" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'AUD';
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "originalAmount" numeric(12,2);
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "exchangeRate" numeric(18,8) NOT NULL DEFAULT 1;
+ALTER TABLE "Expenses" ADD COLUMN IF NOT EXISTS "rateDate" date;
+
+-- Existing expenses were all entered in AUD
+UPDATE "Expenses" SET "originalAmount" = amount WHERE "originalAmount" IS NULL;
+
+-- Currency the supplier usually invoices in; new expenses start with it
+ALTER TABLE "Suppliers" ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'AUD';
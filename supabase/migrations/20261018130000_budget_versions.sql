@@ -0,0 +1,23 @@
+-- Budget versions and monthly phasing.
+--
+-- A payment center can have several budgets for a year: the Original, a
+-- revision (e.g. Revised Q2) and a Forecast. Each row can be for the whole
+-- payment center or for one of its programs, and is phased by month so the
+-- Dashboard can compare year-to-date spend against year-to-date budget.
+-- Existing rows become the Original payment center budgets; rows without
+-- months are spread evenly.
+
+ALTER TABLE "PaymentCenterBudgets" ADD COLUMN IF NOT EXISTS "budgetVersion" TEXT NOT NULL DEFAULT 'Original';
+
+-- Program the budget is for; NULL for budget not set against a program
+ALTER TABLE "PaymentCenterBudgets" ADD COLUMN IF NOT EXISTS "programId" TEXT;
+
+-- Twelve monthly amounts in budget-year order; budget holds their total
+ALTER TABLE "PaymentCenterBudgets" ADD COLUMN IF NOT EXISTS "months" jsonb;
+
+ALTER TABLE "PaymentCenterBudgets" DROP CONSTRAINT IF EXISTS "PaymentCenterBudgets_months_check";
+ALTER TABLE "PaymentCenterBudgets" ADD CONSTRAINT "PaymentCenterBudgets_months_check"
+  CHECK ("months" IS NULL OR (jsonb_typeof("months") = 'array' AND jsonb_array_length("months") = 12));
+
+CREATE UNIQUE INDEX IF NOT EXISTS "PaymentCenterBudgets_coding_key"
+  ON "PaymentCenterBudgets" ("paymentCenterId", COALESCE("programId", ''), "year", "budgetVersion");
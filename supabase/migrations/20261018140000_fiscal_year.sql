@@ -0,0 +1,49 @@
+-- Organisation-level settings, starting with the month the financial year
+-- begins. PaymentCenterBudgets.year is the financial year, named by the
+-- calendar year it ends in (a July start makes 2027 the year July 2026 to
+-- June 2027), and PaymentCenterBudgets.months run from the start month.
+-- January keeps financial years the same as calendar years.
+
+CREATE TABLE IF NOT EXISTS "OrganisationSettings" (
+  id text PRIMARY KEY,
+  "fiscalYearStartMonth" integer NOT NULL DEFAULT 1 CHECK ("fiscalYearStartMonth" BETWEEN 1 AND 12),
+  "updatedBy" text,
+  version integer NOT NULL DEFAULT 1,
+  "createdAt" timestamp DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE "OrganisationSettings" ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'OrganisationSettings' AND policyname = 'Allow authenticated select'
+  ) THEN
+    CREATE POLICY "Allow authenticated select" ON "OrganisationSettings" FOR SELECT TO authenticated USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'OrganisationSettings' AND policyname = 'Allow authenticated insert'
+  ) THEN
+    CREATE POLICY "Allow authenticated insert" ON "OrganisationSettings" FOR INSERT TO authenticated WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'OrganisationSettings' AND policyname = 'Allow authenticated update'
+  ) THEN
+    CREATE POLICY "Allow authenticated update" ON "OrganisationSettings" FOR UPDATE TO authenticated USING (true) WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'OrganisationSettings' AND policyname = 'Allow authenticated delete'
+  ) THEN
+    CREATE POLICY "Allow authenticated delete" ON "OrganisationSettings" FOR DELETE TO authenticated USING (true);
+  END IF;
+END
+$$;
+
+-- A single row holds the settings; see DEFAULT_START_MONTH in src/utils/FiscalCalendar.js
+INSERT INTO "OrganisationSettings" (id, "fiscalYearStartMonth") VALUES
+  ('default', 1)
+ON CONFLICT (id) DO NOTHING;
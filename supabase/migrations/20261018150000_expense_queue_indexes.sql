@@ -0,0 +1,9 @@
+-- Indexes for the expense queries that replace loading every expense.
+--
+-- The approval queue filters on "approvalStatus", supplier histories on supplier,
+-- and the dashboard on date. Match exceptions and purchase order balances use the
+-- "matchStatus" and "purchaseOrderId" indexes added with those features.
+
+CREATE INDEX IF NOT EXISTS "Expenses_approvalStatus_idx" ON "Expenses" ("approvalStatus");
+CREATE INDEX IF NOT EXISTS "Expenses_supplier_idx" ON "Expenses" (supplier);
+CREATE INDEX IF NOT EXISTS "Expenses_date_idx" ON "Expenses" (date);